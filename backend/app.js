@@ -0,0 +1,49 @@
+import express from 'express';
+import cors from 'cors';
+import { API_ROUTES } from './routes/index.js';
+import docsRoutes from './routes/docs.js';
+import { sendError, errorHandler, notFoundHandler } from './lib/errors.js';
+import config from './lib/config.js';
+
+// Builds the Express app. `connect` is awaited before every request except
+// the health check and the API docs, and should make sure the database is
+// reachable, throwing if it isn't (503), or throwing an error with status 500
+// if the server is misconfigured. server.js connects lazily to MONGODB_URI; tests connect to
+// their own database first and pass a no-op. Settings come from lib/config.js;
+// the routers are listed in routes/index.js.
+export function createApp({ connect }) {
+    const app = express();
+
+    app.set('trust proxy', config.trustProxy);
+
+    // Middleware
+    app.use(cors({ origin: config.corsOrigins.length > 0 ? config.corsOrigins : false }));
+    app.use(express.json());
+
+    // The API description and its viewer don't touch the database
+    app.use('/api/docs', docsRoutes);
+
+    // Lazy-connect middleware for serverless: skip health check
+    app.use(async (req, res, next) => {
+        if (req.path === '/api/health') {
+            return next();
+        }
+        try {
+            await connect();
+            return next();
+        } catch (err) {
+            if (err.status === 500) {
+                return sendError(res, 500, err.message);
+            }
+            return sendError(res, 503, 'Database connection failed');
+        }
+    });
+
+    for (const [path, router] of API_ROUTES) {
+        app.use(path, router);
+    }
+    app.use('/api', notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+}
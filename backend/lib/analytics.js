@@ -0,0 +1,74 @@
+import { wallTime, resolveWallTime, addWallDays } from './timezone.js';
+
+// Period maths for the usage reports. Periods are aligned in the
+// organization's timezone: weeks start on Monday, months on the 1st.
+export const ANALYTICS_INTERVALS = ['week', 'month'];
+
+// Statuses that count as the vehicle having been used (or promised)
+export const USAGE_STATUSES = ['approved', 'in_use', 'completed'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Wall-clock date (no time) the period containing date starts on
+function startOfPeriod(date, interval) {
+    const t = wallTime(date);
+    const day = interval === 'month' ? t : addWallDays(t, -((t.weekday + 6) % 7));
+    return { year: day.year, month: day.month, day: interval === 'month' ? 1 : day.day };
+}
+
+function nextPeriod(day, interval) {
+    if (interval === 'month') {
+        return day.month === 12
+            ? { year: day.year + 1, month: 1, day: 1 }
+            : { year: day.year, month: day.month + 1, day: 1 };
+    }
+    const next = addWallDays(day, 7);
+    return { year: next.year, month: next.month, day: next.day };
+}
+
+// Midnight at the start of a wall-clock date; weeks and months are not a
+// fixed number of hours once DST changes fall inside them
+const midnight = (day) => resolveWallTime(day).date;
+
+// The periods covering [from, to), each clipped to the range
+export function periods(from, to, interval) {
+    const list = [];
+    for (let day = startOfPeriod(from, interval); midnight(day) < to; day = nextPeriod(day, interval)) {
+        const start = midnight(day);
+        const end = midnight(nextPeriod(day, interval));
+        list.push({
+            start,
+            end,
+            from: start < from ? from : start,
+            to: end > to ? to : end
+        });
+    }
+    return list;
+}
+
+function overlapMs(aStart, aEnd, bStart, bEnd) {
+    return Math.max(0, Math.min(aEnd, bEnd) - Math.max(aStart, bStart));
+}
+
+// Share of each period every vehicle spent booked. Returns one row per
+// vehicle with { period, bookedHours, utilization } per period (0-100).
+export function utilizationByPeriod(vehicles, bookings, from, to, interval) {
+    const ranges = periods(from, to, interval);
+
+    return vehicles.map((vehicle) => {
+        const own = bookings.filter((b) => b.vehicle.equals(vehicle._id));
+        return {
+            vehicle: { _id: vehicle._id, name: vehicle.name, type: vehicle.type },
+            periods: ranges.map((range) => {
+                const bookedMs = own.reduce((sum, b) =>
+                    sum + overlapMs(b.bookingTime, b.returnTime, range.from, range.to), 0);
+                const totalMs = range.to - range.from;
+                return {
+                    period: range.start,
+                    bookedHours: Math.round(bookedMs / HOUR_MS * 10) / 10,
+                    utilization: totalMs > 0 ? Math.round(bookedMs / totalMs * 1000) / 10 : 0
+                };
+            })
+        };
+    });
+}
@@ -0,0 +1,188 @@
+// Renders the frontend's API client (frontend/src/api.js) from the OpenAPI
+// document: one function per operation, named by its operationId, that calls
+// the route with axios and resolves to the response body, plus JSDoc types
+// for the bodies, queries and responses. The output follows the frontend's
+// code style. scripts/generateClient.js writes it.
+
+const HEADER = `// Generated from the API's OpenAPI document by \`npm run generate:client\` in
+// backend/. Do not edit by hand: change the route or schemas/operations.js and
+// regenerate. Each function resolves to the response body; errors are axios
+// errors whose response.data is an ApiError.
+// @ts-check
+import axios from 'axios'
+
+const data = (response) => response.data
+`;
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1);
+
+function literal(value) {
+    return typeof value === 'string' ? `'${value.replace(/'/g, '\\\'')}'` : JSON.stringify(value);
+}
+
+// JSDoc type expression for a JSON Schema
+function typeOf(schema) {
+    if (!schema || Object.keys(schema).length === 0) {
+        return '*';
+    }
+    if (schema.$ref) {
+        return schema.$ref.split('/').pop();
+    }
+    const alternatives = schema.anyOf || schema.oneOf;
+    if (alternatives) {
+        return [...new Set(alternatives.map(typeOf))].join(' | ');
+    }
+    if ('const' in schema) {
+        return literal(schema.const);
+    }
+    if (schema.enum) {
+        return schema.enum.map(literal).join(' | ');
+    }
+    if (Array.isArray(schema.type)) {
+        return schema.type.map((type) => typeOf({ ...schema, type })).join(' | ');
+    }
+    switch (schema.type) {
+        case 'string':
+            return 'string';
+        case 'number':
+        case 'integer':
+            return 'number';
+        case 'boolean':
+            return 'boolean';
+        case 'null':
+            return 'null';
+        case 'array':
+            return `Array<${typeOf(schema.items)}>`;
+        case 'object':
+            if (schema.properties) {
+                const fields = Object.entries(schema.properties).map(([name, property]) =>
+                    `${name}${schema.required?.includes(name) ? '' : '?'}: ${typeOf(property)}`);
+                return `{ ${fields.join(', ')} }`;
+            }
+            return `Object<string, ${typeOf(schema.additionalProperties)}>`;
+        default:
+            return '*';
+    }
+}
+
+// Splits prose into lines of at most `width` characters
+function wrap(text, width = 76) {
+    const lines = [];
+    for (const word of text.split(' ')) {
+        const last = lines.length - 1;
+        if (last >= 0 && lines[last].length + word.length < width) {
+            lines[last] += ` ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    return lines;
+}
+
+function comment(lines) {
+    return ['/**', ...lines.map((line) => (line ? ` * ${line}` : ' *')), ' */'].join('\n');
+}
+
+// @typedef for an object schema, one @property per field
+function typedef(name, schema, description) {
+    const lines = description ? [...wrap(description), ''] : [];
+    lines.push(`@typedef {Object} ${name}`);
+    for (const [field, property] of Object.entries(schema.properties || {})) {
+        const optional = !schema.required?.includes(field);
+        const note = property.description ? ` ${property.description}` : '';
+        lines.push(`@property {${typeOf(property)}} ${optional ? `[${field}]` : field}${note}`);
+    }
+    return comment(lines);
+}
+
+function operationsOf(document) {
+    const operations = [];
+    for (const [path, item] of Object.entries(document.paths)) {
+        for (const method of HTTP_METHODS) {
+            if (item[method] && item[method]['x-client'] !== false) {
+                operations.push({ path, method, ...item[method] });
+            }
+        }
+    }
+    return operations;
+}
+
+function renderOperation(operation) {
+    const name = operation.operationId;
+    const pathParams = operation.parameters.filter((parameter) => parameter.in === 'path');
+    const queryParams = operation.parameters.filter((parameter) => parameter.in === 'query');
+    const requestContent = operation.requestBody?.content || {};
+    const bodyType = Object.keys(requestContent)[0];
+    const successStatus = Object.keys(operation.responses).find((status) => status.startsWith('2'));
+    const responseContent = operation.responses[successStatus].content || {};
+    const json = responseContent['application/json'];
+
+    const typedefs = [];
+    const args = pathParams.map((parameter) => parameter.name);
+    const docs = wrap(operation.summary);
+    if (operation.description) {
+        docs.push('', ...wrap(operation.description));
+    }
+    docs.push('', `${operation.method.toUpperCase()} ${operation.path}`);
+    pathParams.forEach((parameter) => docs.push(`@param {string} ${parameter.name}`));
+
+    if (bodyType === 'application/json') {
+        const bodyName = `${pascalCase(name)}Body`;
+        typedefs.push(typedef(bodyName, requestContent[bodyType].schema));
+        args.push('body');
+        docs.push(`@param {${bodyName}} body`);
+    } else if (bodyType) {
+        args.push('body');
+        docs.push(`@param {string} body ${bodyType} text`);
+    }
+    if (queryParams.length > 0) {
+        const queryName = `${pascalCase(name)}Query`;
+        typedefs.push(typedef(queryName, {
+            properties: Object.fromEntries(queryParams.map((parameter) => [parameter.name, parameter.schema])),
+            required: queryParams.filter((parameter) => parameter.required).map((parameter) => parameter.name)
+        }));
+        args.push('query');
+        const optional = queryParams.every((parameter) => !parameter.required);
+        docs.push(`@param {${queryName}} ${optional ? '[query]' : 'query'}`);
+    }
+    docs.push(`@returns {Promise<${json ? typeOf(json.schema) : 'Blob'}>}`);
+
+    const url = pathParams.length > 0
+        ? `\`${operation.path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}')}\``
+        : `'${operation.path}'`;
+    const config = [];
+    if (queryParams.length > 0) {
+        config.push('params: query');
+    }
+    if (bodyType && operation.method === 'delete') {
+        config.push('data: body');
+    }
+    if (bodyType && bodyType !== 'application/json') {
+        config.push(`headers: { 'Content-Type': '${bodyType}' }`);
+    }
+    if (!json) {
+        config.push('responseType: \'blob\'');
+    }
+    const callArgs = [url];
+    if (['post', 'put', 'patch'].includes(operation.method)) {
+        if (bodyType || config.length > 0) {
+            callArgs.push(bodyType ? 'body' : 'null');
+        }
+    }
+    if (config.length > 0) {
+        callArgs.push(`{ ${config.join(', ')} }`);
+    }
+
+    const call = `export const ${name} = (${args.join(', ')}) =>\n    axios.${operation.method}(${callArgs.join(', ')}).then(data)`;
+    return [...typedefs, `${comment(docs)}\n${call}`].join('\n\n');
+}
+
+// Source of frontend/src/api.js for an OpenAPI document
+export function renderApiClient(document) {
+    const types = Object.entries(document.components.schemas).map(([name, schema]) =>
+        typedef(name, schema, schema.description));
+    const operations = operationsOf(document).map(renderOperation);
+    return `${[HEADER.trimEnd(), ...types, ...operations].join('\n\n')}\n`;
+}
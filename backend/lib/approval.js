@@ -0,0 +1,113 @@
+import Booking from '../models/Booking.js';
+import { findAllConflicts, overlapQuery } from './conflicts.js';
+import { withVehicleLock } from './vehicleLock.js';
+import { getPolicy } from './policy.js';
+import { notifyMany } from './notifications.js';
+import { publishBookings } from './events.js';
+import { recordAudit, statusAudits } from './audit.js';
+import config from './config.js';
+
+// What happens to pending requests that overlap a newly approved booking:
+// 'flag' marks them for the admin to review, 'reject' rejects them outright.
+export const PENDING_OVERLAP_POLICIES = ['flag', 'reject'];
+
+if (!PENDING_OVERLAP_POLICIES.includes(config.pendingOverlapPolicy)) {
+    console.error(`Unknown PENDING_OVERLAP_POLICY "${config.pendingOverlapPolicy}", falling back to "flag"`);
+}
+
+function overlapPolicy() {
+    return PENDING_OVERLAP_POLICIES.includes(config.pendingOverlapPolicy) ? config.pendingOverlapPolicy : 'flag';
+}
+
+// Applies the pending-overlap policy to requests that overlap `booking`.
+// Resolves to the ids of the affected requests and whether they were rejected.
+async function resolvePendingOverlaps(booking) {
+    const affected = await Booking.find({
+        _id: { $ne: booking._id },
+        vehicle: booking.vehicle,
+        status: 'pending',
+        ...overlapQuery(booking.bookingTime, booking.returnTime)
+    }).distinct('_id');
+
+    const rejected = overlapPolicy() === 'reject';
+    const update = rejected
+        ? { $set: { status: 'rejected' } }
+        : { $addToSet: { conflictsWith: booking._id } };
+
+    await Booking.updateMany({ _id: { $in: affected }, status: 'pending' }, update);
+    return { affected, rejected };
+}
+
+// Approves a pending booking after re-running the conflict check under the
+// vehicle's reservation lock. Resolves to { booking } on success, { conflicts }
+// (as described conflicts) when another booking or a maintenance window holds
+// the slot or sits inside the policy's handover buffer, or { notPending } with
+// the booking as it is now when it was cancelled, rejected or deleted before
+// the lock was taken. The approval, and what it does
+// to overlapping requests, is written to the audit log under `actor`, or
+// under the auto-approval `rule` that approved it.
+export async function approveBooking(booking, { actor, comment, rule } = {}) {
+    const buffer = ((await getPolicy()).bufferMinutes || 0) * 60 * 1000;
+    const result = await withVehicleLock(booking.vehicle, async () => {
+        const conflicts = await findAllConflicts(
+            booking.vehicle,
+            new Date(booking.bookingTime.getTime() - buffer),
+            new Date(booking.returnTime.getTime() + buffer),
+            { excludeId: booking._id }
+        );
+        if (conflicts.length > 0) {
+            return { conflicts };
+        }
+
+        const approved = await Booking.findOneAndUpdate(
+            { _id: booking._id, status: 'pending' },
+            { status: 'approved', conflictsWith: [] },
+            { new: true }
+        );
+        if (!approved) {
+            return { notPending: await Booking.findById(booking._id).setOptions({ withDeleted: true }) };
+        }
+        const { affected, rejected } = await resolvePendingOverlaps(approved);
+
+        return { booking: approved, pendingAffected: affected, rejected };
+    });
+
+    // Audit, broadcast and email outside the lock so slow work can't hold up the vehicle
+    if (result.booking) {
+        const note = `Overlaps approved booking ${booking._id}`;
+        const overlapAudits = result.rejected
+            ? statusAudits(result.pendingAffected.map((id) => ({ _id: id, status: 'pending' })), 'rejected', actor, note)
+            : result.pendingAffected.map((id) => ({
+                booking: id,
+                action: 'conflict_flagged',
+                actor,
+                current: { conflictsWith: booking._id },
+                comment: note
+            }));
+        const approvalAudits = statusAudits([booking], 'approved', actor, comment)
+            .map((entry) => (rule ? { ...entry, rule } : entry));
+        await recordAudit([...approvalAudits, ...overlapAudits]);
+        await publishBookings('updated', result.pendingAffected);
+        if (result.rejected) {
+            await notifyMany('rejected', result.pendingAffected);
+        }
+    }
+    return result;
+}
+
+// Clears the flags a booking left on pending requests once it stops being approved
+export async function releaseOverlapFlags(bookingId, actor) {
+    const flagged = await Booking.find({ conflictsWith: bookingId }).distinct('_id');
+    await Booking.updateMany(
+        { _id: { $in: flagged } },
+        { $pull: { conflictsWith: bookingId } }
+    );
+    await recordAudit(flagged.map((id) => ({
+        booking: id,
+        action: 'conflict_cleared',
+        actor,
+        previous: { conflictsWith: bookingId },
+        comment: `Booking ${bookingId} is no longer approved`
+    })));
+    await publishBookings('updated', flagged);
+}
@@ -0,0 +1,52 @@
+import BookingAudit from '../models/BookingAudit.js';
+
+// Booking fields the audit trail tracks
+export const AUDITED_FIELDS = ['vehicle', 'purpose', 'costCentre', 'bookingTime', 'returnTime', 'status'];
+
+// Populated refs are stored as their id
+function plain(value) {
+    return value?._id ?? value;
+}
+
+function comparable(value) {
+    const v = plain(value);
+    return v instanceof Date ? v.getTime() : String(v);
+}
+
+export function snapshot(booking, fields = AUDITED_FIELDS) {
+    return Object.fromEntries(fields.map((field) => [field, plain(booking[field])]));
+}
+
+// The audited fields that differ between two states of a booking
+export function diffBooking(before, after, fields = AUDITED_FIELDS) {
+    const changed = fields.filter((field) => comparable(before[field]) !== comparable(after[field]));
+    return {
+        previous: snapshot(before, changed),
+        current: snapshot(after, changed)
+    };
+}
+
+// Optional note attached to a change, e.g. a rejection reason
+export function readComment(body) {
+    return typeof body?.comment === 'string' && body.comment.trim() ? body.comment.trim() : undefined;
+}
+
+// Appends one entry, or several, to the audit log
+export async function recordAudit(entries) {
+    const list = [].concat(entries);
+    if (list.length > 0) {
+        await BookingAudit.insertMany(list);
+    }
+}
+
+// Entries for a status change applied to several bookings at once
+export function statusAudits(bookings, status, actor, comment) {
+    return bookings.map((booking) => ({
+        booking: booking._id,
+        action: 'status_changed',
+        actor,
+        previous: { status: booking.status },
+        current: { status },
+        comment
+    }));
+}
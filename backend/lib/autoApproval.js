@@ -0,0 +1,68 @@
+import AutoApprovalRule from '../models/AutoApprovalRule.js';
+import { approveBooking } from './approval.js';
+import { parseClock, wallClockSpan } from './policy.js';
+import { VehicleLockTimeoutError } from './vehicleLock.js';
+import { currentTime } from './clock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const sameGroup = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Whether a request by `user` for [start, end], made at `now`, meets every
+// condition the rule sets
+export function ruleMatches(rule, { user, start, end, now = currentTime() }) {
+    if (rule.roles?.length > 0 && !rule.roles.includes(user.role)) {
+        return false;
+    }
+    if (rule.groups?.length > 0 && !(user.group && rule.groups.some((group) => sameGroup(group, user.group)))) {
+        return false;
+    }
+    if (rule.maxDurationHours != null && end - start > rule.maxDurationHours * HOUR_MS) {
+        return false;
+    }
+    if (rule.minLeadHours != null && start - now < rule.minLeadHours * HOUR_MS) {
+        return false;
+    }
+    if (rule.maxLeadHours != null && start - now > rule.maxLeadHours * HOUR_MS) {
+        return false;
+    }
+    if (rule.earliestStart || rule.latestEnd) {
+        const span = wallClockSpan(start, end);
+        if (rule.earliestStart && span.start < parseClock(rule.earliestStart)) {
+            return false;
+        }
+        if (rule.latestEnd && span.end > parseClock(rule.latestEnd)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+// The first enabled rule, oldest first, the request matches, or null
+export async function findMatchingRule(request) {
+    const rules = await AutoApprovalRule.find({ enabled: true }).sort({ createdAt: 1 });
+    return rules.find((rule) => ruleMatches(rule, request)) || null;
+}
+
+// Approves a just-created pending booking when a rule matches it and the slot
+// passes the same conflict check as a manual approval. Resolves to the rule
+// that approved it, or null when it stays pending for an admin.
+export async function autoApprove(booking, user) {
+    const rule = await findMatchingRule({ user, start: booking.bookingTime, end: booking.returnTime });
+    if (!rule) {
+        return null;
+    }
+    try {
+        const { booking: approved } = await approveBooking(booking, {
+            rule: rule._id,
+            comment: `Approved automatically by rule "${rule.name}"`
+        });
+        return approved ? rule : null;
+    } catch (error) {
+        // A busy vehicle just leaves the request for an admin
+        if (error instanceof VehicleLockTimeoutError) {
+            return null;
+        }
+        throw error;
+    }
+}
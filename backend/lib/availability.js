@@ -0,0 +1,24 @@
+// Gaps in [from, to] not covered by any of the busy intervals. Intervals may
+// overlap each other and extend past the window; they are clipped and merged.
+export function computeFreeWindows(from, to, busy) {
+    const sorted = busy
+        .map(({ start, end }) => ({
+            start: Math.max(start.getTime(), from.getTime()),
+            end: Math.min(end.getTime(), to.getTime())
+        }))
+        .filter(({ start, end }) => start < end)
+        .sort((a, b) => a.start - b.start);
+
+    const free = [];
+    let cursor = from.getTime();
+    for (const { start, end } of sorted) {
+        if (start > cursor) {
+            free.push({ start: new Date(cursor), end: new Date(start) });
+        }
+        cursor = Math.max(cursor, end);
+    }
+    if (cursor < to.getTime()) {
+        free.push({ start: new Date(cursor), end: new Date(to.getTime()) });
+    }
+    return free;
+}
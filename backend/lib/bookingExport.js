@@ -0,0 +1,92 @@
+import ExcelJS from 'exceljs';
+import { toCsv } from './csv.js';
+import { wallTime, formatInTimeZone } from './timezone.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+export const MAX_EXPORT_ROWS = 10000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// One entry per spreadsheet column. Date columns hold instants and are
+// rendered in the requested timezone.
+const COLUMNS = [
+    { header: 'Booking ID', width: 26, value: (b) => String(b._id) },
+    { header: 'Vehicle', width: 20, value: (b) => b.vehicle?.name },
+    { header: 'Registration', width: 14, value: (b) => b.vehicle?.registration },
+    { header: 'Booked by', width: 20, value: (b) => b.name },
+    { header: 'Email', width: 26, value: (b) => b.user?.email },
+    { header: 'Purpose', width: 30, value: (b) => b.purpose },
+    { header: 'Cost centre', width: 14, value: (b) => b.costCentre },
+    { header: 'Status', width: 12, value: (b) => b.status },
+    { header: 'Booking time', width: 18, date: true, value: (b) => b.bookingTime },
+    { header: 'Return time', width: 18, date: true, value: (b) => b.returnTime },
+    { header: 'Duration (hours)', width: 10, value: (b) => Math.round((b.returnTime - b.bookingTime) / HOUR_MS * 100) / 100 },
+    { header: 'Estimated cost', width: 12, value: (b) => b.estimatedCost?.total },
+    { header: 'Final cost', width: 12, value: (b) => b.finalCost?.total },
+    { header: 'Created at', width: 18, date: true, value: (b) => b.createdAt },
+    { header: 'Deleted at', width: 18, date: true, value: (b) => b.deletedAt }
+];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function safeText(value) {
+    return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+}
+
+function headerFor(column, timeZone) {
+    return column.date ? `${column.header} (${timeZone})` : column.header;
+}
+
+// A table of `items` as CSV, one column per entry of `columns` (shaped like
+// COLUMNS above). Dates become ISO 8601 with the zone's offset, so the column
+// is unambiguous in any locale.
+export function tableToCsv(columns, items, timeZone) {
+    const rows = items.map((item) => columns.map((column) => {
+        const value = column.value(item);
+        if (column.date) {
+            return value ? formatInTimeZone(value, timeZone) : '';
+        }
+        return safeText(value);
+    }));
+    return toCsv([columns.map((column) => headerFor(column, timeZone)), ...rows]);
+}
+
+// The same table as a one-sheet workbook. Excel dates carry no zone, so each
+// one is written as the wall-clock time in timeZone and the zone is named in
+// the header. Resolves to a Buffer.
+export async function tableToXlsx(columns, items, timeZone, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map((column) => ({
+        header: headerFor(column, timeZone),
+        width: column.width,
+        style: column.date ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    items.forEach((item) => {
+        sheet.addRow(columns.map((column) => {
+            const value = column.value(item);
+            if (column.date) {
+                if (!value) {
+                    return null;
+                }
+                const t = wallTime(value, timeZone);
+                return new Date(Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second));
+            }
+            return safeText(value) ?? null;
+        }));
+    });
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+export function bookingsToCsv(bookings, timeZone) {
+    return tableToCsv(COLUMNS, bookings, timeZone);
+}
+
+export function bookingsToXlsx(bookings, timeZone) {
+    return tableToXlsx(COLUMNS, bookings, timeZone, 'Bookings');
+}
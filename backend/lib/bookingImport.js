@@ -0,0 +1,199 @@
+import Vehicle from '../models/Vehicle.js';
+import User from '../models/User.js';
+import { parseCsv } from './csv.js';
+import { parseDateTime } from './timezone.js';
+import { validateBookingInput } from './bookingInput.js';
+import { getPolicy, checkPolicy, countActiveBookings, activeLimitViolation, POLICY_CODES } from './policy.js';
+import { loadRateCards, rateCardFor, priceBooking, readCostCentre } from './pricing.js';
+import { currentTime } from './clock.js';
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Header spellings we accept, compared lowercase without spaces, punctuation
+// or a "(timezone)" suffix, so a CSV produced by the export imports as is
+const HEADER_FIELDS = {
+    vehicle: 'vehicle',
+    registration: 'registration',
+    email: 'email',
+    useremail: 'email',
+    purpose: 'purpose',
+    bookingtime: 'bookingTime',
+    start: 'bookingTime',
+    returntime: 'returnTime',
+    end: 'returnTime',
+    costcentre: 'costCentre',
+    projectcode: 'costCentre'
+};
+
+const REQUIRED_FIELDS = ['email', 'purpose', 'bookingTime', 'returnTime'];
+
+function normalizeHeader(header) {
+    return header.replace(/\(.*\)/, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Maps each known field to its column index. Resolves to { error } or { columns }.
+function readHeader(header) {
+    const columns = {};
+    header.forEach((name, index) => {
+        const field = HEADER_FIELDS[normalizeHeader(name)];
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+
+    const missing = REQUIRED_FIELDS.filter((field) => columns[field] === undefined);
+    if (columns.vehicle === undefined && columns.registration === undefined) {
+        missing.unshift('vehicle');
+    }
+    return missing.length > 0 ? { error: `Missing column(s): ${missing.join(', ')}` } : { columns };
+}
+
+// A vehicle by id, registration or name, ignoring case
+function findVehicle(vehicles, key) {
+    const wanted = key.toLowerCase();
+    return vehicles.find((vehicle) => String(vehicle._id) === key) ||
+        vehicles.find((vehicle) => vehicle.registration?.toLowerCase() === wanted) ||
+        vehicles.find((vehicle) => vehicle.name.toLowerCase() === wanted);
+}
+
+function fieldError(field, message) {
+    return { field, message };
+}
+
+// Checks every row of an import the way POST /api/bookings checks a single
+// request: required fields, vehicle availability, conflicts and the booking
+// policy of the user the row books for. A row without a cost centre is
+// charged to the user's own. Dates without an offset are read in
+// timeZone. Rows are numbered as a spreadsheet shows them, the header being
+// row 1. Resolves to { error } for an unreadable file, otherwise
+// { rows, bookings } where rows is the per-row report and bookings holds the
+// values of the valid rows, ready to save.
+export async function validateImport(text, timeZone, now = currentTime()) {
+    const parsed = parseCsv(text);
+    if (parsed.error) {
+        return { error: parsed.error };
+    }
+    const [header, ...lines] = parsed.rows;
+    if (!header || lines.length === 0) {
+        return { error: 'The file has no booking rows' };
+    }
+    if (lines.length > MAX_IMPORT_ROWS) {
+        return { error: `Import at most ${MAX_IMPORT_ROWS} bookings at a time` };
+    }
+    const { error, columns } = readHeader(header);
+    if (error) {
+        return { error };
+    }
+
+    const cell = (line, field) => (columns[field] === undefined ? '' : (line[columns[field]] || '').trim());
+    const emails = [...new Set(lines.map((line) => cell(line, 'email').toLowerCase()).filter(Boolean))];
+    const [vehicles, users, policy, rateCards] = await Promise.all([
+        Vehicle.find(),
+        User.find({ email: { $in: emails } }),
+        getPolicy(),
+        loadRateCards()
+    ]);
+
+    // Valid rows earlier in the file count towards each user's active cap
+    const pendingByUser = new Map();
+    const rows = [];
+    const bookings = [];
+
+    for (const [index, line] of lines.entries()) {
+        const errors = [];
+        const vehicleKey = cell(line, 'registration') || cell(line, 'vehicle');
+        const email = cell(line, 'email').toLowerCase();
+        const purpose = cell(line, 'purpose');
+        const vehicle = vehicleKey ? findVehicle(vehicles, vehicleKey) : null;
+        const user = users.find((u) => u.email === email);
+        const costCentre = readCostCentre({ costCentre: cell(line, 'costCentre') }, user);
+        const bookingParsed = cell(line, 'bookingTime') ? parseDateTime(cell(line, 'bookingTime'), timeZone) : {};
+        const returnParsed = cell(line, 'returnTime') ? parseDateTime(cell(line, 'returnTime'), timeZone) : {};
+        const bookingTime = bookingParsed.date;
+        const returnTime = returnParsed.date;
+
+        if (!vehicleKey) {
+            errors.push(fieldError('vehicle', 'Vehicle is required'));
+        } else if (!vehicle) {
+            errors.push(fieldError('vehicle', `Unknown vehicle "${vehicleKey}"`));
+        }
+        if (!email) {
+            errors.push(fieldError('email', 'Email is required'));
+        } else if (!user) {
+            errors.push(fieldError('email', `No user with email ${email}`));
+        }
+        if (!purpose) {
+            errors.push(fieldError('purpose', 'Purpose is required'));
+        }
+        for (const [field, raw, parsedTime] of [
+            ['bookingTime', cell(line, 'bookingTime'), bookingParsed],
+            ['returnTime', cell(line, 'returnTime'), returnParsed]
+        ]) {
+            if (!raw) {
+                errors.push(fieldError(field, 'Date and time are required'));
+            } else if (parsedTime.error) {
+                errors.push(fieldError(field, parsedTime.error));
+            }
+        }
+
+        if (errors.length === 0) {
+            const input = await validateBookingInput({
+                vehicle: vehicle._id,
+                purpose,
+                bookingTime: bookingTime.toISOString(),
+                returnTime: returnTime.toISOString()
+            });
+            if (input.error) {
+                errors.push(fieldError(null, input.error));
+            } else {
+                errors.push(...await checkPolicy(policy, {
+                    vehicleId: vehicle._id,
+                    userId: user._id,
+                    start: bookingTime,
+                    end: returnTime,
+                    now
+                }));
+
+                const earlier = pendingByUser.get(String(user._id)) || 0;
+                if (policy.maxActiveBookingsPerUser && earlier > 0 &&
+                    !errors.some((e) => e.code === POLICY_CODES.ACTIVE_BOOKING_LIMIT) &&
+                    await countActiveBookings(user._id, { now }) + earlier >= policy.maxActiveBookingsPerUser) {
+                    errors.push(activeLimitViolation(policy));
+                }
+            }
+        }
+
+        rows.push({
+            row: index + 2,
+            ok: errors.length === 0,
+            errors,
+            booking: {
+                vehicle: vehicle ? vehicle.name : vehicleKey,
+                email,
+                purpose,
+                costCentre,
+                bookingTime,
+                returnTime
+            }
+        });
+
+        if (errors.length === 0) {
+            if (returnTime > now) {
+                pendingByUser.set(String(user._id), (pendingByUser.get(String(user._id)) || 0) + 1);
+            }
+            const rateCard = rateCardFor(rateCards, vehicle);
+            bookings.push({
+                vehicle: vehicle._id,
+                user: user._id,
+                name: user.name,
+                purpose,
+                costCentre,
+                bookingTime,
+                returnTime,
+                estimatedCost: rateCard ? priceBooking(rateCard, { start: bookingTime, end: returnTime }) : undefined
+            });
+        }
+    }
+
+    return { rows, bookings };
+}
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import Vehicle from '../models/Vehicle.js';
+import { findBlockingIntervals } from './conflicts.js';
+import { suggestSlots } from './slotSuggestions.js';
+import { parseInstant } from './timezone.js';
+import { sendError, fieldError, ERROR_CODES } from './errors.js';
+
+export const DATE_TIME_FORMAT_ERROR = 'must be an ISO 8601 date-time with a UTC offset, e.g. 2025-06-01T09:00:00+01:00';
+
+// Validates the user-editable booking fields shared by create and edit.
+// Resolves to { error, status, code, field } or the normalized values; the
+// routes' schemas already check the format, so over HTTP the errors left are
+// an unavailable vehicle and conflicts. Recurring bookings skip the conflict
+// check and run it per occurrence.
+// With `waitlist`, a slot held by another booking resolves to the values with
+// waitlisted: true instead of an error; without it that error carries
+// canWaitlist: true so the client can offer the waitlist.
+// A conflict error lists the blocking intervals as `conflicts` (see
+// findBlockingIntervals); with `suggest` it also carries `suggestions`, the
+// nearest free slots of the same length (see lib/slotSuggestions.js).
+export async function validateBookingInput(body, { excludeId, checkConflicts = true, waitlist = false, suggest = false } = {}) {
+    const { vehicle: vehicleId, purpose, bookingTime, returnTime } = body;
+
+    if (!vehicleId || !purpose || !bookingTime || !returnTime) {
+        return { error: 'All fields are required', status: 400 };
+    }
+
+    const vehicle = mongoose.isValidObjectId(vehicleId) ? await Vehicle.findById(vehicleId) : null;
+    if (!vehicle || !vehicle.active) {
+        return { error: 'Selected vehicle is not available for booking', status: 400, field: 'vehicle' };
+    }
+
+    // Times without an offset would depend on the server's timezone
+    const bookingDateTime = parseInstant(bookingTime);
+    const returnDateTime = parseInstant(returnTime);
+    if (!bookingDateTime) {
+        return { error: `Booking time ${DATE_TIME_FORMAT_ERROR}`, status: 400, field: 'bookingTime' };
+    }
+    if (!returnDateTime) {
+        return { error: `Return time ${DATE_TIME_FORMAT_ERROR}`, status: 400, field: 'returnTime' };
+    }
+
+    if (bookingDateTime >= returnDateTime) {
+        return { error: 'Return time must be after booking time', status: 400, field: 'returnTime' };
+    }
+
+    let waitlisted = false;
+    if (checkConflicts) {
+        const conflicts = await findBlockingIntervals(vehicle._id, bookingDateTime, returnDateTime, { excludeId });
+        const blocked = async () => ({
+            status: 409,
+            code: ERROR_CODES.BOOKING_CONFLICT,
+            conflicts,
+            ...(suggest
+                ? { suggestions: await suggestSlots(vehicle._id, bookingDateTime, returnDateTime, { excludeId }) }
+                : {})
+        });
+
+        // Maintenance isn't going to be cancelled for a waitlist, so it always blocks
+        if (conflicts.some((conflict) => conflict.status === 'maintenance')) {
+            return { error: 'Vehicle is unavailable for maintenance during that time', ...await blocked() };
+        }
+        if (conflicts.length > 0 && !waitlist) {
+            return { error: 'Time slot conflict with existing booking', ...await blocked(), canWaitlist: true };
+        }
+        waitlisted = conflicts.length > 0;
+    }
+
+    return { vehicle, purpose, bookingDateTime, returnDateTime, waitlisted };
+}
+
+// Sends the error validateBookingInput resolved to
+export function sendBookingInputError(res, { error, status, code, field, canWaitlist, conflicts, suggestions }) {
+    return sendError(res, status, error, {
+        code,
+        ...(field ? { errors: [fieldError(field, error)] } : {}),
+        ...(conflicts ? { conflicts } : {}),
+        ...(suggestions ? { suggestions } : {}),
+        ...(canWaitlist ? { canWaitlist } : {})
+    });
+}
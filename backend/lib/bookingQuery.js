@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { BOOKING_STATUSES } from '../models/Booking.js';
+import { parseInstant } from './timezone.js';
+
+export const SORTABLE_FIELDS = ['createdAt', 'bookingTime', 'returnTime', 'name', 'status'];
+export const DEFAULT_PAGE_SIZE = 25;
+export const MAX_PAGE_SIZE = 100;
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Turns the admin list query string into a Mongo filter. Resolves to
+// { error } or { filter, withDeleted }.
+//   status=pending,approved  one or more statuses
+//   from, to                 bookings overlapping this range
+//   vehicle, user            ids
+//   q                        case-insensitive text in name or purpose
+//   deleted=true             soft-deleted bookings instead of live ones
+export function buildBookingFilter(query) {
+    const filter = {};
+
+    if (query.status) {
+        const statuses = String(query.status).split(',');
+        if (statuses.some((status) => !BOOKING_STATUSES.includes(status))) {
+            return { error: 'Invalid status filter' };
+        }
+        filter.status = { $in: statuses };
+    }
+
+    for (const field of ['vehicle', 'user']) {
+        if (query[field]) {
+            if (!mongoose.isValidObjectId(query[field])) {
+                return { error: `Invalid ${field} filter` };
+            }
+            filter[field] = query[field];
+        }
+    }
+
+    if (query.from || query.to) {
+        const from = query.from ? parseInstant(query.from) : null;
+        const to = query.to ? parseInstant(query.to) : null;
+        if ((query.from && !from) || (query.to && !to)) {
+            return { error: 'Invalid date range' };
+        }
+        if (from) {
+            filter.returnTime = { $gte: from };
+        }
+        if (to) {
+            filter.bookingTime = { $lte: to };
+        }
+    }
+
+    if (query.q && String(query.q).trim()) {
+        const pattern = new RegExp(escapeRegExp(String(query.q).trim()), 'i');
+        filter.$or = [{ name: pattern }, { purpose: pattern }];
+    }
+
+    const withDeleted = query.deleted === 'true';
+    if (withDeleted) {
+        filter.deletedAt = { $ne: null };
+    }
+
+    return { filter, withDeleted };
+}
+
+// ?sort=-bookingTime sorts descending; _id breaks ties so pages are stable
+export function buildBookingSort(sort) {
+    const value = typeof sort === 'string' && sort ? sort : '-createdAt';
+    const field = value.replace(/^-/, '');
+    if (!SORTABLE_FIELDS.includes(field)) {
+        return null;
+    }
+    const direction = value.startsWith('-') ? -1 : 1;
+    return { [field]: direction, _id: direction };
+}
+
+export function readPage(query) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+    return { page, limit };
+}
@@ -0,0 +1,88 @@
+import Booking from '../models/Booking.js';
+import BookingAudit from '../models/BookingAudit.js';
+import { buildCalendar } from './ical.js';
+import { currentTime } from './clock.js';
+
+// Statuses shown as confirmed events
+export const CALENDAR_STATUSES = ['approved', 'in_use', 'completed'];
+
+// Feeds list bookings that ended at most this long ago
+const FEED_HISTORY_DAYS = Number(process.env.CALENDAR_FEED_HISTORY_DAYS || 90);
+
+// Audit actions that change what the calendar event shows
+const REVISING_ACTIONS = ['edited', 'status_changed', 'deleted'];
+
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'vehicle-booking';
+const APP_URL = process.env.APP_URL;
+
+// Per-booking revision data from the append-only audit trail: SEQUENCE is the
+// number of revising changes, so it only ever grows, and a booking that was
+// once confirmed but no longer is gets published as cancelled.
+async function revisions(bookingIds) {
+    const rows = await BookingAudit.aggregate([
+        { $match: { booking: { $in: bookingIds } } },
+        {
+            $group: {
+                _id: '$booking',
+                sequence: { $sum: { $cond: [{ $in: ['$action', REVISING_ACTIONS] }, 1, 0] } },
+                lastModified: { $max: '$at' },
+                wasConfirmed: { $max: { $in: ['$current.status', CALENDAR_STATUSES] } }
+            }
+        }
+    ]);
+    return new Map(rows.map((row) => [String(row._id), row]));
+}
+
+function isConfirmed(booking) {
+    return !booking.deletedAt && CALENDAR_STATUSES.includes(booking.status);
+}
+
+// The VEVENT for a booking, or null if it never reached a calendar. Bookings
+// with a vehicle populated get it in the title and location; the purpose is
+// only given when showPurpose(booking) allows it.
+function bookingEvent(booking, revision, { summary, showPurpose = () => true }) {
+    const confirmed = isConfirmed(booking);
+    if (!confirmed && !revision?.wasConfirmed) {
+        return null;
+    }
+    return {
+        uid: `booking-${booking._id}@${UID_DOMAIN}`,
+        stamp: new Date(),
+        start: booking.bookingTime,
+        end: booking.returnTime,
+        sequence: revision?.sequence || 0,
+        status: confirmed ? 'CONFIRMED' : 'CANCELLED',
+        summary: summary(booking),
+        description: showPurpose(booking) ? booking.purpose : undefined,
+        location: booking.vehicle?.registration
+            ? `${booking.vehicle.name} (${booking.vehicle.registration})`
+            : booking.vehicle?.name,
+        url: APP_URL ? `${APP_URL}/my-bookings` : undefined,
+        created: booking.createdAt,
+        lastModified: revision?.lastModified
+    };
+}
+
+// Renders bookings matching filter as a calendar. Cancelled and deleted
+// bookings stay in the feed so clients drop the event they already have.
+export async function bookingFeed(filter, { name, summary, showPurpose }) {
+    const since = new Date(currentTime().getTime() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const bookings = await Booking.find({ ...filter, returnTime: { $gte: since } })
+        .setOptions({ withDeleted: true })
+        .populate('vehicle', 'name registration')
+        .sort({ bookingTime: 1 });
+    const byId = await revisions(bookings.map((booking) => booking._id));
+
+    const events = bookings
+        .map((booking) => bookingEvent(booking, byId.get(String(booking._id)), { summary, showPurpose }))
+        .filter(Boolean);
+    return buildCalendar({ name, events });
+}
+
+// A single booking as an .ics file, or null if it was never confirmed
+export async function bookingCalendar(booking, { summary }) {
+    await booking.populate('vehicle', 'name registration');
+    const byId = await revisions([booking._id]);
+    const event = bookingEvent(booking, byId.get(String(booking._id)), { summary });
+    return event ? buildCalendar({ name: summary(booking), events: [event] }) : null;
+}
@@ -0,0 +1,15 @@
+// The current time as booking rules see it: notice periods, what counts as
+// upcoming or overdue, what can still be cancelled, when a trip was checked
+// out and in (so whether it came back late). Tests pin it with setClock() to
+// check time-dependent rules without waiting. Timestamps of record
+// (createdAt, audit entries, email dates) and lock leases keep the real time.
+let pinned = null;
+
+export function currentTime() {
+    return pinned ? new Date(pinned) : new Date();
+}
+
+// Pins the clock to a date (or anything new Date() accepts); null unpins it
+export function setClock(date) {
+    pinned = date == null ? null : new Date(date);
+}
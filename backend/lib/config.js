@@ -0,0 +1,80 @@
+// Runtime settings, read once from the environment. Modules look them up
+// when they need them rather than copying them at import, so configure()
+// can change them afterwards: tests and other embedders set what they need
+// there instead of editing process.env before the first import.
+//
+// Settings only needed at startup or by background jobs (PORT, ORG_TIMEZONE,
+// CURRENCY, SMTP_*, MAIL_*, REMINDER_*, CALENDAR_*, APP_URL) are still read
+// where they are used.
+
+// Positive whole number from the environment, or the default when unset or invalid
+function readPositiveInt(name, fallback) {
+    const value = process.env[name];
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        console.error(`Invalid ${name} "${value}", falling back to ${fallback}`);
+        return fallback;
+    }
+    return Number(value);
+}
+
+// Number of proxies in front of the app (Vercel's is one). Rate limiting
+// keys on req.ip, which is only the client's address once Express trusts
+// their X-Forwarded-For; trusting more hops than there are lets clients
+// spoof it.
+function readTrustProxy() {
+    const value = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '0');
+    if (!/^\d+$/.test(value)) {
+        console.error(`Invalid TRUST_PROXY "${value}", expected a number of proxies; trusting none`);
+        return 0;
+    }
+    return Number(value);
+}
+
+// Browser origins allowed to call the API, comma-separated. The frontend is
+// served from the same origin as /api (Vite proxy, Vercel routes), so by
+// default no other origin is.
+function readCorsOrigins() {
+    return (process.env.CORS_ORIGINS || '')
+        .split(',')
+        .map((origin) => origin.trim().replace(/\/$/, ''))
+        .filter(Boolean);
+}
+
+const config = {
+    mongodbUri: process.env.MONGODB_URI,
+    jwtSecret: process.env.JWT_SECRET,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    trustProxy: readTrustProxy(),
+    corsOrigins: readCorsOrigins(),
+    // The window is fixed when middleware/rateLimit.js loads; the limits are not
+    bookingRateWindowMinutes: readPositiveInt('BOOKING_RATE_WINDOW_MINUTES', 15),
+    bookingRateLimitPerIp: readPositiveInt('BOOKING_RATE_LIMIT_PER_IP', 60),
+    bookingRateLimitPerUser: readPositiveInt('BOOKING_RATE_LIMIT_PER_USER', 20),
+    // See lib/approval.js and lib/waitlist.js; unknown values fall back there
+    pendingOverlapPolicy: process.env.PENDING_OVERLAP_POLICY || 'flag',
+    waitlistPromoteTo: process.env.WAITLIST_PROMOTE_TO || 'pending',
+    // 'sse' streams events; 'poll' tells clients to refetch on a timer instead.
+    // Serverless platforms (Vercel) can't keep the stream open, so they poll.
+    realtimeTransport: process.env.REALTIME_TRANSPORT || (process.env.VERCEL ? 'poll' : 'sse'),
+    // 'interval' runs the reminder job on a timer in this process; 'external'
+    // leaves it to a scheduler calling /api/jobs/reminders. Vercel functions
+    // can't keep a timer, so there the cron in vercel.json calls it. That cron
+    // runs every 5 minutes, which needs a Vercel Pro plan: Hobby only allows
+    // daily crons.
+    reminderScheduler: process.env.REMINDER_SCHEDULER || (process.env.VERCEL ? 'external' : 'interval'),
+    // Bearer token a scheduler calls /api/jobs/reminders with (routes/jobs.js)
+    cronSecret: process.env.CRON_SECRET
+};
+
+// Overrides some settings, e.g. configure({ jwtSecret: 'test' }). Returns
+// the settings as they were before, to hand back to configure() later.
+export function configure(overrides) {
+    const previous = { ...config };
+    Object.assign(config, overrides);
+    return previous;
+}
+
+export default config;
@@ -0,0 +1,92 @@
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+
+// Two intervals conflict when they overlap or touch: a booking that starts at
+// the exact minute another one returns still needs handover time.
+export function overlapQuery(start, end) {
+    return {
+        bookingTime: { $lte: end },
+        returnTime: { $gte: start }
+    };
+}
+
+// In-memory counterpart of overlapQuery
+export function intervalsOverlap(aStart, aEnd, bStart, bEnd) {
+    return aStart <= bEnd && aEnd >= bStart;
+}
+
+// Approved or in-use bookings of a vehicle that overlap [start, end]
+export function findConflicts(vehicleId, start, end, { excludeId } = {}) {
+    const query = {
+        vehicle: vehicleId,
+        status: { $in: BLOCKING_STATUSES },
+        ...overlapQuery(start, end)
+    };
+    if (excludeId) {
+        query._id = { $ne: excludeId };
+    }
+    return Booking.find(query).sort({ bookingTime: 1 });
+}
+
+// Maintenance windows of a vehicle that overlap [start, end]
+export function findMaintenanceConflicts(vehicleId, start, end) {
+    return MaintenanceWindow.find({
+        vehicle: vehicleId,
+        start: { $lte: end },
+        end: { $gte: start }
+    }).sort({ start: 1 });
+}
+
+// Public view of a blocking booking, safe to send to any user
+export function describeConflict(booking) {
+    return {
+        _id: booking._id,
+        kind: 'booking',
+        name: booking.name,
+        bookingTime: booking.bookingTime,
+        returnTime: booking.returnTime
+    };
+}
+
+// Same shape as describeConflict so clients can list both kinds together
+export function describeMaintenance(window) {
+    return {
+        _id: window._id,
+        kind: 'maintenance',
+        name: `Maintenance: ${window.reason}`,
+        bookingTime: window.start,
+        returnTime: window.end
+    };
+}
+
+// Everything that makes [start, end] unavailable for the vehicle, bookings
+// and maintenance alike, as described conflicts sorted by start time
+export async function findAllConflicts(vehicleId, start, end, options) {
+    const [bookings, maintenance] = await Promise.all([
+        findConflicts(vehicleId, start, end, options),
+        findMaintenanceConflicts(vehicleId, start, end)
+    ]);
+    return [...bookings.map(describeConflict), ...maintenance.map(describeMaintenance)]
+        .sort((a, b) => a.bookingTime - b.bookingTime);
+}
+
+// What a blocking booking or maintenance window looks like to any user, as
+// availability shows it: the interval and why it is taken (the booking's
+// status, or 'maintenance'), but not whose booking it is
+export function bookingInterval(booking) {
+    return { vehicle: booking.vehicle, start: booking.bookingTime, end: booking.returnTime, status: booking.status };
+}
+
+export function maintenanceInterval(window) {
+    return { vehicle: window.vehicle, start: window.start, end: window.end, status: 'maintenance' };
+}
+
+// What keeps a vehicle from [start, end] as blocking intervals, sorted by start time
+export async function findBlockingIntervals(vehicleId, start, end, options) {
+    const [bookings, maintenance] = await Promise.all([
+        findConflicts(vehicleId, start, end, options),
+        findMaintenanceConflicts(vehicleId, start, end)
+    ]);
+    return [...bookings.map(bookingInterval), ...maintenance.map(maintenanceInterval)]
+        .sort((a, b) => a.start - b.start);
+}
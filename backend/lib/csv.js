@@ -0,0 +1,65 @@
+// Minimal RFC 4180 reader and writer: comma separated, fields optionally
+// quoted with "" for a literal quote, CRLF or LF line endings.
+
+// Parses CSV text into an array of rows (arrays of strings). Blank lines are
+// dropped. Resolves to { error } for an unterminated quoted field.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { error: 'Unterminated quoted field' };
+    }
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+    return { rows };
+}
+
+function escapeField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serializes rows (arrays of values) to CSV with CRLF line endings
+export function toCsv(rows) {
+    return rows.map((row) => row.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
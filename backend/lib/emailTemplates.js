@@ -0,0 +1,106 @@
+// Plain-text emails for each booking lifecycle event. Every template takes the
+// booking (with user and vehicle populated) plus event details and returns
+// { subject, text }.
+
+import { formatDisplay } from './timezone.js';
+
+const APP_URL = process.env.APP_URL;
+
+function formatDate(date) {
+    return formatDisplay(date);
+}
+
+function vehicleName(booking) {
+    return booking.vehicle?.name || 'your vehicle';
+}
+
+function summary(booking) {
+    return [
+        `Vehicle: ${vehicleName(booking)}`,
+        `Purpose: ${booking.purpose}`,
+        `From: ${formatDate(booking.bookingTime)}`,
+        `To: ${formatDate(booking.returnTime)}`
+    ].join('\n');
+}
+
+// Recurring bookings send one email per series action rather than one per occurrence
+function seriesLine(occurrences, action) {
+    return `${occurrences} occurrences of your recurring booking were ${action}. The first one is below.`;
+}
+
+// Lines left empty (e.g. no admin comment) are skipped
+function render(booking, lines) {
+    const footer = APP_URL ? `\n\nManage your bookings: ${APP_URL}/my-bookings` : '';
+    return `Hi ${booking.user?.name || booking.name},\n\n${lines.filter(Boolean).join('\n\n')}\n\n${summary(booking)}${footer}\n`;
+}
+
+export const templates = {
+    submitted: (booking, { occurrences } = {}) => ({
+        subject: `Booking request received: ${vehicleName(booking)}`,
+        text: render(booking, [
+            occurrences > 1
+                ? `We received your recurring booking request (${occurrences} occurrences). The first one is below.`
+                : 'We received your booking request.',
+            'An admin will review it and you will get another email once it is approved or rejected.'
+        ])
+    }),
+
+    waitlisted: (booking) => ({
+        subject: `Waitlisted: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`,
+        text: render(booking, [
+            'That time is already booked, so you are on the waitlist for it.',
+            'If the booking ahead of you is cancelled or shortened, your request moves up automatically and we will email you.'
+        ])
+    }),
+
+    promoted: (booking, { approved } = {}) => ({
+        subject: approved
+            ? `Booking approved from the waitlist: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`
+            : `Off the waitlist: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`,
+        text: render(booking, [
+            'The time you were waitlisted for has become free.',
+            approved
+                ? 'Your booking has been approved.'
+                : 'Your request is now waiting for an admin to approve it, and you will get another email once it is approved or rejected.'
+        ])
+    }),
+
+    approved: (booking, { occurrences } = {}) => ({
+        subject: `Booking approved: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`,
+        text: render(booking, [
+            occurrences > 1 ? seriesLine(occurrences, 'approved') : 'Good news, your booking has been approved.'
+        ])
+    }),
+
+    rejected: (booking, { occurrences, comment } = {}) => ({
+        subject: `Booking rejected: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`,
+        text: render(booking, [
+            occurrences > 1 ? seriesLine(occurrences, 'rejected') : 'Sorry, your booking request was rejected.',
+            comment && `Reason: ${comment}`,
+            'Try another time or vehicle.'
+        ])
+    }),
+
+    cancelled: (booking, { byAdmin, occurrences, comment } = {}) => ({
+        subject: `Booking cancelled: ${vehicleName(booking)} on ${formatDate(booking.bookingTime)}`,
+        text: render(booking, [
+            occurrences > 1
+                ? seriesLine(occurrences, byAdmin ? 'cancelled by an admin' : 'cancelled as requested')
+                : byAdmin ? 'Your booking was cancelled by an admin.' : 'Your booking has been cancelled as requested.',
+            comment && `Reason: ${comment}`
+        ])
+    }),
+
+    pickupReminder: (booking) => ({
+        subject: `Reminder: pick up ${vehicleName(booking)} at ${formatDate(booking.bookingTime)}`,
+        text: render(booking, ['Your booking starts soon. Remember to record the odometer and fuel level at check-out.'])
+    }),
+
+    overdue: (booking) => ({
+        subject: `Overdue: please return ${vehicleName(booking)}`,
+        text: render(booking, [
+            `Your booking ended at ${formatDate(booking.returnTime)} but the vehicle has not been checked in yet.`,
+            'Please return it as soon as possible or contact an admin.'
+        ])
+    })
+};
@@ -0,0 +1,102 @@
+// Every error response has the same JSON body:
+//
+//   {
+//     "code": "VALIDATION_FAILED",
+//     "message": "bookingTime must be an ISO 8601 date-time with a UTC offset",
+//     "errors": [
+//       { "field": "bookingTime", "code": "custom", "message": "bookingTime must be an ISO 8601 date-time with a UTC offset" }
+//     ]
+//   }
+//
+// "code" is one of ERROR_CODES and is what clients should branch on;
+// "message" is a readable summary to show as is. "errors" lists field-level
+// problems when there are any ("field" is a dotted path into the body, query
+// or params). Some errors add context next to these, e.g. "conflicts" on a
+// booking conflict or "occurrences" on a series conflict.
+export const ERROR_CODES = {
+    // 400: the body, query or params are malformed or missing something
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    // 400: the body is not valid JSON
+    INVALID_JSON: 'INVALID_JSON',
+    // 401: no token, or an invalid or expired one, or wrong credentials
+    UNAUTHENTICATED: 'UNAUTHENTICATED',
+    // 403: signed in but not allowed to do this
+    FORBIDDEN: 'FORBIDDEN',
+    // 404: the resource or endpoint does not exist
+    NOT_FOUND: 'NOT_FOUND',
+    // 409: the request clashes with existing data, e.g. a duplicate email
+    CONFLICT: 'CONFLICT',
+    // 409: the slot overlaps an approved booking or a maintenance window
+    BOOKING_CONFLICT: 'BOOKING_CONFLICT',
+    // 409: the resource's current status does not allow this change
+    INVALID_STATE: 'INVALID_STATE',
+    // 409: another change on the same vehicle is in progress; retry
+    VEHICLE_BUSY: 'VEHICLE_BUSY',
+    // 413: the body is larger than the server accepts
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    // 422: well-formed, but breaks a booking policy rule
+    POLICY_VIOLATION: 'POLICY_VIOLATION',
+    // 422: well-formed, but cannot be processed as a whole, e.g. an import with bad rows
+    UNPROCESSABLE: 'UNPROCESSABLE',
+    // 429: too many requests; see the Retry-After header
+    RATE_LIMITED: 'RATE_LIMITED',
+    // 500: unexpected server error
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+    // 503: the database cannot be reached
+    SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE'
+};
+
+const DEFAULT_CODES = {
+    400: ERROR_CODES.VALIDATION_FAILED,
+    401: ERROR_CODES.UNAUTHENTICATED,
+    403: ERROR_CODES.FORBIDDEN,
+    404: ERROR_CODES.NOT_FOUND,
+    409: ERROR_CODES.CONFLICT,
+    413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+    422: ERROR_CODES.UNPROCESSABLE,
+    429: ERROR_CODES.RATE_LIMITED,
+    500: ERROR_CODES.INTERNAL_ERROR,
+    503: ERROR_CODES.SERVICE_UNAVAILABLE
+};
+
+// Sends an error in the format above. The code defaults from the status;
+// anything else in details (errors, conflicts, ...) goes into the body as is.
+export function sendError(res, status, message, { code, ...details } = {}) {
+    return res.status(status).json({
+        code: code || DEFAULT_CODES[status] || ERROR_CODES.INTERNAL_ERROR,
+        message,
+        ...details
+    });
+}
+
+// Field-level error for problems found in a handler rather than a schema
+export function fieldError(field, message, code = 'invalid') {
+    return { field, code, message };
+}
+
+// 400 for one field, worded like schema errors: "<field> <problem>"
+export function sendFieldError(res, field, problem, code) {
+    const error = fieldError(field, `${field} ${problem}`, code);
+    return sendError(res, 400, error.message, { errors: [error] });
+}
+
+// Unknown /api endpoints answer JSON rather than Express's HTML page
+export function notFoundHandler(req, res) {
+    return sendError(res, 404, `No endpoint ${req.method} ${req.originalUrl.split('?')[0]}`);
+}
+
+// Last middleware in the app: errors thrown before or outside a route's own
+// try/catch, such as an unparsable body, end up here
+export function errorHandler(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'Request body is not valid JSON', { code: ERROR_CODES.INVALID_JSON });
+    }
+    if (error.type === 'entity.too.large') {
+        return sendError(res, 413, 'Request body is too large');
+    }
+    if (error.name === 'CastError') {
+        return sendFieldError(res, error.path, 'is not a valid value');
+    }
+    console.error('Unhandled error:', error);
+    return sendError(res, error.status >= 400 && error.status < 500 ? error.status : 500, 'Server error');
+}
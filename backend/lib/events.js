@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+import Booking from '../models/Booking.js';
+
+// In-process fan-out of booking changes to the connected /api/events streams.
+// Only reaches clients of this instance; deployments that run several
+// instances or can't hold connections open use REALTIME_TRANSPORT=poll.
+export const BOOKING_EVENT_TYPES = ['created', 'updated', 'deleted'];
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+export function subscribe(listener) {
+    emitter.on('booking', listener);
+    return () => emitter.off('booking', listener);
+}
+
+// Broadcasts a change to the given bookings. Created and updated bookings are
+// passed by id and re-read so listeners see the stored state; deleted ones are
+// passed as the documents that were removed. Never throws.
+export async function publishBookings(type, targets) {
+    if (emitter.listenerCount('booking') === 0 || targets.length === 0) {
+        return;
+    }
+    try {
+        const bookings = type === 'deleted'
+            ? targets
+            : await Booking.find({ _id: { $in: targets } }).populate('vehicle', 'name type registration');
+        for (const booking of bookings) {
+            emitter.emit('booking', { type, booking: booking.toJSON() });
+        }
+    } catch (error) {
+        console.error(`Error publishing booking ${type} event:`, error);
+    }
+}
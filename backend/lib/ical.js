@@ -0,0 +1,88 @@
+// Just enough of RFC 5545 to publish events: text escaping, UTC date-times
+// and line folding. Calendars are returned as strings with CRLF line endings.
+
+const PRODID = '-//Vehicle Booking System//Bookings//EN';
+const MAX_LINE_OCTETS = 75;
+
+export function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// 2025-06-01T09:00:00.000Z -> 20250601T090000Z
+export function formatDateTime(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Long lines are split at 75 octets and continued with a leading space,
+// never inside a multi-byte character
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// An event as { uid, start, end, stamp, summary, description, location,
+// status, sequence, created, lastModified, url }; empty properties are left out
+function eventLines(event) {
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${formatDateTime(event.stamp)}`,
+        `DTSTART:${formatDateTime(event.start)}`,
+        `DTEND:${formatDateTime(event.end)}`,
+        `SEQUENCE:${event.sequence || 0}`,
+        `STATUS:${event.status}`,
+        `SUMMARY:${escapeText(event.summary)}`
+    ];
+    if (event.description) {
+        lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.location) {
+        lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.url) {
+        lines.push(`URL:${event.url}`);
+    }
+    if (event.created) {
+        lines.push(`CREATED:${formatDateTime(event.created)}`);
+    }
+    if (event.lastModified) {
+        lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+// A VCALENDAR with the given events. Subscribed clients are asked to refresh hourly.
+export function buildCalendar({ name, events }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...events.flatMap(eventLines),
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Where outgoing mail goes, chosen with MAIL_TRANSPORT:
+// 'smtp' sends through SMTP_HOST, 'file' writes .eml files to MAIL_DIR for
+// local development, 'memory' keeps messages in `outbox` for tests.
+export const MAIL_TRANSPORTS = ['smtp', 'file', 'memory'];
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Vehicle Booking <no-reply@localhost>';
+
+// Messages captured by the memory transport
+export const outbox = [];
+
+function smtpTransport() {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return { send: (message) => transporter.sendMail(message) };
+}
+
+function fileTransport() {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'vehicle-booking-mail');
+    const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+            await fs.writeFile(file, info.message);
+            return info;
+        }
+    };
+}
+
+function memoryTransport() {
+    return {
+        async send(message) {
+            outbox.push(message);
+            return { messageId: `memory-${outbox.length}` };
+        }
+    };
+}
+
+function createTransport(name) {
+    switch (name) {
+        case 'smtp':
+            return smtpTransport();
+        case 'memory':
+            return memoryTransport();
+        default:
+            return fileTransport();
+    }
+}
+
+const configured = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file');
+
+if (!MAIL_TRANSPORTS.includes(configured)) {
+    console.error(`Unknown MAIL_TRANSPORT "${configured}", falling back to "file"`);
+}
+
+let transport = createTransport(configured);
+
+// Swaps the transport, e.g. for a custom provider or in tests
+export function setTransport(next) {
+    transport = typeof next === 'string' ? createTransport(next) : next;
+}
+
+export function sendMail({ to, subject, text }) {
+    return transport.send({ from: MAIL_FROM, to, subject, text });
+}
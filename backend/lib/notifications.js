@@ -0,0 +1,37 @@
+import Booking from '../models/Booking.js';
+import { templates } from './emailTemplates.js';
+import { sendMail } from './mailer.js';
+
+const POPULATE = [
+    { path: 'user', select: 'name email' },
+    { path: 'vehicle', select: 'name registration' }
+];
+
+// Takes a booking id, or the document itself when it no longer exists (deleted)
+function loadBooking(target) {
+    return target instanceof Booking ? Booking.populate(target, POPULATE) : Booking.findById(target).populate(POPULATE);
+}
+
+// Emails the booking's owner about a lifecycle event. Delivery problems are
+// logged rather than thrown so a mail outage never fails the request itself.
+export async function notify(event, target, details) {
+    try {
+        const booking = await loadBooking(target);
+        if (!booking?.user?.email) {
+            return false;
+        }
+
+        const { subject, text } = templates[event](booking, details);
+        await sendMail({ to: booking.user.email, subject, text });
+        return true;
+    } catch (error) {
+        console.error(`Error sending ${event} notification:`, error);
+        return false;
+    }
+}
+
+export async function notifyMany(event, targets, details) {
+    for (const target of targets) {
+        await notify(event, target, details);
+    }
+}
@@ -0,0 +1,238 @@
+import { z } from 'zod';
+import { requireAuth } from '../middleware/auth.js';
+import { bookingIpLimit, bookingUserLimit } from '../middleware/rateLimit.js';
+import { OPERATIONS } from '../schemas/operations.js';
+
+// Builds the OpenAPI document from the routers themselves: paths and methods
+// from their route tables, parameters and request bodies from the zod schemas
+// validate() was given, authentication from requireAuth/requireRole, and the
+// rest from schemas/operations.js. A route and its entry there must match up
+// one to one; see checkOperations.
+
+const PARTS = ['params', 'query', 'body'];
+
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is invalid',
+    401: 'Not signed in, or the token is invalid or expired',
+    403: 'Not allowed for this account',
+    404: 'Not found',
+    409: 'Conflicts with the current state',
+    422: 'Breaks a booking rule or can\'t be processed',
+    429: 'Too many requests; see Retry-After'
+};
+
+const schemaRef = (id) => `#/components/schemas/${id}`;
+
+// Express's ':id' path segments in OpenAPI's '{id}' form
+export function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Every route of the mounted routers as { key, method, path, handlers }, key
+// being "GET /api/bookings/{id}". handlers lists the middleware each matching
+// route runs, router.use() middleware first; a path with a fallback route
+// (next('route')) has several.
+export function listRoutes(mounts) {
+    const routes = new Map();
+    for (const [base, router] of mounts) {
+        const shared = [];
+        for (const layer of router.stack) {
+            if (!layer.route) {
+                shared.push(layer.handle);
+                continue;
+            }
+            const path = toOpenApiPath(layer.route.path === '/' ? base : base + layer.route.path);
+            const handlers = [...shared, ...layer.route.stack.map((routeLayer) => routeLayer.handle)];
+            for (const method of Object.keys(layer.route.methods)) {
+                const key = `${method.toUpperCase()} ${path}`;
+                if (!routes.has(key)) {
+                    routes.set(key, { key, method, path, handlers: [] });
+                }
+                routes.get(key).handlers.push(handlers);
+            }
+        }
+    }
+    return [...routes.values()];
+}
+
+// Problems keeping the routes and schemas/operations.js in step; empty when
+// every route is documented once and every entry has a route
+export function checkOperations(routes, operations = OPERATIONS) {
+    const problems = [];
+    const keys = new Set(routes.map((route) => route.key));
+    for (const key of keys) {
+        if (!operations[key]) {
+            problems.push(`${key} has no entry in schemas/operations.js`);
+        }
+    }
+    const operationIds = new Set();
+    for (const [key, operation] of Object.entries(operations)) {
+        if (!keys.has(key)) {
+            problems.push(`${key} is documented in schemas/operations.js but no router defines it`);
+        }
+        if (operationIds.has(operation.operationId)) {
+            problems.push(`${key} reuses operationId ${operation.operationId}`);
+        }
+        operationIds.add(operation.operationId);
+    }
+    return problems;
+}
+
+// JSON Schema for one zod schema, pointing at the shared components (schemas
+// given an id, see schemas/responses.js) rather than copying them in
+function toJsonSchema(schema) {
+    const id = z.globalRegistry.get(schema)?.id;
+    if (id) {
+        return { $ref: schemaRef(id) };
+    }
+    const { $schema, $defs, ...json } = z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+    return JSON.parse(JSON.stringify(json).replaceAll('"#/$defs/', `"${schemaRef('')}`));
+}
+
+function componentSchemas() {
+    const { schemas } = z.toJSONSchema(z.globalRegistry, { io: 'input', uri: schemaRef, unrepresentable: 'any' });
+    return Object.fromEntries(Object.entries(schemas).map(([name, { $schema, $id, ...schema }]) => [name, schema]));
+}
+
+// What the middleware of one route tells about it
+function readHandlers(handlerLists) {
+    const all = handlerLists.flat();
+    const schemas = {};
+    for (const handler of all) {
+        for (const part of PARTS) {
+            if (handler.schemas?.[part]) {
+                schemas[part] = handler.schemas[part];
+            }
+        }
+    }
+    return {
+        schemas,
+        // A bearer token on some route for the path: the reminder job's
+        // scheduler route takes its secret the same way
+        authenticated: all.includes(requireAuth),
+        roles: all.find((handler) => handler.roles)?.roles,
+        rateLimited: all.includes(bookingIpLimit) || all.includes(bookingUserLimit)
+    };
+}
+
+function parameters(path, schemas) {
+    const list = [];
+    const pathSchema = schemas.params ? toJsonSchema(schemas.params) : { properties: {} };
+    for (const [, name] of path.matchAll(/\{(\w+)\}/g)) {
+        list.push({ name, in: 'path', required: true, schema: pathSchema.properties[name] || { type: 'string' } });
+    }
+    if (schemas.query) {
+        const querySchema = toJsonSchema(schemas.query);
+        for (const [name, schema] of Object.entries(querySchema.properties)) {
+            list.push({ name, in: 'query', required: Boolean(querySchema.required?.includes(name)), schema });
+        }
+    }
+    return list;
+}
+
+function errorResponse(description) {
+    return {
+        description,
+        content: { 'application/json': { schema: { $ref: schemaRef('ApiError') } } }
+    };
+}
+
+function successResponse(operation) {
+    if (operation.produces) {
+        const types = [operation.produces].flat();
+        return {
+            description: 'OK',
+            content: Object.fromEntries(types.map((type) => [type, { schema: { type: 'string' } }]))
+        };
+    }
+    return {
+        description: 'OK',
+        content: { 'application/json': { schema: toJsonSchema(operation.response) } }
+    };
+}
+
+function describeOperation(route, operation) {
+    const { schemas, authenticated, roles, rateLimited } = readHandlers(route.handlers);
+
+    const errors = new Set(operation.errors);
+    if (Object.keys(schemas).length > 0) {
+        errors.add(400);
+    }
+    if (authenticated) {
+        errors.add(401);
+    }
+    if (roles) {
+        errors.add(403);
+    }
+    if (route.path.includes('{')) {
+        errors.add(404);
+    }
+    if (rateLimited) {
+        errors.add(429);
+    }
+
+    const notes = [
+        roles && `Requires the ${roles.join(' or ')} role.`,
+        operation.description
+    ].filter(Boolean);
+
+    const responses = { [operation.status || 200]: successResponse(operation) };
+    for (const status of [...errors].sort()) {
+        responses[status] = errorResponse(ERROR_DESCRIPTIONS[status]);
+    }
+    responses.default = errorResponse('Server error or database unavailable');
+
+    return {
+        operationId: operation.operationId,
+        tags: [operation.tag],
+        summary: operation.summary,
+        ...(notes.length > 0 ? { description: notes.join(' ') } : {}),
+        ...(authenticated ? { security: [{ bearerAuth: [] }] } : { security: [] }),
+        parameters: parameters(route.path, schemas),
+        ...(schemas.body || operation.consumes
+            ? {
+                requestBody: {
+                    required: true,
+                    content: operation.consumes
+                        ? { [operation.consumes]: { schema: { type: 'string' } } }
+                        : { 'application/json': { schema: toJsonSchema(schemas.body) } }
+                }
+            }
+            : {}),
+        responses,
+        ...(operation.client === false ? { 'x-client': false } : {})
+    };
+}
+
+// The OpenAPI 3.1 document for the mounted routers. Throws listing every
+// route and entry that don't match up.
+export function buildOpenApi(mounts, { version = '1.0.0' } = {}) {
+    const routes = listRoutes(mounts);
+    const problems = checkOperations(routes);
+    if (problems.length > 0) {
+        throw new Error(`The OpenAPI operations are out of date:\n${problems.join('\n')}`);
+    }
+
+    const paths = {};
+    for (const route of routes) {
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = describeOperation(route, OPERATIONS[route.key]);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Vehicle Booking API',
+            version,
+            description: 'Every error response has the ApiError shape; branch on its "code".'
+        },
+        tags: [...new Set(Object.values(OPERATIONS).map((operation) => operation.tag))].map((name) => ({ name })),
+        paths,
+        components: {
+            schemas: componentSchemas(),
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+            }
+        }
+    };
+}
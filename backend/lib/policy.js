@@ -0,0 +1,145 @@
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import BookingPolicy from '../models/BookingPolicy.js';
+import { findAllConflicts } from './conflicts.js';
+import { wallTime, wallDaysBetween } from './timezone.js';
+import { sendError, ERROR_CODES } from './errors.js';
+import { currentTime } from './clock.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Machine-readable violation codes returned to clients
+export const POLICY_CODES = {
+    MAX_DURATION: 'MAX_DURATION',
+    MIN_NOTICE: 'MIN_NOTICE',
+    MAX_ADVANCE: 'MAX_ADVANCE',
+    OUTSIDE_ALLOWED_HOURS: 'OUTSIDE_ALLOWED_HOURS',
+    BLACKOUT_DATE: 'BLACKOUT_DATE',
+    ACTIVE_BOOKING_LIMIT: 'ACTIVE_BOOKING_LIMIT',
+    HANDOVER_BUFFER: 'HANDOVER_BUFFER'
+};
+
+// The stored policy, or an empty one (nothing enforced) if none was saved yet
+export async function getPolicy() {
+    return (await BookingPolicy.findOne()) || new BookingPolicy();
+}
+
+// Minutes since midnight of an "HH:mm" time
+export function parseClock(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Wall-clock minutes, in the organization's timezone, at which an interval
+// starts and ends, both counted from the start's midnight: an overnight
+// interval ends past 24:00, and a DST change doesn't shift either value
+export function wallClockSpan(start, end) {
+    const startWall = wallTime(start);
+    const endWall = wallTime(end);
+    return {
+        start: startWall.hour * 60 + startWall.minute,
+        end: endWall.hour * 60 + endWall.minute + wallDaysBetween(startWall, endWall) * 24 * 60
+    };
+}
+
+function violation(code, field, message) {
+    return { code, field, message };
+}
+
+// Bookings a user holds that still count towards the active-booking cap;
+// a place on a waitlist counts too
+export function countActiveBookings(userId, { excludeId, now = currentTime() } = {}) {
+    return Booking.countDocuments({
+        user: userId,
+        status: { $in: ['pending', 'waitlisted', ...BLOCKING_STATUSES] },
+        returnTime: { $gt: now },
+        ...(excludeId ? { _id: { $ne: excludeId } } : {})
+    });
+}
+
+export function activeLimitViolation(policy) {
+    return violation(POLICY_CODES.ACTIVE_BOOKING_LIMIT, null,
+        `You can have at most ${policy.maxActiveBookingsPerUser} active bookings`);
+}
+
+export function bufferViolation(policy) {
+    return violation(POLICY_CODES.HANDOVER_BUFFER, 'bookingTime',
+        `Leave at least ${policy.bufferMinutes} minutes between bookings for handover`);
+}
+
+// Rules that only depend on the requested interval
+export function checkIntervalPolicy(policy, start, end, now) {
+    const violations = [];
+
+    if (policy.maxDurationHours && end - start > policy.maxDurationHours * HOUR_MS) {
+        violations.push(violation(POLICY_CODES.MAX_DURATION, 'returnTime',
+            `Bookings can last at most ${policy.maxDurationHours} hours`));
+    }
+    if (policy.minNoticeHours && start - now < policy.minNoticeHours * HOUR_MS) {
+        violations.push(violation(POLICY_CODES.MIN_NOTICE, 'bookingTime',
+            `Bookings must be made at least ${policy.minNoticeHours} hours in advance`));
+    }
+    if (policy.maxAdvanceDays && start - now > policy.maxAdvanceDays * DAY_MS) {
+        violations.push(violation(POLICY_CODES.MAX_ADVANCE, 'bookingTime',
+            `Bookings can be made at most ${policy.maxAdvanceDays} days in advance`));
+    }
+
+    if (policy.allowedHoursStart && policy.allowedHoursEnd) {
+        const span = wallClockSpan(start, end);
+        if (span.start < parseClock(policy.allowedHoursStart)) {
+            violations.push(violation(POLICY_CODES.OUTSIDE_ALLOWED_HOURS, 'bookingTime',
+                `Bookings can start from ${policy.allowedHoursStart}`));
+        }
+        if (span.end > parseClock(policy.allowedHoursEnd)) {
+            violations.push(violation(POLICY_CODES.OUTSIDE_ALLOWED_HOURS, 'returnTime',
+                `Vehicles must be returned by ${policy.allowedHoursEnd} the same day`));
+        }
+    }
+
+    const blackout = (policy.blackoutDates || []).find((b) => b.start <= end && b.end >= start);
+    if (blackout) {
+        violations.push(violation(POLICY_CODES.BLACKOUT_DATE, 'bookingTime',
+            `Bookings are not allowed during a blackout period${blackout.reason ? ` (${blackout.reason})` : ''}`));
+    }
+
+    return violations;
+}
+
+// Checks a requested booking against the policy. Resolves to a list of
+// { code, field, message } violations; an empty list means it is allowed.
+// Waitlisted requests skip the handover buffer, which is checked again when
+// they are promoted.
+export async function checkPolicy(policy, { vehicleId, userId, start, end, excludeId, waitlisted, now = currentTime() }) {
+    const violations = checkIntervalPolicy(policy, start, end, now);
+
+    if (policy.maxActiveBookingsPerUser) {
+        const active = await countActiveBookings(userId, { excludeId, now });
+        if (active >= policy.maxActiveBookingsPerUser) {
+            violations.push(activeLimitViolation(policy));
+        }
+    }
+
+    if (policy.bufferMinutes && !waitlisted) {
+        const buffer = policy.bufferMinutes * 60 * 1000;
+        const nearby = await findAllConflicts(
+            vehicleId,
+            new Date(start.getTime() - buffer),
+            new Date(end.getTime() + buffer),
+            { excludeId }
+        );
+        if (nearby.length > 0) {
+            violations.push(bufferViolation(policy));
+        }
+    }
+
+    return violations;
+}
+
+// 422 listing the rules a request breaks; `details` adds context to the body
+export function sendPolicyViolations(res, violations, details = {}) {
+    return sendError(res, 422, 'Booking does not meet the booking policy', {
+        code: ERROR_CODES.POLICY_VIOLATION,
+        errors: violations,
+        ...details
+    });
+}
@@ -0,0 +1,100 @@
+import RateCard from '../models/RateCard.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// ISO 4217 code every amount is in (CURRENCY, e.g. EUR); rate cards don't
+// carry their own, so statements never mix currencies
+export const CURRENCY = (() => {
+    const currency = (process.env.CURRENCY || 'USD').toUpperCase();
+    if (!/^[A-Z]{3}$/.test(currency)) {
+        console.error(`CURRENCY "${process.env.CURRENCY}" is not a currency code; using USD`);
+        return 'USD';
+    }
+    return currency;
+})();
+
+// Amounts are kept to the cent
+const round = (amount) => Math.round(amount * 100) / 100;
+
+export function loadRateCards() {
+    return RateCard.find();
+}
+
+// The card pricing a vehicle: the one for its type, else the default one,
+// else null when nothing is charged for it
+export function rateCardFor(cards, vehicle) {
+    return cards.find((card) => card.vehicleType && card.vehicleType === vehicle?.type) ||
+        cards.find((card) => !card.vehicleType) ||
+        null;
+}
+
+// Charge for holding a vehicle `hours` started hours. With both rates the
+// hourly charge within each 24 hours is capped at the daily rate; with only
+// a daily rate every started day is charged.
+export function timeCharge(card, hours) {
+    const { hourlyRate, dailyRate } = card;
+    if (dailyRate == null) {
+        return hours * (hourlyRate || 0);
+    }
+    if (hourlyRate == null) {
+        return Math.ceil(hours / 24) * dailyRate;
+    }
+    return Math.floor(hours / 24) * dailyRate + Math.min((hours % 24) * hourlyRate, dailyRate);
+}
+
+// Prices the booked slot [start, end] with card. Given the trip's `km` and
+// the time it was `returnedAt`, the distance and a late return are charged
+// too; the late hours count from the booked return time once the grace
+// period has passed.
+export function priceBooking(card, { start, end, km, returnedAt }) {
+    const hours = Math.ceil((end - start) / HOUR_MS);
+    const cost = {
+        rateCard: card._id,
+        rateCardName: card.name,
+        currency: CURRENCY,
+        hours,
+        time: round(timeCharge(card, hours))
+    };
+
+    if (km !== undefined) {
+        cost.km = km;
+        cost.distance = round(km * (card.perKmRate || 0));
+    }
+    if (returnedAt !== undefined) {
+        const late = returnedAt - end;
+        cost.lateHours = late > (card.lateGraceMinutes || 0) * MINUTE_MS ? Math.ceil(late / HOUR_MS) : 0;
+        cost.latePenalty = round(cost.lateHours * (card.latePenaltyPerHour || 0));
+    }
+
+    cost.total = round(cost.time + (cost.distance || 0) + (cost.latePenalty || 0));
+    return cost;
+}
+
+// The estimated cost of a requested slot, or undefined when no card applies
+export async function estimateCost(vehicle, start, end) {
+    const card = rateCardFor(await loadRateCards(), vehicle);
+    return card ? priceBooking(card, { start, end }) : undefined;
+}
+
+// The final cost of a booking being checked in with `checkIn`, priced with
+// the vehicle's current card; undefined when no card applies
+export async function finalCost(booking, vehicle, checkIn) {
+    const card = rateCardFor(await loadRateCards(), vehicle);
+    if (!card) {
+        return undefined;
+    }
+    return priceBooking(card, {
+        start: booking.bookingTime,
+        end: booking.returnTime,
+        km: Math.max(0, checkIn.odometer - booking.checkOut.odometer),
+        returnedAt: checkIn.at
+    });
+}
+
+// Cost centre for a booking request: the one named in the body, else the
+// requester's own
+export function readCostCentre(body, user) {
+    const named = typeof body.costCentre === 'string' ? body.costCentre.trim() : '';
+    return named || user?.costCentre || undefined;
+}
@@ -0,0 +1,108 @@
+import { wallTime, resolveWallTime, addWallDays, parseInstant } from './timezone.js';
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'custom'];
+
+// Upper bound on occurrences a single series may generate
+export const MAX_OCCURRENCES = 104;
+
+const MAX_SPAN_DAYS = 2 * 366;
+
+// Checks a recurrence rule from a request body. Returns an error message, or
+// null when the rule can be expanded.
+export function validateRecurrence(rule) {
+    if (!rule || typeof rule !== 'object') {
+        return 'Recurrence rule is required';
+    }
+    if (!RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+        return 'Recurrence frequency must be daily, weekly or custom';
+    }
+
+    if (rule.frequency === 'custom') {
+        if (!Array.isArray(rule.dates) || rule.dates.length === 0) {
+            return 'Custom recurrence needs at least one date';
+        }
+        if (rule.dates.length >= MAX_OCCURRENCES) {
+            return `A series cannot have more than ${MAX_OCCURRENCES} occurrences`;
+        }
+        if (rule.dates.some((d) => !parseInstant(d))) {
+            return 'Custom recurrence dates must be ISO 8601 date-times with a UTC offset';
+        }
+        return null;
+    }
+
+    if (rule.interval !== undefined && (!Number.isInteger(rule.interval) || rule.interval < 1)) {
+        return 'Recurrence interval must be a positive whole number';
+    }
+    if (rule.frequency === 'weekly' && rule.weekdays !== undefined) {
+        const valid = Array.isArray(rule.weekdays) && rule.weekdays.length > 0 &&
+            rule.weekdays.every((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+        if (!valid) {
+            return 'Weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday)';
+        }
+    }
+    if (!rule.until && !rule.count) {
+        return 'Recurrence needs an end date or an occurrence count';
+    }
+    if (rule.until && !parseInstant(rule.until)) {
+        return 'Recurrence end date must be an ISO 8601 date-time with a UTC offset';
+    }
+    if (rule.count !== undefined && (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES)) {
+        return `Occurrence count must be between 1 and ${MAX_OCCURRENCES}`;
+    }
+    return null;
+}
+
+// Expands a validated rule into concrete { bookingTime, returnTime } pairs.
+// Daily and weekly repeats keep the first booking's wall-clock times in the
+// organization's timezone, so 09:00-17:00 stays 09:00-17:00 across a DST
+// change; custom dates keep its duration.
+export function expandRecurrence(bookingTime, returnTime, rule) {
+    const duration = returnTime.getTime() - bookingTime.getTime();
+    const occurrence = (start) => ({
+        bookingTime: start,
+        returnTime: new Date(start.getTime() + duration)
+    });
+
+    // Custom dates are extra start times on top of the first booking
+    if (rule.frequency === 'custom') {
+        const starts = [bookingTime.getTime(), ...rule.dates.map((d) => parseInstant(d).getTime())];
+        return [...new Set(starts)]
+            .sort((a, b) => a - b)
+            .map((t) => occurrence(new Date(t)));
+    }
+
+    const interval = rule.interval || 1;
+    const until = rule.until ? parseInstant(rule.until) : null;
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const startWall = wallTime(bookingTime);
+    const endWall = wallTime(returnTime);
+    const weekdays = rule.weekdays || [startWall.weekday];
+    const occurrences = [];
+
+    for (let offset = 0; offset <= MAX_SPAN_DAYS && occurrences.length < limit; offset++) {
+        const day = addWallDays(startWall, offset);
+        const start = resolveWallTime(day).date;
+        if (until && start > until) {
+            break;
+        }
+
+        let matches;
+        if (rule.frequency === 'daily') {
+            matches = offset % interval === 0;
+        } else {
+            // Weeks are counted from the week the series starts in (Sunday-based,
+            // matching getDay()), so "every 2 weeks on Mon and Thu" stays aligned.
+            const week = Math.floor((offset + startWall.weekday) / 7);
+            matches = week % interval === 0 && weekdays.includes(day.weekday);
+        }
+
+        if (matches) {
+            occurrences.push({
+                bookingTime: start,
+                returnTime: resolveWallTime(addWallDays(endWall, offset)).date
+            });
+        }
+    }
+
+    return occurrences;
+}
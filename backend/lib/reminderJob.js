@@ -0,0 +1,62 @@
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import { notify } from './notifications.js';
+import { currentTime } from './clock.js';
+
+// How long before pickup the reminder goes out, and how often the job runs
+const REMINDER_LEAD_MINUTES = Number(process.env.REMINDER_LEAD_MINUTES) || 60;
+const REMINDER_INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES) || 5;
+
+// Marks the reminder as sent before emailing, so concurrent runs (several
+// instances, or cron overlapping the interval) send it at most once.
+async function claim(booking, kind, now) {
+    const result = await Booking.updateOne(
+        { _id: booking._id, [`remindersSent.${kind}`]: { $exists: false } },
+        { $set: { [`remindersSent.${kind}`]: now } }
+    );
+    return result.modifiedCount === 1;
+}
+
+// Sends pickup reminders for approved bookings starting soon and overdue
+// notices for vehicles not returned on time. Resolves to the counts sent.
+export async function runReminders(now = currentTime()) {
+    const pickupBy = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+
+    const [upcoming, overdue] = await Promise.all([
+        Booking.find({
+            status: 'approved',
+            bookingTime: { $gt: now, $lte: pickupBy },
+            'remindersSent.pickup': { $exists: false }
+        }),
+        Booking.find({
+            status: { $in: BLOCKING_STATUSES },
+            returnTime: { $lt: now },
+            'remindersSent.overdue': { $exists: false }
+        })
+    ]);
+
+    let pickup = 0;
+    for (const booking of upcoming) {
+        if (await claim(booking, 'pickup', now) && await notify('pickupReminder', booking._id)) {
+            pickup++;
+        }
+    }
+
+    let late = 0;
+    for (const booking of overdue) {
+        if (await claim(booking, 'overdue', now) && await notify('overdue', booking._id)) {
+            late++;
+        }
+    }
+
+    return { pickup, overdue: late };
+}
+
+// Runs the reminders on a timer for long-running deployments; serverless
+// deployments call GET /api/jobs/reminders from a scheduler instead.
+// `connect` makes sure the database is reachable before each run.
+export function startReminderJob(connect) {
+    const run = () => connect()
+        .then(() => runReminders())
+        .catch((error) => console.error('Error running reminder job:', error));
+    return setInterval(run, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+}
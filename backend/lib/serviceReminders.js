@@ -0,0 +1,20 @@
+// A vehicle is "due soon" once it has used this share of its service interval
+export const SERVICE_WARNING_RATIO = 0.9;
+
+// Mileage since the last service, from the odometer recorded at check-in.
+// Returns null for vehicles without a service interval or any readings.
+export function serviceStatus(vehicle) {
+    if (!vehicle.serviceIntervalKm || vehicle.odometer === undefined || vehicle.odometer === null) {
+        return null;
+    }
+
+    const kmSinceService = vehicle.odometer - (vehicle.lastServiceOdometer ?? 0);
+    const kmRemaining = vehicle.serviceIntervalKm - kmSinceService;
+
+    return {
+        kmSinceService,
+        kmRemaining,
+        due: kmRemaining <= 0,
+        dueSoon: kmSinceService >= vehicle.serviceIntervalKm * SERVICE_WARNING_RATIO
+    };
+}
@@ -0,0 +1,66 @@
+import { findAllConflicts, intervalsOverlap } from './conflicts.js';
+import { getPolicy, checkIntervalPolicy } from './policy.js';
+import { currentTime } from './clock.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// How far before and after the requested start alternatives are looked for,
+// in steps of STEP_MINUTES from it so they keep the requested minute
+export const SEARCH_DAYS = 7;
+export const STEP_MINUTES = 15;
+export const SUGGESTIONS_PER_SIDE = 3;
+
+// Free slots of the same length as [start, end] for the vehicle, nearest
+// first: up to SUGGESTIONS_PER_SIDE starting earlier and as many starting
+// later, none overlapping another on its side. A slot is free when it keeps
+// the handover buffer to every approved or in-use booking and maintenance
+// window and passes the interval rules of the policy (booking hours,
+// blackouts, notice, how far ahead). Resolves to [{ bookingTime, returnTime }].
+export async function suggestSlots(vehicleId, start, end, { excludeId, policy, now = currentTime() } = {}) {
+    policy = policy || await getPolicy();
+    const duration = end - start;
+    const buffer = (policy.bufferMinutes || 0) * MINUTE_MS;
+    const earliest = Math.max(start.getTime() - SEARCH_DAYS * DAY_MS, now.getTime());
+    const latest = start.getTime() + SEARCH_DAYS * DAY_MS;
+
+    const blocked = await findAllConflicts(
+        vehicleId,
+        new Date(earliest - buffer),
+        new Date(latest + duration + buffer),
+        { excludeId }
+    );
+    const busy = blocked.map((conflict) => ({
+        start: conflict.bookingTime.getTime() - buffer,
+        end: conflict.returnTime.getTime() + buffer
+    }));
+
+    const isFree = (slotStart) => {
+        const slotEnd = slotStart + duration;
+        return !busy.some((interval) => intervalsOverlap(slotStart, slotEnd, interval.start, interval.end)) &&
+            checkIntervalPolicy(policy, new Date(slotStart), new Date(slotEnd), now).length === 0;
+    };
+
+    // Walks away from the requested start one step at a time; direction -1
+    // looks earlier, 1 later
+    const scan = (direction) => {
+        const found = [];
+        for (let slotStart = start.getTime() + direction * STEP_MINUTES * MINUTE_MS;
+            slotStart >= earliest && slotStart <= latest && found.length < SUGGESTIONS_PER_SIDE;
+            slotStart += direction * STEP_MINUTES * MINUTE_MS) {
+            const previous = found[found.length - 1];
+            if (previous !== undefined && Math.abs(slotStart - previous) < duration) {
+                continue;
+            }
+            if (isFree(slotStart)) {
+                found.push(slotStart);
+            }
+        }
+        return found;
+    };
+
+    const distance = (slotStart) => Math.abs(slotStart - start.getTime());
+    return [...scan(-1), ...scan(1)]
+        .sort((a, b) => distance(a) - distance(b) || a - b)
+        .map((slotStart) => ({ bookingTime: new Date(slotStart), returnTime: new Date(slotStart + duration) }));
+}
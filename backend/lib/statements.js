@@ -0,0 +1,103 @@
+import Booking from '../models/Booking.js';
+import { resolveWallTime } from './timezone.js';
+
+// Monthly charge-back statements: the completed bookings checked in during a
+// calendar month, in the organization's timezone, grouped by cost centre and
+// charged at their final cost.
+
+const AMOUNTS = ['time', 'distance', 'latePenalty', 'total'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// [start, end) of a "YYYY-MM" month
+export function monthRange(month) {
+    const [year, number] = month.split('-').map(Number);
+    const next = number === 12 ? { year: year + 1, month: 1 } : { year, month: number + 1 };
+    return {
+        start: resolveWallTime({ year, month: number, day: 1 }).date,
+        end: resolveWallTime({ ...next, day: 1 }).date
+    };
+}
+
+export function statementFilter(month, costCentre) {
+    const { start, end } = monthRange(month);
+    return {
+        status: 'completed',
+        'checkIn.at': { $gte: start, $lt: end },
+        // '' picks the bookings without a cost centre
+        ...(costCentre === undefined ? {} : { costCentre: costCentre || null })
+    };
+}
+
+function emptyTotals() {
+    return { bookings: 0, unpriced: 0, hours: 0, km: 0, ...Object.fromEntries(AMOUNTS.map((amount) => [amount, 0])) };
+}
+
+function addBooking(totals, booking) {
+    totals.bookings += 1;
+    const cost = booking.finalCost;
+    if (!cost) {
+        // Checked in while no rate card applied
+        totals.unpriced += 1;
+        return;
+    }
+    totals.hours += cost.hours;
+    totals.km += cost.km || 0;
+    for (const amount of AMOUNTS) {
+        totals[amount] = round(totals[amount] + (cost[amount] || 0));
+    }
+}
+
+// Totals per cost centre, largest first, and overall. Bookings without a
+// cost centre are grouped under null.
+export function summarizeStatement(bookings) {
+    const byCentre = new Map();
+    const totals = emptyTotals();
+    for (const booking of bookings) {
+        const key = booking.costCentre || null;
+        if (!byCentre.has(key)) {
+            byCentre.set(key, { costCentre: key, ...emptyTotals() });
+        }
+        addBooking(byCentre.get(key), booking);
+        addBooking(totals, booking);
+    }
+    const costCentres = [...byCentre.values()].sort((a, b) => b.total - a.total);
+    return { costCentres, totals };
+}
+
+// Spreadsheet columns of a statement, one row per booking (see
+// lib/bookingExport.js tableToCsv). The last row, the totals, only has the
+// cost centre and number columns.
+export const STATEMENT_COLUMNS = [
+    { header: 'Cost centre', width: 14, value: (b) => b.costCentre },
+    { header: 'Booking ID', width: 26, value: (b) => b._id && String(b._id) },
+    { header: 'Booked by', width: 20, value: (b) => b.name },
+    { header: 'Email', width: 26, value: (b) => b.user?.email },
+    { header: 'Vehicle', width: 20, value: (b) => b.vehicle?.name },
+    { header: 'Registration', width: 14, value: (b) => b.vehicle?.registration },
+    { header: 'Purpose', width: 30, value: (b) => b.purpose },
+    { header: 'Booking time', width: 18, date: true, value: (b) => b.bookingTime },
+    { header: 'Return time', width: 18, date: true, value: (b) => b.returnTime },
+    { header: 'Returned at', width: 18, date: true, value: (b) => b.checkIn?.at },
+    { header: 'Rate card', width: 16, value: (b) => b.finalCost?.rateCardName },
+    { header: 'Hours', width: 8, value: (b) => b.finalCost?.hours },
+    { header: 'Km', width: 8, value: (b) => b.finalCost?.km },
+    { header: 'Hours late', width: 8, value: (b) => b.finalCost?.lateHours },
+    { header: 'Time charge', width: 12, value: (b) => b.finalCost?.time },
+    { header: 'Distance charge', width: 12, value: (b) => b.finalCost?.distance },
+    { header: 'Late penalty', width: 12, value: (b) => b.finalCost?.latePenalty },
+    { header: 'Total', width: 12, value: (b) => b.finalCost?.total }
+];
+
+// The rows to export for a statement's bookings: one per booking, then the totals
+export function statementRows(bookings) {
+    const { totals } = summarizeStatement(bookings);
+    return [...bookings, { costCentre: 'Total', finalCost: { ...totals, lateHours: undefined } }];
+}
+
+export function findStatementBookings(filter) {
+    return Booking.find(filter)
+        .populate('vehicle', 'name registration')
+        .populate('user', 'email')
+        .sort({ costCentre: 1, 'checkIn.at': 1 });
+}
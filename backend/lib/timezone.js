@@ -0,0 +1,187 @@
+// IANA timezone helpers built on Intl, so no timezone database is bundled
+export function isValidTimeZone(timeZone) {
+    try {
+        Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The organization's timezone (ORG_TIMEZONE, e.g. Europe/London). Wall-clock
+// rules such as allowed hours, recurrences and report periods use it, never
+// the timezone of whichever machine runs the server.
+export const ORG_TIMEZONE = (() => {
+    const timeZone = process.env.ORG_TIMEZONE || 'UTC';
+    if (!isValidTimeZone(timeZone)) {
+        console.error(`ORG_TIMEZONE "${timeZone}" is not a known timezone; using UTC`);
+        return 'UTC';
+    }
+    return timeZone;
+})();
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Calendar fields of an instant as seen on a wall clock in timeZone, plus
+// the weekday (0 = Sunday)
+export function wallTime(date, timeZone = ORG_TIMEZONE) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(date).map((part) => [part.type, Number(part.value)])
+    );
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+}
+
+// Minutes the zone is ahead of UTC at that instant
+export function offsetMinutes(date, timeZone = ORG_TIMEZONE) {
+    const t = wallTime(date, timeZone);
+    const asUtc = Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second);
+    return Math.round((asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+function sameWallTime(date, fields, timeZone) {
+    const t = wallTime(date, timeZone);
+    return t.year === fields.year && t.month === fields.month && t.day === fields.day &&
+        t.hour === fields.hour && t.minute === fields.minute;
+}
+
+// The instant a wall-clock time in timeZone refers to. Around DST changes a
+// wall time can be skipped (clocks go forward) or repeated (clocks go back):
+// a skipped time moves forward by the jump and a repeated one resolves to its
+// first occurrence; both are flagged so callers can refuse them instead.
+// Resolves to { date, skipped, repeated }.
+export function resolveWallTime(fields, timeZone = ORG_TIMEZONE) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = fields;
+    const wall = { year, month, day, hour, minute };
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    // The offsets in force a day either side bracket any transition
+    const before = offsetMinutes(new Date(asUtc - DAY_MS), timeZone);
+    const after = offsetMinutes(new Date(asUtc + DAY_MS), timeZone);
+    const candidates = [...new Set([before, after])]
+        .map((offset) => new Date(asUtc - offset * MINUTE_MS))
+        .filter((date) => sameWallTime(date, wall, timeZone))
+        .sort((a, b) => a - b);
+
+    if (candidates.length === 0) {
+        return { date: new Date(asUtc - before * MINUTE_MS), skipped: true, repeated: false };
+    }
+    return { date: candidates[0], skipped: false, repeated: candidates.length > 1 };
+}
+
+// Shifts a wall-clock date by whole days, keeping the time of day
+export function addWallDays(fields, days) {
+    const shifted = new Date(Date.UTC(fields.year, fields.month - 1, fields.day + days));
+    return {
+        ...fields,
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    };
+}
+
+// Whole days between two wall-clock dates, ignoring the time of day
+export function wallDaysBetween(a, b) {
+    return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// ISO 8601 in the zone's local time with its offset, e.g. 2025-03-30T09:00:00+02:00
+export function formatInTimeZone(date, timeZone = ORG_TIMEZONE) {
+    const t = wallTime(date, timeZone);
+    const offset = offsetMinutes(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${t.year}-${pad(t.month)}-${pad(t.day)}T${pad(t.hour)}:${pad(t.minute)}:${pad(t.second)}` +
+        `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+const DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+function matchDateTime(text) {
+    const match = DATE_TIME_PATTERN.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map((part) => Number(part || 0));
+    const check = new Date(Date.UTC(year, month - 1, day));
+    if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+        return null;
+    }
+    const ms = match[7] ? Number(match[7].padEnd(3, '0')) : 0;
+    return { fields: { year, month, day, hour, minute, second }, ms, zone: match[8] };
+}
+
+function applyOffset({ fields, ms, zone }) {
+    const asUtc = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second, ms);
+    if (zone === 'Z') {
+        return new Date(asUtc);
+    }
+    const sign = zone[0] === '-' ? -1 : 1;
+    const [offsetHours, offsetMins] = zone.slice(1).split(':').map(Number);
+    return new Date(asUtc - sign * (offsetHours * 60 + offsetMins) * MINUTE_MS);
+}
+
+// Strict parser for date-times sent by clients: ISO 8601 with an explicit Z
+// or ±HH:MM offset, e.g. 2025-06-01T09:00:00+01:00. Anything else, including
+// local times without an offset, resolves to null.
+export function parseInstant(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    const parsed = matchDateTime(value);
+    return parsed?.zone ? applyOffset(parsed) : null;
+}
+
+// Looser parser for spreadsheets: also accepts "YYYY-MM-DD HH:mm[:ss]"
+// without an offset, read in timeZone, unless that wall time is skipped or
+// repeated by a DST change. Resolves to { date } or { error }.
+export function parseDateTime(text, timeZone = ORG_TIMEZONE) {
+    const parsed = matchDateTime(text);
+    if (!parsed) {
+        return { error: `"${text}" is not a date like 2025-06-01 09:00` };
+    }
+    if (parsed.zone) {
+        return { date: applyOffset(parsed) };
+    }
+    const { date, skipped, repeated } = resolveWallTime(parsed.fields, timeZone);
+    if (skipped) {
+        return { error: `${text} does not exist in ${timeZone} (clocks go forward)` };
+    }
+    if (repeated) {
+        return { error: `${text} happens twice in ${timeZone} (clocks go back); add a UTC offset` };
+    }
+    return { date };
+}
+
+// A human-readable date and time in the organization's timezone, with the
+// zone abbreviation so emails can't be misread
+export function formatDisplay(date, timeZone = ORG_TIMEZONE) {
+    return new Date(date).toLocaleString('en-GB', {
+        timeZone,
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZoneName: 'short'
+    });
+}
@@ -0,0 +1,54 @@
+import crypto from 'crypto';
+import Vehicle from '../models/Vehicle.js';
+
+const LOCK_TTL_MS = 10 * 1000;
+const RETRY_DELAY_MS = 100;
+const MAX_ATTEMPTS = 30;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export class VehicleLockTimeoutError extends Error {
+    constructor(vehicleId) {
+        super(`Timed out waiting for lock on vehicle ${vehicleId}`);
+        this.name = 'VehicleLockTimeoutError';
+    }
+}
+
+// Runs fn while holding an exclusive reservation lock on the vehicle, so
+// check-then-write sequences (conflict check followed by an approval) can't
+// interleave between concurrent requests. The lock is a lease on the vehicle
+// document; a crashed holder's lease simply expires after LOCK_TTL_MS.
+export async function withVehicleLock(vehicleId, fn) {
+    const token = crypto.randomUUID();
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const now = new Date();
+        const acquired = await Vehicle.findOneAndUpdate(
+            {
+                _id: vehicleId,
+                $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+            },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_TTL_MS), lockToken: token } },
+            { new: true }
+        );
+
+        if (acquired) {
+            try {
+                return await fn();
+            } finally {
+                await Vehicle.updateOne(
+                    { _id: vehicleId, lockToken: token },
+                    { $unset: { lockedUntil: 1, lockToken: 1 } }
+                );
+            }
+        }
+
+        const exists = await Vehicle.exists({ _id: vehicleId });
+        if (!exists) {
+            throw new Error(`Vehicle ${vehicleId} not found`);
+        }
+        await sleep(RETRY_DELAY_MS);
+    }
+
+    throw new VehicleLockTimeoutError(vehicleId);
+}
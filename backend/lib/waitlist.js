@@ -0,0 +1,109 @@
+import Booking from '../models/Booking.js';
+import { findAllConflicts, overlapQuery } from './conflicts.js';
+import { withVehicleLock } from './vehicleLock.js';
+import { getPolicy } from './policy.js';
+import { approveBooking } from './approval.js';
+import { notify } from './notifications.js';
+import { publishBookings } from './events.js';
+import { recordAudit, statusAudits } from './audit.js';
+import { currentTime } from './clock.js';
+import config from './config.js';
+
+// What a waitlisted request becomes once its slot frees up: 'pending' puts
+// it in front of an admin, 'approved' approves it straight away.
+export const WAITLIST_PROMOTION_STATUSES = ['pending', 'approved'];
+
+if (!WAITLIST_PROMOTION_STATUSES.includes(config.waitlistPromoteTo)) {
+    console.error(`Unknown WAITLIST_PROMOTE_TO "${config.waitlistPromoteTo}", falling back to "pending"`);
+}
+
+function promotionStatus() {
+    return WAITLIST_PROMOTION_STATUSES.includes(config.waitlistPromoteTo) ? config.waitlistPromoteTo : 'pending';
+}
+
+// Queue order: position first, then the older request on a tie
+export const WAITLIST_SORT = { waitlistPosition: 1, createdAt: 1 };
+
+// Position at the back of the vehicle's waitlist
+export async function nextWaitlistPosition(vehicleId) {
+    const last = await Booking.findOne({ vehicle: vehicleId, status: 'waitlisted' })
+        .sort({ waitlistPosition: -1 })
+        .select('waitlistPosition');
+    return (last?.waitlistPosition || 0) + 1;
+}
+
+// A waitlisted request can move up once nothing holds its slot, handover
+// buffer included, and no pending request (which asked first) overlaps it
+async function slotIsFree(booking, buffer) {
+    const conflicts = await findAllConflicts(
+        booking.vehicle,
+        new Date(booking.bookingTime.getTime() - buffer),
+        new Date(booking.returnTime.getTime() + buffer),
+        { excludeId: booking._id }
+    );
+    if (conflicts.length > 0) {
+        return false;
+    }
+    const pending = await Booking.exists({
+        _id: { $ne: booking._id },
+        vehicle: booking.vehicle,
+        status: 'pending',
+        ...overlapQuery(booking.bookingTime, booking.returnTime)
+    });
+    return !pending;
+}
+
+// Promotes the vehicle's waitlisted requests whose slot has freed up, in queue
+// order. A promoted request is pending, so it holds its slot against the
+// requests queued behind it. Call after anything that may free time on the
+// vehicle: a cancellation, rejection, deletion, edit or early check-in.
+// Never throws, so a failed promotion can't fail the change that caused it;
+// the next change on the vehicle retries.
+export async function promoteWaitlist(vehicleId) {
+    try {
+        const buffer = ((await getPolicy()).bufferMinutes || 0) * 60 * 1000;
+        const promoted = await withVehicleLock(vehicleId, async () => {
+            const waiting = await Booking.find({
+                vehicle: vehicleId,
+                status: 'waitlisted',
+                bookingTime: { $gt: currentTime() }
+            }).sort(WAITLIST_SORT);
+
+            const moved = [];
+            for (const booking of waiting) {
+                if (!(await slotIsFree(booking, buffer))) {
+                    continue;
+                }
+                const { modifiedCount } = await Booking.updateOne(
+                    { _id: booking._id, status: 'waitlisted' },
+                    { status: 'pending', $unset: { waitlistPosition: 1 } }
+                );
+                if (modifiedCount > 0) {
+                    moved.push(booking);
+                }
+            }
+            return moved;
+        });
+
+        if (promoted.length === 0) {
+            return;
+        }
+        await recordAudit(statusAudits(promoted, 'pending', undefined, 'Promoted from the waitlist'));
+        await publishBookings('updated', promoted.map((booking) => booking._id));
+
+        for (const booking of promoted) {
+            let approved = false;
+            if (promotionStatus() === 'approved') {
+                booking.status = 'pending';
+                const result = await approveBooking(booking, { comment: 'Approved automatically from the waitlist' });
+                approved = Boolean(result.booking);
+                if (approved) {
+                    await publishBookings('updated', [booking._id]);
+                }
+            }
+            await notify('promoted', booking._id, { approved });
+        }
+    } catch (error) {
+        console.error('Error promoting waitlisted bookings:', error);
+    }
+}
@@ -0,0 +1,63 @@
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { sendError } from '../lib/errors.js';
+import config from '../lib/config.js';
+
+if (!config.jwtSecret) {
+    console.error('JWT_SECRET is missing');
+}
+
+export function signToken(user) {
+    return jwt.sign({ sub: user._id.toString(), role: user.role }, config.jwtSecret, {
+        expiresIn: config.jwtExpiresIn
+    });
+}
+
+// Verifies the bearer token and loads the account onto req.user. The user is
+// re-read on every request so role changes and deleted accounts apply at once.
+export async function requireAuth(req, res, next) {
+    if (!config.jwtSecret) {
+        return sendError(res, 500, 'Server misconfigured: JWT_SECRET is missing');
+    }
+
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return sendError(res, 401, 'Authentication required');
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, config.jwtSecret);
+    } catch (err) {
+        return sendError(res, 401, 'Invalid or expired token');
+    }
+
+    try {
+        const user = mongoose.isValidObjectId(payload.sub) ? await User.findById(payload.sub) : null;
+        if (!user) {
+            return sendError(res, 401, 'Invalid or expired token');
+        }
+        req.user = user;
+        return next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        return sendError(res, 500, 'Server error authenticating request');
+    }
+}
+
+// Must run after requireAuth. The roles stay on the middleware for the
+// OpenAPI document (lib/openapi.js).
+export function requireRole(...roles) {
+    const middleware = (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return sendError(res, 403, 'You do not have permission to do that');
+        }
+        return next();
+    };
+    middleware.roles = roles;
+    return middleware;
+}
+
+export const requireAdmin = [requireAuth, requireRole('admin')];
@@ -0,0 +1,22 @@
+import { rateLimit, ipKeyGenerator } from 'express-rate-limit';
+import { sendError } from '../lib/errors.js';
+import config from '../lib/config.js';
+
+function limiter(limit, keyGenerator) {
+    return rateLimit({
+        windowMs: config.bookingRateWindowMinutes * 60 * 1000,
+        limit,
+        keyGenerator,
+        standardHeaders: 'draft-7',
+        legacyHeaders: false,
+        handler: (req, res) => sendError(res, 429, 'Too many booking requests, please try again later')
+    });
+}
+
+// Caps on booking requests (single and recurring) per client IP and per
+// signed-in user, in fixed windows of BOOKING_RATE_WINDOW_MINUTES.
+// Counters are kept in memory, so each server instance counts on its own.
+// The IP limit runs before authentication so floods are turned away cheaply;
+// the user limit must run after requireAuth.
+export const bookingIpLimit = limiter(() => config.bookingRateLimitPerIp, (req) => ipKeyGenerator(req.ip));
+export const bookingUserLimit = limiter(() => config.bookingRateLimitPerUser, (req) => String(req.user._id));
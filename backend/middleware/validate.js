@@ -0,0 +1,80 @@
+import { sendError } from '../lib/errors.js';
+
+const PARTS = ['params', 'query', 'body'];
+
+const TYPE_NAMES = {
+    string: 'text',
+    number: 'a number',
+    int: 'a whole number',
+    boolean: 'true or false',
+    array: 'a list',
+    object: 'an object'
+};
+
+// Wording for issues a schema doesn't word itself. Messages are fragments
+// ("is required", "must be ...") that read after the field name.
+function describeIssue(issue) {
+    switch (issue.code) {
+        case 'invalid_type':
+            return issue.input === undefined ? 'is required' : `must be ${TYPE_NAMES[issue.expected] || issue.expected}`;
+        case 'invalid_value':
+            return `must be one of ${issue.values.join(', ')}`;
+        case 'too_small':
+            if (issue.origin === 'string') {
+                return issue.minimum <= 1 ? 'is required' : `must be at least ${issue.minimum} characters`;
+            }
+            return issue.origin === 'array'
+                ? `must list at least ${issue.minimum}`
+                : `must be at least ${issue.minimum}`;
+        case 'too_big':
+            if (issue.origin === 'string') {
+                return `must be at most ${issue.maximum} characters`;
+            }
+            return issue.origin === 'array'
+                ? `must list at most ${issue.maximum}`
+                : `must be at most ${issue.maximum}`;
+        case 'invalid_union': {
+            // Report the alternative that came closest: one with the right type
+            const branches = issue.errors.map((branch) => branch[0]).filter(Boolean);
+            const closest = branches.find((branchIssue) => branchIssue.code !== 'invalid_type') || branches[0];
+            return closest ? closest.message : 'is invalid';
+        }
+        default:
+            return 'is invalid';
+    }
+}
+
+function toFieldErrors(part, issues) {
+    return issues.map((issue) => {
+        const field = issue.path.length > 0 ? issue.path.join('.') : part;
+        return { field, code: issue.code, message: `${field} ${issue.message}` };
+    });
+}
+
+// Checks req.params, req.query and req.body against zod schemas before the
+// handler runs: validate({ params, query, body }), each optional. Unknown
+// fields are dropped, so handlers only see what the schema declares. Any
+// problem answers 400 VALIDATION_FAILED listing every invalid field. The
+// schemas stay on the middleware for the OpenAPI document (lib/openapi.js).
+export function validate(schemas) {
+    const middleware = (req, res, next) => {
+        const errors = [];
+        for (const part of PARTS) {
+            if (!schemas[part]) {
+                continue;
+            }
+            const result = schemas[part].safeParse(req[part] ?? {}, { error: describeIssue });
+            if (result.success) {
+                req[part] = result.data;
+            } else {
+                errors.push(...toFieldErrors(part, result.error.issues));
+            }
+        }
+        if (errors.length > 0) {
+            return sendError(res, 400, errors.map((error) => error.message).join('; '), { errors });
+        }
+        return next();
+    };
+    middleware.schemas = schemas;
+    return middleware;
+}
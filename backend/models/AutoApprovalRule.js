@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+import { USER_ROLES } from './User.js';
+
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Approves new requests without an admin when they meet every condition the
+// rule sets; conditions left unset match any request. Rules are checked
+// oldest first and the first match is recorded in the audit log.
+const autoApprovalRuleSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    enabled: { type: Boolean, default: true },
+    // The requester must have one of these roles / belong to one of these groups
+    roles: [{ type: String, enum: USER_ROLES }],
+    groups: [{ type: String, trim: true }],
+    maxDurationHours: { type: Number, min: 0 },
+    // How far ahead of its start the request is made
+    minLeadHours: { type: Number, min: 0 },
+    maxLeadHours: { type: Number, min: 0 },
+    // "HH:mm" wall-clock bounds, in the organization's timezone, the booking
+    // must start and end within
+    earliestStart: { type: String, match: CLOCK },
+    latestEnd: { type: String, match: CLOCK },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const AutoApprovalRule = mongoose.model('AutoApprovalRule', autoApprovalRuleSchema);
+
+export default AutoApprovalRule;
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { currentTime } from '../lib/clock.js';
+
+export const BOOKING_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'in_use', 'completed', 'waitlisted'];
+
+// Statuses that hold the vehicle: approved and not yet returned
+export const BLOCKING_STATUSES = ['approved', 'in_use'];
+
+// Odometer, fuel and condition recorded when the vehicle leaves or returns
+const tripLogSchema = new mongoose.Schema({
+    at: { type: Date, required: true },
+    odometer: { type: Number, required: true },
+    // Percentage of a full tank, 0-100
+    fuelLevel: { type: Number, required: true },
+    notes: { type: String, trim: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// A booking priced with a rate card, see lib/pricing.js. Amounts are in
+// `currency`; distance and late return are only known once checked in.
+const costSchema = new mongoose.Schema({
+    rateCard: { type: mongoose.Schema.Types.ObjectId, ref: 'RateCard' },
+    // Snapshot of the card's name, in case it is renamed or deleted
+    rateCardName: String,
+    currency: { type: String, required: true },
+    // Started hours of the booked slot
+    hours: { type: Number, required: true },
+    km: Number,
+    lateHours: Number,
+    time: { type: Number, required: true },
+    distance: Number,
+    latePenalty: Number,
+    total: { type: Number, required: true }
+}, { _id: false });
+
+// Booking Schema
+const bookingSchema = new mongoose.Schema({
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Snapshot of the booker's name, kept for display
+    name: { type: String, required: true },
+    purpose: { type: String, required: true },
+    // Cost centre or project code the booking is charged to
+    costCentre: { type: String, trim: true },
+    bookingTime: { type: Date, required: true },
+    returnTime: { type: Date, required: true },
+    status: { type: String, enum: BOOKING_STATUSES, default: 'pending' },
+    // Approved bookings this pending request overlaps (PENDING_OVERLAP_POLICY=flag)
+    conflictsWith: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }],
+    // Place in the vehicle's waitlist while waitlisted; lower goes first
+    waitlistPosition: Number,
+    checkOut: tripLogSchema,
+    checkIn: tripLogSchema,
+    // Priced when requested (and edited), then again when checked in; unset
+    // while no rate card applies to the vehicle
+    estimatedCost: costSchema,
+    finalCost: costSchema,
+    // Set on occurrences of a recurring booking
+    series: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingSeries' },
+    // When the scheduled reminder emails went out, so each is sent once
+    remindersSent: {
+        pickup: Date,
+        overdue: Date
+    },
+    // Deletes are soft so the audit trail keeps pointing at a real booking
+    deletedAt: Date,
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Admin list filters and sorts, conflict checks per vehicle, and "my bookings"
+bookingSchema.index({ vehicle: 1, bookingTime: 1, returnTime: 1 });
+bookingSchema.index({ status: 1, bookingTime: 1 });
+bookingSchema.index({ user: 1, bookingTime: -1 });
+bookingSchema.index({ createdAt: -1 });
+bookingSchema.index({ series: 1 });
+bookingSchema.index({ vehicle: 1, status: 1, waitlistPosition: 1 });
+// Monthly cost-centre statements
+bookingSchema.index({ status: 1, 'checkIn.at': 1 });
+
+// Soft-deleted bookings are hidden from every query unless it opts in with
+// .setOptions({ withDeleted: true })
+bookingSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'], function () {
+    if (!this.getOptions().withDeleted) {
+        this.where({ deletedAt: null });
+    }
+});
+
+bookingSchema.pre('aggregate', function () {
+    if (!this.options.withDeleted) {
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+});
+
+// Still holding the vehicle after its estimated return time
+bookingSchema.virtual('overdue').get(function () {
+    return BLOCKING_STATUSES.includes(this.status) && this.returnTime < currentTime();
+});
+
+bookingSchema.set('toJSON', { virtuals: true });
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+export default Booking;
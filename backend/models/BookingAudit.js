@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+export const AUDIT_ACTIONS = [
+    'created',
+    'edited',
+    'status_changed',
+    'checked_out',
+    'checked_in',
+    'conflict_flagged',
+    'conflict_cleared',
+    'deleted'
+];
+
+// One entry per booking mutation. `previous` and `current` hold only the
+// fields that changed. Entries are never updated or removed.
+const bookingAuditSchema = new mongoose.Schema({
+    booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    // Unset when the system made the change (e.g. the pending-overlap policy)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    previous: { type: mongoose.Schema.Types.Mixed },
+    current: { type: mongoose.Schema.Types.Mixed },
+    comment: { type: String, trim: true },
+    // The auto-approval rule that approved the booking, for automatic approvals
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'AutoApprovalRule' },
+    at: { type: Date, default: Date.now }
+});
+
+bookingAuditSchema.index({ booking: 1, at: 1 });
+
+bookingAuditSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function () {
+        throw new Error('The booking audit log is append-only');
+    }
+);
+
+bookingAuditSchema.pre('save', function () {
+    if (!this.isNew) {
+        throw new Error('The booking audit log is append-only');
+    }
+});
+
+const BookingAudit = mongoose.model('BookingAudit', bookingAuditSchema);
+
+export default BookingAudit;
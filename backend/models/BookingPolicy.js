@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// Organization-wide booking rules. There is a single policy document; any
+// rule left unset is not enforced.
+const bookingPolicySchema = new mongoose.Schema({
+    maxDurationHours: { type: Number, min: 0 },
+    minNoticeHours: { type: Number, min: 0 },
+    maxAdvanceDays: { type: Number, min: 0 },
+    // "HH:mm" wall-clock bounds, in the organization's timezone, a booking
+    // must start and end within
+    allowedHoursStart: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    allowedHoursEnd: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/ },
+    blackoutDates: [{
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        reason: { type: String, trim: true }
+    }],
+    maxActiveBookingsPerUser: { type: Number, min: 0 },
+    // Handover gap required between consecutive bookings of a vehicle
+    bufferMinutes: { type: Number, min: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+const BookingPolicy = mongoose.model('BookingPolicy', bookingPolicySchema);
+
+export default BookingPolicy;
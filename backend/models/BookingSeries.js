@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+export const SERIES_STATUSES = ['active', 'cancelled'];
+
+// A recurring booking. Each occurrence is stored as its own Booking that
+// points back here, so occurrences can be approved or rejected one by one.
+const bookingSeriesSchema = new mongoose.Schema({
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true },
+    purpose: { type: String, required: true },
+    recurrence: {
+        frequency: { type: String, required: true },
+        interval: Number,
+        weekdays: [Number],
+        dates: [Date],
+        until: Date,
+        count: Number
+    },
+    status: { type: String, enum: SERIES_STATUSES, default: 'active' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+export default BookingSeries;
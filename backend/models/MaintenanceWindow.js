@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// A period when a vehicle is in for service and can't be booked. Recurring
+// windows are stored one document per occurrence, sharing a seriesId.
+const maintenanceWindowSchema = new mongoose.Schema({
+    vehicle: { type: mongoose.Schema.Types.ObjectId, ref: 'Vehicle', required: true },
+    reason: { type: String, required: true, trim: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    seriesId: { type: mongoose.Schema.Types.ObjectId },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+});
+
+maintenanceWindowSchema.index({ vehicle: 1, start: 1, end: 1 });
+
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+
+export default MaintenanceWindow;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+import { VEHICLE_TYPES } from './Vehicle.js';
+
+// What using a vehicle costs, for charging bookings back to cost centres. A
+// card with a vehicle type prices vehicles of that type; the card without
+// one prices every other vehicle. Rates left unset are not charged; see
+// lib/pricing.js for how they combine.
+const rateCardSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    vehicleType: { type: String, enum: VEHICLE_TYPES },
+    hourlyRate: { type: Number, min: 0 },
+    dailyRate: { type: Number, min: 0 },
+    // Charged on the distance between check-out and check-in
+    perKmRate: { type: Number, min: 0 },
+    // Charged per started hour late once a return is later than the grace period
+    latePenaltyPerHour: { type: Number, min: 0 },
+    lateGraceMinutes: { type: Number, min: 0 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date, default: Date.now },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// One card per vehicle type, and one default: a missing type indexes as null
+rateCardSchema.index({ vehicleType: 1 }, { unique: true });
+
+const RateCard = mongoose.model('RateCard', rateCardSchema);
+
+export default RateCard;
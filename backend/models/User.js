@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+export const USER_ROLES = ['user', 'admin'];
+
+// User Schema
+const userSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    role: { type: String, enum: USER_ROLES, default: 'user' },
+    // Team or department, e.g. "Field service"; auto-approval rules can target it
+    group: { type: String, trim: true },
+    // Cost centre the user's bookings are charged to unless they name another
+    costCentre: { type: String, trim: true },
+    // Secret in the user's calendar feed URLs; only loaded when asked for
+    calendarToken: { type: String, unique: true, sparse: true, select: false },
+    createdAt: { type: Date, default: Date.now }
+});
+
+// Never send the password hash or feed token back to clients
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.calendarToken;
+        return ret;
+    }
+});
+
+const User = mongoose.model('User', userSchema);
+
+export default User;
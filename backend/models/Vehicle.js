@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+export const VEHICLE_TYPES = ['motorbike', 'scooter', 'car', 'van', 'other'];
+
+// Vehicle Schema
+const vehicleSchema = new mongoose.Schema({
+    name: { type: String, required: true, trim: true },
+    type: { type: String, enum: VEHICLE_TYPES, default: 'motorbike' },
+    registration: { type: String, trim: true },
+    // Inactive vehicles stay on old bookings but can't be booked again
+    active: { type: Boolean, default: true },
+    // Last readings taken at check-in
+    odometer: { type: Number, min: 0 },
+    fuelLevel: { type: Number, min: 0, max: 100 },
+    // Mileage-based servicing, see lib/serviceReminders.js
+    serviceIntervalKm: { type: Number, min: 0 },
+    lastServiceOdometer: { type: Number, min: 0 },
+    lastServiceAt: Date,
+    // Reservation lock lease, see lib/vehicleLock.js
+    lockedUntil: { type: Date, select: false },
+    lockToken: { type: String, select: false },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+export default Vehicle;
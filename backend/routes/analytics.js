@@ -0,0 +1,160 @@
+import express from 'express';
+import Booking, { BOOKING_STATUSES } from '../models/Booking.js';
+import Vehicle from '../models/Vehicle.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { USAGE_STATUSES, utilizationByPeriod } from '../lib/analytics.js';
+import { parseInstant, ORG_TIMEZONE } from '../lib/timezone.js';
+import { sendError } from '../lib/errors.js';
+import { utilizationQuery, summaryQuery } from '../schemas/analytics.js';
+import { currentTime } from '../lib/clock.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_LIMIT = 5;
+
+router.use(requireAdmin);
+
+// Reads ?from&to (default: the last 30 days). Resolves to { error } or { from, to }.
+function readRange(query) {
+    const to = query.to ? parseInstant(query.to) : currentTime();
+    const from = query.from ? parseInstant(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    if (from >= to) {
+        return { error: 'Invalid date range' };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+        return { error: `Date range can span at most ${MAX_RANGE_DAYS} days` };
+    }
+    return { from, to };
+}
+
+// Percentage of booked hours per vehicle for each week or month in the range
+router.get('/utilization', validate({ query: utilizationQuery }), async (req, res) => {
+    try {
+        const { error, from, to } = readRange(req.query);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        const interval = req.query.interval || 'week';
+
+        const [vehicles, bookings] = await Promise.all([
+            Vehicle.find().sort({ name: 1 }),
+            Booking.find({
+                status: { $in: USAGE_STATUSES },
+                bookingTime: { $lt: to },
+                returnTime: { $gt: from }
+            }).select('vehicle bookingTime returnTime')
+        ]);
+
+        res.json({
+            from,
+            to,
+            interval,
+            vehicles: utilizationByPeriod(vehicles, bookings.filter((b) => b.vehicle), from, to, interval)
+        });
+    } catch (error) {
+        console.error('Error computing utilization:', error);
+        sendError(res, 500, 'Server error computing utilization');
+    }
+});
+
+// Counts, rates, timing and rankings for bookings starting in the range
+router.get('/summary', validate({ query: summaryQuery }), async (req, res) => {
+    try {
+        const { error, from, to } = readRange(req.query);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        // ?timezone=Area/City buckets the peak-hours heatmap in another wall time
+        const timezone = req.query.timezone || ORG_TIMEZONE;
+
+        const match = { bookingTime: { $gte: from, $lt: to } };
+        const durationHours = { $divide: [{ $subtract: ['$returnTime', '$bookingTime'] }, HOUR_MS] };
+
+        const [byStatus, timing, peakHours, topUsers, topPurposes] = await Promise.all([
+            Booking.aggregate([
+                { $match: match },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            Booking.aggregate([
+                { $match: match },
+                {
+                    $group: {
+                        _id: null,
+                        leadHours: { $avg: { $divide: [{ $subtract: ['$bookingTime', '$createdAt'] }, HOUR_MS] } },
+                        durationHours: { $avg: durationHours }
+                    }
+                }
+            ]),
+            Booking.aggregate([
+                { $match: { ...match, status: { $in: USAGE_STATUSES } } },
+                {
+                    $group: {
+                        _id: {
+                            day: { $dayOfWeek: { date: '$bookingTime', timezone } },
+                            hour: { $hour: { date: '$bookingTime', timezone } }
+                        },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]),
+            // Oldest first, so each user is labelled with the name on their
+            // latest booking and each purpose as it was first written
+            Booking.aggregate([
+                { $match: match },
+                { $sort: { createdAt: 1, _id: 1 } },
+                { $group: { _id: '$user', name: { $last: '$name' }, count: { $sum: 1 }, hours: { $sum: durationHours } } },
+                { $sort: { count: -1, hours: -1, _id: 1 } },
+                { $limit: TOP_LIMIT }
+            ]),
+            Booking.aggregate([
+                { $match: match },
+                { $sort: { createdAt: 1, _id: 1 } },
+                { $group: { _id: { $toLower: { $trim: { input: '$purpose' } } }, purpose: { $first: '$purpose' }, count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+                { $limit: TOP_LIMIT }
+            ])
+        ]);
+
+        const counts = Object.fromEntries(BOOKING_STATUSES.map((status) => [status, 0]));
+        byStatus.forEach((row) => {
+            counts[row._id] = row.count;
+        });
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+        // Share of decided requests that were approved; cancellations don't count
+        const approved = USAGE_STATUSES.reduce((sum, status) => sum + counts[status], 0);
+        const decided = approved + counts.rejected;
+
+        // heatmap[day][hour], day 0 = Sunday as in Date#getDay
+        const heatmap = Array.from({ length: 7 }, () => Array(24).fill(0));
+        peakHours.forEach((row) => {
+            heatmap[row._id.day - 1][row._id.hour] = row.count;
+        });
+
+        const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+        res.json({
+            from,
+            to,
+            timezone,
+            total,
+            counts,
+            approvalRate: decided > 0 ? round(approved / decided * 100) : null,
+            averageLeadHours: round(timing[0]?.leadHours),
+            averageDurationHours: round(timing[0]?.durationHours),
+            heatmap,
+            topUsers: topUsers.map((row) => ({ user: row._id, name: row.name, count: row.count, hours: round(row.hours) })),
+            topPurposes: topPurposes.map((row) => ({ purpose: row.purpose, count: row.count }))
+        });
+    } catch (error) {
+        console.error('Error computing booking summary:', error);
+        sendError(res, 500, 'Server error computing booking summary');
+    }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import User from '../models/User.js';
+import { requireAuth, signToken } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendError } from '../lib/errors.js';
+import { register, login } from '../schemas/auth.js';
+
+const router = express.Router();
+
+const BCRYPT_ROUNDS = 10;
+
+router.post('/register', validate({ body: register }), async (req, res) => {
+    try {
+        const { name, email, password } = req.body;
+
+        const existing = await User.exists({ email: email.toLowerCase().trim() });
+        if (existing) {
+            return sendError(res, 409, 'An account with that email already exists');
+        }
+
+        // The very first account bootstraps the system as its administrator
+        const isFirstUser = (await User.estimatedDocumentCount()) === 0;
+
+        const user = new User({
+            name,
+            email,
+            passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+            role: isFirstUser ? 'admin' : 'user'
+        });
+        const newUser = await user.save();
+
+        res.status(201).json({ token: signToken(newUser), user: newUser });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        sendError(res, 500, 'Server error registering user');
+    }
+});
+
+router.post('/login', validate({ body: login }), async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+        const passwordMatches = user && await bcrypt.compare(password, user.passwordHash);
+        if (!passwordMatches) {
+            return sendError(res, 401, 'Invalid email or password');
+        }
+
+        res.json({ token: signToken(user), user });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        sendError(res, 500, 'Server error logging in');
+    }
+});
+
+router.get('/me', requireAuth, (req, res) => {
+    res.json(req.user);
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import AutoApprovalRule from '../models/AutoApprovalRule.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendError } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { ruleCreate, ruleUpdate } from '../schemas/autoApproval.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const NUMERIC_CONDITIONS = ['maxDurationHours', 'minLeadHours', 'maxLeadHours'];
+const CLOCK_CONDITIONS = ['earliestStart', 'latestEnd'];
+
+// Turns a rule create or update, checked by its schema, into the fields to
+// $set/$unset; null or '' clears a condition so it matches any request.
+function readRuleInput(body) {
+    const $set = {};
+    const $unset = {};
+
+    if (body.name !== undefined) {
+        $set.name = body.name;
+    }
+    if (body.enabled !== undefined) {
+        $set.enabled = body.enabled;
+    }
+    if (body.roles !== undefined) {
+        $set.roles = [...new Set(body.roles)];
+    }
+    if (body.groups !== undefined) {
+        $set.groups = [...new Set(body.groups.map((group) => group.trim()).filter(Boolean))];
+    }
+
+    for (const field of [...NUMERIC_CONDITIONS, ...CLOCK_CONDITIONS]) {
+        const value = body[field];
+        if (value === null || value === '') {
+            $unset[field] = '';
+        } else if (value !== undefined) {
+            $set[field] = NUMERIC_CONDITIONS.includes(field) ? Number(value) : value;
+        }
+    }
+
+    return { $set, $unset };
+}
+
+// Rule as it will be stored, to check conditions that depend on each other
+function checkRule(rule) {
+    if (rule.minLeadHours != null && rule.maxLeadHours != null && rule.minLeadHours > rule.maxLeadHours) {
+        return 'Minimum lead time cannot exceed the maximum';
+    }
+    if (rule.earliestStart && rule.latestEnd && rule.earliestStart >= rule.latestEnd) {
+        return 'The latest end must be after the earliest start';
+    }
+    return null;
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const rules = await AutoApprovalRule.find().sort({ createdAt: 1 });
+        res.json(rules);
+    } catch (error) {
+        console.error('Error fetching auto-approval rules:', error);
+        sendError(res, 500, 'Server error fetching auto-approval rules');
+    }
+});
+
+router.post('/', validate({ body: ruleCreate }), async (req, res) => {
+    try {
+        const input = readRuleInput(req.body);
+        const error = checkRule(input.$set);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const rule = await AutoApprovalRule.create({ ...input.$set, updatedBy: req.user._id });
+        res.status(201).json(rule);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendError(res, 400, error.message);
+        }
+        console.error('Error creating auto-approval rule:', error);
+        sendError(res, 500, 'Server error creating auto-approval rule');
+    }
+});
+
+// Partial update; { enabled: false } switches a rule off without losing it
+router.patch('/:id', validate({ params: idParams, body: ruleUpdate }), async (req, res) => {
+    try {
+        const input = readRuleInput(req.body);
+        const existing = await AutoApprovalRule.findById(req.params.id);
+        if (!existing) {
+            return sendError(res, 404, 'Auto-approval rule not found');
+        }
+        const merged = { ...existing.toObject(), ...input.$set };
+        Object.keys(input.$unset).forEach((field) => delete merged[field]);
+        const error = checkRule(merged);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const rule = await AutoApprovalRule.findByIdAndUpdate(
+            existing._id,
+            {
+                $set: { ...input.$set, updatedBy: req.user._id, updatedAt: new Date() },
+                ...(Object.keys(input.$unset).length > 0 ? { $unset: input.$unset } : {})
+            },
+            { new: true, runValidators: true }
+        );
+        res.json(rule);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendError(res, 400, error.message);
+        }
+        console.error('Error updating auto-approval rule:', error);
+        sendError(res, 500, 'Server error updating auto-approval rule');
+    }
+});
+
+// Bookings a deleted rule approved keep its name in their history comment
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+    try {
+        const rule = await AutoApprovalRule.findById(req.params.id);
+        if (!rule) {
+            return sendError(res, 404, 'Auto-approval rule not found');
+        }
+        await rule.deleteOne();
+        res.json({ message: 'Auto-approval rule deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting auto-approval rule:', error);
+        sendError(res, 500, 'Server error deleting auto-approval rule');
+    }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+import express from 'express';
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import Vehicle from '../models/Vehicle.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { overlapQuery } from '../lib/conflicts.js';
+import { computeFreeWindows } from '../lib/availability.js';
+import { parseInstant } from '../lib/timezone.js';
+import { sendError, sendFieldError } from '../lib/errors.js';
+import { availabilityQuery } from '../schemas/availability.js';
+import { currentTime } from '../lib/clock.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 62;
+
+// Busy intervals and free windows per vehicle. Other users' bookings are
+// reduced to their interval and status so names and purposes don't leak.
+router.get('/', requireAuth, validate({ query: availabilityQuery }), async (req, res) => {
+    try {
+        const from = req.query.from ? parseInstant(req.query.from) : currentTime();
+        const to = req.query.to
+            ? parseInstant(req.query.to)
+            : new Date(from.getTime() + DEFAULT_RANGE_DAYS * DAY_MS);
+
+        if (from >= to) {
+            return sendFieldError(res, 'to', 'must be after from');
+        }
+        if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+            return sendError(res, 400, `Range cannot exceed ${MAX_RANGE_DAYS} days`);
+        }
+
+        const vehicleQuery = { active: true };
+        if (req.query.vehicle) {
+            vehicleQuery._id = req.query.vehicle;
+        }
+        const vehicles = await Vehicle.find(vehicleQuery).sort({ name: 1 });
+
+        const vehicleIds = vehicles.map((v) => v._id);
+        const [bookings, maintenance] = await Promise.all([
+            Booking.find({
+                vehicle: { $in: vehicleIds },
+                status: { $in: [...BLOCKING_STATUSES, 'pending'] },
+                ...overlapQuery(from, to)
+            }).sort({ bookingTime: 1 }),
+            MaintenanceWindow.find({
+                vehicle: { $in: vehicleIds },
+                start: { $lte: to },
+                end: { $gte: from }
+            }).sort({ start: 1 })
+        ]);
+
+        const result = vehicles.map((vehicle) => {
+            const busy = bookings
+                .filter((b) => b.vehicle.equals(vehicle._id))
+                .map((b) => ({
+                    start: b.bookingTime,
+                    end: b.returnTime,
+                    status: b.status,
+                    mine: Boolean(b.user?.equals(req.user._id))
+                }));
+            for (const window of maintenance.filter((m) => m.vehicle.equals(vehicle._id))) {
+                busy.push({ start: window.start, end: window.end, status: 'maintenance', mine: false });
+            }
+            busy.sort((a, b) => a.start - b.start);
+
+            // Pending requests don't block new ones, so only approved time is unavailable
+            const free = computeFreeWindows(from, to, busy.filter((b) => b.status !== 'pending'));
+
+            return {
+                vehicle: { _id: vehicle._id, name: vehicle.name, type: vehicle.type },
+                busy,
+                free
+            };
+        });
+
+        res.json({ from, to, vehicles: result });
+    } catch (error) {
+        console.error('Error fetching availability:', error);
+        sendError(res, 500, 'Server error fetching availability');
+    }
+});
+
+export default router;
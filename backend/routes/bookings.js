@@ -0,0 +1,744 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import Vehicle from '../models/Vehicle.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { bookingIpLimit, bookingUserLimit } from '../middleware/rateLimit.js';
+import { validateBookingInput, sendBookingInputError } from '../lib/bookingInput.js';
+import { approveBooking, releaseOverlapFlags } from '../lib/approval.js';
+import { getPolicy, checkPolicy, sendPolicyViolations, POLICY_CODES } from '../lib/policy.js';
+import { findBlockingIntervals } from '../lib/conflicts.js';
+import { suggestSlots } from '../lib/slotSuggestions.js';
+import { notify } from '../lib/notifications.js';
+import { publishBookings } from '../lib/events.js';
+import { recordAudit, snapshot, diffBooking, statusAudits, readComment } from '../lib/audit.js';
+import BookingAudit from '../models/BookingAudit.js';
+import { buildBookingFilter, buildBookingSort, readPage } from '../lib/bookingQuery.js';
+import { VehicleLockTimeoutError } from '../lib/vehicleLock.js';
+import { MAX_EXPORT_ROWS, bookingsToCsv, bookingsToXlsx } from '../lib/bookingExport.js';
+import { validateImport } from '../lib/bookingImport.js';
+import { ORG_TIMEZONE } from '../lib/timezone.js';
+import { promoteWaitlist, nextWaitlistPosition, WAITLIST_SORT } from '../lib/waitlist.js';
+import { autoApprove } from '../lib/autoApproval.js';
+import { estimateCost, finalCost, readCostCentre } from '../lib/pricing.js';
+import { sendError, fieldError, ERROR_CODES } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import {
+    BATCH_ACTIONS,
+    bookingListQuery,
+    bookingExportQuery,
+    bookingImportQuery,
+    vehicleQuery,
+    waitlistParams,
+    waitlistOrder,
+    bookingCreate,
+    bookingEdit,
+    batchAction,
+    statusChange,
+    tripLog,
+    deleteBody
+} from '../schemas/bookings.js';
+import { currentTime } from '../lib/clock.js';
+
+const router = express.Router();
+
+const VEHICLE_FIELDS = 'name type registration';
+
+// Statuses a user may still cancel from
+const CANCELLABLE_STATUSES = ['pending', 'approved', 'waitlisted'];
+
+// Statuses that hold or request a slot; leaving one of them may let the
+// vehicle's waitlist move up
+const SLOT_STATUSES = ['pending', 'approved', 'in_use'];
+
+// Optional ?vehicle=<id> narrows a booking list to one vehicle
+function vehicleFilter(req) {
+    return req.query.vehicle ? { vehicle: req.query.vehicle } : {};
+}
+
+function findBookingById(id) {
+    return mongoose.isValidObjectId(id) ? Booking.findById(id) : null;
+}
+
+// Loads a booking the current user may act on: its owner or any admin
+async function findOwnBooking(req) {
+    const booking = await findBookingById(req.params.id);
+    if (!booking) {
+        return null;
+    }
+    const isOwner = Boolean(booking.user?.equals(req.user._id));
+    return isOwner || req.user.role === 'admin' ? booking : null;
+}
+
+// Runs the booking policy for a validated create/edit. Resolves to the rules
+// the request breaks; an empty list means it is allowed.
+async function policyViolations(req, input, excludeId) {
+    return checkPolicy(await getPolicy(), {
+        vehicleId: input.vehicle._id,
+        userId: req.user._id,
+        start: input.bookingDateTime,
+        end: input.returnDateTime,
+        excludeId,
+        waitlisted: input.waitlisted
+    });
+}
+
+// Sends the 422 for a create/edit the policy refuses. Too little handover
+// time is a conflict like an overlap, so that one also gets the intervals too
+// close to the request and free slots nearby, as a 409 conflict does.
+async function sendRequestViolations(res, input, violations, excludeId) {
+    if (!violations.some((violation) => violation.code === POLICY_CODES.HANDOVER_BUFFER)) {
+        return sendPolicyViolations(res, violations);
+    }
+    const policy = await getPolicy();
+    const buffer = policy.bufferMinutes * 60 * 1000;
+    const start = input.bookingDateTime;
+    const end = input.returnDateTime;
+    const [conflicts, suggestions] = await Promise.all([
+        findBlockingIntervals(
+            input.vehicle._id,
+            new Date(start.getTime() - buffer),
+            new Date(end.getTime() + buffer),
+            { excludeId }
+        ),
+        suggestSlots(input.vehicle._id, start, end, { excludeId, policy })
+    ]);
+    return sendPolicyViolations(res, violations, { conflicts, suggestions });
+}
+
+// The trip log entry for a check-out/check-in body checked by the tripLog schema
+function readTripLog(body, req) {
+    return {
+        at: currentTime(),
+        odometer: Number(body.odometer),
+        fuelLevel: Number(body.fuelLevel),
+        notes: body.notes,
+        by: req.user._id
+    };
+}
+
+// Filtered, sorted and paged list for the admin table; see lib/bookingQuery.js
+// for the query parameters
+router.get('/', requireAdmin, validate({ query: bookingListQuery }), async (req, res) => {
+    try {
+        const { error, filter, withDeleted } = buildBookingFilter(req.query);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        const sort = buildBookingSort(req.query.sort);
+        if (!sort) {
+            return sendError(res, 400, 'Invalid sort field');
+        }
+        const { page, limit } = readPage(req.query);
+
+        const [bookings, total, overdueCount] = await Promise.all([
+            Booking.find(filter)
+                .setOptions({ withDeleted })
+                .populate('vehicle', VEHICLE_FIELDS)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Booking.countDocuments(filter).setOptions({ withDeleted }),
+            Booking.countDocuments({ status: { $in: BLOCKING_STATUSES }, returnTime: { $lt: currentTime() } })
+        ]);
+
+        res.json({
+            bookings,
+            total,
+            page,
+            limit,
+            pages: Math.max(1, Math.ceil(total / limit)),
+            overdueCount
+        });
+    } catch (error) {
+        console.error('Error fetching bookings:', error);
+        sendError(res, 500, 'Server error fetching bookings');
+    }
+});
+
+// Downloads the admin list as CSV or XLSX. Takes the same filters and sort as
+// GET / plus ?format=csv|xlsx and ?timezone=Area/City for the date columns
+// (default: the organization's timezone).
+router.get('/export', requireAdmin, validate({ query: bookingExportQuery }), async (req, res) => {
+    try {
+        const { error, filter, withDeleted } = buildBookingFilter(req.query);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+        const sort = buildBookingSort(req.query.sort);
+        if (!sort) {
+            return sendError(res, 400, 'Invalid sort field');
+        }
+        const format = req.query.format || 'csv';
+        const timezone = req.query.timezone || ORG_TIMEZONE;
+
+        const total = await Booking.countDocuments(filter).setOptions({ withDeleted });
+        if (total > MAX_EXPORT_ROWS) {
+            return sendError(res, 422, `${total} bookings match; narrow the filters to export at most ${MAX_EXPORT_ROWS}`);
+        }
+
+        const bookings = await Booking.find(filter)
+            .setOptions({ withDeleted })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .populate('user', 'email')
+            .sort(sort);
+
+        const filename = `bookings-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.attachment(filename);
+        if (format === 'xlsx') {
+            res.type('xlsx').send(await bookingsToXlsx(bookings, timezone));
+        } else {
+            res.type('text/csv; charset=utf-8').send(bookingsToCsv(bookings, timezone));
+        }
+    } catch (error) {
+        console.error('Error exporting bookings:', error);
+        sendError(res, 500, 'Server error exporting bookings');
+    }
+});
+
+// Creates pending bookings from a CSV sent as the text/csv request body.
+// Columns: vehicle (name, registration or id), email, purpose, bookingTime,
+// returnTime and optionally costCentre; an exported file works too. Every row is checked like
+// POST / and the response reports each row. Times without an offset are read
+// in ?timezone (default: the organization's). Nothing is saved unless
+// ?commit=true, and then only if every row is valid.
+router.post('/import', requireAdmin, validate({ query: bookingImportQuery }), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return sendError(res, 400, 'Send the CSV file as a text/csv request body');
+        }
+        const timezone = req.query.timezone || ORG_TIMEZONE;
+        const commit = req.query.commit === 'true';
+
+        const { error, rows, bookings } = await validateImport(req.body, timezone);
+        if (error) {
+            return sendError(res, 400, error);
+        }
+
+        const report = {
+            committed: false,
+            total: rows.length,
+            valid: bookings.length,
+            invalid: rows.length - bookings.length,
+            created: 0,
+            rows
+        };
+        if (!commit) {
+            return res.json(report);
+        }
+        if (report.invalid > 0) {
+            return sendError(res, 422, 'Fix the rows with errors first; nothing was imported', report);
+        }
+
+        const created = await Booking.insertMany(bookings);
+        await recordAudit(created.map((booking) => ({
+            booking: booking._id,
+            action: 'created',
+            actor: req.user._id,
+            current: snapshot(booking),
+            comment: 'Imported from CSV'
+        })));
+        // No "submitted" emails: the admin entered these, the users didn't
+        await publishBookings('created', created.map((booking) => booking._id));
+
+        res.status(201).json({ ...report, committed: true, created: created.length });
+    } catch (error) {
+        console.error('Error importing bookings:', error);
+        sendError(res, 500, 'Server error importing bookings');
+    }
+});
+
+// Waitlisted requests in queue order per vehicle; ?vehicle=<id> for one vehicle
+router.get('/waitlist', requireAdmin, validate({ query: vehicleQuery }), async (req, res) => {
+    try {
+        const bookings = await Booking.find({ status: 'waitlisted', ...vehicleFilter(req) })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .populate('user', 'email')
+            .sort({ vehicle: 1, ...WAITLIST_SORT });
+        res.json(bookings);
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        sendError(res, 500, 'Server error fetching waitlist');
+    }
+});
+
+// Reorders one vehicle's waitlist. The body lists every waitlisted booking
+// of the vehicle, first in line first: { order: [id, ...] }.
+router.put('/waitlist/:vehicleId', requireAdmin, validate({ params: waitlistParams, body: waitlistOrder }), async (req, res) => {
+    try {
+        const { order } = req.body;
+        const waiting = await Booking.find({ vehicle: req.params.vehicleId, status: 'waitlisted' });
+        const ids = order;
+        const sameSet = ids.length === waiting.length && new Set(ids).size === ids.length &&
+            waiting.every((booking) => ids.includes(String(booking._id)));
+        if (!sameSet) {
+            return sendError(res, 409, 'The waitlist has changed, reload it and try again');
+        }
+
+        const moved = waiting.filter((booking) => booking.waitlistPosition !== ids.indexOf(String(booking._id)) + 1);
+        if (moved.length > 0) {
+            await Booking.bulkWrite(moved.map((booking) => ({
+                updateOne: {
+                    filter: { _id: booking._id, status: 'waitlisted' },
+                    update: { waitlistPosition: ids.indexOf(String(booking._id)) + 1 }
+                }
+            })));
+        }
+        await recordAudit(moved.map((booking) => ({
+            booking: booking._id,
+            action: 'edited',
+            actor: req.user._id,
+            previous: { waitlistPosition: booking.waitlistPosition },
+            current: { waitlistPosition: ids.indexOf(String(booking._id)) + 1 },
+            comment: readComment(req.body)
+        })));
+        await publishBookings('updated', moved.map((booking) => booking._id));
+
+        const bookings = await Booking.find({ vehicle: req.params.vehicleId, status: 'waitlisted' })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .populate('user', 'email')
+            .sort(WAITLIST_SORT);
+        res.json(bookings);
+    } catch (error) {
+        console.error('Error reordering waitlist:', error);
+        sendError(res, 500, 'Server error reordering waitlist');
+    }
+});
+
+router.get('/approved', requireAuth, validate({ query: vehicleQuery }), async (req, res) => {
+    try {
+        const bookings = await Booking.find({ status: 'approved', ...vehicleFilter(req) })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .sort({ bookingTime: 1 });
+        res.json(bookings);
+    } catch (error) {
+        console.error('Error fetching approved bookings:', error);
+        sendError(res, 500, 'Server error fetching approved bookings');
+    }
+});
+
+router.get('/mine', requireAuth, async (req, res) => {
+    try {
+        const bookings = await Booking.find({ user: req.user._id })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .sort({ bookingTime: -1 });
+        res.json(bookings);
+    } catch (error) {
+        console.error('Error fetching user bookings:', error);
+        sendError(res, 500, 'Server error fetching your bookings');
+    }
+});
+
+// With "waitlist": true in the body, a slot another booking holds puts the
+// request on the vehicle's waitlist instead of failing. Requests matching an
+// enabled auto-approval rule are approved straight away. The response carries
+// the estimated cost when a rate card applies.
+router.post('/', bookingIpLimit, requireAuth, bookingUserLimit, validate({ body: bookingCreate }), async (req, res) => {
+    try {
+        const input = await validateBookingInput(req.body, { waitlist: req.body.waitlist === true, suggest: true });
+        if (input.error) {
+            return sendBookingInputError(res, input);
+        }
+
+        const violations = await policyViolations(req, input);
+        if (violations.length > 0) {
+            return sendRequestViolations(res, input, violations);
+        }
+
+        const booking = new Booking({
+            vehicle: input.vehicle._id,
+            user: req.user._id,
+            name: req.user.name,
+            purpose: input.purpose,
+            costCentre: readCostCentre(req.body, req.user),
+            bookingTime: input.bookingDateTime,
+            returnTime: input.returnDateTime,
+            estimatedCost: await estimateCost(input.vehicle, input.bookingDateTime, input.returnDateTime),
+            ...(input.waitlisted
+                ? { status: 'waitlisted', waitlistPosition: await nextWaitlistPosition(input.vehicle._id) }
+                : {})
+        });
+
+        const newBooking = await booking.save();
+        await recordAudit({
+            booking: newBooking._id,
+            action: 'created',
+            actor: req.user._id,
+            current: snapshot(newBooking)
+        });
+        const rule = input.waitlisted ? null : await autoApprove(newBooking, req.user);
+        if (rule) {
+            await notify('approved', newBooking._id);
+        } else {
+            await notify(input.waitlisted ? 'waitlisted' : 'submitted', newBooking._id);
+        }
+        await publishBookings('created', [newBooking._id]);
+
+        const created = await Booking.findById(newBooking._id).populate('vehicle', VEHICLE_FIELDS);
+        res.status(201).json(created);
+    } catch (error) {
+        console.error('Error creating booking:', error);
+        sendError(res, 500, 'Server error creating booking');
+    }
+});
+
+// Owners edit their own request while it is still pending
+router.put('/:id', requireAuth, validate({ params: idParams, body: bookingEdit }), async (req, res) => {
+    try {
+        const existing = await findBookingById(req.params.id);
+        if (!existing || !existing.user?.equals(req.user._id)) {
+            return sendError(res, 404, 'Booking not found');
+        }
+        if (existing.status !== 'pending') {
+            return sendError(res, 409, 'Only pending bookings can be edited', { code: ERROR_CODES.INVALID_STATE });
+        }
+
+        const input = await validateBookingInput(req.body, { excludeId: existing._id, suggest: true });
+        if (input.error) {
+            return sendBookingInputError(res, input);
+        }
+
+        const violations = await policyViolations(req, input, existing._id);
+        if (violations.length > 0) {
+            return sendRequestViolations(res, input, violations, existing._id);
+        }
+
+        const costCentre = readCostCentre(req.body, req.user);
+        const estimatedCost = await estimateCost(input.vehicle, input.bookingDateTime, input.returnDateTime);
+
+        // Guard on status so an approval that lands mid-edit isn't overwritten
+        const booking = await Booking.findOneAndUpdate(
+            { _id: existing._id, status: 'pending' },
+            {
+                $set: {
+                    vehicle: input.vehicle._id,
+                    purpose: input.purpose,
+                    bookingTime: input.bookingDateTime,
+                    returnTime: input.returnDateTime,
+                    conflictsWith: [],
+                    ...(costCentre ? { costCentre } : {}),
+                    ...(estimatedCost ? { estimatedCost } : {})
+                },
+                $unset: {
+                    ...(costCentre ? {} : { costCentre: '' }),
+                    ...(estimatedCost ? {} : { estimatedCost: '' })
+                }
+            },
+            { new: true }
+        ).populate('vehicle', VEHICLE_FIELDS);
+
+        if (!booking) {
+            return sendError(res, 409, 'Only pending bookings can be edited', { code: ERROR_CODES.INVALID_STATE });
+        }
+
+        await recordAudit({
+            booking: booking._id,
+            action: 'edited',
+            actor: req.user._id,
+            ...diffBooking(existing, booking, ['vehicle', 'purpose', 'costCentre', 'bookingTime', 'returnTime'])
+        });
+        await publishBookings('updated', [booking._id]);
+        await promoteWaitlist(existing.vehicle);
+        res.json(booking);
+    } catch (error) {
+        console.error('Error editing booking:', error);
+        sendError(res, 500, 'Server error editing booking');
+    }
+});
+
+// Applies a status change on behalf of `user`: admins may set any status,
+// owners may only cancel. Shared by PATCH /:id and the batch endpoint.
+// Resolves to {} on success or { status, code, error, conflicts } when refused.
+async function changeStatus(existing, status, user, comment) {
+    const isAdmin = user.role === 'admin';
+    const isOwner = Boolean(existing.user?.equals(user._id));
+
+    if (!isAdmin && !isOwner) {
+        return { status: 404, code: ERROR_CODES.NOT_FOUND, error: 'Booking not found' };
+    }
+    if (!isAdmin && status !== 'cancelled') {
+        return { status: 403, code: ERROR_CODES.FORBIDDEN, error: 'You do not have permission to do that' };
+    }
+    if (['in_use', 'completed'].includes(existing.status)) {
+        return {
+            status: 409,
+            code: ERROR_CODES.INVALID_STATE,
+            error: 'Bookings that have been checked out can no longer change status'
+        };
+    }
+    if (status === 'cancelled' && !CANCELLABLE_STATUSES.includes(existing.status)) {
+        return { status: 409, code: ERROR_CODES.INVALID_STATE, error: `A ${existing.status} booking cannot be cancelled` };
+    }
+    if (status === 'approved' && existing.status !== 'pending') {
+        return { status: 409, code: ERROR_CODES.INVALID_STATE, error: 'Only pending bookings can be approved' };
+    }
+
+    if (status === 'approved') {
+        if (!existing.vehicle) {
+            return { status: 409, code: ERROR_CODES.INVALID_STATE, error: 'Booking has no vehicle assigned' };
+        }
+
+        try {
+            const { conflicts, notPending } = await approveBooking(existing, { actor: user._id, comment });
+            if (notPending !== undefined) {
+                return { status: 409, code: ERROR_CODES.INVALID_STATE, error: 'Booking changed while approving, please retry' };
+            }
+            if (conflicts) {
+                return {
+                    status: 409,
+                    code: ERROR_CODES.BOOKING_CONFLICT,
+                    error: 'Booking overlaps an approved booking or maintenance for this vehicle',
+                    conflicts
+                };
+            }
+        } catch (error) {
+            if (error instanceof VehicleLockTimeoutError) {
+                return { status: 409, code: ERROR_CODES.VEHICLE_BUSY, error: 'Vehicle is busy, please retry' };
+            }
+            throw error;
+        }
+    } else {
+        // Guard on status so a change that landed since the booking was read isn't overwritten
+        const { matchedCount } = await Booking.updateOne({ _id: existing._id, status: existing.status }, { status });
+        if (matchedCount === 0) {
+            return { status: 409, code: ERROR_CODES.INVALID_STATE, error: 'Booking changed while updating, please retry' };
+        }
+        await recordAudit(statusAudits([existing], status, user._id, comment));
+        if (existing.status === 'approved') {
+            await releaseOverlapFlags(existing._id, user._id);
+        }
+    }
+
+    if (status !== existing.status && status !== 'pending') {
+        await notify(status, existing._id, { byAdmin: !isOwner, comment });
+    }
+    await publishBookings('updated', [existing._id]);
+    if (SLOT_STATUSES.includes(existing.status) && status !== 'approved') {
+        await promoteWaitlist(existing.vehicle);
+    }
+    return {};
+}
+
+// Soft delete: the booking disappears from every list and frees its slot,
+// but stays in the database with its audit trail
+async function softDeleteBooking(id, user, comment) {
+    const booking = mongoose.isValidObjectId(id)
+        ? await Booking.findOneAndUpdate(
+            { _id: id },
+            { deletedAt: currentTime(), deletedBy: user._id },
+            { new: true }
+        )
+        : null;
+    if (!booking) {
+        return { status: 404, code: ERROR_CODES.NOT_FOUND, error: 'Booking not found' };
+    }
+    await recordAudit({
+        booking: booking._id,
+        action: 'deleted',
+        actor: user._id,
+        current: { deletedAt: booking.deletedAt },
+        comment
+    });
+    if (booking.status === 'approved') {
+        await releaseOverlapFlags(booking._id, user._id);
+    }
+    // Let the owner know a booking they were still counting on is gone
+    if (CANCELLABLE_STATUSES.includes(booking.status) && booking.returnTime > currentTime()) {
+        await notify('cancelled', booking, { byAdmin: true, comment });
+    }
+    await publishBookings('deleted', [booking]);
+    if (SLOT_STATUSES.includes(booking.status)) {
+        await promoteWaitlist(booking.vehicle);
+    }
+    return {};
+}
+
+// Applies one action to many bookings, item by item, with the same checks as
+// the single-booking routes. Approvals run oldest request first and each goes
+// through the vehicle lock, so overlapping requests in one batch can't all win.
+router.post('/batch', requireAdmin, validate({ body: batchAction }), async (req, res) => {
+    try {
+        const { action, ids } = req.body;
+        const comment = readComment(req.body);
+
+        const uniqueIds = [...new Set(ids)];
+        const found = await Booking.find({ _id: { $in: uniqueIds.filter((id) => mongoose.isValidObjectId(id)) } })
+            .sort({ createdAt: 1 });
+        const missing = uniqueIds.filter((id) => !found.some((booking) => booking._id.equals(id)));
+
+        const results = missing.map((id) => ({ id, ok: false, code: ERROR_CODES.NOT_FOUND, error: 'Booking not found' }));
+        for (const booking of found) {
+            const { code, error, conflicts } = action === 'delete'
+                ? await softDeleteBooking(booking._id, req.user, comment)
+                : await changeStatus(booking, BATCH_ACTIONS[action], req.user, comment);
+            results.push(error
+                ? { id: String(booking._id), ok: false, code, error, ...(conflicts ? { conflicts } : {}) }
+                : { id: String(booking._id), ok: true });
+        }
+
+        const succeeded = results.filter((r) => r.ok).length;
+        res.json({ results, succeeded, failed: results.length - succeeded });
+    } catch (error) {
+        console.error('Error applying batch action:', error);
+        sendError(res, 500, 'Server error applying batch action');
+    }
+});
+
+router.patch('/:id', requireAuth, validate({ params: idParams, body: statusChange }), async (req, res) => {
+    try {
+        const existing = await findBookingById(req.params.id);
+        if (!existing) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        const refused = await changeStatus(existing, req.body.status, req.user, readComment(req.body));
+        if (refused.error) {
+            return sendError(res, refused.status, refused.error, {
+                code: refused.code,
+                ...(refused.conflicts ? { conflicts: refused.conflicts } : {})
+            });
+        }
+
+        const booking = await Booking.findById(existing._id)
+            .populate('vehicle', VEHICLE_FIELDS);
+        res.json(booking);
+    } catch (error) {
+        console.error('Error updating booking:', error);
+        sendError(res, 500, 'Server error updating booking');
+    }
+});
+
+router.post('/:id/check-out', requireAuth, validate({ params: idParams, body: tripLog }), async (req, res) => {
+    try {
+        const existing = await findOwnBooking(req);
+        if (!existing) {
+            return sendError(res, 404, 'Booking not found');
+        }
+        if (existing.status !== 'approved') {
+            return sendError(res, 409, 'Only approved bookings can be checked out', { code: ERROR_CODES.INVALID_STATE });
+        }
+
+        const log = readTripLog(req.body, req);
+        const vehicle = await Vehicle.findById(existing.vehicle);
+        if (vehicle?.odometer !== undefined && log.odometer < vehicle.odometer) {
+            const message = `Odometer reading is below the last recorded ${vehicle.odometer}`;
+            return sendError(res, 400, message, { errors: [fieldError('odometer', message)] });
+        }
+
+        const stillOut = await Booking.exists({ vehicle: existing.vehicle, status: 'in_use' });
+        if (stillOut) {
+            return sendError(res, 409, 'Vehicle has not been checked in from its previous booking', {
+                code: ERROR_CODES.INVALID_STATE
+            });
+        }
+
+        const booking = await Booking.findOneAndUpdate(
+            { _id: existing._id, status: 'approved' },
+            { status: 'in_use', checkOut: log },
+            { new: true }
+        ).populate('vehicle', VEHICLE_FIELDS);
+
+        if (!booking) {
+            return sendError(res, 409, 'Booking changed while checking out, please retry');
+        }
+        await recordAudit({
+            booking: booking._id,
+            action: 'checked_out',
+            actor: req.user._id,
+            previous: { status: 'approved' },
+            current: { status: 'in_use', checkOut: log }
+        });
+        await publishBookings('updated', [booking._id]);
+        res.json(booking);
+    } catch (error) {
+        console.error('Error checking out booking:', error);
+        sendError(res, 500, 'Server error checking out booking');
+    }
+});
+
+router.post('/:id/check-in', requireAuth, validate({ params: idParams, body: tripLog }), async (req, res) => {
+    try {
+        const existing = await findOwnBooking(req);
+        if (!existing) {
+            return sendError(res, 404, 'Booking not found');
+        }
+        if (existing.status !== 'in_use') {
+            return sendError(res, 409, 'Only bookings that are checked out can be checked in', {
+                code: ERROR_CODES.INVALID_STATE
+            });
+        }
+
+        const log = readTripLog(req.body, req);
+        if (log.odometer < existing.checkOut.odometer) {
+            const message = `Odometer reading is below the check-out reading of ${existing.checkOut.odometer}`;
+            return sendError(res, 400, message, { errors: [fieldError('odometer', message)] });
+        }
+
+        // Priced on the booked slot, the distance driven and any late return
+        const cost = await finalCost(existing, await Vehicle.findById(existing.vehicle), log);
+
+        const booking = await Booking.findOneAndUpdate(
+            { _id: existing._id, status: 'in_use' },
+            { status: 'completed', checkIn: log, ...(cost ? { finalCost: cost } : {}) },
+            { new: true }
+        ).populate('vehicle', VEHICLE_FIELDS);
+
+        if (!booking) {
+            return sendError(res, 409, 'Booking changed while checking in, please retry');
+        }
+
+        await Vehicle.updateOne(
+            { _id: existing.vehicle },
+            { odometer: log.odometer, fuelLevel: log.fuelLevel }
+        );
+        await recordAudit({
+            booking: booking._id,
+            action: 'checked_in',
+            actor: req.user._id,
+            previous: { status: 'in_use' },
+            current: { status: 'completed', checkIn: log }
+        });
+        await publishBookings('updated', [booking._id]);
+        // Returning early frees the rest of the slot
+        await promoteWaitlist(existing.vehicle);
+        res.json(booking);
+    } catch (error) {
+        console.error('Error checking in booking:', error);
+        sendError(res, 500, 'Server error checking in booking');
+    }
+});
+
+router.delete('/:id', requireAdmin, validate({ params: idParams, body: deleteBody }), async (req, res) => {
+    try {
+        const { status, code, error } = await softDeleteBooking(req.params.id, req.user, readComment(req.body));
+        if (error) {
+            return sendError(res, status, error, { code });
+        }
+        res.json({ message: 'Booking deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting booking:', error);
+        sendError(res, 500, 'Server error deleting booking');
+    }
+});
+
+// The audit trail of one booking, oldest first; deleted bookings included
+router.get('/:id/history', requireAuth, validate({ params: idParams }), async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id).setOptions({ withDeleted: true });
+        const isOwner = Boolean(booking?.user?.equals(req.user._id));
+        if (!booking || (!isOwner && req.user.role !== 'admin')) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        const history = await BookingAudit.find({ booking: booking._id })
+            .populate('actor', 'name email')
+            .sort({ at: 1 });
+        res.json(history);
+    } catch (error) {
+        console.error('Error fetching booking history:', error);
+        sendError(res, 500, 'Server error fetching booking history');
+    }
+});
+
+export default router;
@@ -0,0 +1,141 @@
+import express from 'express';
+import crypto from 'crypto';
+import Booking from '../models/Booking.js';
+import Vehicle from '../models/Vehicle.js';
+import User from '../models/User.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { bookingFeed, bookingCalendar } from '../lib/calendarFeed.js';
+import { sendError, ERROR_CODES } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+
+const router = express.Router();
+
+const ownTitle = (booking) => `${booking.vehicle?.name || 'Vehicle'}: ${booking.purpose}`;
+
+// On a vehicle feed other users' bookings only show that the vehicle is
+// taken, as availability does; the feed owner's own keep their details
+const isViewers = (viewer) => (booking) => Boolean(booking.user?.equals(viewer._id));
+const vehicleTitle = (viewer) => (booking) => (isViewers(viewer)(booking)
+    ? ownTitle(booking)
+    : `Booked (${booking.status.replace('_', ' ')})`);
+
+function newToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+function feedPaths(token) {
+    return {
+        bookings: `/api/calendar/feeds/${token}/bookings.ics`,
+        vehicles: `/api/calendar/feeds/${token}/vehicles/`
+    };
+}
+
+function sendCalendar(res, calendar, filename) {
+    res.type('text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(calendar);
+}
+
+// Calendar apps can't send a bearer token, so feeds authenticate with the
+// secret token in their URL instead
+async function userFromFeedToken(req, res, next) {
+    try {
+        const user = /^[0-9a-f]{48}$/.test(req.params.token)
+            ? await User.findOne({ calendarToken: req.params.token })
+            : null;
+        if (!user) {
+            return sendError(res, 404, 'Calendar feed not found');
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Error checking calendar token:', error);
+        sendError(res, 500, 'Server error loading calendar feed');
+    }
+}
+
+// The current user's feed URLs, creating the token on first use
+router.get('/token', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarToken');
+        if (!user.calendarToken) {
+            user.calendarToken = newToken();
+            await user.save();
+        }
+        res.json(feedPaths(user.calendarToken));
+    } catch (error) {
+        console.error('Error fetching calendar token:', error);
+        sendError(res, 500, 'Server error fetching calendar token');
+    }
+});
+
+// Replaces the token; subscriptions using the old URLs stop updating
+router.post('/token', requireAuth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+calendarToken');
+        user.calendarToken = newToken();
+        await user.save();
+        res.json(feedPaths(user.calendarToken));
+    } catch (error) {
+        console.error('Error resetting calendar token:', error);
+        sendError(res, 500, 'Server error resetting calendar token');
+    }
+});
+
+// Everything the token's owner has booked
+router.get('/feeds/:token/bookings.ics', userFromFeedToken, async (req, res) => {
+    try {
+        const calendar = await bookingFeed({ user: req.user._id }, {
+            name: 'My vehicle bookings',
+            summary: ownTitle
+        });
+        sendCalendar(res, calendar, 'my-bookings.ics');
+    } catch (error) {
+        console.error('Error building booking feed:', error);
+        sendError(res, 500, 'Server error building calendar feed');
+    }
+});
+
+// When a vehicle is taken, for any signed-up user
+router.get('/feeds/:token/vehicles/:id.ics', userFromFeedToken, validate({ params: idParams.passthrough() }), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle) {
+            return sendError(res, 404, 'Vehicle not found');
+        }
+        const calendar = await bookingFeed({ vehicle: vehicle._id }, {
+            name: `${vehicle.name} bookings`,
+            summary: vehicleTitle(req.user),
+            showPurpose: isViewers(req.user)
+        });
+        sendCalendar(res, calendar, `vehicle-${vehicle._id}.ics`);
+    } catch (error) {
+        console.error('Error building vehicle feed:', error);
+        sendError(res, 500, 'Server error building calendar feed');
+    }
+});
+
+// One booking as a file to open in a calendar app, for its owner or an admin
+router.get('/bookings/:id.ics', requireAuth, validate({ params: idParams }), async (req, res) => {
+    try {
+        const booking = await Booking.findById(req.params.id).setOptions({ withDeleted: true });
+        const isOwner = Boolean(booking?.user?.equals(req.user._id));
+        if (!booking || (!isOwner && req.user.role !== 'admin')) {
+            return sendError(res, 404, 'Booking not found');
+        }
+
+        const calendar = await bookingCalendar(booking, { summary: ownTitle });
+        if (!calendar) {
+            return sendError(res, 409, 'Only approved bookings can be added to a calendar', {
+                code: ERROR_CODES.INVALID_STATE
+            });
+        }
+        sendCalendar(res, calendar, `booking-${booking._id}.ics`);
+    } catch (error) {
+        console.error('Error building booking calendar:', error);
+        sendError(res, 500, 'Server error building booking calendar');
+    }
+});
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { ORG_TIMEZONE } from '../lib/timezone.js';
+import { CURRENCY } from '../lib/pricing.js';
+
+const router = express.Router();
+
+// Settings the client needs before rendering anything; public, nothing secret
+router.get('/', (req, res) => {
+    res.json({ timezone: ORG_TIMEZONE, currency: CURRENCY });
+});
+
+export default router;
@@ -0,0 +1,25 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { API_ROUTES } from './index.js';
+import { buildOpenApi } from '../lib/openapi.js';
+
+const router = express.Router();
+
+// Built on first use; the routes can't change while the server runs
+let document = null;
+
+function openApiDocument() {
+    if (!document) {
+        document = buildOpenApi(API_ROUTES);
+    }
+    return document;
+}
+
+router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument());
+});
+
+// Interactive viewer; "Authorize" takes a token from POST /api/auth/login
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, { swaggerOptions: { url: '/api/docs/openapi.json' } }));
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { subscribe } from '../lib/events.js';
+import { eventStreamQuery } from '../schemas/events.js';
+import config from '../lib/config.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// EventSource can't send headers, so the stream takes the token as ?token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers.authorization && typeof req.query.token === 'string') {
+        req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+}
+
+// Admins and owners get the whole booking; other users only see approved
+// bookings (as GET /api/bookings/approved does) and otherwise just the status,
+// enough to drop a booking from their approved list.
+function eventFor(user, { type, booking }) {
+    const isOwner = String(booking.user) === String(user._id);
+    if (user.role === 'admin' || isOwner || booking.status === 'approved') {
+        return { type, booking };
+    }
+    return { type, booking: { _id: booking._id, status: booking.status } };
+}
+
+router.get('/', validate({ query: eventStreamQuery }), tokenFromQuery, requireAuth, (req, res) => {
+    // 204 makes EventSource stop reconnecting; the client falls back to polling
+    if (config.realtimeTransport !== 'sse') {
+        return res.status(204).end();
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const unsubscribe = subscribe((event) => {
+        res.write(`event: booking\ndata: ${JSON.stringify(eventFor(req.user, event))}\n\n`);
+    });
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+export default router;
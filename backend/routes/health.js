@@ -0,0 +1,16 @@
+import express from 'express';
+import mongoose from 'mongoose';
+
+const router = express.Router();
+
+// Answers without a database connection; see createApp in app.js
+router.get('/', (req, res) => {
+    const dbStatus = mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected';
+    res.json({
+        status: 'OK',
+        database: dbStatus,
+        timestamp: new Date().toISOString()
+    });
+});
+
+export default router;
@@ -0,0 +1,40 @@
+import healthRoutes from './health.js';
+import vehicleRoutes from './vehicles.js';
+import authRoutes from './auth.js';
+import userRoutes from './users.js';
+import bookingRoutes from './bookings.js';
+import seriesRoutes from './series.js';
+import availabilityRoutes from './availability.js';
+import maintenanceRoutes from './maintenance.js';
+import policyRoutes from './policy.js';
+import jobRoutes from './jobs.js';
+import eventRoutes from './events.js';
+import analyticsRoutes from './analytics.js';
+import calendarRoutes from './calendar.js';
+import configRoutes from './config.js';
+import autoApprovalRoutes from './autoApproval.js';
+import rateCardRoutes from './rateCards.js';
+import statementRoutes from './statements.js';
+
+// Every API router and the path it is mounted at, in mounting order. app.js
+// mounts them and lib/openapi.js documents them from this list, so a router
+// added here shows up in both.
+export const API_ROUTES = [
+    ['/api/health', healthRoutes],
+    ['/api/auth', authRoutes],
+    ['/api/users', userRoutes],
+    ['/api/vehicles', vehicleRoutes],
+    ['/api/bookings/series', seriesRoutes],
+    ['/api/bookings', bookingRoutes],
+    ['/api/availability', availabilityRoutes],
+    ['/api/maintenance', maintenanceRoutes],
+    ['/api/policy', policyRoutes],
+    ['/api/auto-approval-rules', autoApprovalRoutes],
+    ['/api/rate-cards', rateCardRoutes],
+    ['/api/statements', statementRoutes],
+    ['/api/jobs', jobRoutes],
+    ['/api/events', eventRoutes],
+    ['/api/analytics', analyticsRoutes],
+    ['/api/calendar', calendarRoutes],
+    ['/api/config', configRoutes]
+];
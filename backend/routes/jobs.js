@@ -0,0 +1,31 @@
+import express from 'express';
+import { requireAdmin } from '../middleware/auth.js';
+import { runReminders } from '../lib/reminderJob.js';
+import { sendError } from '../lib/errors.js';
+import config from '../lib/config.js';
+
+const router = express.Router();
+
+// A scheduler authenticates with `Authorization: Bearer <CRON_SECRET>`;
+// anything else falls through to the admin-only route below.
+function fromScheduler(req, res, next) {
+    if (config.cronSecret && req.headers.authorization === `Bearer ${config.cronSecret}`) {
+        return next();
+    }
+    return next('route');
+}
+
+async function sendReminders(req, res) {
+    try {
+        const sent = await runReminders();
+        res.json(sent);
+    } catch (error) {
+        console.error('Error running reminder job:', error);
+        sendError(res, 500, 'Server error running reminder job');
+    }
+}
+
+router.get('/reminders', fromScheduler, sendReminders);
+router.get('/reminders', requireAdmin, sendReminders);
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import Vehicle from '../models/Vehicle.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { overlapQuery, describeConflict } from '../lib/conflicts.js';
+import { validateRecurrence, expandRecurrence } from '../lib/recurrence.js';
+import { serviceStatus } from '../lib/serviceReminders.js';
+import { withVehicleLock, VehicleLockTimeoutError } from '../lib/vehicleLock.js';
+import { parseInstant } from '../lib/timezone.js';
+import { promoteWaitlist } from '../lib/waitlist.js';
+import { sendError, fieldError, ERROR_CODES } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { maintenanceListQuery, maintenanceCreate, maintenanceDeleteQuery } from '../schemas/maintenance.js';
+import { currentTime } from '../lib/clock.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/', validate({ query: maintenanceListQuery }), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.vehicle) {
+            filter.vehicle = req.query.vehicle;
+        }
+        // Upcoming and ongoing windows unless asked for the full history
+        if (req.query.all !== 'true') {
+            filter.end = { $gte: currentTime() };
+        }
+        const windows = await MaintenanceWindow.find(filter)
+            .populate('vehicle', 'name type registration')
+            .sort({ start: 1 });
+        res.json(windows);
+    } catch (error) {
+        console.error('Error fetching maintenance windows:', error);
+        sendError(res, 500, 'Server error fetching maintenance windows');
+    }
+});
+
+// Vehicles whose mileage since the last service is near or past the interval
+router.get('/reminders', async (req, res) => {
+    try {
+        const vehicles = await Vehicle.find({ active: true, serviceIntervalKm: { $gt: 0 } }).sort({ name: 1 });
+        const reminders = vehicles
+            .map((vehicle) => ({ vehicle, ...serviceStatus(vehicle) }))
+            .filter((reminder) => reminder.dueSoon);
+        res.json(reminders);
+    } catch (error) {
+        console.error('Error fetching service reminders:', error);
+        sendError(res, 500, 'Server error fetching service reminders');
+    }
+});
+
+router.post('/', validate({ body: maintenanceCreate }), async (req, res) => {
+    try {
+        const { vehicle: vehicleId, reason, start, end, recurrence } = req.body;
+
+        const vehicle = await Vehicle.findById(vehicleId);
+        if (!vehicle) {
+            return sendError(res, 400, 'Vehicle not found', { errors: [fieldError('vehicle', 'Vehicle not found')] });
+        }
+
+        const startDate = parseInstant(start);
+        const endDate = parseInstant(end);
+        let occurrences = [{ bookingTime: startDate, returnTime: endDate }];
+        if (recurrence) {
+            const ruleError = validateRecurrence(recurrence);
+            if (ruleError) {
+                return sendError(res, 400, ruleError, { errors: [fieldError('recurrence', ruleError)] });
+            }
+            occurrences = expandRecurrence(startDate, endDate, recurrence);
+        }
+
+        const seriesId = occurrences.length > 1 ? new mongoose.Types.ObjectId() : undefined;
+
+        // Hold the vehicle lock so an approval can't slip into a window being created
+        const { windows, affected } = await withVehicleLock(vehicle._id, async () => {
+            const windows = await MaintenanceWindow.insertMany(occurrences.map((o) => ({
+                vehicle: vehicle._id,
+                reason,
+                start: o.bookingTime,
+                end: o.returnTime,
+                seriesId,
+                createdBy: req.user._id
+            })));
+
+            // Bookings already holding this time are left for the admin to resolve
+            const affected = await Booking.find({
+                vehicle: vehicle._id,
+                status: { $in: [...BLOCKING_STATUSES, 'pending'] },
+                $or: occurrences.map((o) => overlapQuery(o.bookingTime, o.returnTime))
+            }).sort({ bookingTime: 1 });
+
+            return { windows, affected };
+        });
+
+        res.status(201).json({
+            windows,
+            affectedBookings: affected.map((b) => ({ ...describeConflict(b), status: b.status }))
+        });
+    } catch (error) {
+        if (error instanceof VehicleLockTimeoutError) {
+            return sendError(res, 409, 'Vehicle is busy, please retry', { code: ERROR_CODES.VEHICLE_BUSY });
+        }
+        console.error('Error creating maintenance window:', error);
+        sendError(res, 500, 'Server error creating maintenance window');
+    }
+});
+
+// ?scope=series also removes the later windows of a recurring schedule
+router.delete('/:id', validate({ params: idParams, query: maintenanceDeleteQuery }), async (req, res) => {
+    try {
+        const window = await MaintenanceWindow.findById(req.params.id);
+        if (!window) {
+            return sendError(res, 404, 'Maintenance window not found');
+        }
+
+        if (req.query.scope === 'series' && window.seriesId) {
+            const result = await MaintenanceWindow.deleteMany({
+                seriesId: window.seriesId,
+                start: { $gte: window.start }
+            });
+            await promoteWaitlist(window.vehicle);
+            return res.json({ message: `${result.deletedCount} maintenance windows deleted` });
+        }
+
+        await window.deleteOne();
+        await promoteWaitlist(window.vehicle);
+        res.json({ message: 'Maintenance window deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting maintenance window:', error);
+        sendError(res, 500, 'Server error deleting maintenance window');
+    }
+});
+
+export default router;
@@ -0,0 +1,72 @@
+import express from 'express';
+import BookingPolicy from '../models/BookingPolicy.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { getPolicy } from '../lib/policy.js';
+import { parseInstant } from '../lib/timezone.js';
+import { sendError } from '../lib/errors.js';
+import { policyUpdate } from '../schemas/policy.js';
+
+const router = express.Router();
+
+const NUMERIC_RULES = ['maxDurationHours', 'minNoticeHours', 'maxAdvanceDays', 'maxActiveBookingsPerUser', 'bufferMinutes'];
+const CLOCK_RULES = ['allowedHoursStart', 'allowedHoursEnd'];
+
+// Turns a policy update, checked by its schema, into the fields to
+// $set/$unset; null or '' clears a rule so it is no longer enforced.
+function readPolicyUpdate(body) {
+    const $set = {};
+    const $unset = {};
+
+    for (const field of [...NUMERIC_RULES, ...CLOCK_RULES]) {
+        const value = body[field];
+        if (value === null || value === '') {
+            $unset[field] = '';
+        } else if (value !== undefined) {
+            $set[field] = NUMERIC_RULES.includes(field) ? Number(value) : value;
+        }
+    }
+
+    if (body.blackoutDates !== undefined) {
+        $set.blackoutDates = body.blackoutDates.map((blackout) => ({
+            start: parseInstant(blackout.start),
+            end: parseInstant(blackout.end),
+            reason: blackout.reason
+        }));
+    }
+
+    return { $set, $unset };
+}
+
+router.get('/', requireAuth, async (req, res) => {
+    try {
+        res.json(await getPolicy());
+    } catch (error) {
+        console.error('Error fetching booking policy:', error);
+        sendError(res, 500, 'Server error fetching booking policy');
+    }
+});
+
+router.put('/', requireAdmin, validate({ body: policyUpdate }), async (req, res) => {
+    try {
+        const update = readPolicyUpdate(req.body);
+
+        const policy = await BookingPolicy.findOneAndUpdate(
+            {},
+            {
+                $set: { ...update.$set, updatedBy: req.user._id, updatedAt: new Date() },
+                ...(Object.keys(update.$unset).length > 0 ? { $unset: update.$unset } : {})
+            },
+            { upsert: true, new: true, runValidators: true }
+        );
+        res.json(policy);
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendError(res, 400, error.message);
+        }
+        console.error('Error updating booking policy:', error);
+        sendError(res, 500, 'Server error updating booking policy');
+    }
+});
+
+export default router;
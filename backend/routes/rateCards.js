@@ -0,0 +1,114 @@
+import express from 'express';
+import RateCard from '../models/RateCard.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendError } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { rateCardCreate, rateCardUpdate } from '../schemas/rateCards.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+const RATES = ['hourlyRate', 'dailyRate', 'perKmRate', 'latePenaltyPerHour', 'lateGraceMinutes'];
+
+// Turns a card create or update, checked by its schema, into the fields to
+// $set/$unset; null or '' clears a rate, or the vehicle type to make the
+// card the default.
+function readCardInput(body) {
+    const $set = {};
+    const $unset = {};
+
+    if (body.name !== undefined) {
+        $set.name = body.name;
+    }
+    for (const field of ['vehicleType', ...RATES]) {
+        const value = body[field];
+        if (value === null || value === '') {
+            $unset[field] = '';
+        } else if (value !== undefined) {
+            $set[field] = RATES.includes(field) ? Number(value) : value;
+        }
+    }
+
+    return { $set, $unset };
+}
+
+// 409 for a second card on the same vehicle type, or a second default
+function sendDuplicateCard(res, vehicleType) {
+    return sendError(res, 409, vehicleType
+        ? `There is already a rate card for ${vehicleType} vehicles`
+        : 'There is already a default rate card');
+}
+
+router.get('/', async (req, res) => {
+    try {
+        const cards = await RateCard.find().sort({ vehicleType: 1, name: 1 });
+        res.json(cards);
+    } catch (error) {
+        console.error('Error fetching rate cards:', error);
+        sendError(res, 500, 'Server error fetching rate cards');
+    }
+});
+
+router.post('/', validate({ body: rateCardCreate }), async (req, res) => {
+    const input = readCardInput(req.body);
+    try {
+        const card = await RateCard.create({ ...input.$set, updatedBy: req.user._id });
+        res.status(201).json(card);
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendDuplicateCard(res, input.$set.vehicleType);
+        }
+        if (error.name === 'ValidationError') {
+            return sendError(res, 400, error.message);
+        }
+        console.error('Error creating rate card:', error);
+        sendError(res, 500, 'Server error creating rate card');
+    }
+});
+
+// Partial update. Bookings already priced keep their cost; the new rates
+// apply to requests from now on and to the final cost of trips checked in.
+router.patch('/:id', validate({ params: idParams, body: rateCardUpdate }), async (req, res) => {
+    const input = readCardInput(req.body);
+    try {
+        const card = await RateCard.findByIdAndUpdate(
+            req.params.id,
+            {
+                $set: { ...input.$set, updatedBy: req.user._id, updatedAt: new Date() },
+                ...(Object.keys(input.$unset).length > 0 ? { $unset: input.$unset } : {})
+            },
+            { new: true, runValidators: true }
+        );
+        if (!card) {
+            return sendError(res, 404, 'Rate card not found');
+        }
+        res.json(card);
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendDuplicateCard(res, input.$set.vehicleType);
+        }
+        if (error.name === 'ValidationError') {
+            return sendError(res, 400, error.message);
+        }
+        console.error('Error updating rate card:', error);
+        sendError(res, 500, 'Server error updating rate card');
+    }
+});
+
+// Priced bookings keep the card's name in their cost
+router.delete('/:id', validate({ params: idParams }), async (req, res) => {
+    try {
+        const card = await RateCard.findByIdAndDelete(req.params.id);
+        if (!card) {
+            return sendError(res, 404, 'Rate card not found');
+        }
+        res.json({ message: 'Rate card deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting rate card:', error);
+        sendError(res, 500, 'Server error deleting rate card');
+    }
+});
+
+export default router;
@@ -0,0 +1,285 @@
+import express from 'express';
+import Booking, { BLOCKING_STATUSES } from '../models/Booking.js';
+import BookingSeries from '../models/BookingSeries.js';
+import { requireAuth } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { bookingIpLimit, bookingUserLimit } from '../middleware/rateLimit.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { bookingInterval, maintenanceInterval, intervalsOverlap, overlapQuery } from '../lib/conflicts.js';
+import { validateBookingInput, sendBookingInputError } from '../lib/bookingInput.js';
+import { validateRecurrence, expandRecurrence } from '../lib/recurrence.js';
+import { approveBooking, releaseOverlapFlags } from '../lib/approval.js';
+import {
+    getPolicy,
+    checkIntervalPolicy,
+    countActiveBookings,
+    activeLimitViolation,
+    bufferViolation,
+    sendPolicyViolations
+} from '../lib/policy.js';
+import { VehicleLockTimeoutError } from '../lib/vehicleLock.js';
+import { notify } from '../lib/notifications.js';
+import { publishBookings } from '../lib/events.js';
+import { recordAudit, snapshot, statusAudits, readComment } from '../lib/audit.js';
+import { promoteWaitlist } from '../lib/waitlist.js';
+import { loadRateCards, rateCardFor, priceBooking, readCostCentre } from '../lib/pricing.js';
+import { sendError, sendFieldError, fieldError, ERROR_CODES } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { seriesCreate, seriesStatus } from '../schemas/bookings.js';
+import { currentTime } from '../lib/clock.js';
+
+const router = express.Router();
+
+const VEHICLE_FIELDS = 'name type registration';
+
+// Loads a series the current user may see: its owner or any admin
+async function findVisibleSeries(req) {
+    const series = await BookingSeries.findById(req.params.id);
+    if (!series) {
+        return null;
+    }
+    const isOwner = series.user.equals(req.user._id);
+    return isOwner || req.user.role === 'admin' ? series : null;
+}
+
+// Pairs every generated occurrence with the bookings and maintenance blocking it,
+// as blocking intervals that don't say whose booking it is, and with the
+// booking-policy rules it breaks
+async function conflictReport(vehicleId, occurrences, policy) {
+    const buffer = (policy.bufferMinutes || 0) * 60 * 1000;
+    const first = new Date(occurrences[0].bookingTime.getTime() - buffer);
+    const last = new Date(occurrences[occurrences.length - 1].returnTime.getTime() + buffer);
+    const [bookings, maintenance] = await Promise.all([
+        Booking.find({
+            vehicle: vehicleId,
+            status: { $in: BLOCKING_STATUSES },
+            ...overlapQuery(first, last)
+        }),
+        MaintenanceWindow.find({ vehicle: vehicleId, start: { $lte: last }, end: { $gte: first } })
+    ]);
+    const blocking = [...bookings.map(bookingInterval), ...maintenance.map(maintenanceInterval)];
+    const now = currentTime();
+
+    return occurrences.map((occurrence) => {
+        const conflicts = blocking.filter((b) =>
+            intervalsOverlap(b.start, b.end, occurrence.bookingTime, occurrence.returnTime));
+        const violations = checkIntervalPolicy(policy, occurrence.bookingTime, occurrence.returnTime, now);
+
+        const tooClose = buffer > 0 && conflicts.length === 0 && blocking.some((b) => intervalsOverlap(
+            b.start, b.end,
+            new Date(occurrence.bookingTime.getTime() - buffer), new Date(occurrence.returnTime.getTime() + buffer)));
+        if (tooClose) {
+            violations.push(bufferViolation(policy));
+        }
+
+        return { ...occurrence, conflicts, violations };
+    });
+}
+
+// Moves each booking to `status` only if it is still in the status it was read
+// in, and resolves to the ones that moved. One approved, rejected or cancelled
+// by someone else since the read keeps that change and gets no audit entry
+// or email from this one.
+async function changeStatuses(bookings, status) {
+    const changed = [];
+    for (const booking of bookings) {
+        const { matchedCount } = await Booking.updateOne({ _id: booking._id, status: booking.status }, { status });
+        if (matchedCount > 0) {
+            changed.push(booking);
+        }
+    }
+    return changed;
+}
+
+router.post('/', bookingIpLimit, requireAuth, bookingUserLimit, validate({ body: seriesCreate }), async (req, res) => {
+    try {
+        const input = await validateBookingInput(req.body, { checkConflicts: false });
+        if (input.error) {
+            return sendBookingInputError(res, input);
+        }
+
+        const { recurrence, skipConflicts } = req.body;
+        const ruleError = validateRecurrence(recurrence);
+        if (ruleError) {
+            return sendError(res, 400, ruleError, { errors: [fieldError('recurrence', ruleError)] });
+        }
+
+        const occurrences = expandRecurrence(input.bookingDateTime, input.returnDateTime, recurrence);
+        if (occurrences.length === 0) {
+            return sendFieldError(res, 'recurrence', 'does not produce any occurrences');
+        }
+
+        const policy = await getPolicy();
+        const report = await conflictReport(input.vehicle._id, occurrences, policy);
+        const isFree = (o) => o.conflicts.length === 0 && o.violations.length === 0;
+        const free = report.filter(isFree);
+        const conflicting = report.length - free.length;
+
+        // Unless the user opted to skip them, any conflict blocks the whole series
+        // so they can see the full report before anything is booked.
+        if (conflicting > 0 && (!skipConflicts || free.length === 0)) {
+            return sendError(res, 409,
+                `${conflicting} of ${report.length} occurrences conflict with existing bookings or the booking policy`,
+                { code: ERROR_CODES.BOOKING_CONFLICT, occurrences: report });
+        }
+
+        // Every occurrence counts towards the per-user cap on active bookings
+        if (policy.maxActiveBookingsPerUser &&
+            await countActiveBookings(req.user._id) + free.length > policy.maxActiveBookingsPerUser) {
+            return sendPolicyViolations(res, [activeLimitViolation(policy)]);
+        }
+
+        const series = await new BookingSeries({
+            vehicle: input.vehicle._id,
+            user: req.user._id,
+            name: req.user.name,
+            purpose: input.purpose,
+            recurrence
+        }).save();
+
+        const rateCard = rateCardFor(await loadRateCards(), input.vehicle);
+        const costCentre = readCostCentre(req.body, req.user);
+        const created = await Booking.insertMany(free.map((o) => ({
+            vehicle: input.vehicle._id,
+            user: req.user._id,
+            name: req.user.name,
+            purpose: input.purpose,
+            costCentre,
+            bookingTime: o.bookingTime,
+            returnTime: o.returnTime,
+            estimatedCost: rateCard ? priceBooking(rateCard, { start: o.bookingTime, end: o.returnTime }) : undefined,
+            series: series._id
+        })));
+
+        await recordAudit(created.map((booking) => ({
+            booking: booking._id,
+            action: 'created',
+            actor: req.user._id,
+            current: snapshot(booking)
+        })));
+        await notify('submitted', created[0]._id, { occurrences: created.length });
+        await publishBookings('created', created.map((b) => b._id));
+
+        let next = 0;
+        res.status(201).json({
+            series,
+            occurrences: report.map((o) => ({
+                ...o,
+                booking: isFree(o) ? created[next++]._id : null
+            }))
+        });
+    } catch (error) {
+        console.error('Error creating booking series:', error);
+        sendError(res, 500, 'Server error creating booking series');
+    }
+});
+
+router.get('/:id', requireAuth, validate({ params: idParams }), async (req, res) => {
+    try {
+        const series = await findVisibleSeries(req);
+        if (!series) {
+            return sendError(res, 404, 'Booking series not found');
+        }
+        const occurrences = await Booking.find({ series: series._id })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .sort({ bookingTime: 1 });
+        res.json({ series, occurrences });
+    } catch (error) {
+        console.error('Error fetching booking series:', error);
+        sendError(res, 500, 'Server error fetching booking series');
+    }
+});
+
+// Admins approve or reject every pending occurrence at once; owners and
+// admins cancel the occurrences that haven't started yet.
+router.patch('/:id', requireAuth, validate({ params: idParams, body: seriesStatus }), async (req, res) => {
+    try {
+        const { status } = req.body;
+        const comment = readComment(req.body);
+
+        const series = await findVisibleSeries(req);
+        if (!series) {
+            return sendError(res, 404, 'Booking series not found');
+        }
+        if (status !== 'cancelled' && req.user.role !== 'admin') {
+            return sendError(res, 403, 'You do not have permission to do that');
+        }
+
+        const results = [];
+
+        if (status === 'approved') {
+            const pending = await Booking.find({ series: series._id, status: 'pending' }).sort({ bookingTime: 1 });
+            for (const occurrence of pending) {
+                try {
+                    const { conflicts, notPending } = await approveBooking(occurrence, { actor: req.user._id, comment });
+                    results.push({
+                        booking: occurrence._id,
+                        bookingTime: occurrence.bookingTime,
+                        returnTime: occurrence.returnTime,
+                        ...(notPending !== undefined
+                            // Cancelled, rejected or deleted since the list was read
+                            ? { status: notPending?.status || 'cancelled', error: 'Booking is no longer pending' }
+                            : { status: conflicts ? 'pending' : 'approved', conflicts: conflicts || [] })
+                    });
+                } catch (error) {
+                    if (!(error instanceof VehicleLockTimeoutError)) {
+                        throw error;
+                    }
+                    results.push({
+                        booking: occurrence._id,
+                        bookingTime: occurrence.bookingTime,
+                        returnTime: occurrence.returnTime,
+                        status: 'pending',
+                        error: 'Vehicle is busy, please retry'
+                    });
+                }
+            }
+
+            const approved = results.filter((r) => r.status === 'approved');
+            if (approved.length > 0) {
+                await notify('approved', approved[0].booking, { occurrences: approved.length });
+            }
+        } else if (status === 'rejected') {
+            const pending = await Booking.find({ series: series._id, status: 'pending' }).sort({ bookingTime: 1 });
+            const rejected = await changeStatuses(pending, 'rejected');
+            await recordAudit(statusAudits(rejected, 'rejected', req.user._id, comment));
+            if (rejected.length > 0) {
+                await notify('rejected', rejected[0]._id, { occurrences: rejected.length, comment });
+            }
+        } else {
+            const future = await Booking.find({
+                series: series._id,
+                status: { $in: ['pending', 'approved'] },
+                bookingTime: { $gt: currentTime() }
+            }).sort({ bookingTime: 1 });
+            const cancelled = await changeStatuses(future, 'cancelled');
+            await recordAudit(statusAudits(cancelled, 'cancelled', req.user._id, comment));
+            for (const booking of cancelled.filter((b) => b.status === 'approved')) {
+                await releaseOverlapFlags(booking._id, req.user._id);
+            }
+            series.status = 'cancelled';
+            await series.save();
+            if (cancelled.length > 0) {
+                await notify('cancelled', cancelled[0]._id, {
+                    occurrences: cancelled.length,
+                    byAdmin: !series.user.equals(req.user._id),
+                    comment
+                });
+            }
+        }
+
+        const occurrences = await Booking.find({ series: series._id })
+            .populate('vehicle', VEHICLE_FIELDS)
+            .sort({ bookingTime: 1 });
+        await publishBookings('updated', occurrences.map((b) => b._id));
+        if (status !== 'approved') {
+            await promoteWaitlist(series.vehicle);
+        }
+        res.json({ series, occurrences, results });
+    } catch (error) {
+        console.error('Error updating booking series:', error);
+        sendError(res, 500, 'Server error updating booking series');
+    }
+});
+
+export default router;
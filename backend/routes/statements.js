@@ -0,0 +1,58 @@
+import express from 'express';
+import Booking from '../models/Booking.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { CURRENCY } from '../lib/pricing.js';
+import { monthRange, statementFilter, summarizeStatement, findStatementBookings, statementRows, STATEMENT_COLUMNS } from '../lib/statements.js';
+import { MAX_EXPORT_ROWS, tableToCsv, tableToXlsx } from '../lib/bookingExport.js';
+import { ORG_TIMEZONE } from '../lib/timezone.js';
+import { sendError } from '../lib/errors.js';
+import { statementQuery, statementExportQuery } from '../schemas/statements.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// What each cost centre is charged for ?month=YYYY-MM; see lib/statements.js
+router.get('/', validate({ query: statementQuery }), async (req, res) => {
+    try {
+        const { month } = req.query;
+        const bookings = await Booking.find(statementFilter(month)).select('costCentre finalCost');
+        const { start, end } = monthRange(month);
+        res.json({ month, from: start, to: end, currency: CURRENCY, ...summarizeStatement(bookings) });
+    } catch (error) {
+        console.error('Error building statement:', error);
+        sendError(res, 500, 'Server error building statement');
+    }
+});
+
+// Downloads a month's statement, one line per booking and a total, as CSV or
+// XLSX; ?costCentre narrows it to one cost centre. Dates are shown in
+// ?timezone (default: the organization's).
+router.get('/export', validate({ query: statementExportQuery }), async (req, res) => {
+    try {
+        const { month, costCentre } = req.query;
+        const format = req.query.format || 'csv';
+        const timezone = req.query.timezone || ORG_TIMEZONE;
+        const filter = statementFilter(month, costCentre);
+
+        const total = await Booking.countDocuments(filter);
+        if (total > MAX_EXPORT_ROWS) {
+            return sendError(res, 422, `${total} bookings match; export one cost centre at a time`);
+        }
+        const rows = statementRows(await findStatementBookings(filter));
+
+        const centre = costCentre === undefined ? '' : `-${costCentre.replace(/[^\w-]+/g, '_') || 'none'}`;
+        res.attachment(`statement-${month}${centre}.${format}`);
+        if (format === 'xlsx') {
+            res.type('xlsx').send(await tableToXlsx(STATEMENT_COLUMNS, rows, timezone, `Statement ${month}`));
+        } else {
+            res.type('text/csv; charset=utf-8').send(tableToCsv(STATEMENT_COLUMNS, rows, timezone));
+        }
+    } catch (error) {
+        console.error('Error exporting statement:', error);
+        sendError(res, 500, 'Server error exporting statement');
+    }
+});
+
+export default router;
@@ -0,0 +1,60 @@
+import express from 'express';
+import User from '../models/User.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendError, ERROR_CODES } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { userUpdate } from '../schemas/users.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+router.get('/', async (req, res) => {
+    try {
+        const users = await User.find().sort({ name: 1 });
+        res.json(users);
+    } catch (error) {
+        console.error('Error fetching users:', error);
+        sendError(res, 500, 'Server error fetching users');
+    }
+});
+
+// Changes a user's role, group and/or default cost centre; an empty group or
+// cost centre removes it
+router.patch('/:id', validate({ params: idParams, body: userUpdate }), async (req, res) => {
+    try {
+        const { role } = req.body;
+        const update = {};
+        const $unset = {};
+
+        if (role !== undefined) {
+            update.role = role;
+        }
+        for (const field of ['group', 'costCentre']) {
+            const value = req.body[field];
+            if (value?.trim()) {
+                update[field] = value.trim();
+            } else if (value !== undefined) {
+                $unset[field] = '';
+            }
+        }
+        if (Object.keys($unset).length > 0) {
+            update.$unset = $unset;
+        }
+        if (req.user._id.equals(req.params.id) && role !== undefined && role !== 'admin') {
+            return sendError(res, 409, 'You cannot remove your own admin role', { code: ERROR_CODES.INVALID_STATE });
+        }
+
+        const user = await User.findByIdAndUpdate(req.params.id, update, { new: true });
+        if (!user) {
+            return sendError(res, 404, 'User not found');
+        }
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        sendError(res, 500, 'Server error updating user');
+    }
+});
+
+export default router;
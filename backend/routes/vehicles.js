@@ -0,0 +1,86 @@
+import express from 'express';
+import Vehicle from '../models/Vehicle.js';
+import Booking from '../models/Booking.js';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendError } from '../lib/errors.js';
+import { idParams } from '../schemas/common.js';
+import { vehicleListQuery, vehicleCreate, vehicleUpdate } from '../schemas/vehicles.js';
+
+const router = express.Router();
+
+router.get('/', requireAuth, validate({ query: vehicleListQuery }), async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) {
+            filter.active = req.query.active === 'true';
+        }
+        const vehicles = await Vehicle.find(filter).sort({ name: 1 });
+        res.json(vehicles);
+    } catch (error) {
+        console.error('Error fetching vehicles:', error);
+        sendError(res, 500, 'Server error fetching vehicles');
+    }
+});
+
+router.get('/:id', requireAuth, validate({ params: idParams }), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findById(req.params.id);
+        if (!vehicle) {
+            return sendError(res, 404, 'Vehicle not found');
+        }
+        res.json(vehicle);
+    } catch (error) {
+        console.error('Error fetching vehicle:', error);
+        sendError(res, 500, 'Server error fetching vehicle');
+    }
+});
+
+router.post('/', requireAdmin, validate({ body: vehicleCreate }), async (req, res) => {
+    try {
+        const { name, type, registration } = req.body;
+
+        const vehicle = new Vehicle({ name, type, registration });
+        const newVehicle = await vehicle.save();
+        res.status(201).json(newVehicle);
+    } catch (error) {
+        console.error('Error creating vehicle:', error);
+        sendError(res, 500, 'Server error creating vehicle');
+    }
+});
+
+router.patch('/:id', requireAdmin, validate({ params: idParams, body: vehicleUpdate }), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        if (!vehicle) {
+            return sendError(res, 404, 'Vehicle not found');
+        }
+        res.json(vehicle);
+    } catch (error) {
+        console.error('Error updating vehicle:', error);
+        sendError(res, 500, 'Server error updating vehicle');
+    }
+});
+
+router.delete('/:id', requireAdmin, validate({ params: idParams }), async (req, res) => {
+    try {
+        // Bookings keep a reference to their vehicle, so a vehicle that has
+        // been booked can only be deactivated, never removed.
+        // Soft-deleted bookings still reference the vehicle in their history
+        const hasBookings = await Booking.exists({ vehicle: req.params.id }).setOptions({ withDeleted: true });
+        if (hasBookings) {
+            return sendError(res, 409, 'Vehicle has bookings; deactivate it instead of deleting');
+        }
+
+        const vehicle = await Vehicle.findByIdAndDelete(req.params.id);
+        if (!vehicle) {
+            return sendError(res, 404, 'Vehicle not found');
+        }
+        res.json({ message: 'Vehicle deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting vehicle:', error);
+        sendError(res, 500, 'Server error deleting vehicle');
+    }
+});
+
+export default router;
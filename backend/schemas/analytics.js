@@ -0,0 +1,17 @@
+import { z } from 'zod';
+import { ANALYTICS_INTERVALS } from '../lib/analytics.js';
+import { dateTime, timeZone } from './common.js';
+
+export const rangeQuery = z.object({
+    from: dateTime.optional(),
+    to: dateTime.optional()
+});
+
+export const utilizationQuery = rangeQuery.extend({
+    interval: z.enum(ANALYTICS_INTERVALS).optional()
+});
+
+export const summaryQuery = rangeQuery.extend({
+    // Buckets the peak-hours heatmap in another wall time
+    timezone: timeZone.optional()
+});
@@ -0,0 +1,15 @@
+import { z } from 'zod';
+import { requiredText } from './common.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const register = z.object({
+    name: requiredText.max(100),
+    email: z.email('must be an email address'),
+    password: z.string().min(MIN_PASSWORD_LENGTH, `must be at least ${MIN_PASSWORD_LENGTH} characters`).max(200)
+});
+
+export const login = z.object({
+    email: requiredText,
+    password: z.string().min(1)
+});
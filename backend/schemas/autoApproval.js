@@ -0,0 +1,31 @@
+import { z } from 'zod';
+import { USER_ROLES } from '../models/User.js';
+import { clock, clearable, nonNegativeNumber, requiredText } from './common.js';
+
+// Conditions left out, null or '' match any request
+const ruleFields = {
+    name: requiredText.max(100),
+    enabled: z.boolean(),
+    roles: z.array(z.enum(USER_ROLES)),
+    groups: z.array(z.string().max(100)),
+    maxDurationHours: clearable(nonNegativeNumber),
+    minLeadHours: clearable(nonNegativeNumber),
+    maxLeadHours: clearable(nonNegativeNumber),
+    earliestStart: clearable(clock),
+    latestEnd: clearable(clock)
+};
+
+export const ruleCreate = z.object({
+    ...ruleFields,
+    enabled: ruleFields.enabled.optional(),
+    roles: ruleFields.roles.optional(),
+    groups: ruleFields.groups.optional()
+});
+
+export const ruleUpdate = z.object({
+    ...ruleFields,
+    name: ruleFields.name.optional(),
+    enabled: ruleFields.enabled.optional(),
+    roles: ruleFields.roles.optional(),
+    groups: ruleFields.groups.optional()
+});
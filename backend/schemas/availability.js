@@ -0,0 +1,8 @@
+import { z } from 'zod';
+import { objectId, dateTime } from './common.js';
+
+export const availabilityQuery = z.object({
+    from: dateTime.optional(),
+    to: dateTime.optional(),
+    vehicle: objectId.optional()
+});
@@ -0,0 +1,119 @@
+import { z } from 'zod';
+import { BOOKING_STATUSES } from '../models/Booking.js';
+import { SORTABLE_FIELDS, MAX_PAGE_SIZE } from '../lib/bookingQuery.js';
+import { EXPORT_FORMATS } from '../lib/bookingExport.js';
+import {
+    objectId,
+    dateTime,
+    timeZone,
+    flag,
+    requiredText,
+    comment,
+    costCentre,
+    nonNegativeNumber,
+    recurrence,
+    endAfterStart
+} from './common.js';
+
+// Statuses PATCH /api/bookings/:id can set; in_use and completed are reached
+// through check-out and check-in so the trip log is always recorded
+export const PATCHABLE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Statuses each batch action sets; 'delete' soft-deletes instead
+export const BATCH_ACTIONS = { approve: 'approved', reject: 'rejected', delete: null };
+export const MAX_BATCH_SIZE = 200;
+
+const pageNumber = z.string().regex(/^\d+$/, 'must be a positive whole number');
+
+// Admin list filters; see lib/bookingQuery.js
+export const bookingListQuery = z.object({
+    status: z.string()
+        .refine((value) => value.split(',').every((status) => BOOKING_STATUSES.includes(status)),
+            `must be a comma-separated list of ${BOOKING_STATUSES.join(', ')}`)
+        .describe(`One or more of ${BOOKING_STATUSES.join(', ')}, comma-separated`)
+        .optional(),
+    vehicle: objectId.optional(),
+    user: objectId.optional(),
+    from: dateTime.optional(),
+    to: dateTime.optional(),
+    q: z.string().max(200).optional(),
+    deleted: flag.optional(),
+    sort: z.string()
+        .refine((value) => SORTABLE_FIELDS.includes(value.replace(/^-/, '')),
+            `must be one of ${SORTABLE_FIELDS.join(', ')}, with a leading - for descending`)
+        .describe(`One of ${SORTABLE_FIELDS.join(', ')}, with a leading - for descending`)
+        .optional(),
+    page: pageNumber.optional(),
+    limit: pageNumber.refine((value) => Number(value) <= MAX_PAGE_SIZE, `must be at most ${MAX_PAGE_SIZE}`).optional()
+});
+
+export const bookingExportQuery = bookingListQuery.extend({
+    format: z.enum(EXPORT_FORMATS).optional(),
+    timezone: timeZone.optional()
+});
+
+export const bookingImportQuery = z.object({
+    commit: flag.optional(),
+    timezone: timeZone.optional()
+});
+
+export const vehicleQuery = z.object({
+    vehicle: objectId.optional()
+});
+
+export const waitlistParams = z.object({ vehicleId: objectId });
+
+export const waitlistOrder = z.object({
+    order: z.array(objectId).min(1),
+    comment
+});
+
+const bookingFields = {
+    vehicle: objectId,
+    purpose: requiredText.max(500),
+    bookingTime: dateTime,
+    returnTime: dateTime,
+    // Empty or left out: the requester's own cost centre
+    costCentre: costCentre.optional()
+};
+
+export const bookingEdit = z.object(bookingFields)
+    .superRefine(endAfterStart('bookingTime', 'returnTime'));
+
+export const bookingCreate = z.object({
+    ...bookingFields,
+    // Join the vehicle's waitlist if another booking holds the slot
+    waitlist: z.boolean().optional()
+}).superRefine(endAfterStart('bookingTime', 'returnTime'));
+
+export const seriesCreate = z.object({
+    ...bookingFields,
+    recurrence,
+    // Book the free occurrences and leave out the conflicting ones
+    skipConflicts: z.boolean().optional()
+}).superRefine(endAfterStart('bookingTime', 'returnTime'));
+
+export const seriesStatus = z.object({
+    status: z.enum(['approved', 'rejected', 'cancelled']),
+    comment
+});
+
+export const statusChange = z.object({
+    status: z.enum(PATCHABLE_STATUSES),
+    comment
+});
+
+export const batchAction = z.object({
+    action: z.enum(Object.keys(BATCH_ACTIONS)),
+    // Not checked as ids: a malformed one is reported per item as not found
+    ids: z.array(z.string()).min(1).max(MAX_BATCH_SIZE),
+    comment
+});
+
+export const tripLog = z.object({
+    odometer: nonNegativeNumber,
+    fuelLevel: nonNegativeNumber.refine((value) => Number(value) <= 100, 'must be a percentage between 0 and 100'),
+    notes: z.string().max(2000).optional()
+});
+
+export const deleteBody = z.object({ comment });
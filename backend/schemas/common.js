@@ -0,0 +1,65 @@
+import { z } from 'zod';
+import { parseInstant, isValidTimeZone } from '../lib/timezone.js';
+import { DATE_TIME_FORMAT_ERROR } from '../lib/bookingInput.js';
+import { RECURRENCE_FREQUENCIES, MAX_OCCURRENCES } from '../lib/recurrence.js';
+
+// Building blocks for the request schemas in this directory. Messages are
+// fragments that read after the field name; see middleware/validate.js.
+
+export const objectId = z.string().regex(/^[0-9a-fA-F]{24}$/, 'must be a valid id');
+
+export const idParams = z.object({ id: objectId });
+
+export const dateTime = z.string()
+    .refine((value) => parseInstant(value) !== null, DATE_TIME_FORMAT_ERROR)
+    .meta({ format: 'date-time' });
+
+export const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+export const clock = z.string().regex(CLOCK_PATTERN, 'must be a time in HH:mm format');
+
+export const timeZone = z.string().refine(isValidTimeZone, 'must be an IANA timezone, e.g. Europe/London');
+
+// Query-string boolean
+export const flag = z.enum(['true', 'false']);
+
+export const requiredText = z.string().trim().min(1);
+
+// Cost centre or project code a booking is charged to
+export const costCentre = z.string().trim().max(50);
+
+// Optional note for the audit trail; prompts send null when dismissed
+export const comment = z.string().max(2000).nullable().optional();
+
+// A non-negative number, also as a numeric string from a form input
+export const nonNegativeNumber = z.union([
+    z.number().min(0, 'must not be negative'),
+    z.string().trim().regex(/^\d+(\.\d+)?$/, 'must be a non-negative number')
+]);
+
+// Optional admin setting: a value sets it, null or '' clears it
+export function clearable(schema) {
+    return z.union([schema, z.literal(''), z.null()]).optional();
+}
+
+// Shape of a recurrence rule; lib/recurrence.js validateRecurrence checks
+// the combinations (an end for daily/weekly rules, dates for custom ones)
+export const recurrence = z.object({
+    frequency: z.enum(RECURRENCE_FREQUENCIES),
+    interval: z.number().int().min(1).optional(),
+    weekdays: z.array(z.number().int().min(0).max(6)).min(1).optional(),
+    until: dateTime.optional(),
+    count: z.number().int().min(1).max(MAX_OCCURRENCES).optional(),
+    dates: z.array(dateTime).min(1).max(MAX_OCCURRENCES - 1).optional()
+});
+
+// Refinement for an object with a start and an end date-time field
+export function endAfterStart(startField, endField, message = `must be after ${startField}`) {
+    return (value, ctx) => {
+        const start = parseInstant(value[startField]);
+        const end = parseInstant(value[endField]);
+        if (start && end && start >= end) {
+            ctx.addIssue({ code: 'custom', path: [endField], message });
+        }
+    };
+}
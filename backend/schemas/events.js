@@ -0,0 +1,6 @@
+import { z } from 'zod';
+
+export const eventStreamQuery = z.object({
+    // EventSource can't send headers, so the stream takes the token here
+    token: z.string().optional()
+});
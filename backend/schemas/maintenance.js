@@ -0,0 +1,21 @@
+import { z } from 'zod';
+import { objectId, flag, requiredText, dateTime, recurrence, endAfterStart } from './common.js';
+
+export const maintenanceListQuery = z.object({
+    vehicle: objectId.optional(),
+    // Past windows too, not just upcoming and ongoing ones
+    all: flag.optional()
+});
+
+export const maintenanceCreate = z.object({
+    vehicle: objectId,
+    reason: requiredText.max(500),
+    start: dateTime,
+    end: dateTime,
+    recurrence: recurrence.optional()
+}).superRefine(endAfterStart('start', 'end'));
+
+export const maintenanceDeleteQuery = z.object({
+    // Also remove the later windows of a recurring schedule
+    scope: z.enum(['series']).optional()
+});
@@ -0,0 +1,469 @@
+import { z } from 'zod';
+import {
+    Message,
+    Session,
+    User,
+    Vehicle,
+    Booking,
+    BookingPage,
+    AuditEntry,
+    BatchReport,
+    ImportReport,
+    SeriesCreated,
+    SeriesDetail,
+    SeriesUpdated,
+    Availability,
+    MaintenanceWindow,
+    MaintenanceCreated,
+    ServiceReminder,
+    BookingPolicy,
+    AutoApprovalRule,
+    RateCard,
+    Statement,
+    Utilization,
+    BookingSummary,
+    CalendarFeeds,
+    ReminderRun,
+    ClientConfig,
+    Health
+} from './responses.js';
+
+// What the OpenAPI document says about each route, keyed by method and
+// path as they appear there. Parameters, bodies, authentication and the
+// 400/401/403/404/429 responses are read off the route's own middleware by
+// lib/openapi.js; this adds what the middleware can't tell:
+//
+//   operationId  name of the function in the generated client
+//   tag          section of the document
+//   summary      one line on what the route does
+//   description  anything more a caller needs to know
+//   status       success status, 200 unless given
+//   response     zod schema of the success body, from schemas/responses.js
+//   produces     content type of a success body that isn't JSON
+//   consumes     content type of a request body that isn't JSON
+//   errors       other error statuses the handler sends, e.g. 409
+//   client       false to leave the route out of the generated client
+//
+// lib/openapi.js fails on a route missing here and on an entry without a route.
+
+const ICS = 'text/calendar';
+const SPREADSHEETS = ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'];
+
+// Shared by the routes that take a booking's times
+const SLOT_CONFLICT = 'A taken slot answers 409 BOOKING_CONFLICT with "conflicts", the intervals in the ' +
+    'way as { vehicle, start, end, status } (status is the booking\'s or "maintenance"; whose booking it is ' +
+    'is not shown), and "suggestions", up to six free slots of the same length nearest to the requested ' +
+    'one, earlier and later, as { bookingTime, returnTime }; they keep to the booking policy. A 422 with a ' +
+    'HANDOVER_BUFFER violation carries both as well, "conflicts" then being the intervals too close to the request.';
+
+export const OPERATIONS = {
+    'GET /api/health': {
+        operationId: 'getHealth',
+        tag: 'System',
+        summary: 'Server status; answers even when the database is down',
+        response: Health
+    },
+
+    'POST /api/auth/register': {
+        operationId: 'register',
+        tag: 'Auth',
+        summary: 'Create an account and sign in',
+        description: 'The first account created becomes an admin.',
+        status: 201,
+        response: Session,
+        errors: [409]
+    },
+    'POST /api/auth/login': {
+        operationId: 'login',
+        tag: 'Auth',
+        summary: 'Sign in with email and password',
+        response: Session
+    },
+    'GET /api/auth/me': {
+        operationId: 'getCurrentUser',
+        tag: 'Auth',
+        summary: 'The signed-in account',
+        response: User
+    },
+
+    'GET /api/users': {
+        operationId: 'listUsers',
+        tag: 'Users',
+        summary: 'Every account, by name',
+        response: z.array(User)
+    },
+    'PATCH /api/users/{id}': {
+        operationId: 'updateUser',
+        tag: 'Users',
+        summary: 'Change a user\'s role, group or default cost centre; an empty group or cost centre removes it',
+        response: User,
+        errors: [409]
+    },
+
+    'GET /api/vehicles': {
+        operationId: 'listVehicles',
+        tag: 'Vehicles',
+        summary: 'Vehicles by name; ?active=true for bookable ones only',
+        response: z.array(Vehicle)
+    },
+    'GET /api/vehicles/{id}': {
+        operationId: 'getVehicle',
+        tag: 'Vehicles',
+        summary: 'One vehicle',
+        response: Vehicle
+    },
+    'POST /api/vehicles': {
+        operationId: 'createVehicle',
+        tag: 'Vehicles',
+        summary: 'Add a vehicle',
+        status: 201,
+        response: Vehicle
+    },
+    'PATCH /api/vehicles/{id}': {
+        operationId: 'updateVehicle',
+        tag: 'Vehicles',
+        summary: 'Change a vehicle, e.g. deactivate it or record a service',
+        response: Vehicle
+    },
+    'DELETE /api/vehicles/{id}': {
+        operationId: 'deleteVehicle',
+        tag: 'Vehicles',
+        summary: 'Remove a vehicle that has never been booked',
+        description: 'Vehicles with bookings answer 409; deactivate them instead.',
+        response: Message,
+        errors: [409]
+    },
+
+    'GET /api/bookings': {
+        operationId: 'listBookings',
+        tag: 'Bookings',
+        summary: 'Filtered, sorted and paged list of every booking',
+        response: BookingPage
+    },
+    'GET /api/bookings/export': {
+        operationId: 'exportBookings',
+        tag: 'Bookings',
+        summary: 'Download the filtered list as CSV or XLSX',
+        description: 'Takes the same filters and sort as the list. Dates are written in ?timezone, ' +
+            'by default the organization\'s.',
+        produces: SPREADSHEETS,
+        errors: [422]
+    },
+    'POST /api/bookings/import': {
+        operationId: 'importBookings',
+        tag: 'Bookings',
+        summary: 'Check, and with ?commit=true save, bookings from a CSV file',
+        description: 'Columns: vehicle (name, registration or id), email, purpose, bookingTime, ' +
+            'returnTime. Nothing is saved unless every row is valid; the 422 body is the same report.',
+        consumes: 'text/csv',
+        response: ImportReport,
+        errors: [422]
+    },
+    'GET /api/bookings/waitlist': {
+        operationId: 'listWaitlist',
+        tag: 'Waitlist',
+        summary: 'Waitlisted requests in queue order per vehicle',
+        response: z.array(Booking)
+    },
+    'PUT /api/bookings/waitlist/{vehicleId}': {
+        operationId: 'reorderWaitlist',
+        tag: 'Waitlist',
+        summary: 'Reorder a vehicle\'s waitlist, first in line first',
+        description: 'The order must list every waitlisted booking of the vehicle; ' +
+            'a stale list answers 409.',
+        response: z.array(Booking),
+        errors: [409]
+    },
+    'GET /api/bookings/approved': {
+        operationId: 'listApprovedBookings',
+        tag: 'Bookings',
+        summary: 'Approved bookings, soonest first',
+        response: z.array(Booking)
+    },
+    'GET /api/bookings/mine': {
+        operationId: 'listMyBookings',
+        tag: 'Bookings',
+        summary: 'The signed-in user\'s bookings, latest first',
+        response: z.array(Booking)
+    },
+    'POST /api/bookings': {
+        operationId: 'createBooking',
+        tag: 'Bookings',
+        summary: 'Request a booking',
+        description: 'With "waitlist": true a taken slot puts the request on the waitlist instead of ' +
+            'answering 409. Requests matching an auto-approval rule come back approved. Without a ' +
+            'costCentre the booking is charged to the user\'s own; estimatedCost is set when a rate card ' +
+            'applies. ' + SLOT_CONFLICT,
+        status: 201,
+        response: Booking,
+        errors: [409, 422]
+    },
+    'PUT /api/bookings/{id}': {
+        operationId: 'editBooking',
+        tag: 'Bookings',
+        summary: 'Change the vehicle, purpose or times of a pending request',
+        description: SLOT_CONFLICT,
+        response: Booking,
+        errors: [409, 422]
+    },
+    'POST /api/bookings/batch': {
+        operationId: 'batchUpdateBookings',
+        tag: 'Bookings',
+        summary: 'Approve, reject or delete many bookings, reporting each',
+        response: BatchReport
+    },
+    'PATCH /api/bookings/{id}': {
+        operationId: 'updateBookingStatus',
+        tag: 'Bookings',
+        summary: 'Approve, reject or cancel a booking',
+        description: 'Owners may cancel; every other change is for admins. Only pending requests can be approved.',
+        response: Booking,
+        errors: [403, 409]
+    },
+    'POST /api/bookings/{id}/check-out': {
+        operationId: 'checkOutBooking',
+        tag: 'Bookings',
+        summary: 'Record the vehicle leaving for an approved booking',
+        response: Booking,
+        errors: [409]
+    },
+    'POST /api/bookings/{id}/check-in': {
+        operationId: 'checkInBooking',
+        tag: 'Bookings',
+        summary: 'Record the vehicle coming back',
+        description: 'Sets finalCost from the booked time, the distance driven and any late return when a ' +
+            'rate card applies.',
+        response: Booking,
+        errors: [409]
+    },
+    'DELETE /api/bookings/{id}': {
+        operationId: 'deleteBooking',
+        tag: 'Bookings',
+        summary: 'Soft-delete a booking; its history is kept',
+        response: Message,
+        errors: [409]
+    },
+    'GET /api/bookings/{id}/history': {
+        operationId: 'getBookingHistory',
+        tag: 'Bookings',
+        summary: 'A booking\'s audit trail, oldest first',
+        response: z.array(AuditEntry)
+    },
+
+    'POST /api/bookings/series': {
+        operationId: 'createBookingSeries',
+        tag: 'Series',
+        summary: 'Request a recurring booking',
+        description: 'Any conflicting occurrence answers 409 with a report of every occurrence, unless ' +
+            'skipConflicts is set and some are free.',
+        status: 201,
+        response: SeriesCreated,
+        errors: [409, 422]
+    },
+    'GET /api/bookings/series/{id}': {
+        operationId: 'getBookingSeries',
+        tag: 'Series',
+        summary: 'A recurring booking and its occurrences',
+        response: SeriesDetail
+    },
+    'PATCH /api/bookings/series/{id}': {
+        operationId: 'updateBookingSeries',
+        tag: 'Series',
+        summary: 'Approve or reject the pending occurrences, or cancel the future ones',
+        description: 'Owners may cancel; approving and rejecting is for admins. An occurrence whose status ' +
+            'someone else changed meanwhile keeps that status.',
+        response: SeriesUpdated,
+        errors: [403]
+    },
+
+    'GET /api/availability': {
+        operationId: 'getAvailability',
+        tag: 'Availability',
+        summary: 'Busy and free time per vehicle, the next 7 days by default',
+        response: Availability
+    },
+
+    'GET /api/maintenance': {
+        operationId: 'listMaintenanceWindows',
+        tag: 'Maintenance',
+        summary: 'Upcoming and ongoing maintenance; ?all=true for the history',
+        response: z.array(MaintenanceWindow)
+    },
+    'GET /api/maintenance/reminders': {
+        operationId: 'listServiceReminders',
+        tag: 'Maintenance',
+        summary: 'Vehicles near or past their service interval',
+        response: z.array(ServiceReminder)
+    },
+    'POST /api/maintenance': {
+        operationId: 'createMaintenanceWindow',
+        tag: 'Maintenance',
+        summary: 'Block a vehicle for maintenance, once or on a schedule',
+        description: 'Bookings already holding the time are listed for the admin to resolve.',
+        status: 201,
+        response: MaintenanceCreated,
+        errors: [409]
+    },
+    'DELETE /api/maintenance/{id}': {
+        operationId: 'deleteMaintenanceWindow',
+        tag: 'Maintenance',
+        summary: 'Remove a window; ?scope=series also removes the later ones of its schedule',
+        response: Message
+    },
+
+    'GET /api/policy': {
+        operationId: 'getPolicy',
+        tag: 'Policy',
+        summary: 'The booking rules',
+        response: BookingPolicy
+    },
+    'PUT /api/policy': {
+        operationId: 'updatePolicy',
+        tag: 'Policy',
+        summary: 'Change the booking rules; null or "" clears a rule',
+        response: BookingPolicy
+    },
+
+    'GET /api/auto-approval-rules': {
+        operationId: 'listAutoApprovalRules',
+        tag: 'Auto-approval',
+        summary: 'Every rule, oldest first',
+        response: z.array(AutoApprovalRule)
+    },
+    'POST /api/auto-approval-rules': {
+        operationId: 'createAutoApprovalRule',
+        tag: 'Auto-approval',
+        summary: 'Add a rule',
+        status: 201,
+        response: AutoApprovalRule
+    },
+    'PATCH /api/auto-approval-rules/{id}': {
+        operationId: 'updateAutoApprovalRule',
+        tag: 'Auto-approval',
+        summary: 'Change a rule; null or "" clears a condition',
+        response: AutoApprovalRule
+    },
+    'DELETE /api/auto-approval-rules/{id}': {
+        operationId: 'deleteAutoApprovalRule',
+        tag: 'Auto-approval',
+        summary: 'Remove a rule',
+        response: Message
+    },
+
+    'GET /api/rate-cards': {
+        operationId: 'listRateCards',
+        tag: 'Costs',
+        summary: 'Every rate card, by vehicle type; the default card first',
+        response: z.array(RateCard)
+    },
+    'POST /api/rate-cards': {
+        operationId: 'createRateCard',
+        tag: 'Costs',
+        summary: 'Add a rate card for a vehicle type, or the default one',
+        status: 201,
+        response: RateCard,
+        errors: [409]
+    },
+    'PATCH /api/rate-cards/{id}': {
+        operationId: 'updateRateCard',
+        tag: 'Costs',
+        summary: 'Change a rate card; null or "" clears a rate, or the type to make it the default',
+        description: 'Bookings already priced keep their cost.',
+        response: RateCard,
+        errors: [409]
+    },
+    'DELETE /api/rate-cards/{id}': {
+        operationId: 'deleteRateCard',
+        tag: 'Costs',
+        summary: 'Remove a rate card',
+        response: Message
+    },
+    'GET /api/statements': {
+        operationId: 'getStatement',
+        tag: 'Costs',
+        summary: 'What each cost centre is charged for a month',
+        description: 'Covers the bookings checked in during the month, in the organization\'s timezone, ' +
+            'at their final cost.',
+        response: Statement
+    },
+    'GET /api/statements/export': {
+        operationId: 'exportStatement',
+        tag: 'Costs',
+        summary: 'Download a month\'s statement as CSV or XLSX, one line per booking and a total',
+        description: '?costCentre narrows it to one cost centre, "" to the bookings without one.',
+        produces: SPREADSHEETS,
+        errors: [422]
+    },
+
+    'GET /api/jobs/reminders': {
+        operationId: 'runReminders',
+        tag: 'System',
+        summary: 'Send due pickup and overdue reminders',
+        description: 'For a scheduler, authenticated with `Bearer <CRON_SECRET>`, or an admin.',
+        response: ReminderRun
+    },
+
+    'GET /api/events': {
+        operationId: 'streamBookingEvents',
+        tag: 'System',
+        summary: 'Server-sent booking changes',
+        description: 'Takes the token as ?token= because EventSource can\'t send headers. ' +
+            'Answers 204 where the deployment can\'t hold streams open; clients then poll.',
+        produces: 'text/event-stream',
+        client: false
+    },
+
+    'GET /api/analytics/utilization': {
+        operationId: 'getUtilization',
+        tag: 'Analytics',
+        summary: 'Share of each week or month every vehicle was booked, the last 30 days by default',
+        response: Utilization
+    },
+    'GET /api/analytics/summary': {
+        operationId: 'getBookingSummary',
+        tag: 'Analytics',
+        summary: 'Counts, approval rate, timing, peak hours and top users and purposes',
+        response: BookingSummary
+    },
+
+    'GET /api/calendar/token': {
+        operationId: 'getCalendarFeeds',
+        tag: 'Calendar',
+        summary: 'The signed-in user\'s feed paths, creating the token on first use',
+        response: CalendarFeeds
+    },
+    'POST /api/calendar/token': {
+        operationId: 'resetCalendarFeeds',
+        tag: 'Calendar',
+        summary: 'Replace the feed token; subscriptions to the old paths stop updating',
+        response: CalendarFeeds
+    },
+    'GET /api/calendar/feeds/{token}/bookings.ics': {
+        operationId: 'getBookingFeed',
+        tag: 'Calendar',
+        summary: 'Feed of everything the token\'s owner booked, for calendar apps',
+        produces: ICS,
+        client: false
+    },
+    'GET /api/calendar/feeds/{token}/vehicles/{id}.ics': {
+        operationId: 'getVehicleFeed',
+        tag: 'Calendar',
+        summary: 'Feed of when a vehicle is taken, for calendar apps',
+        produces: ICS,
+        client: false
+    },
+    'GET /api/calendar/bookings/{id}.ics': {
+        operationId: 'downloadBookingCalendar',
+        tag: 'Calendar',
+        summary: 'One approved booking as a calendar file',
+        produces: ICS,
+        errors: [409]
+    },
+
+    'GET /api/config': {
+        operationId: 'getClientConfig',
+        tag: 'System',
+        summary: 'Settings the client needs before rendering',
+        response: ClientConfig
+    }
+};
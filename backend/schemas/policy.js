@@ -0,0 +1,23 @@
+import { z } from 'zod';
+import { clock, clearable, nonNegativeNumber, dateTime, endAfterStart } from './common.js';
+
+const blackout = z.object({
+    start: dateTime,
+    end: dateTime,
+    reason: z.string().max(200).optional()
+}).superRefine(endAfterStart('start', 'end'));
+
+// Every rule is optional; null or '' switches it off
+export const policyUpdate = z.object({
+    maxDurationHours: clearable(nonNegativeNumber),
+    minNoticeHours: clearable(nonNegativeNumber),
+    maxAdvanceDays: clearable(nonNegativeNumber),
+    maxActiveBookingsPerUser: clearable(nonNegativeNumber),
+    bufferMinutes: clearable(nonNegativeNumber),
+    allowedHoursStart: clearable(clock),
+    allowedHoursEnd: clearable(clock),
+    blackoutDates: z.array(blackout).optional()
+}).refine(
+    (body) => !body.allowedHoursStart || !body.allowedHoursEnd || body.allowedHoursStart < body.allowedHoursEnd,
+    { path: ['allowedHoursEnd'], message: 'must be after allowedHoursStart' }
+);
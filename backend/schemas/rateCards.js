@@ -0,0 +1,22 @@
+import { z } from 'zod';
+import { VEHICLE_TYPES } from '../models/Vehicle.js';
+import { clearable, nonNegativeNumber, requiredText } from './common.js';
+
+// Rates left out, null or '' are not charged. Without a vehicleType the card
+// is the default for vehicles no other card covers.
+const cardFields = {
+    name: requiredText.max(100),
+    vehicleType: clearable(z.enum(VEHICLE_TYPES)),
+    hourlyRate: clearable(nonNegativeNumber),
+    dailyRate: clearable(nonNegativeNumber),
+    perKmRate: clearable(nonNegativeNumber),
+    latePenaltyPerHour: clearable(nonNegativeNumber),
+    lateGraceMinutes: clearable(nonNegativeNumber)
+};
+
+export const rateCardCreate = z.object(cardFields);
+
+export const rateCardUpdate = z.object({
+    ...cardFields,
+    name: cardFields.name.optional()
+});
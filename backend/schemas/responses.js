@@ -0,0 +1,394 @@
+import { z } from 'zod';
+import { BOOKING_STATUSES } from '../models/Booking.js';
+import { SERIES_STATUSES } from '../models/BookingSeries.js';
+import { AUDIT_ACTIONS } from '../models/BookingAudit.js';
+import { USER_ROLES } from '../models/User.js';
+import { VEHICLE_TYPES } from '../models/Vehicle.js';
+import { ERROR_CODES } from '../lib/errors.js';
+import { RECURRENCE_FREQUENCIES } from '../lib/recurrence.js';
+
+// Shapes of the JSON the handlers send, for the OpenAPI document
+// (lib/openapi.js) and the tests that hold the handlers to it. Each schema
+// given an id here is listed once under that name and referenced from there.
+// Objects are loose: documents may carry fields not listed here, like __v.
+
+function component(id, schema, description) {
+    return schema.meta({ id, description });
+}
+
+// Ids and dates as they appear in JSON
+const id = z.string().regex(/^[0-9a-fA-F]{24}$/);
+const date = z.string().meta({ format: 'date-time' });
+
+export const FieldError = component('FieldError', z.looseObject({
+    field: z.string().nullable(),
+    code: z.string(),
+    message: z.string()
+}), 'A problem with one field; see lib/errors.js');
+
+export const ApiError = component('ApiError', z.looseObject({
+    code: z.enum(Object.values(ERROR_CODES)),
+    message: z.string(),
+    errors: z.array(FieldError).optional()
+}), 'Every error response; some add context such as "conflicts", "suggestions" or "occurrences"');
+
+export const Message = component('Message', z.looseObject({
+    message: z.string()
+}), 'Confirmation of an action that returns nothing else');
+
+export const User = component('User', z.looseObject({
+    _id: id,
+    name: z.string(),
+    email: z.string(),
+    role: z.enum(USER_ROLES),
+    group: z.string().optional(),
+    costCentre: z.string().optional(),
+    createdAt: date
+}));
+
+export const Session = component('Session', z.looseObject({
+    token: z.string(),
+    user: User
+}), 'A signed-in account and the bearer token for it');
+
+export const Vehicle = component('Vehicle', z.looseObject({
+    _id: id,
+    name: z.string(),
+    type: z.enum(VEHICLE_TYPES),
+    registration: z.string().optional(),
+    active: z.boolean(),
+    odometer: z.number().optional(),
+    fuelLevel: z.number().optional(),
+    serviceIntervalKm: z.number().optional(),
+    lastServiceOdometer: z.number().optional(),
+    lastServiceAt: date.optional(),
+    createdAt: date
+}));
+
+export const VehicleSummary = component('VehicleSummary', z.looseObject({
+    _id: id,
+    name: z.string(),
+    type: z.enum(VEHICLE_TYPES),
+    registration: z.string().optional()
+}), 'The vehicle fields populated into bookings and other lists');
+
+export const TripLog = component('TripLog', z.looseObject({
+    at: date,
+    odometer: z.number(),
+    fuelLevel: z.number(),
+    notes: z.string().optional(),
+    by: id.optional()
+}), 'Odometer, fuel and notes recorded at check-out or check-in');
+
+export const Cost = component('Cost', z.looseObject({
+    rateCard: id.optional(),
+    rateCardName: z.string().optional(),
+    currency: z.string(),
+    hours: z.number(),
+    km: z.number().optional(),
+    lateHours: z.number().optional(),
+    time: z.number(),
+    distance: z.number().optional(),
+    latePenalty: z.number().optional(),
+    total: z.number()
+}), 'A booking priced with a rate card; distance and late return only once checked in');
+
+export const Booking = component('Booking', z.looseObject({
+    _id: id,
+    vehicle: z.union([id, VehicleSummary]),
+    // Populated with the email on the waitlist
+    user: z.union([id, z.looseObject({ _id: id, email: z.string() })]),
+    name: z.string(),
+    purpose: z.string(),
+    costCentre: z.string().optional(),
+    bookingTime: date,
+    returnTime: date,
+    status: z.enum(BOOKING_STATUSES),
+    conflictsWith: z.array(id),
+    waitlistPosition: z.number().optional(),
+    checkOut: TripLog.optional(),
+    checkIn: TripLog.optional(),
+    estimatedCost: Cost.optional(),
+    finalCost: Cost.optional(),
+    series: id.optional(),
+    deletedAt: date.optional(),
+    createdAt: date,
+    overdue: z.boolean()
+}));
+
+export const BookingPage = component('BookingPage', z.looseObject({
+    bookings: z.array(Booking),
+    total: z.number(),
+    page: z.number(),
+    limit: z.number(),
+    pages: z.number(),
+    overdueCount: z.number()
+}), 'One page of the admin booking list');
+
+export const Conflict = component('Conflict', z.looseObject({
+    _id: id,
+    kind: z.enum(['booking', 'maintenance']),
+    name: z.string(),
+    bookingTime: date,
+    returnTime: date
+}), 'A booking or maintenance window a request overlaps');
+
+export const BlockingInterval = component('BlockingInterval', z.looseObject({
+    vehicle: id,
+    start: date,
+    end: date,
+    status: z.enum([...BOOKING_STATUSES, 'maintenance'])
+}), 'Time a request runs into, without saying whose booking holds it');
+
+export const AuditEntry = component('AuditEntry', z.looseObject({
+    _id: id,
+    booking: id,
+    action: z.enum(AUDIT_ACTIONS),
+    actor: z.looseObject({ _id: id, name: z.string(), email: z.string() }).nullable().optional(),
+    previous: z.record(z.string(), z.unknown()).optional(),
+    current: z.record(z.string(), z.unknown()).optional(),
+    comment: z.string().optional(),
+    rule: id.optional(),
+    at: date
+}), 'One change in a booking\'s history');
+
+export const BatchReport = component('BatchReport', z.looseObject({
+    results: z.array(z.looseObject({
+        id: z.string(),
+        ok: z.boolean(),
+        code: z.string().optional(),
+        error: z.string().optional(),
+        conflicts: z.array(Conflict).optional()
+    })),
+    succeeded: z.number(),
+    failed: z.number()
+}));
+
+export const ImportReport = component('ImportReport', z.looseObject({
+    committed: z.boolean(),
+    total: z.number(),
+    valid: z.number(),
+    invalid: z.number(),
+    created: z.number(),
+    rows: z.array(z.looseObject({
+        row: z.number(),
+        ok: z.boolean(),
+        errors: z.array(FieldError),
+        booking: z.looseObject({
+            vehicle: z.string().optional(),
+            email: z.string().optional(),
+            purpose: z.string().optional(),
+            costCentre: z.string().optional(),
+            bookingTime: z.string().nullable().optional(),
+            returnTime: z.string().nullable().optional()
+        })
+    }))
+}), 'Check of every row of a CSV import, and whether it was saved');
+
+export const BookingSeries = component('BookingSeries', z.looseObject({
+    _id: id,
+    vehicle: id,
+    user: id,
+    name: z.string(),
+    purpose: z.string(),
+    recurrence: z.looseObject({
+        frequency: z.enum(RECURRENCE_FREQUENCIES),
+        interval: z.number().optional(),
+        weekdays: z.array(z.number()).optional(),
+        dates: z.array(date).optional(),
+        until: date.optional(),
+        count: z.number().optional()
+    }),
+    status: z.enum(SERIES_STATUSES),
+    createdAt: date
+}));
+
+export const SeriesCreated = component('SeriesCreated', z.looseObject({
+    series: BookingSeries,
+    occurrences: z.array(z.looseObject({
+        bookingTime: date,
+        returnTime: date,
+        conflicts: z.array(BlockingInterval),
+        violations: z.array(FieldError),
+        // Null for an occurrence skipped because it conflicts
+        booking: id.nullable()
+    }))
+}));
+
+export const SeriesDetail = component('SeriesDetail', z.looseObject({
+    series: BookingSeries,
+    occurrences: z.array(Booking)
+}));
+
+export const SeriesUpdated = component('SeriesUpdated', z.looseObject({
+    series: BookingSeries,
+    occurrences: z.array(Booking),
+    // One entry per pending occurrence an approval tried
+    results: z.array(z.looseObject({
+        booking: id,
+        bookingTime: date,
+        returnTime: date,
+        status: z.enum(BOOKING_STATUSES),
+        conflicts: z.array(Conflict).optional(),
+        error: z.string().optional()
+    }))
+}));
+
+export const Availability = component('Availability', z.looseObject({
+    from: date,
+    to: date,
+    vehicles: z.array(z.looseObject({
+        vehicle: VehicleSummary,
+        busy: z.array(z.looseObject({
+            start: date,
+            end: date,
+            status: z.enum([...BOOKING_STATUSES, 'maintenance']),
+            mine: z.boolean()
+        })),
+        free: z.array(z.looseObject({ start: date, end: date }))
+    }))
+}), 'Busy and free time per active vehicle');
+
+export const MaintenanceWindow = component('MaintenanceWindow', z.looseObject({
+    _id: id,
+    vehicle: z.union([id, VehicleSummary]),
+    reason: z.string(),
+    start: date,
+    end: date,
+    seriesId: id.optional(),
+    createdBy: id.optional(),
+    createdAt: date
+}));
+
+export const MaintenanceCreated = component('MaintenanceCreated', z.looseObject({
+    windows: z.array(MaintenanceWindow),
+    // Bookings already holding the time, for the admin to resolve
+    affectedBookings: z.array(Conflict.extend({ status: z.enum(BOOKING_STATUSES) }))
+}));
+
+export const ServiceReminder = component('ServiceReminder', z.looseObject({
+    vehicle: Vehicle,
+    kmSinceService: z.number(),
+    kmRemaining: z.number(),
+    due: z.boolean(),
+    dueSoon: z.boolean()
+}), 'A vehicle near or past its service interval');
+
+export const BookingPolicy = component('BookingPolicy', z.looseObject({
+    maxDurationHours: z.number().optional(),
+    minNoticeHours: z.number().optional(),
+    maxAdvanceDays: z.number().optional(),
+    allowedHoursStart: z.string().optional(),
+    allowedHoursEnd: z.string().optional(),
+    blackoutDates: z.array(z.looseObject({
+        start: date,
+        end: date,
+        reason: z.string().optional()
+    })),
+    maxActiveBookingsPerUser: z.number().optional(),
+    bufferMinutes: z.number().optional(),
+    updatedAt: date.optional()
+}), 'The organization\'s booking rules; unset rules are not enforced');
+
+export const AutoApprovalRule = component('AutoApprovalRule', z.looseObject({
+    _id: id,
+    name: z.string(),
+    enabled: z.boolean(),
+    roles: z.array(z.enum(USER_ROLES)),
+    groups: z.array(z.string()),
+    maxDurationHours: z.number().optional(),
+    minLeadHours: z.number().optional(),
+    maxLeadHours: z.number().optional(),
+    earliestStart: z.string().optional(),
+    latestEnd: z.string().optional(),
+    updatedAt: date,
+    createdAt: date
+}));
+
+export const RateCard = component('RateCard', z.looseObject({
+    _id: id,
+    name: z.string(),
+    // Unset on the default card
+    vehicleType: z.enum(VEHICLE_TYPES).optional(),
+    hourlyRate: z.number().optional(),
+    dailyRate: z.number().optional(),
+    perKmRate: z.number().optional(),
+    latePenaltyPerHour: z.number().optional(),
+    lateGraceMinutes: z.number().optional(),
+    updatedAt: date,
+    createdAt: date
+}));
+
+const statementTotals = {
+    bookings: z.number(),
+    // Checked in while no rate card applied
+    unpriced: z.number(),
+    hours: z.number(),
+    km: z.number(),
+    time: z.number(),
+    distance: z.number(),
+    latePenalty: z.number(),
+    total: z.number()
+};
+
+export const Statement = component('Statement', z.looseObject({
+    month: z.string(),
+    from: date,
+    to: date,
+    currency: z.string(),
+    // Largest first; null for bookings without a cost centre
+    costCentres: z.array(z.looseObject({ costCentre: z.string().nullable(), ...statementTotals })),
+    totals: z.looseObject(statementTotals)
+}), 'A month\'s charges per cost centre');
+
+export const Utilization = component('Utilization', z.looseObject({
+    from: date,
+    to: date,
+    interval: z.enum(['week', 'month']),
+    vehicles: z.array(z.looseObject({
+        vehicle: VehicleSummary,
+        periods: z.array(z.looseObject({
+            period: date,
+            bookedHours: z.number(),
+            // Percentage of the period, 0-100
+            utilization: z.number()
+        }))
+    }))
+}));
+
+export const BookingSummary = component('BookingSummary', z.looseObject({
+    from: date,
+    to: date,
+    timezone: z.string(),
+    total: z.number(),
+    counts: z.record(z.enum(BOOKING_STATUSES), z.number()),
+    approvalRate: z.number().nullable(),
+    averageLeadHours: z.number().nullable(),
+    averageDurationHours: z.number().nullable(),
+    // heatmap[day][hour], day 0 = Sunday
+    heatmap: z.array(z.array(z.number())),
+    topUsers: z.array(z.looseObject({ user: id, name: z.string(), count: z.number(), hours: z.number() })),
+    topPurposes: z.array(z.looseObject({ purpose: z.string(), count: z.number() }))
+}));
+
+export const CalendarFeeds = component('CalendarFeeds', z.looseObject({
+    bookings: z.string(),
+    // Append "<vehicle id>.ics" for one vehicle's feed
+    vehicles: z.string()
+}), 'Paths of the current user\'s calendar feeds');
+
+export const ReminderRun = component('ReminderRun', z.looseObject({
+    pickup: z.number(),
+    overdue: z.number()
+}), 'How many reminder emails a run sent');
+
+export const ClientConfig = component('ClientConfig', z.looseObject({
+    timezone: z.string(),
+    currency: z.string()
+}));
+
+export const Health = component('Health', z.looseObject({
+    status: z.literal('OK'),
+    database: z.enum(['Connected', 'Disconnected']),
+    timestamp: date
+}));
@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { EXPORT_FORMATS } from '../lib/bookingExport.js';
+import { costCentre, timeZone } from './common.js';
+
+export const statementQuery = z.object({
+    month: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'must be a month in YYYY-MM format')
+});
+
+export const statementExportQuery = statementQuery.extend({
+    // One cost centre's lines only; '' for the bookings without one
+    costCentre: costCentre.optional(),
+    format: z.enum(EXPORT_FORMATS).optional(),
+    timezone: timeZone.optional()
+});
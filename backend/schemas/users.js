@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { USER_ROLES } from '../models/User.js';
+import { costCentre } from './common.js';
+
+// Role, group and/or default cost centre; an empty or null group or cost
+// centre removes it
+export const userUpdate = z.object({
+    role: z.enum(USER_ROLES).optional(),
+    group: z.string().max(100).nullable().optional(),
+    costCentre: costCentre.nullable().optional()
+}).refine(
+    (body) => body.role !== undefined || body.group !== undefined || body.costCentre !== undefined,
+    'must set role, group or costCentre'
+);
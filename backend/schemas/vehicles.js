@@ -0,0 +1,24 @@
+import { z } from 'zod';
+import { VEHICLE_TYPES } from '../models/Vehicle.js';
+import { flag, requiredText, dateTime } from './common.js';
+
+export const vehicleListQuery = z.object({
+    active: flag.optional()
+});
+
+export const vehicleCreate = z.object({
+    name: requiredText.max(100),
+    type: z.enum(VEHICLE_TYPES).optional(),
+    registration: z.string().max(50).optional()
+});
+
+// Service fields take null to clear them
+export const vehicleUpdate = z.object({
+    name: requiredText.max(100).optional(),
+    type: z.enum(VEHICLE_TYPES).optional(),
+    registration: z.string().max(50).optional(),
+    active: z.boolean().optional(),
+    serviceIntervalKm: z.number().min(0).nullable().optional(),
+    lastServiceOdometer: z.number().min(0).nullable().optional(),
+    lastServiceAt: dateTime.nullable().optional()
+});
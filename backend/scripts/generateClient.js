@@ -0,0 +1,25 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { API_ROUTES } from '../routes/index.js';
+import { buildOpenApi } from '../lib/openapi.js';
+import { renderApiClient } from '../lib/apiClient.js';
+
+// Writes the frontend's API client from the OpenAPI document. With --check it
+// writes nothing and fails if the client is out of date; building the
+// document also fails if a route and schemas/operations.js don't match up.
+
+const CLIENT_PATH = fileURLToPath(new URL('../../frontend/src/api.js', import.meta.url));
+
+const source = renderApiClient(buildOpenApi(API_ROUTES));
+
+if (process.argv.includes('--check')) {
+    const current = fs.existsSync(CLIENT_PATH) ? fs.readFileSync(CLIENT_PATH, 'utf8') : '';
+    if (current !== source) {
+        console.error('frontend/src/api.js is out of date; run `npm run generate:client` in backend/');
+        process.exit(1);
+    }
+    console.log('The OpenAPI document and frontend/src/api.js are up to date');
+} else {
+    fs.writeFileSync(CLIENT_PATH, source);
+    console.log(`Wrote ${CLIENT_PATH}`);
+}
@@ -1,28 +1,25 @@
-import express from 'express';
+// Load environment variables before any module reads process.env
+import 'dotenv/config';
 import mongoose from 'mongoose';
-import cors from 'cors';
-import dotenv from 'dotenv';
+import { createApp } from './app.js';
+import { startReminderJob } from './lib/reminderJob.js';
+import config from './lib/config.js';
 
-// Load environment variables
-dotenv.config();
-
-const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
 // MongoDB connection
-const MONGODB_URI = process.env.MONGODB_URI;
-
-if (!MONGODB_URI) {
+if (!config.mongodbUri) {
     console.error('MONGODB_URI is missing');
 }
 
+// An external scheduler authenticates with CRON_SECRET; without it reminders never go out
+if (config.reminderScheduler === 'external' && !config.cronSecret) {
+    console.error('CRON_SECRET is missing; the reminder scheduler will be refused');
+}
+
 let isConnecting = false;
 async function connectToDatabaseOnce() {
-    if (!MONGODB_URI) {
+    if (!config.mongodbUri) {
         return;
     }
     // 1 = connected, 2 = connecting
@@ -31,7 +28,7 @@ async function connectToDatabaseOnce() {
     }
     isConnecting = true;
     try {
-        await mongoose.connect(MONGODB_URI, {
+        await mongoose.connect(config.mongodbUri, {
             useNewUrlParser: true,
             useUnifiedTopology: true,
         });
@@ -44,151 +41,14 @@ async function connectToDatabaseOnce() {
     }
 }
 
-// Lazy-connect middleware for serverless: skip health check
-app.use(async (req, res, next) => {
-    if (req.path === '/api/health') {
-        return next();
-    }
-    if (!MONGODB_URI) {
-        return res.status(500).json({ message: 'Server misconfigured: MONGODB_URI is missing' });
-    }
-    try {
-        await connectToDatabaseOnce();
-        return next();
-    } catch (err) {
-        return res.status(500).json({ message: 'Database connection failed' });
-    }
-});
-
-// Booking Schema
-const bookingSchema = new mongoose.Schema({
-    name: { type: String, required: true },
-    purpose: { type: String, required: true },
-    bookingTime: { type: Date, required: true },
-    returnTime: { type: Date, required: true },
-    status: { type: String, default: 'pending' },
-    createdAt: { type: Date, default: Date.now }
-});
-
-const Booking = mongoose.model('Booking', bookingSchema);
-
-// Routes (keep your existing routes exactly as they are)
-app.get('/api/health', (req, res) => {
-    const dbStatus = mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected';
-    res.json({
-        status: 'OK',
-        database: dbStatus,
-        timestamp: new Date().toISOString()
-    });
-});
-
-app.get('/api/bookings', async (req, res) => {
-    try {
-        const bookings = await Booking.find().sort({ createdAt: -1 });
-        res.json(bookings);
-    } catch (error) {
-        console.error('Error fetching bookings:', error);
-        res.status(500).json({ message: 'Server error fetching bookings' });
-    }
-});
-
-app.get('/api/bookings/approved', async (req, res) => {
-    try {
-        const bookings = await Booking.find({ status: 'approved' }).sort({ bookingTime: 1 });
-        res.json(bookings);
-    } catch (error) {
-        console.error('Error fetching approved bookings:', error);
-        res.status(500).json({ message: 'Server error fetching approved bookings' });
-    }
-});
-
-app.post('/api/bookings', async (req, res) => {
-    try {
-        const { name, purpose, bookingTime, returnTime } = req.body;
-
-        if (!name || !purpose || !bookingTime || !returnTime) {
-            return res.status(400).json({
-                message: 'All fields are required'
-            });
-        }
-
-        const bookingDateTime = new Date(bookingTime);
-        const returnDateTime = new Date(returnTime);
-
-        if (bookingDateTime >= returnDateTime) {
-            return res.status(400).json({
-                message: 'Return time must be after booking time'
-            });
-        }
-
-        const conflictingBooking = await Booking.findOne({
-            status: 'approved',
-            $or: [
-                {
-                    bookingTime: { $lte: returnDateTime },
-                    returnTime: { $gte: bookingDateTime }
-                }
-            ]
-        });
-
-        if (conflictingBooking) {
-            return res.status(400).json({
-                message: 'Time slot conflict with existing booking'
-            });
-        }
-
-        const booking = new Booking({
-            name,
-            purpose,
-            bookingTime: bookingDateTime,
-            returnTime: returnDateTime
-        });
-
-        const newBooking = await booking.save();
-        res.status(201).json(newBooking);
-    } catch (error) {
-        console.error('Error creating booking:', error);
-        res.status(500).json({ message: 'Server error creating booking' });
-    }
-});
-
-app.patch('/api/bookings/:id', async (req, res) => {
-    try {
-        const { status } = req.body;
-
-        if (!['pending', 'approved', 'rejected'].includes(status)) {
-            return res.status(400).json({ message: 'Invalid status' });
-        }
-
-        const booking = await Booking.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        );
-
-        if (!booking) {
-            return res.status(404).json({ message: 'Booking not found' });
-        }
-
-        res.json(booking);
-    } catch (error) {
-        console.error('Error updating booking:', error);
-        res.status(500).json({ message: 'Server error updating booking' });
+async function connect() {
+    if (!config.mongodbUri) {
+        throw Object.assign(new Error('Server misconfigured: MONGODB_URI is missing'), { status: 500 });
     }
-});
+    await connectToDatabaseOnce();
+}
 
-app.delete('/api/bookings/:id', async (req, res) => {
-    try {
-        const booking = await Booking.findByIdAndDelete(req.params.id);
-        if (!booking) {
-            return res.status(404).json({ message: 'Booking not found' });
-        }
-        res.json({ message: 'Booking deleted successfully' });
-    } catch (error) {
-        console.error('Error deleting booking:', error);
-        res.status(500).json({ message: 'Server error deleting booking' });
-    }
-});
+const app = createApp({ connect });
 
 // Export for Vercel
 export default app;
@@ -198,4 +58,10 @@ if (process.env.NODE_ENV !== 'production') {
     app.listen(PORT, () => {
         console.log(`Server is running on port ${PORT}`);
     });
-}
\ No newline at end of file
+}
+
+// Long-running deployments (locally, Railway) send reminders from here unless
+// REMINDER_SCHEDULER says a scheduler calls /api/jobs/reminders instead
+if (config.reminderScheduler === 'interval' && config.mongodbUri) {
+    startReminderJob(connectToDatabaseOnce);
+}
@@ -0,0 +1,606 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { configure } from '../lib/config.js';
+import { setClock } from '../lib/clock.js';
+import { outbox } from '../lib/mailer.js';
+import { approveBooking } from '../lib/approval.js';
+import Booking from '../models/Booking.js';
+import BookingPolicy from '../models/BookingPolicy.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import Vehicle from '../models/Vehicle.js';
+import { useTestApp, api, at, NOW, createUser, createAdmin, createVehicle, createBooking } from './harness.js';
+
+useTestApp();
+
+let admin;
+let alice;
+let bob;
+let vehicle;
+
+beforeEach(async () => {
+    admin = await createAdmin({ name: 'Admin' });
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    vehicle = await createVehicle();
+});
+
+function requestBooking(who, fields = {}) {
+    return api().post('/api/bookings').set(who.auth).send({
+        vehicle: String(vehicle._id),
+        purpose: 'Site visit',
+        bookingTime: at(2),
+        returnTime: at(4),
+        ...fields
+    });
+}
+
+describe('POST /api/bookings', () => {
+    it('creates a pending booking for the signed-in user', async () => {
+        const res = await requestBooking(alice);
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ status: 'pending', name: 'Alice', purpose: 'Site visit' });
+        expect(res.body.vehicle.name).toBe('Blue scooter');
+        expect(outbox.map((mail) => mail.to)).toEqual([alice.user.email]);
+    });
+
+    it('requires a signed-in user', async () => {
+        const res = await api().post('/api/bookings').send({});
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('UNAUTHENTICATED');
+    });
+
+    it('lists every invalid field', async () => {
+        const res = await requestBooking(alice, { vehicle: 'nope', purpose: '', bookingTime: '2030-01-07 10:00' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.errors.map((error) => error.field).sort()).toEqual(['bookingTime', 'purpose', 'vehicle']);
+    });
+
+    it('rejects a return time before the booking time', async () => {
+        const res = await requestBooking(alice, { bookingTime: at(4), returnTime: at(2) });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'returnTime' })]);
+    });
+
+    it('rejects an inactive vehicle', async () => {
+        await Vehicle.updateOne({ _id: vehicle._id }, { active: false });
+
+        const res = await requestBooking(alice);
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'vehicle' })]);
+    });
+
+    it('applies the booking policy against the current time', async () => {
+        await new BookingPolicy({ minNoticeHours: 24 }).save();
+
+        const res = await requestBooking(alice);
+
+        expect(res.status).toBe(422);
+        expect(res.body.code).toBe('POLICY_VIOLATION');
+        expect(res.body.errors).toEqual([expect.objectContaining({ code: 'MIN_NOTICE', field: 'bookingTime' })]);
+    });
+
+    it('refuses a slot blocked by maintenance, even for the waitlist', async () => {
+        await new MaintenanceWindow({ vehicle: vehicle._id, start: at(3), end: at(6), reason: 'Tyres' }).save();
+
+        const res = await requestBooking(alice, { waitlist: true });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('BOOKING_CONFLICT');
+        expect(res.body.canWaitlist).toBeUndefined();
+    });
+
+    describe('overlap with an approved booking from +2h to +4h', () => {
+        beforeEach(async () => {
+            await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved' });
+        });
+
+        it.each([
+            ['identical', 2, 4],
+            ['containing it', 1, 5],
+            ['contained in it', 2.5, 3.5],
+            ['overlapping its start', 1, 3],
+            ['overlapping its end', 3, 5],
+            ['ending as it starts', 1, 2],
+            ['starting as it ends', 4, 6]
+        ])('refuses an interval %s', async (label, from, to) => {
+            const res = await requestBooking(alice, { bookingTime: at(from), returnTime: at(to) });
+
+            expect(res.status).toBe(409);
+            expect(res.body).toMatchObject({ code: 'BOOKING_CONFLICT', canWaitlist: true });
+        });
+
+        it.each([
+            ['just before it', 0.5, 1.75],
+            ['just after it', 4.25, 6]
+        ])('accepts an interval %s', async (label, from, to) => {
+            const res = await requestBooking(alice, { bookingTime: at(from), returnTime: at(to) });
+
+            expect(res.status).toBe(201);
+        });
+
+        it('reports what blocks the slot and the nearest free slots of the same length', async () => {
+            const res = await requestBooking(alice, { bookingTime: at(4), returnTime: at(5) });
+
+            expect(res.status).toBe(409);
+            // The interval and its status, not whose booking it is
+            expect(res.body.conflicts).toEqual([
+                { vehicle: String(vehicle._id), start: at(2), end: at(4), status: 'approved' }
+            ]);
+            // Nothing earlier than now; later ones don't overlap each other
+            expect(res.body.suggestions).toEqual([
+                { bookingTime: at(4.25), returnTime: at(5.25) },
+                { bookingTime: at(5.25), returnTime: at(6.25) },
+                { bookingTime: at(6.25), returnTime: at(7.25) },
+                { bookingTime: at(0.75), returnTime: at(1.75) }
+            ]);
+        });
+
+        it('only suggests slots the booking policy allows', async () => {
+            // Bookings between 08:00 and 12:00, half an hour apart; now is 08:00
+            await new BookingPolicy({ allowedHoursStart: '08:00', allowedHoursEnd: '12:00', bufferMinutes: 30 }).save();
+
+            const res = await requestBooking(alice, { bookingTime: at(3), returnTime: at(4) });
+
+            expect(res.status).toBe(409);
+            expect(res.body.suggestions).toEqual([
+                { bookingTime: at(0.25), returnTime: at(1.25) },
+                { bookingTime: at(24), returnTime: at(25) },
+                { bookingTime: at(25), returnTime: at(26) },
+                { bookingTime: at(26), returnTime: at(27) }
+            ]);
+        });
+
+        it('reports the same for a request inside the handover buffer', async () => {
+            await new BookingPolicy({ bufferMinutes: 30 }).save();
+
+            const res = await requestBooking(alice, { bookingTime: at(4.25), returnTime: at(5.25) });
+
+            expect(res.status).toBe(422);
+            expect(res.body.errors).toEqual([expect.objectContaining({ code: 'HANDOVER_BUFFER' })]);
+            expect(res.body.conflicts).toEqual([
+                { vehicle: String(vehicle._id), start: at(2), end: at(4), status: 'approved' }
+            ]);
+            // Half an hour clear of it on either side
+            expect(res.body.suggestions).toEqual([
+                { bookingTime: at(4.75), returnTime: at(5.75) },
+                { bookingTime: at(5.75), returnTime: at(6.75) },
+                { bookingTime: at(6.75), returnTime: at(7.75) },
+                { bookingTime: at(0.25), returnTime: at(1.25) }
+            ]);
+        });
+
+        it('accepts the same interval on another vehicle', async () => {
+            const other = await createVehicle({ name: 'Red van', type: 'van', registration: 'XY34 ZZZ' });
+
+            const res = await requestBooking(alice, { vehicle: String(other._id) });
+
+            expect(res.status).toBe(201);
+        });
+
+        it('ignores bookings that no longer hold the slot', async () => {
+            await Booking.updateMany({}, { status: 'cancelled' });
+
+            const res = await requestBooking(alice);
+
+            expect(res.status).toBe(201);
+        });
+
+        it('puts the request on the waitlist when asked to', async () => {
+            const first = await requestBooking(alice, { waitlist: true });
+            const second = await requestBooking(admin, { waitlist: true });
+
+            expect(first.status).toBe(201);
+            expect(first.body).toMatchObject({ status: 'waitlisted', waitlistPosition: 1 });
+            expect(second.body).toMatchObject({ status: 'waitlisted', waitlistPosition: 2 });
+        });
+    });
+
+    it('does not let pending requests block each other', async () => {
+        await createBooking({ user: bob.user, vehicle, from: 2, to: 4 });
+
+        const res = await requestBooking(alice);
+
+        expect(res.status).toBe(201);
+    });
+});
+
+describe('PUT /api/bookings/:id', () => {
+    it('lets the owner edit a pending booking', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().put(`/api/bookings/${booking._id}`).set(alice.auth).send({
+            vehicle: String(vehicle._id),
+            purpose: 'Delivery',
+            bookingTime: at(5),
+            returnTime: at(7)
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ purpose: 'Delivery', bookingTime: at(5), returnTime: at(7) });
+    });
+
+    it('checks the new times against approved bookings', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+        await createBooking({ user: bob.user, vehicle, from: 5, to: 6, status: 'approved' });
+
+        const moved = await api().put(`/api/bookings/${booking._id}`).set(alice.auth).send({
+            vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(4.5)
+        });
+        const clashing = await api().put(`/api/bookings/${booking._id}`).set(alice.auth).send({
+            vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(5)
+        });
+
+        expect(moved.status).toBe(200);
+        expect(clashing.status).toBe(409);
+        expect(clashing.body.code).toBe('BOOKING_CONFLICT');
+    });
+
+    it('refuses edits once the booking is no longer pending', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved' });
+
+        const res = await api().put(`/api/bookings/${booking._id}`).set(alice.auth).send({
+            vehicle: String(vehicle._id), purpose: 'Delivery', bookingTime: at(2), returnTime: at(4)
+        });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATE');
+    });
+
+    it("hides other users' bookings", async () => {
+        const booking = await createBooking({ user: bob.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().put(`/api/bookings/${booking._id}`).set(alice.auth).send({
+            vehicle: String(vehicle._id), purpose: 'Delivery', bookingTime: at(2), returnTime: at(4)
+        });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('PATCH /api/bookings/:id', () => {
+    it('lets an admin approve a free slot', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().patch(`/api/bookings/${booking._id}`).set(admin.auth).send({ status: 'approved' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('approved');
+    });
+
+    it.each([
+        ['identical', 2, 4],
+        ['containing', 1, 5],
+        ['contained', 2.5, 3.5],
+        ['touching', 4, 6]
+    ])('refuses to approve a request %s an approved one', async (label, from, to) => {
+        await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved' });
+        const booking = await createBooking({ user: alice.user, vehicle, from, to });
+
+        const res = await api().patch(`/api/bookings/${booking._id}`).set(admin.auth).send({ status: 'approved' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('BOOKING_CONFLICT');
+        expect(res.body.conflicts).toHaveLength(1);
+    });
+
+    it('only approves pending requests', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'rejected' });
+
+        const res = await api().patch(`/api/bookings/${booking._id}`).set(admin.auth).send({ status: 'approved' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATE');
+        expect((await Booking.findById(booking._id)).status).toBe('rejected');
+    });
+
+    // The booking as read before the vehicle lock was taken, changed meanwhile
+    it.each([
+        ['cancelled', { status: 'cancelled' }],
+        ['deleted', { deletedAt: new Date() }]
+    ])('does not approve a request %s while waiting for the lock', async (label, change) => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+        await Booking.updateOne({ _id: booking._id }, change);
+
+        const result = await approveBooking(booking, { actor: admin.user._id });
+
+        expect(result.booking).toBeUndefined();
+        expect(result.notPending).toMatchObject(change.status ? { status: 'cancelled' } : { status: 'pending' });
+        const stored = await Booking.findById(booking._id).setOptions({ withDeleted: true });
+        expect(stored.status).not.toBe('approved');
+    });
+
+    it('flags overlapping pending requests on approval', async () => {
+        const first = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+        const second = await createBooking({ user: bob.user, vehicle, from: 3, to: 5 });
+
+        await api().patch(`/api/bookings/${first._id}`).set(admin.auth).send({ status: 'approved' });
+
+        const flagged = await Booking.findById(second._id);
+        expect(flagged.status).toBe('pending');
+        expect(flagged.conflictsWith.map(String)).toEqual([String(first._id)]);
+    });
+
+    it('rejects overlapping pending requests when configured to', async () => {
+        const previous = configure({ pendingOverlapPolicy: 'reject' });
+        try {
+            const first = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+            const second = await createBooking({ user: bob.user, vehicle, from: 4, to: 5 });
+
+            await api().patch(`/api/bookings/${first._id}`).set(admin.auth).send({ status: 'approved' });
+
+            expect((await Booking.findById(second._id)).status).toBe('rejected');
+        } finally {
+            configure(previous);
+        }
+    });
+
+    it('lets the owner cancel but not approve', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+
+        const approve = await api().patch(`/api/bookings/${booking._id}`).set(alice.auth).send({ status: 'approved' });
+        const cancel = await api().patch(`/api/bookings/${booking._id}`).set(alice.auth).send({ status: 'cancelled' });
+
+        expect(approve.status).toBe(403);
+        expect(cancel.status).toBe(200);
+        expect(cancel.body.status).toBe('cancelled');
+    });
+
+    it("hides other users' bookings", async () => {
+        const booking = await createBooking({ user: bob.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().patch(`/api/bookings/${booking._id}`).set(alice.auth).send({ status: 'cancelled' });
+
+        expect(res.status).toBe(404);
+    });
+
+    it('refuses status changes after check-out', async () => {
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'in_use' });
+
+        const res = await api().patch(`/api/bookings/${booking._id}`).set(admin.auth).send({ status: 'rejected' });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATE');
+    });
+
+    it('promotes the first waitlisted request when the slot frees up', async () => {
+        const held = await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved' });
+        const waiting = await createBooking({
+            user: alice.user, vehicle, from: 2, to: 4, status: 'waitlisted', waitlistPosition: 1
+        });
+
+        await api().patch(`/api/bookings/${held._id}`).set(bob.auth).send({ status: 'cancelled' });
+
+        expect((await Booking.findById(waiting._id)).status).toBe('pending');
+    });
+});
+
+describe('POST /api/bookings/batch', () => {
+    it('approves item by item so overlapping requests cannot all win', async () => {
+        const first = await createBooking({ user: alice.user, vehicle, from: 2, to: 4 });
+        const second = await createBooking({ user: bob.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().post('/api/bookings/batch').set(admin.auth).send({
+            action: 'approve',
+            ids: [String(first._id), String(second._id), 'nope']
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ succeeded: 1, failed: 2 });
+        expect(res.body.results.map((result) => result.code).filter(Boolean).sort())
+            .toEqual(['BOOKING_CONFLICT', 'NOT_FOUND']);
+    });
+
+    it('is admin-only', async () => {
+        const res = await api().post('/api/bookings/batch').set(alice.auth).send({ action: 'reject', ids: ['x'] });
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('check-out and check-in', () => {
+    let booking;
+
+    beforeEach(async () => {
+        booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved' });
+    });
+
+    it('records the trip and the vehicle readings', async () => {
+        const out = await api().post(`/api/bookings/${booking._id}/check-out`).set(alice.auth)
+            .send({ odometer: 1000, fuelLevel: 80 });
+        const back = await api().post(`/api/bookings/${booking._id}/check-in`).set(alice.auth)
+            .send({ odometer: 1042, fuelLevel: 55, notes: 'Scratch on the left mirror' });
+
+        expect(out.status).toBe(200);
+        expect(out.body.status).toBe('in_use');
+        expect(back.status).toBe(200);
+        expect(back.body.status).toBe('completed');
+        expect(await Vehicle.findById(vehicle._id).lean()).toMatchObject({ odometer: 1042, fuelLevel: 55 });
+    });
+
+    it('refuses an odometer reading below the check-out one', async () => {
+        await api().post(`/api/bookings/${booking._id}/check-out`).set(alice.auth).send({ odometer: 1000, fuelLevel: 80 });
+
+        const res = await api().post(`/api/bookings/${booking._id}/check-in`).set(alice.auth)
+            .send({ odometer: 900, fuelLevel: 50 });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'odometer' })]);
+    });
+
+    it('refuses to check in a booking that is not checked out', async () => {
+        const res = await api().post(`/api/bookings/${booking._id}/check-in`).set(alice.auth)
+            .send({ odometer: 1000, fuelLevel: 50 });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATE');
+    });
+
+    it("hides other users' bookings", async () => {
+        const res = await api().post(`/api/bookings/${booking._id}/check-out`).set(bob.auth)
+            .send({ odometer: 1000, fuelLevel: 80 });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/bookings/:id', () => {
+    it('soft-deletes the booking and frees its slot', async () => {
+        const booking = await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved' });
+
+        const res = await api().delete(`/api/bookings/${booking._id}`).set(admin.auth).send({ comment: 'Duplicate' });
+        const retry = await requestBooking(alice);
+
+        expect(res.status).toBe(200);
+        expect(await Booking.findById(booking._id)).toBeNull();
+        const deleted = await Booking.findById(booking._id).setOptions({ withDeleted: true });
+        expect(deleted.deletedAt).toEqual(NOW);
+        expect(retry.status).toBe(201);
+    });
+
+    it('answers 404 for an unknown booking', async () => {
+        const res = await api().delete('/api/bookings/0123456789abcdef01234567').set(admin.auth);
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('GET /api/bookings/:id/history', () => {
+    it('lists the audit trail', async () => {
+        const created = await requestBooking(alice);
+        await api().patch(`/api/bookings/${created.body._id}`).set(admin.auth).send({ status: 'approved', comment: 'OK' });
+
+        const res = await api().get(`/api/bookings/${created.body._id}/history`).set(alice.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveLength(2);
+        expect(res.body).toEqual(expect.arrayContaining([
+            expect.objectContaining({ action: 'created' }),
+            expect.objectContaining({ action: 'status_changed', comment: 'OK', current: { status: 'approved' } })
+        ]));
+    });
+
+    it("hides other users' bookings", async () => {
+        const booking = await createBooking({ user: bob.user, vehicle, from: 2, to: 4 });
+
+        const res = await api().get(`/api/bookings/${booking._id}/history`).set(alice.auth);
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('lists', () => {
+    beforeEach(async () => {
+        await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved', purpose: 'Approved trip' });
+        await createBooking({ user: bob.user, vehicle, from: 6, to: 8, purpose: 'Pending trip' });
+    });
+
+    it('GET /mine returns only the caller’s bookings', async () => {
+        const res = await api().get('/api/bookings/mine').set(alice.auth);
+
+        expect(res.body.map((booking) => booking.purpose)).toEqual(['Approved trip']);
+    });
+
+    it('GET /approved returns approved bookings to any user', async () => {
+        const res = await api().get('/api/bookings/approved').set(bob.auth);
+
+        expect(res.body.map((booking) => booking.purpose)).toEqual(['Approved trip']);
+    });
+
+    it('GET / filters, pages and counts overdue bookings by the current time', async () => {
+        const now = await api().get('/api/bookings').query({ status: 'pending' }).set(admin.auth);
+        setClock(at(5));
+        const later = await api().get('/api/bookings').set(admin.auth);
+
+        expect(now.body).toMatchObject({ total: 1, page: 1, overdueCount: 0 });
+        expect(now.body.bookings.map((booking) => booking.purpose)).toEqual(['Pending trip']);
+        expect(later.body).toMatchObject({ total: 2, overdueCount: 1 });
+    });
+
+    it('GET / is admin-only', async () => {
+        const res = await api().get('/api/bookings').set(alice.auth);
+
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('FORBIDDEN');
+    });
+
+    it('GET /export downloads the filtered list as CSV', async () => {
+        const res = await api().get('/api/bookings/export').query({ status: 'approved' }).set(admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/^text\/csv/);
+        expect(res.text).toContain('Approved trip');
+        expect(res.text).not.toContain('Pending trip');
+    });
+});
+
+describe('POST /api/bookings/import', () => {
+    const csv = (rows) => ['vehicle,email,purpose,bookingTime,returnTime', ...rows].join('\n');
+
+    it('previews without saving, then commits', async () => {
+        const file = csv([`Blue scooter,${alice.user.email},Imported trip,${at(10)},${at(12)}`]);
+
+        const preview = await api().post('/api/bookings/import').set(admin.auth).type('text/csv').send(file);
+        const saved = await Booking.countDocuments();
+        const commit = await api().post('/api/bookings/import').query({ commit: 'true' })
+            .set(admin.auth).type('text/csv').send(file);
+
+        expect(preview.body).toMatchObject({ committed: false, valid: 1, invalid: 0 });
+        expect(saved).toBe(0);
+        expect(commit.status).toBe(201);
+        expect(commit.body).toMatchObject({ committed: true, created: 1 });
+        expect(await Booking.findOne({ purpose: 'Imported trip' }).lean()).toMatchObject({ status: 'pending' });
+    });
+
+    it('commits nothing while any row is invalid', async () => {
+        await createBooking({ user: bob.user, vehicle, from: 10, to: 12, status: 'approved' });
+        const file = csv([
+            `Blue scooter,${alice.user.email},Clashes,${at(12)},${at(13)}`,
+            `Blue scooter,nobody@example.com,Unknown user,${at(20)},${at(21)}`
+        ]);
+
+        const res = await api().post('/api/bookings/import').query({ commit: 'true' })
+            .set(admin.auth).type('text/csv').send(file);
+
+        expect(res.status).toBe(422);
+        expect(res.body).toMatchObject({ committed: false, invalid: 2 });
+        expect(await Booking.countDocuments()).toBe(1);
+    });
+});
+
+describe('waitlist', () => {
+    let first;
+    let second;
+
+    beforeEach(async () => {
+        await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved' });
+        first = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'waitlisted', waitlistPosition: 1 });
+        second = await createBooking({ user: admin.user, vehicle, from: 3, to: 4, status: 'waitlisted', waitlistPosition: 2 });
+    });
+
+    it('GET /waitlist lists requests in queue order', async () => {
+        const res = await api().get('/api/bookings/waitlist').query({ vehicle: String(vehicle._id) }).set(admin.auth);
+
+        expect(res.body.map((booking) => booking._id)).toEqual([String(first._id), String(second._id)]);
+    });
+
+    it('PUT /waitlist/:vehicleId reorders the queue', async () => {
+        const res = await api().put(`/api/bookings/waitlist/${vehicle._id}`).set(admin.auth)
+            .send({ order: [String(second._id), String(first._id)] });
+
+        expect(res.status).toBe(200);
+        expect(res.body.map((booking) => [booking._id, booking.waitlistPosition]))
+            .toEqual([[String(second._id), 1], [String(first._id), 2]]);
+    });
+
+    it('PUT /waitlist/:vehicleId refuses an order that misses a request', async () => {
+        const res = await api().put(`/api/bookings/waitlist/${vehicle._id}`).set(admin.auth)
+            .send({ order: [String(second._id)] });
+
+        expect(res.status).toBe(409);
+    });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { useTestApp, api, createUser, createVehicle, createBooking } from './harness.js';
+
+useTestApp();
+
+const TOKEN = 'a1'.repeat(24);
+
+let alice;
+let bob;
+let vehicle;
+
+beforeEach(async () => {
+    alice = await createUser({ name: 'Alice', calendarToken: TOKEN });
+    bob = await createUser({ name: 'Bob' });
+    vehicle = await createVehicle();
+});
+
+describe('GET /api/calendar/feeds/:token/vehicles/:id.ics', () => {
+    it("shows other users' bookings only as taken", async () => {
+        await createBooking({ user: bob.user, vehicle, from: 2, to: 4, status: 'approved', purpose: 'Quarterly audit' });
+        await createBooking({ user: alice.user, vehicle, from: 6, to: 8, status: 'approved', purpose: 'Site visit' });
+
+        const res = await api().get(`/api/calendar/feeds/${TOKEN}/vehicles/${vehicle._id}.ics`);
+
+        expect(res.status).toBe(200);
+        expect(res.text).toContain('SUMMARY:Booked (approved)');
+        expect(res.text).not.toContain('Bob');
+        expect(res.text).not.toContain('Quarterly audit');
+        // The feed owner's own booking keeps its details
+        expect(res.text).toContain('SUMMARY:Blue scooter: Site visit');
+        expect(res.text).toContain('DESCRIPTION:Site visit');
+    });
+
+    it('needs a valid feed token', async () => {
+        const res = await api().get(`/api/calendar/feeds/${'b2'.repeat(24)}/vehicles/${vehicle._id}.ics`);
+
+        expect(res.status).toBe(404);
+    });
+});
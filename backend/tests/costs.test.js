@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { setClock } from '../lib/clock.js';
+import { timeCharge } from '../lib/pricing.js';
+import RateCard from '../models/RateCard.js';
+import { useTestApp, api, at, createUser, createAdmin, createVehicle, createBooking } from './harness.js';
+
+useTestApp();
+
+let admin;
+let alice;
+let vehicle;
+
+beforeEach(async () => {
+    admin = await createAdmin({ name: 'Admin' });
+    alice = await createUser({ name: 'Alice', costCentre: 'OPS-1' });
+    vehicle = await createVehicle();
+});
+
+function createCard(fields = {}) {
+    return new RateCard({ name: 'Standard', hourlyRate: 10, dailyRate: 50, ...fields }).save();
+}
+
+describe('timeCharge', () => {
+    it('caps the hours within each day at the daily rate', () => {
+        const card = { hourlyRate: 10, dailyRate: 50 };
+
+        expect(timeCharge(card, 3)).toBe(30);
+        expect(timeCharge(card, 8)).toBe(50);
+        expect(timeCharge(card, 26)).toBe(70);
+    });
+
+    it('charges every started day when there is only a daily rate', () => {
+        expect(timeCharge({ dailyRate: 50 }, 25)).toBe(100);
+    });
+});
+
+describe('rate cards', () => {
+    it('lets admins add, change and remove cards', async () => {
+        const created = await api().post('/api/rate-cards').set(admin.auth)
+            .send({ name: 'Scooters', vehicleType: 'scooter', hourlyRate: '4.5', perKmRate: 0.2 });
+        const updated = await api().patch(`/api/rate-cards/${created.body._id}`).set(admin.auth)
+            .send({ hourlyRate: null, dailyRate: 30 });
+        const removed = await api().delete(`/api/rate-cards/${created.body._id}`).set(admin.auth);
+
+        expect(created.status).toBe(201);
+        expect(created.body).toMatchObject({ vehicleType: 'scooter', hourlyRate: 4.5, perKmRate: 0.2 });
+        expect(updated.body.dailyRate).toBe(30);
+        expect(updated.body.hourlyRate).toBeUndefined();
+        expect(removed.status).toBe(200);
+        expect(await RateCard.countDocuments()).toBe(0);
+    });
+
+    it('allows one card per vehicle type and one default', async () => {
+        await createCard();
+        await createCard({ name: 'Scooters', vehicleType: 'scooter' });
+
+        const defaultCard = await api().post('/api/rate-cards').set(admin.auth).send({ name: 'Other default' });
+        const scooterCard = await api().post('/api/rate-cards').set(admin.auth)
+            .send({ name: 'More scooters', vehicleType: 'scooter' });
+
+        expect(defaultCard.status).toBe(409);
+        expect(scooterCard.status).toBe(409);
+    });
+
+    it('is admin-only', async () => {
+        const res = await api().get('/api/rate-cards').set(alice.auth);
+
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('booking costs', () => {
+    it('estimates the cost of a request, charged to the requester\'s cost centre', async () => {
+        await createCard();
+
+        const res = await api().post('/api/bookings').set(alice.auth)
+            .send({ vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(5) });
+
+        expect(res.status).toBe(201);
+        expect(res.body.costCentre).toBe('OPS-1');
+        expect(res.body.estimatedCost).toMatchObject({ rateCardName: 'Standard', hours: 3, time: 30, total: 30 });
+    });
+
+    it('prices with the card for the vehicle\'s type over the default', async () => {
+        await createCard();
+        await createCard({ name: 'Scooters', vehicleType: 'scooter', hourlyRate: 2 });
+
+        const res = await api().post('/api/bookings').set(alice.auth)
+            .send({ vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(5), costCentre: 'PRJ-42' });
+
+        expect(res.body.costCentre).toBe('PRJ-42');
+        expect(res.body.estimatedCost).toMatchObject({ rateCardName: 'Scooters', total: 6 });
+    });
+
+    it('leaves bookings unpriced without a rate card', async () => {
+        const res = await api().post('/api/bookings').set(alice.auth)
+            .send({ vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(5) });
+
+        expect(res.status).toBe(201);
+        expect(res.body.estimatedCost).toBeUndefined();
+    });
+
+    it('charges the distance and a late return on check-in', async () => {
+        await createCard({ perKmRate: 0.5, latePenaltyPerHour: 20, lateGraceMinutes: 15 });
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved' });
+
+        setClock(at(2));
+        await api().post(`/api/bookings/${booking._id}/check-out`).set(alice.auth).send({ odometer: 1000, fuelLevel: 80 });
+        setClock(at(5.5));
+        const res = await api().post(`/api/bookings/${booking._id}/check-in`).set(alice.auth)
+            .send({ odometer: 1042, fuelLevel: 60 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.finalCost).toMatchObject({
+            hours: 2, km: 42, lateHours: 2, time: 20, distance: 21, latePenalty: 40, total: 81
+        });
+    });
+
+    it('forgives a return within the grace period', async () => {
+        await createCard({ latePenaltyPerHour: 20, lateGraceMinutes: 15 });
+        const booking = await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved' });
+
+        setClock(at(2));
+        await api().post(`/api/bookings/${booking._id}/check-out`).set(alice.auth).send({ odometer: 1000, fuelLevel: 80 });
+        setClock(at(4.2));
+        const res = await api().post(`/api/bookings/${booking._id}/check-in`).set(alice.auth)
+            .send({ odometer: 1000, fuelLevel: 80 });
+
+        expect(res.body.finalCost).toMatchObject({ lateHours: 0, latePenalty: 0, total: 20 });
+    });
+});
+
+describe('statements', () => {
+    // A booking completed at +5h with the given final total
+    function completed(costCentre, total) {
+        return createBooking({
+            user: alice.user, vehicle, from: 2, to: 4, status: 'completed', costCentre,
+            checkIn: { at: at(5), odometer: 1000, fuelLevel: 50 },
+            finalCost: { currency: 'USD', hours: 2, time: total, total }
+        });
+    }
+
+    it('totals the month\'s completed bookings per cost centre', async () => {
+        await completed('OPS-1', 20);
+        await completed('OPS-1', 15.5);
+        await completed('FIN', 40);
+        await completed(undefined, 5);
+
+        const res = await api().get('/api/statements').query({ month: '2030-01' }).set(admin.auth);
+        const empty = await api().get('/api/statements').query({ month: '2030-02' }).set(admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.body.costCentres.map((c) => [c.costCentre, c.bookings, c.total]))
+            .toEqual([['FIN', 1, 40], ['OPS-1', 2, 35.5], [null, 1, 5]]);
+        expect(res.body.totals).toMatchObject({ bookings: 4, total: 80.5 });
+        expect(empty.body.costCentres).toEqual([]);
+    });
+
+    it('exports one cost centre\'s bookings with a total row', async () => {
+        await completed('OPS-1', 20);
+        await completed('FIN', 40);
+
+        const res = await api().get('/api/statements/export')
+            .query({ month: '2030-01', costCentre: 'OPS-1', format: 'csv' }).set(admin.auth);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toContain('statement-2030-01-OPS-1.csv');
+        const lines = res.text.trim().split(/\r?\n/);
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toContain('OPS-1');
+        expect(lines[2]).toMatch(/^"?Total"?,/);
+    });
+
+    it('rejects a malformed month', async () => {
+        const res = await api().get('/api/statements').query({ month: '2030-13' }).set(admin.auth);
+
+        expect(res.status).toBe(400);
+    });
+});
@@ -0,0 +1,17 @@
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// Starts an in-memory MongoDB for the run, unless MONGODB_TEST_URI points at
+// a local server to use instead (each test file creates and drops its own
+// database there). Test files get the URI through inject('mongoUri').
+export default async function setup(project) {
+    if (process.env.MONGODB_TEST_URI) {
+        project.provide('mongoUri', process.env.MONGODB_TEST_URI);
+        return undefined;
+    }
+
+    const server = await MongoMemoryServer.create();
+    project.provide('mongoUri', server.getUri());
+    return async () => {
+        await server.stop();
+    };
+}
@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import supertest from 'supertest';
+import { beforeAll, afterAll, beforeEach, inject } from 'vitest';
+import { createApp } from '../app.js';
+import { configure } from '../lib/config.js';
+import { setClock } from '../lib/clock.js';
+import { setTransport, outbox } from '../lib/mailer.js';
+import { signToken } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Vehicle from '../models/Vehicle.js';
+import Booking from '../models/Booking.js';
+
+// Where the clock is pinned in every test: a Monday morning, so the
+// helpers below can express times as hours from "now"
+export const NOW = new Date('2030-01-07T08:00:00Z');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const app = createApp({ connect: async () => {} });
+
+// Requests against the app, e.g. api().get('/api/bookings/mine')
+export function api() {
+    return supertest(app);
+}
+
+// Connects the calling test file to its own database and resets state
+// between tests: collections emptied, outbox cleared, clock back at NOW.
+// `settings` are passed to configure() on top of the test defaults.
+export function useTestApp(settings = {}) {
+    let previous;
+
+    beforeAll(async () => {
+        previous = configure({
+            jwtSecret: 'test-secret',
+            bookingRateLimitPerIp: 1000,
+            bookingRateLimitPerUser: 1000,
+            ...settings
+        });
+        setTransport('memory');
+        await mongoose.connect(inject('mongoUri'), { dbName: `vehicle-booking-test-${crypto.randomUUID()}` });
+        await mongoose.connection.syncIndexes();
+    });
+
+    beforeEach(async () => {
+        await Promise.all(Object.values(mongoose.connection.collections).map((collection) => collection.deleteMany({})));
+        outbox.length = 0;
+        setClock(NOW);
+    });
+
+    afterAll(async () => {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+        setClock(null);
+        configure(previous);
+    });
+}
+
+// ISO date-time `hours` after NOW
+export function at(hours) {
+    return new Date(NOW.getTime() + hours * HOUR_MS).toISOString();
+}
+
+let userCount = 0;
+
+// Saves a user and resolves to { user, auth }, where auth is the header
+// object to pass to .set()
+export async function createUser(fields = {}) {
+    userCount += 1;
+    const user = await new User({
+        name: `User ${userCount}`,
+        email: `user${userCount}@example.com`,
+        passwordHash: 'not-used',
+        ...fields
+    }).save();
+    return { user, auth: { Authorization: `Bearer ${signToken(user)}` } };
+}
+
+export function createAdmin(fields = {}) {
+    return createUser({ role: 'admin', ...fields });
+}
+
+export function createVehicle(fields = {}) {
+    return new Vehicle({ name: 'Blue scooter', type: 'scooter', registration: 'AB12 CDE', ...fields }).save();
+}
+
+// Saves a booking directly, bypassing the API's checks, for setting up a
+// test. Times are hours from NOW.
+export function createBooking({ user, vehicle, from, to, status = 'pending', ...fields }) {
+    return new Booking({
+        vehicle: vehicle._id,
+        user: user._id,
+        name: user.name,
+        purpose: 'Site visit',
+        bookingTime: at(from),
+        returnTime: at(to),
+        status,
+        ...fields
+    }).save();
+}
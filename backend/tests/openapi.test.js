@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { describe, it, expect, beforeEach } from 'vitest';
+import express from 'express';
+import { API_ROUTES } from '../routes/index.js';
+import { buildOpenApi, listRoutes, checkOperations } from '../lib/openapi.js';
+import { renderApiClient } from '../lib/apiClient.js';
+import { OPERATIONS } from '../schemas/operations.js';
+import { ApiError } from '../schemas/responses.js';
+import { useTestApp, api, at, createUser, createAdmin, createVehicle, createBooking } from './harness.js';
+
+useTestApp();
+
+const WEEK = 7 * 24;
+
+// Checks a response against what the document says its route sends, e.g.
+// expectDocumented('GET /api/bookings/mine', res)
+function expectDocumented(key, res) {
+    const operation = OPERATIONS[key];
+    const schema = res.status === (operation.status || 200) ? operation.response : ApiError;
+    expect(res.status, `${key} answered ${res.status}: ${JSON.stringify(res.body)}`).toBeLessThan(500);
+    expect(schema.safeParse(res.body).error?.issues ?? []).toEqual([]);
+}
+
+describe('OpenAPI document', () => {
+    it('documents every route exactly once', () => {
+        expect(checkOperations(listRoutes(API_ROUTES))).toEqual([]);
+    });
+
+    it('reports routes and entries that do not match up', () => {
+        const router = express.Router();
+        router.get('/', (req, res) => res.json([]));
+        const routes = listRoutes([['/api/things', router]]);
+
+        expect(checkOperations(routes, { 'GET /api/widgets': { operationId: 'listWidgets' } })).toEqual([
+            'GET /api/things has no entry in schemas/operations.js',
+            'GET /api/widgets is documented in schemas/operations.js but no router defines it'
+        ]);
+    });
+
+    it('reads parameters, bodies and authentication off the route middleware', () => {
+        const { paths } = buildOpenApi(API_ROUTES);
+
+        const approve = paths['/api/bookings/{id}'].patch;
+        expect(approve.parameters).toEqual([expect.objectContaining({ name: 'id', in: 'path', required: true })]);
+        expect(approve.requestBody.content['application/json'].schema.required).toEqual(['status']);
+        expect(approve.security).toEqual([{ bearerAuth: [] }]);
+        expect(Object.keys(approve.responses)).toEqual(['200', '400', '401', '403', '404', '409', 'default']);
+
+        expect(paths['/api/bookings'].get.description).toMatch(/admin role/);
+        expect(paths['/api/bookings'].post.responses).toHaveProperty('429');
+        expect(paths['/api/config'].get.security).toEqual([]);
+    });
+
+    it('serves the document and the viewer without a database', async () => {
+        const document = await api().get('/api/docs/openapi.json');
+        const viewer = await api().get('/api/docs/');
+
+        expect(document.status).toBe(200);
+        expect(document.body.openapi).toBe('3.1.0');
+        expect(viewer.status).toBe(200);
+        expect(viewer.type).toBe('text/html');
+    });
+
+    it('matches the generated frontend client', () => {
+        const client = fs.readFileSync(new URL('../../frontend/src/api.js', import.meta.url), 'utf8');
+
+        // Out of date: run `npm run generate:client`
+        expect(client).toBe(renderApiClient(buildOpenApi(API_ROUTES)));
+    });
+});
+
+// The handlers send what the document says they do
+describe('documented responses', () => {
+    let admin;
+    let alice;
+    let vehicle;
+
+    beforeEach(async () => {
+        admin = await createAdmin({ name: 'Admin' });
+        alice = await createUser({ name: 'Alice' });
+        vehicle = await createVehicle();
+    });
+
+    it('auth and users', async () => {
+        const registered = await api().post('/api/auth/register')
+            .send({ name: 'Carol', email: 'carol@example.com', password: 'correct horse' });
+        expectDocumented('POST /api/auth/register', registered);
+        expectDocumented('POST /api/auth/login', await api().post('/api/auth/login')
+            .send({ email: 'carol@example.com', password: 'correct horse' }));
+        expectDocumented('POST /api/auth/login', await api().post('/api/auth/login')
+            .send({ email: 'carol@example.com', password: 'wrong password' }));
+        expectDocumented('GET /api/auth/me', await api().get('/api/auth/me').set(alice.auth));
+        expectDocumented('GET /api/users', await api().get('/api/users').set(admin.auth));
+        expectDocumented('PATCH /api/users/{id}', await api().patch(`/api/users/${alice.user._id}`)
+            .set(admin.auth).send({ group: 'Field service' }));
+    });
+
+    it('vehicles', async () => {
+        expectDocumented('GET /api/vehicles', await api().get('/api/vehicles').set(alice.auth));
+        expectDocumented('GET /api/vehicles/{id}', await api().get(`/api/vehicles/${vehicle._id}`).set(alice.auth));
+        const created = await api().post('/api/vehicles').set(admin.auth).send({ name: 'Red van', type: 'van' });
+        expectDocumented('POST /api/vehicles', created);
+        expectDocumented('PATCH /api/vehicles/{id}', await api().patch(`/api/vehicles/${created.body._id}`)
+            .set(admin.auth).send({ active: false }));
+        expectDocumented('DELETE /api/vehicles/{id}', await api().delete(`/api/vehicles/${created.body._id}`)
+            .set(admin.auth));
+    });
+
+    it('bookings', async () => {
+        const booking = { vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(4) };
+        const created = await api().post('/api/bookings').set(alice.auth).send(booking);
+        expectDocumented('POST /api/bookings', created);
+        expectDocumented('POST /api/bookings', await api().post('/api/bookings').set(alice.auth)
+            .send({ ...booking, bookingTime: 'tomorrow' }));
+        const id = created.body._id;
+
+        expectDocumented('PUT /api/bookings/{id}', await api().put(`/api/bookings/${id}`).set(alice.auth)
+            .send({ ...booking, purpose: 'Client meeting' }));
+        expectDocumented('PATCH /api/bookings/{id}', await api().patch(`/api/bookings/${id}`).set(admin.auth)
+            .send({ status: 'approved' }));
+        expectDocumented('GET /api/bookings/approved', await api().get('/api/bookings/approved').set(alice.auth));
+        expectDocumented('GET /api/bookings/mine', await api().get('/api/bookings/mine').set(alice.auth));
+        expectDocumented('GET /api/bookings', await api().get('/api/bookings').set(admin.auth));
+        expectDocumented('POST /api/bookings/{id}/check-out', await api().post(`/api/bookings/${id}/check-out`)
+            .set(alice.auth).send({ odometer: 1200, fuelLevel: 80 }));
+        expectDocumented('POST /api/bookings/{id}/check-in', await api().post(`/api/bookings/${id}/check-in`)
+            .set(alice.auth).send({ odometer: 1250, fuelLevel: 60, notes: 'Clean' }));
+        expectDocumented('GET /api/bookings/{id}/history', await api().get(`/api/bookings/${id}/history`)
+            .set(alice.auth));
+        expectDocumented('DELETE /api/bookings/{id}', await api().delete(`/api/bookings/${id}`).set(admin.auth)
+            .send({ comment: 'Entered twice' }));
+    });
+
+    it('waitlist, batches and imports', async () => {
+        await createBooking({ user: admin.user, vehicle, from: 2, to: 4, status: 'approved' });
+        const waiting = await api().post('/api/bookings').set(alice.auth).send({
+            vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(4), waitlist: true
+        });
+        const pending = await createBooking({ user: alice.user, vehicle, from: 30, to: 32 });
+
+        expectDocumented('GET /api/bookings/waitlist', await api().get('/api/bookings/waitlist').set(admin.auth));
+        expectDocumented('PUT /api/bookings/waitlist/{vehicleId}', await api().put(`/api/bookings/waitlist/${vehicle._id}`)
+            .set(admin.auth).send({ order: [waiting.body._id] }));
+        expectDocumented('POST /api/bookings/batch', await api().post('/api/bookings/batch').set(admin.auth)
+            .send({ action: 'approve', ids: [String(pending._id), waiting.body._id] }));
+        expectDocumented('POST /api/bookings/import', await api().post('/api/bookings/import').set(admin.auth)
+            .set('Content-Type', 'text/csv')
+            .send(`vehicle,email,purpose,bookingTime,returnTime\n${vehicle.name},${alice.user.email},Delivery,${at(50)},${at(52)}\n`));
+    });
+
+    it('series', async () => {
+        const created = await api().post('/api/bookings/series').set(alice.auth).send({
+            vehicle: String(vehicle._id),
+            purpose: 'Weekly delivery',
+            bookingTime: at(2),
+            returnTime: at(4),
+            recurrence: { frequency: 'weekly', count: 2 }
+        });
+        expectDocumented('POST /api/bookings/series', created);
+        const id = created.body.series._id;
+        await createBooking({ user: admin.user, vehicle, from: 2 + WEEK, to: 3 + WEEK, status: 'approved' });
+
+        expectDocumented('GET /api/bookings/series/{id}', await api().get(`/api/bookings/series/${id}`).set(alice.auth));
+        expectDocumented('PATCH /api/bookings/series/{id}', await api().patch(`/api/bookings/series/${id}`)
+            .set(admin.auth).send({ status: 'approved' }));
+    });
+
+    it('availability, maintenance, policy and rules', async () => {
+        await createBooking({ user: alice.user, vehicle, from: 2, to: 4, status: 'approved' });
+        expectDocumented('GET /api/availability', await api().get('/api/availability').set(alice.auth));
+
+        const window = await api().post('/api/maintenance').set(admin.auth)
+            .send({ vehicle: String(vehicle._id), reason: 'Tyres', start: at(3), end: at(5) });
+        expectDocumented('POST /api/maintenance', window);
+        expectDocumented('GET /api/maintenance', await api().get('/api/maintenance').set(admin.auth));
+        expectDocumented('GET /api/maintenance/reminders', await api().get('/api/maintenance/reminders')
+            .set(admin.auth));
+        expectDocumented('DELETE /api/maintenance/{id}', await api().delete(`/api/maintenance/${window.body.windows[0]._id}`)
+            .set(admin.auth));
+
+        expectDocumented('GET /api/policy', await api().get('/api/policy').set(alice.auth));
+        expectDocumented('PUT /api/policy', await api().put('/api/policy').set(admin.auth)
+            .send({ maxDurationHours: 8, blackoutDates: [{ start: at(100), end: at(124), reason: 'Stocktake' }] }));
+
+        const rule = await api().post('/api/auto-approval-rules').set(admin.auth)
+            .send({ name: 'Short trips', maxDurationHours: 2 });
+        expectDocumented('POST /api/auto-approval-rules', rule);
+        expectDocumented('GET /api/auto-approval-rules', await api().get('/api/auto-approval-rules').set(admin.auth));
+        expectDocumented('PATCH /api/auto-approval-rules/{id}', await api().patch(`/api/auto-approval-rules/${rule.body._id}`)
+            .set(admin.auth).send({ enabled: false }));
+        expectDocumented('DELETE /api/auto-approval-rules/{id}', await api().delete(`/api/auto-approval-rules/${rule.body._id}`)
+            .set(admin.auth));
+    });
+
+    it('rate cards and statements', async () => {
+        const card = await api().post('/api/rate-cards').set(admin.auth)
+            .send({ name: 'Standard', hourlyRate: 10, perKmRate: 0.5 });
+        expectDocumented('POST /api/rate-cards', card);
+        expectDocumented('GET /api/rate-cards', await api().get('/api/rate-cards').set(admin.auth));
+        expectDocumented('PATCH /api/rate-cards/{id}', await api().patch(`/api/rate-cards/${card.body._id}`)
+            .set(admin.auth).send({ dailyRate: 60 }));
+
+        const created = await api().post('/api/bookings').set(alice.auth)
+            .send({ vehicle: String(vehicle._id), purpose: 'Site visit', bookingTime: at(2), returnTime: at(4), costCentre: 'OPS' });
+        expectDocumented('POST /api/bookings', created);
+        await api().patch(`/api/bookings/${created.body._id}`).set(admin.auth).send({ status: 'approved' });
+        await api().post(`/api/bookings/${created.body._id}/check-out`).set(alice.auth).send({ odometer: 10, fuelLevel: 90 });
+        expectDocumented('POST /api/bookings/{id}/check-in', await api().post(`/api/bookings/${created.body._id}/check-in`)
+            .set(alice.auth).send({ odometer: 30, fuelLevel: 70 }));
+
+        const month = at(0).slice(0, 7);
+        expectDocumented('GET /api/statements', await api().get('/api/statements').query({ month }).set(admin.auth));
+        expectDocumented('DELETE /api/rate-cards/{id}', await api().delete(`/api/rate-cards/${card.body._id}`)
+            .set(admin.auth));
+    });
+
+    it('analytics, calendar, jobs and settings', async () => {
+        await createBooking({ user: alice.user, vehicle, from: -30, to: -28, status: 'completed' });
+
+        expectDocumented('GET /api/analytics/utilization', await api().get('/api/analytics/utilization')
+            .set(admin.auth));
+        expectDocumented('GET /api/analytics/summary', await api().get('/api/analytics/summary').set(admin.auth));
+        expectDocumented('GET /api/calendar/token', await api().get('/api/calendar/token').set(alice.auth));
+        expectDocumented('POST /api/calendar/token', await api().post('/api/calendar/token').set(alice.auth));
+        expectDocumented('GET /api/jobs/reminders', await api().get('/api/jobs/reminders').set(admin.auth));
+        expectDocumented('GET /api/config', await api().get('/api/config'));
+        expectDocumented('GET /api/health', await api().get('/api/health'));
+    });
+});
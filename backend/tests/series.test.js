@@ -0,0 +1,181 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { setClock } from '../lib/clock.js';
+import Booking from '../models/Booking.js';
+import BookingAudit from '../models/BookingAudit.js';
+import { useTestApp, api, at, createUser, createAdmin, createVehicle, createBooking } from './harness.js';
+
+useTestApp();
+
+const WEEK = 7 * 24;
+
+let admin;
+let alice;
+let bob;
+let vehicle;
+
+beforeEach(async () => {
+    admin = await createAdmin({ name: 'Admin' });
+    alice = await createUser({ name: 'Alice' });
+    bob = await createUser({ name: 'Bob' });
+    vehicle = await createVehicle();
+});
+
+// Three weekly occurrences, from +2h to +4h each week
+function requestSeries(who, fields = {}) {
+    return api().post('/api/bookings/series').set(who.auth).send({
+        vehicle: String(vehicle._id),
+        purpose: 'Weekly delivery',
+        bookingTime: at(2),
+        returnTime: at(4),
+        recurrence: { frequency: 'weekly', count: 3 },
+        ...fields
+    });
+}
+
+describe('POST /api/bookings/series', () => {
+    it('creates a pending booking per occurrence', async () => {
+        const res = await requestSeries(alice);
+
+        expect(res.status).toBe(201);
+        expect(res.body.occurrences.map((o) => o.bookingTime)).toEqual([at(2), at(2 + WEEK), at(2 + 2 * WEEK)]);
+        expect(await Booking.countDocuments({ series: res.body.series._id, status: 'pending' })).toBe(3);
+    });
+
+    it('reports every conflicting occurrence and books nothing', async () => {
+        // One touching the second occurrence, one containing the third
+        await createBooking({ user: bob.user, vehicle, from: 4 + WEEK, to: 5 + WEEK, status: 'approved' });
+        await createBooking({ user: bob.user, vehicle, from: 1 + 2 * WEEK, to: 5 + 2 * WEEK, status: 'approved' });
+
+        const res = await requestSeries(alice);
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('BOOKING_CONFLICT');
+        expect(res.body.occurrences.map((o) => o.conflicts.length)).toEqual([0, 1, 1]);
+        expect(await Booking.countDocuments({ user: alice.user._id })).toBe(0);
+    });
+
+    it('does not say whose booking is in the way', async () => {
+        await createBooking({ user: bob.user, vehicle, from: 2 + WEEK, to: 4 + WEEK, status: 'approved' });
+
+        const res = await requestSeries(alice);
+
+        expect(res.status).toBe(409);
+        expect(res.body.occurrences[1].conflicts).toEqual([
+            { vehicle: String(vehicle._id), start: at(2 + WEEK), end: at(4 + WEEK), status: 'approved' }
+        ]);
+        expect(JSON.stringify(res.body)).not.toContain('Bob');
+    });
+
+    it('books only the free occurrences with skipConflicts', async () => {
+        await createBooking({ user: bob.user, vehicle, from: 2 + WEEK, to: 4 + WEEK, status: 'approved' });
+
+        const res = await requestSeries(alice, { skipConflicts: true });
+
+        expect(res.status).toBe(201);
+        expect(res.body.occurrences.map((o) => o.booking !== null)).toEqual([true, false, true]);
+    });
+
+    it('rejects a rule without an end', async () => {
+        const res = await requestSeries(alice, { recurrence: { frequency: 'daily' } });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors).toEqual([expect.objectContaining({ field: 'recurrence' })]);
+    });
+});
+
+describe('GET /api/bookings/series/:id', () => {
+    it('shows the series to its owner and admins only', async () => {
+        const { body } = await requestSeries(alice);
+
+        const owner = await api().get(`/api/bookings/series/${body.series._id}`).set(alice.auth);
+        const other = await api().get(`/api/bookings/series/${body.series._id}`).set(bob.auth);
+        const byAdmin = await api().get(`/api/bookings/series/${body.series._id}`).set(admin.auth);
+
+        expect(owner.status).toBe(200);
+        expect(owner.body.occurrences).toHaveLength(3);
+        expect(other.status).toBe(404);
+        expect(byAdmin.status).toBe(200);
+    });
+});
+
+describe('PATCH /api/bookings/series/:id', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    // Applies `change` to the occurrence at `index` right after the route has
+    // read the occurrences it is about to update, as a concurrent request would
+    function changeAfterRead(index, change) {
+        const find = Booking.find.bind(Booking);
+        vi.spyOn(Booking, 'find').mockImplementationOnce((...args) => {
+            const query = find(...args);
+            return {
+                sort: async (order) => {
+                    const bookings = await query.sort(order);
+                    await Booking.updateOne({ _id: bookings[index]._id }, change);
+                    return bookings;
+                }
+            };
+        });
+    }
+
+    const auditedAs = (status) => BookingAudit.countDocuments({ action: 'status_changed', 'current.status': status });
+
+    it('approves the free occurrences and leaves the rest pending', async () => {
+        const { body } = await requestSeries(alice);
+        await createBooking({ user: bob.user, vehicle, from: 3 + WEEK, to: 6 + WEEK, status: 'approved' });
+
+        const res = await api().patch(`/api/bookings/series/${body.series._id}`).set(admin.auth)
+            .send({ status: 'approved' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.results.map((r) => r.status)).toEqual(['approved', 'pending', 'approved']);
+    });
+
+    it('lets only admins approve', async () => {
+        const { body } = await requestSeries(alice);
+
+        const res = await api().patch(`/api/bookings/series/${body.series._id}`).set(alice.auth)
+            .send({ status: 'approved' });
+
+        expect(res.status).toBe(403);
+    });
+
+    it('cancels only the occurrences that have not started', async () => {
+        const { body } = await requestSeries(alice);
+        await api().patch(`/api/bookings/series/${body.series._id}`).set(admin.auth).send({ status: 'approved' });
+
+        // A week and a day later the first two have started
+        setClock(at(WEEK + 24));
+        const res = await api().patch(`/api/bookings/series/${body.series._id}`).set(alice.auth)
+            .send({ status: 'cancelled' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.series.status).toBe('cancelled');
+        expect(res.body.occurrences.map((o) => o.status)).toEqual(['approved', 'approved', 'cancelled']);
+    });
+
+    it('does not reject an occurrence cancelled after it was read', async () => {
+        const { body } = await requestSeries(alice);
+        changeAfterRead(0, { status: 'cancelled' });
+
+        const res = await api().patch(`/api/bookings/series/${body.series._id}`).set(admin.auth)
+            .send({ status: 'rejected' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.occurrences.map((o) => o.status)).toEqual(['cancelled', 'rejected', 'rejected']);
+        expect(await auditedAs('rejected')).toBe(2);
+    });
+
+    it('does not cancel an occurrence approved after it was read', async () => {
+        const { body } = await requestSeries(alice);
+        changeAfterRead(2, { status: 'approved' });
+
+        const res = await api().patch(`/api/bookings/series/${body.series._id}`).set(alice.auth)
+            .send({ status: 'cancelled' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.occurrences.map((o) => o.status)).toEqual(['cancelled', 'cancelled', 'approved']);
+        expect(await auditedAs('cancelled')).toBe(2);
+    });
+});
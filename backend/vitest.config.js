@@ -0,0 +1,14 @@
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+    test: {
+        environment: 'node',
+        include: ['tests/**/*.test.js'],
+        globalSetup: './tests/globalSetup.js',
+        // The files share one MongoDB server, each with its own database;
+        // one at a time keeps the load on it predictable
+        fileParallelism: false,
+        // The first run downloads a MongoDB binary
+        hookTimeout: 120 * 1000
+    }
+});
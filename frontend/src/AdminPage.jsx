@@ -1,18 +1,106 @@
-import { useState, useEffect } from 'react'
-import axios from 'axios'
+import { useState, useEffect, useRef, Fragment } from 'react'
+import * as api from './api'
+import VehicleManager from './VehicleManager'
+import MaintenancePanel from './MaintenancePanel'
+import PolicyPanel from './PolicyPanel'
+import WaitlistPanel from './WaitlistPanel'
+import AutoApprovalPanel from './AutoApprovalPanel'
+import AnalyticsPanel from './AnalyticsPanel'
+import StatementPanel from './StatementPanel'
+import RateCardPanel from './RateCardPanel'
+import BookingImport from './BookingImport'
+import TripLogForm from './TripLogForm'
+import TripSummary from './TripSummary'
+import CostSummary from './CostSummary'
+import BookingHistory from './BookingHistory'
+import BookingFilters, { emptyFilters } from './BookingFilters'
+import useBookingEvents from './useBookingEvents'
+import { getStatusColor, formatStatus, downloadFile } from './bookingUtils'
+import { formatDateTime, toDateInput, startOfDateInput, endOfDateInput } from './timezone'
+
+const PAGE_SIZE = 25
 
 const AdminPage = () => {
     const [bookings, setBookings] = useState([])
+    const [vehicles, setVehicles] = useState([])
+    const [users, setUsers] = useState([])
+    const [filters, setFilters] = useState(emptyFilters)
+    const [sort, setSort] = useState('-createdAt')
+    const [page, setPage] = useState(1)
+    const [totals, setTotals] = useState({ total: 0, pages: 1, overdueCount: 0 })
+    const [tripAction, setTripAction] = useState(null)
+    const [historyId, setHistoryId] = useState(null)
+    const [selected, setSelected] = useState([])
+    const [batchReport, setBatchReport] = useState(null)
+    const [tab, setTab] = useState('bookings')
+    const [showImport, setShowImport] = useState(false)
     const [loading, setLoading] = useState(true)
+    const refreshTimer = useRef(null)
 
     useEffect(() => {
-        fetchBookings()
+        fetchVehicles()
+        fetchUsers()
     }, [])
 
+    useEffect(() => {
+        fetchBookings()
+        setSelected([])
+    }, [filters, sort, page])
+
+    // The visible page depends on filters and sort order, so pushed changes
+    // refetch it; bursts (a whole series) collapse into one request.
+    const scheduleRefresh = () => {
+        clearTimeout(refreshTimer.current)
+        refreshTimer.current = setTimeout(() => fetchBookings(), 300)
+    }
+
+    useBookingEvents(scheduleRefresh, scheduleRefresh)
+
+    const fetchVehicles = async () => {
+        try {
+            setVehicles(await api.listVehicles())
+        } catch (error) {
+            console.error('Error fetching vehicles:', error)
+        }
+    }
+
+    const fetchUsers = async () => {
+        try {
+            setUsers(await api.listUsers())
+        } catch (error) {
+            console.error('Error fetching users:', error)
+        }
+    }
+
+    // Query parameters for the current filters, shared by the list and exports
+    const filterParams = () => {
+        const params = { sort }
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) {
+                params[key] = value
+            }
+        })
+        // "Deleted" is not a status; it switches to the soft-deleted bookings
+        if (filters.status === 'deleted') {
+            delete params.status
+            params.deleted = true
+        }
+        // Date inputs are whole days in the organization's timezone
+        if (filters.from) {
+            params.from = startOfDateInput(filters.from)
+        }
+        if (filters.to) {
+            params.to = endOfDateInput(filters.to)
+        }
+        return params
+    }
+
     const fetchBookings = async () => {
         try {
-            const response = await axios.get('/api/bookings')
-            setBookings(response.data)
+            const params = { ...filterParams(), page, limit: PAGE_SIZE }
+            const { bookings, total, pages, overdueCount } = await api.listBookings(params)
+            setBookings(bookings)
+            setTotals({ total, pages, overdueCount })
         } catch (error) {
             console.error('Error fetching bookings:', error)
         } finally {
@@ -21,19 +109,52 @@ const AdminPage = () => {
     }
 
     const updateBookingStatus = async (id, status) => {
+        // Rejections carry an optional reason that is emailed and kept in the history
+        const comment = status === 'rejected' ? window.prompt('Reason for rejecting (optional):', '') : ''
+        if (comment === null) {
+            return
+        }
         try {
-            await axios.patch(`/api/bookings/${id}`, { status })
+            await api.updateBookingStatus(id, { status, comment })
             fetchBookings() // Refresh the list
         } catch (error) {
             console.error('Error updating booking:', error)
-            alert('Error updating booking status')
+            const { message, conflicts } = error.response?.data || {}
+            if (conflicts?.length) {
+                const details = conflicts
+                    .map((c) => `• ${c.name}: ${formatDateTime(c.bookingTime)} – ${formatDateTime(c.returnTime)}`)
+                    .join('\n')
+                alert(`${message}\n\n${details}`)
+            } else {
+                alert(message || 'Error updating booking status')
+            }
+        }
+    }
+
+    const updateSeriesStatus = async (seriesId, status) => {
+        const comment = status === 'rejected' ? window.prompt('Reason for rejecting the series (optional):', '') : ''
+        if (comment === null) {
+            return
+        }
+        try {
+            const { results } = await api.updateBookingSeries(seriesId, { status, comment })
+            const blocked = results.filter((r) => r.status !== 'approved')
+            if (blocked.length > 0) {
+                alert(`${blocked.length} occurrence(s) could not be approved because they overlap approved bookings:\n\n` +
+                    blocked.map((r) => `• ${formatDateTime(r.bookingTime)}`).join('\n'))
+            }
+            fetchBookings()
+        } catch (error) {
+            console.error('Error updating booking series:', error)
+            alert(error.response?.data?.message || 'Error updating booking series')
         }
     }
 
     const deleteBooking = async (id) => {
-        if (window.confirm('Are you sure you want to delete this booking?')) {
+        const comment = window.prompt('Delete this booking? Add an optional reason:', '')
+        if (comment !== null) {
             try {
-                await axios.delete(`/api/bookings/${id}`)
+                await api.deleteBooking(id, { comment })
                 fetchBookings() // Refresh the list
             } catch (error) {
                 console.error('Error deleting booking:', error)
@@ -42,21 +163,76 @@ const AdminPage = () => {
         }
     }
 
-    const formatDate = (dateString) => {
-        return new Date(dateString).toLocaleString()
+    const toggleSelected = (id) => {
+        setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id])
+    }
+
+    const allSelected = bookings.length > 0 && bookings.every((booking) => selected.includes(booking._id))
+
+    const toggleAllSelected = () => {
+        setSelected(allSelected ? [] : bookings.map((booking) => booking._id))
+    }
+
+    const runBatch = async (action) => {
+        const comment = action === 'approve' ? '' : window.prompt(
+            `${action === 'delete' ? 'Delete' : 'Reject'} ${selected.length} booking(s)? Add an optional reason:`, ''
+        )
+        if (comment === null) {
+            return
+        }
+        try {
+            const report = await api.batchUpdateBookings({ action, ids: selected, comment })
+            setBatchReport({ action, ...report })
+            setSelected([])
+            fetchBookings()
+        } catch (error) {
+            console.error('Error applying batch action:', error)
+            alert(error.response?.data?.message || 'Error applying batch action')
+        }
+    }
+
+    // Downloads everything matching the current filters; the server writes
+    // dates in the organization's timezone
+    const exportBookings = async (format) => {
+        try {
+            const file = await api.exportBookings({ ...filterParams(), format })
+            downloadFile(file, `bookings-${toDateInput(Date.now())}.${format}`)
+        } catch (error) {
+            console.error('Error exporting bookings:', error)
+            // The error body arrives as a blob too
+            const body = error.response?.data instanceof Blob
+                ? JSON.parse(await error.response.data.text() || '{}')
+                : {}
+            alert(body.message || 'Error exporting bookings')
+        }
+    }
+
+    // Labels failed rows in the batch report; they may be on another page by now
+    const describeBooking = (id) => {
+        const booking = bookings.find((b) => b._id === id)
+        return booking ? `${booking.name}, ${formatDateTime(booking.bookingTime)}` : id
+    }
+
+    const changeFilters = (next) => {
+        setFilters(next)
+        setPage(1)
+    }
+
+    // Clicking a column sorts by it; clicking again flips the direction
+    const toggleSort = (field) => {
+        setSort(sort === field ? `-${field}` : field)
+        setPage(1)
     }
 
-    const getStatusColor = (status) => {
-        switch (status) {
-            case 'approved':
-                return 'bg-green-100 text-green-800'
-            case 'rejected':
-                return 'bg-red-100 text-red-800'
-            default:
-                return 'bg-yellow-100 text-yellow-800'
+    const sortIndicator = (field) => {
+        if (sort === field) {
+            return ' ▲'
         }
+        return sort === `-${field}` ? ' ▼' : ''
     }
 
+    const { overdueCount } = totals
+
     if (loading) {
         return (
             <div className="container mx-auto p-4">
@@ -71,88 +247,319 @@ const AdminPage = () => {
         <div className="container mx-auto p-4 max-w-6xl">
             <div className="bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-3xl font-bold mb-6 text-gray-800">Admin Dashboard</h2>
-                <p className="text-gray-600 mb-6">Manage motorbike booking requests</p>
-
-                {bookings.length === 0 ? (
-                    <div className="text-center py-12">
-                        <p className="text-gray-500 text-lg">No booking requests yet.</p>
-                    </div>
-                ) : (
-                    <div className="overflow-x-auto">
-                        <table className="w-full table-auto">
-                            <thead className="bg-gray-50">
-                            <tr>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Name
-                                </th>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Purpose
-                                </th>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Booking Time
-                                </th>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Return Time
-                                </th>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Status
-                                </th>
-                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Actions
-                                </th>
-                            </tr>
-                            </thead>
-                            <tbody className="bg-white divide-y divide-gray-200">
-                            {bookings.map((booking) => (
-                                <tr key={booking._id} className="hover:bg-gray-50">
-                                    <td className="px-4 py-4 whitespace-nowrap">
-                                        <div className="text-sm font-medium text-gray-900">{booking.name}</div>
-                                    </td>
-                                    <td className="px-4 py-4">
-                                        <div className="text-sm text-gray-900">{booking.purpose}</div>
-                                    </td>
-                                    <td className="px-4 py-4 whitespace-nowrap">
-                                        <div className="text-sm text-gray-900">{formatDate(booking.bookingTime)}</div>
-                                    </td>
-                                    <td className="px-4 py-4 whitespace-nowrap">
-                                        <div className="text-sm text-gray-900">{formatDate(booking.returnTime)}</div>
-                                    </td>
-                                    <td className="px-4 py-4 whitespace-nowrap">
-                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(booking.status)}`}>
-                        {booking.status}
-                      </span>
-                                    </td>
-                                    <td className="px-4 py-4 whitespace-nowrap text-sm font-medium space-x-2">
-                                        {booking.status === 'pending' && (
-                                            <>
-                                                <button
-                                                    onClick={() => updateBookingStatus(booking._id, 'approved')}
-                                                    className="text-green-600 hover:text-green-900 transition-colors"
-                                                >
-                                                    Approve
-                                                </button>
+                <p className="text-gray-600 mb-6">Manage vehicle booking requests</p>
+
+                <div className="flex gap-4 mb-6 border-b border-gray-200">
+                    {['bookings', 'analytics', 'costs'].map((name) => (
+                        <button
+                            key={name}
+                            onClick={() => setTab(name)}
+                            className={`pb-2 -mb-px capitalize border-b-2 transition-colors ${
+                                tab === name
+                                    ? 'border-blue-600 text-blue-600'
+                                    : 'border-transparent text-gray-500 hover:text-gray-800'
+                            }`}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+
+                {tab === 'analytics' && <AnalyticsPanel />}
+                {tab === 'costs' && <StatementPanel />}
+                {tab === 'bookings' && (
+                    <>
+                        {overdueCount > 0 && (
+                            <div className="p-4 rounded mb-6 bg-red-100 text-red-700">
+                                {overdueCount} booking(s) are past their return time without a check-in.
+                            </div>
+                        )}
+
+                        <VehicleManager vehicles={vehicles} onChange={fetchVehicles} />
+
+                        <BookingFilters filters={filters} onChange={changeFilters} vehicles={vehicles} users={users} />
+
+                        <div className="flex items-center gap-3 mb-4 text-sm">
+                            <button onClick={() => exportBookings('csv')} className="text-blue-600 hover:text-blue-900">
+                                Export CSV
+                            </button>
+                            <button onClick={() => exportBookings('xlsx')} className="text-blue-600 hover:text-blue-900">
+                                Export Excel
+                            </button>
+                            <button
+                                onClick={() => setShowImport(!showImport)}
+                                className="text-blue-600 hover:text-blue-900"
+                            >
+                                {showImport ? 'Close import' : 'Import CSV'}
+                            </button>
+                        </div>
+
+                        {showImport && <BookingImport onImported={fetchBookings} />}
+
+                        {selected.length > 0 && (
+                            <div className="flex items-center gap-3 mb-4 p-3 rounded bg-blue-50 text-sm">
+                                <span className="font-medium text-gray-700">{selected.length} selected</span>
+                                <button onClick={() => runBatch('approve')} className="text-green-600 hover:text-green-900">
+                                    Approve
+                                </button>
+                                <button onClick={() => runBatch('reject')} className="text-red-600 hover:text-red-900">
+                                    Reject
+                                </button>
+                                <button onClick={() => runBatch('delete')} className="text-gray-600 hover:text-gray-900">
+                                    Delete
+                                </button>
+                                <button onClick={() => setSelected([])} className="ml-auto text-gray-500 hover:text-gray-800">
+                                    Clear selection
+                                </button>
+                            </div>
+                        )}
+
+                        {batchReport && (
+                            <div className={`p-4 rounded mb-4 text-sm ${
+                                batchReport.failed ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'
+                            }`}>
+                                <div className="flex justify-between">
+                                    <span>
+                                        {batchReport.succeeded} booking(s) updated
+                                        {batchReport.failed > 0 && `, ${batchReport.failed} failed`}
+                                    </span>
+                                    <button onClick={() => setBatchReport(null)} className="hover:text-gray-900">✕</button>
+                                </div>
+                                {batchReport.failed > 0 && (
+                                    <ul className="mt-2 space-y-1">
+                                        {batchReport.results.filter((r) => !r.ok).map((r) => (
+                                            <li key={r.id}>
+                                                • {describeBooking(r.id)}: {r.error}
+                                                {r.conflicts?.length > 0 && ` (${r.conflicts.map((c) => c.name).join(', ')})`}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
+                        {bookings.length === 0 ? (
+                            <div className="text-center py-12">
+                                <p className="text-gray-500 text-lg">No bookings match these filters.</p>
+                            </div>
+                        ) : (
+                            <div className="overflow-x-auto">
+                                <table className="w-full table-auto">
+                                    <thead className="bg-gray-50">
+                                    <tr>
+                                        <th className="px-4 py-3">
+                                            <input
+                                                type="checkbox"
+                                                checked={allSelected}
+                                                onChange={toggleAllSelected}
+                                                aria-label="Select all bookings on this page"
+                                            />
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Vehicle
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            <button onClick={() => toggleSort('name')} className="uppercase hover:text-gray-800">
+                                                Name{sortIndicator('name')}
+                                            </button>
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Purpose
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            <button onClick={() => toggleSort('bookingTime')} className="uppercase hover:text-gray-800">
+                                                Booking Time{sortIndicator('bookingTime')}
+                                            </button>
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            <button onClick={() => toggleSort('returnTime')} className="uppercase hover:text-gray-800">
+                                                Return Time{sortIndicator('returnTime')}
+                                            </button>
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            <button onClick={() => toggleSort('status')} className="uppercase hover:text-gray-800">
+                                                Status{sortIndicator('status')}
+                                            </button>
+                                        </th>
+                                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                            Actions
+                                        </th>
+                                    </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                    {bookings.map((booking) => (
+                                        <Fragment key={booking._id}>
+                                        <tr className={booking.overdue ? 'bg-red-50 hover:bg-red-100' : 'hover:bg-gray-50'}>
+                                            <td className="px-4 py-4">
+                                                <input
+                                                    type="checkbox"
+                                                    checked={selected.includes(booking._id)}
+                                                    onChange={() => toggleSelected(booking._id)}
+                                                    aria-label={`Select booking of ${booking.name}`}
+                                                />
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <div className="text-sm text-gray-900">{booking.vehicle?.name || '—'}</div>
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <div className="text-sm font-medium text-gray-900">{booking.name}</div>
+                                            </td>
+                                            <td className="px-4 py-4">
+                                                <div className="text-sm text-gray-900">{booking.purpose}</div>
+                                                <CostSummary booking={booking} />
+                                                {booking.series && (
+                                                    <span className="inline-flex mt-1 px-2 py-0.5 text-xs rounded-full bg-purple-100 text-purple-800">
+                                                        ↻ Recurring
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <div className="text-sm text-gray-900">{formatDateTime(booking.bookingTime)}</div>
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                                                <div className="text-sm text-gray-900">{formatDateTime(booking.returnTime)}</div>
+                                                <TripSummary booking={booking} />
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap">
+                              <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(booking.status)}`}>
+                                {formatStatus(booking.status)}
+                              </span>
+                                                {booking.overdue && (
+                                                    <span className="inline-flex ml-1 px-2 py-1 text-xs font-semibold rounded-full bg-red-600 text-white">
+                                                        overdue
+                                                    </span>
+                                                )}
+                                                {booking.status === 'pending' && booking.conflictsWith?.length > 0 && (
+                                                    <div className="text-xs text-orange-600 mt-1">
+                                                        ⚠ Overlaps an approved booking
+                                                    </div>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-4 whitespace-nowrap text-sm font-medium space-x-2">
+                                                {booking.status === 'pending' && !booking.deletedAt && (
+                                                    <>
+                                                        <button
+                                                            onClick={() => updateBookingStatus(booking._id, 'approved')}
+                                                            className="text-green-600 hover:text-green-900 transition-colors"
+                                                        >
+                                                            Approve
+                                                        </button>
+                                                        <button
+                                                            onClick={() => updateBookingStatus(booking._id, 'rejected')}
+                                                            className="text-red-600 hover:text-red-900 transition-colors"
+                                                        >
+                                                            Reject
+                                                        </button>
+                                                        {booking.series && (
+                                                            <>
+                                                                <button
+                                                                    onClick={() => updateSeriesStatus(booking.series, 'approved')}
+                                                                    className="text-green-600 hover:text-green-900 transition-colors"
+                                                                >
+                                                                    Approve series
+                                                                </button>
+                                                                <button
+                                                                    onClick={() => updateSeriesStatus(booking.series, 'rejected')}
+                                                                    className="text-red-600 hover:text-red-900 transition-colors"
+                                                                >
+                                                                    Reject series
+                                                                </button>
+                                                            </>
+                                                        )}
+                                                    </>
+                                                )}
+                                                {booking.status === 'approved' && !booking.deletedAt && (
+                                                    <button
+                                                        onClick={() => setTripAction({ id: booking._id, action: 'check-out' })}
+                                                        className="text-blue-600 hover:text-blue-900 transition-colors"
+                                                    >
+                                                        Check out
+                                                    </button>
+                                                )}
+                                                {booking.status === 'in_use' && !booking.deletedAt && (
+                                                    <button
+                                                        onClick={() => setTripAction({ id: booking._id, action: 'check-in' })}
+                                                        className="text-blue-600 hover:text-blue-900 transition-colors"
+                                                    >
+                                                        Check in
+                                                    </button>
+                                                )}
                                                 <button
-                                                    onClick={() => updateBookingStatus(booking._id, 'rejected')}
-                                                    className="text-red-600 hover:text-red-900 transition-colors"
+                                                    onClick={() => setHistoryId(booking._id)}
+                                                    className="text-gray-600 hover:text-gray-900 transition-colors"
                                                 >
-                                                    Reject
+                                                    History
                                                 </button>
-                                            </>
+                                                {!booking.deletedAt && (
+                                                    <button
+                                                        onClick={() => deleteBooking(booking._id)}
+                                                        className="text-gray-600 hover:text-gray-900 transition-colors"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                        {tripAction?.id === booking._id && (
+                                            <tr>
+                                                <td colSpan={8} className="px-4 pb-4">
+                                                    <TripLogForm
+                                                        booking={booking}
+                                                        action={tripAction.action}
+                                                        onDone={() => {
+                                                            setTripAction(null)
+                                                            fetchBookings()
+                                                        }}
+                                                        onCancel={() => setTripAction(null)}
+                                                    />
+                                                </td>
+                                            </tr>
                                         )}
-                                        <button
-                                            onClick={() => deleteBooking(booking._id)}
-                                            className="text-gray-600 hover:text-gray-900 transition-colors"
-                                        >
-                                            Delete
-                                        </button>
-                                    </td>
-                                </tr>
-                            ))}
-                            </tbody>
-                        </table>
-                    </div>
+                                        </Fragment>
+                                    ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
+
+                        <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+                            <span>{totals.total} booking(s)</span>
+                            <div className="flex items-center gap-3">
+                                <button
+                                    onClick={() => setPage(page - 1)}
+                                    disabled={page <= 1}
+                                    className="text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                                >
+                                    ← Previous
+                                </button>
+                                <span>Page {page} of {totals.pages}</span>
+                                <button
+                                    onClick={() => setPage(page + 1)}
+                                    disabled={page >= totals.pages}
+                                    className="text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                                >
+                                    Next →
+                                </button>
+                            </div>
+                        </div>
+                    </>
                 )}
             </div>
+
+            {tab === 'bookings' && (
+                <>
+                    <WaitlistPanel />
+                    <MaintenancePanel vehicles={vehicles} onVehiclesChange={fetchVehicles} />
+                    <PolicyPanel />
+                    <AutoApprovalPanel />
+                </>
+            )}
+
+            {tab === 'costs' && <RateCardPanel />}
+
+            {historyId && (
+                <BookingHistory bookingId={historyId} vehicles={vehicles} onClose={() => setHistoryId(null)} />
+            )}
         </div>
     )
 }
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import axios from 'axios'
+import AdminPage from './AdminPage'
+import { mockGet, apiError } from './test/mockApi'
+
+const scooter = { _id: 'v1', name: 'Blue scooter', type: 'scooter' }
+
+const bookings = [
+    {
+        _id: 'b1',
+        name: 'Alice',
+        purpose: 'Site visit',
+        status: 'pending',
+        vehicle: scooter,
+        bookingTime: '2030-01-07T09:00:00Z',
+        returnTime: '2030-01-07T11:00:00Z'
+    },
+    {
+        _id: 'b2',
+        name: 'Bob',
+        purpose: 'Client meeting',
+        status: 'approved',
+        overdue: true,
+        vehicle: scooter,
+        bookingTime: '2030-01-06T09:00:00Z',
+        returnTime: '2030-01-06T11:00:00Z'
+    }
+]
+
+// The page also mounts the admin panels; they get empty data
+const mockAdminApi = (list = { bookings, total: 2, page: 1, pages: 1, overdueCount: 1 }) => mockGet({
+    '/api/bookings': list,
+    '/api/vehicles': [scooter],
+    '/api/users': [],
+    '/api/bookings/waitlist': [],
+    '/api/maintenance': [],
+    '/api/maintenance/reminders': [],
+    '/api/policy': {},
+    '/api/auto-approval-rules': []
+})
+
+// Params of the latest GET /api/bookings
+const lastListParams = () => axios.get.mock.calls.filter(([url]) => url === '/api/bookings').at(-1)[1].params
+
+const renderPage = async () => {
+    render(<AdminPage />)
+    await screen.findByText('Admin Dashboard')
+}
+
+describe('AdminPage', () => {
+    beforeEach(() => {
+        mockAdminApi()
+    })
+
+    it('lists the first page of bookings and flags overdue ones', async () => {
+        await renderPage()
+
+        expect(screen.getByText('Site visit')).toBeInTheDocument()
+        expect(screen.getByText('Client meeting')).toBeInTheDocument()
+        expect(screen.getByText('1 booking(s) are past their return time without a check-in.')).toBeInTheDocument()
+        expect(lastListParams()).toEqual({ sort: '-createdAt', page: 1, limit: 25 })
+    })
+
+    it('refetches with the chosen filters and sort order', async () => {
+        const user = userEvent.setup()
+        await renderPage()
+
+        await user.selectOptions(document.querySelector('select[name="status"]'), 'pending')
+        await waitFor(() => expect(lastListParams()).toMatchObject({ status: 'pending', page: 1 }))
+        await user.click(screen.getByRole('button', { name: 'Name' }))
+        await waitFor(() => expect(lastListParams()).toMatchObject({ status: 'pending', sort: 'name' }))
+    })
+
+    it('approves a pending booking and reloads the list', async () => {
+        const user = userEvent.setup()
+        axios.patch.mockResolvedValue({ data: { ...bookings[0], status: 'approved' } })
+        await renderPage()
+        const listCalls = () => axios.get.mock.calls.filter(([url]) => url === '/api/bookings').length
+        const before = listCalls()
+
+        await user.click(screen.getByRole('button', { name: 'Approve' }))
+
+        expect(axios.patch).toHaveBeenCalledWith('/api/bookings/b1', { status: 'approved', comment: '' })
+        await waitFor(() => expect(listCalls()).toBe(before + 1))
+    })
+
+    it('shows the bookings an approval conflicts with', async () => {
+        const user = userEvent.setup()
+        const alert = vi.spyOn(window, 'alert').mockImplementation(() => {})
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+        axios.patch.mockRejectedValue(apiError(409, {
+            code: 'BOOKING_CONFLICT',
+            message: 'Booking overlaps an approved booking or maintenance for this vehicle',
+            conflicts: [{ name: 'Bob', bookingTime: '2030-01-07T10:00:00Z', returnTime: '2030-01-07T12:00:00Z' }]
+        }))
+        await renderPage()
+
+        await user.click(screen.getByRole('button', { name: 'Approve' }))
+
+        await waitFor(() => expect(alert).toHaveBeenCalledTimes(1))
+        expect(alert.mock.calls[0][0]).toMatch(/^Booking overlaps an approved booking.*\n\n• Bob: /s)
+    })
+
+    it('asks for a rejection reason and sends nothing when dismissed', async () => {
+        const user = userEvent.setup()
+        const prompt = vi.spyOn(window, 'prompt').mockReturnValueOnce(null).mockReturnValueOnce('Vehicle needed elsewhere')
+        axios.patch.mockResolvedValue({ data: { ...bookings[0], status: 'rejected' } })
+        await renderPage()
+
+        await user.click(screen.getByRole('button', { name: 'Reject' }))
+        expect(axios.patch).not.toHaveBeenCalled()
+        await user.click(screen.getByRole('button', { name: 'Reject' }))
+
+        expect(prompt).toHaveBeenCalledTimes(2)
+        expect(axios.patch).toHaveBeenCalledWith('/api/bookings/b1', {
+            status: 'rejected',
+            comment: 'Vehicle needed elsewhere'
+        })
+    })
+
+    it('applies a batch action to the selected bookings and reports failures', async () => {
+        const user = userEvent.setup()
+        axios.post.mockResolvedValue({
+            data: {
+                results: [
+                    { id: 'b1', ok: true },
+                    { id: 'b2', ok: false, code: 'INVALID_STATE', error: 'Booking is already approved' }
+                ],
+                succeeded: 1,
+                failed: 1
+            }
+        })
+        await renderPage()
+
+        await user.click(screen.getByRole('checkbox', { name: 'Select all bookings on this page' }))
+        expect(screen.getByText('2 selected')).toBeInTheDocument()
+        await user.click(screen.getAllByRole('button', { name: 'Approve' })[0])
+
+        expect(axios.post).toHaveBeenCalledWith('/api/bookings/batch', { action: 'approve', ids: ['b1', 'b2'], comment: '' })
+        expect(await screen.findByText(/1 booking\(s\) updated/)).toHaveTextContent('1 booking(s) updated, 1 failed')
+        expect(screen.getByText(/Booking is already approved/)).toHaveTextContent(/^• Bob, .*: Booking is already approved$/)
+    })
+
+    it('says when no bookings match', async () => {
+        mockAdminApi({ bookings: [], total: 0, page: 1, pages: 1, overdueCount: 0 })
+
+        await renderPage()
+
+        expect(screen.getByText('No bookings match these filters.')).toBeInTheDocument()
+        expect(screen.queryByText(/past their return time/)).not.toBeInTheDocument()
+    })
+})
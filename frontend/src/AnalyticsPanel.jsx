@@ -0,0 +1,229 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import { getStatusColor, formatStatus } from './bookingUtils'
+import { toDateInput, startOfDateInput, endOfDateInput, formatDay } from './timezone'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const defaultRange = () => {
+    const now = Date.now()
+    return {
+        from: toDateInput(now - 90 * 24 * 60 * 60 * 1000),
+        to: toDateInput(now),
+        interval: 'week'
+    }
+}
+
+// Periods start at midnight in the organization's timezone
+const formatPeriod = (dateString, interval) => {
+    return interval === 'month'
+        ? formatDay(dateString, { month: 'short', year: 'numeric' })
+        : formatDay(dateString, { day: 'numeric', month: 'short' })
+}
+
+const formatNumber = (value, unit) => (value === null || value === undefined ? '—' : `${value}${unit}`)
+
+const StatCard = ({ label, value }) => (
+    <div className="p-4 rounded-lg bg-gray-50">
+        <div className="text-sm text-gray-500">{label}</div>
+        <div className="text-2xl font-semibold text-gray-800">{value}</div>
+    </div>
+)
+
+// Usage reports for admins: utilization per vehicle, status counts, timing
+// averages, a weekday/hour heatmap and the busiest users and purposes.
+// Charts are plain Tailwind bars so no chart library is needed.
+const AnalyticsPanel = () => {
+    const [range, setRange] = useState(defaultRange)
+    const [utilization, setUtilization] = useState(null)
+    const [summary, setSummary] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [message, setMessage] = useState('')
+
+    useEffect(() => {
+        fetchAnalytics()
+    }, [range])
+
+    const fetchAnalytics = async () => {
+        setLoading(true)
+        setMessage('')
+        // Date inputs are days in the organization's timezone; send the whole of the last day
+        const params = {
+            from: startOfDateInput(range.from),
+            to: endOfDateInput(range.to)
+        }
+        try {
+            const [utilizationReport, summaryReport] = await Promise.all([
+                api.getUtilization({ ...params, interval: range.interval }),
+                api.getBookingSummary(params)
+            ])
+            setUtilization(utilizationReport)
+            setSummary(summaryReport)
+        } catch (error) {
+            console.error('Error fetching analytics:', error)
+            setMessage(error.response?.data?.message || 'Error loading analytics')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const handleChange = (e) => {
+        setRange({
+            ...range,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const heatmapMax = summary ? Math.max(1, ...summary.heatmap.flat()) : 1
+    const countMax = summary ? Math.max(1, ...Object.values(summary.counts)) : 1
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                <label className="text-sm text-gray-700">From</label>
+                <input type="date" name="from" value={range.from} onChange={handleChange} className={inputClass} />
+                <label className="text-sm text-gray-700">To</label>
+                <input type="date" name="to" value={range.to} onChange={handleChange} className={inputClass} />
+                <select name="interval" value={range.interval} onChange={handleChange} className={inputClass}>
+                    <option value="week">Weekly</option>
+                    <option value="month">Monthly</option>
+                </select>
+            </div>
+
+            {message && (
+                <div className="p-4 rounded mb-6 bg-red-100 text-red-700">{message}</div>
+            )}
+
+            {loading ? (
+                <div className="text-gray-600">Loading analytics...</div>
+            ) : summary && utilization && (
+                <div className="space-y-8">
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <StatCard label="Bookings" value={summary.total} />
+                        <StatCard label="Approval rate" value={formatNumber(summary.approvalRate, '%')} />
+                        <StatCard label="Average lead time" value={formatNumber(summary.averageLeadHours, ' h')} />
+                        <StatCard label="Average duration" value={formatNumber(summary.averageDurationHours, ' h')} />
+                    </div>
+
+                    <section>
+                        <h3 className="text-xl font-semibold mb-3 text-gray-800">Bookings by status</h3>
+                        <div className="space-y-2">
+                            {Object.entries(summary.counts).map(([status, count]) => (
+                                <div key={status} className="flex items-center gap-3 text-sm">
+                                    <span className={`w-24 px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${getStatusColor(status)}`}>
+                                        {formatStatus(status)}
+                                    </span>
+                                    <div className="flex-1 h-4 bg-gray-100 rounded">
+                                        <div
+                                            className="h-4 bg-blue-500 rounded"
+                                            style={{ width: `${(count / countMax) * 100}%` }}
+                                        />
+                                    </div>
+                                    <span className="w-10 text-right text-gray-700">{count}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </section>
+
+                    <section>
+                        <h3 className="text-xl font-semibold mb-3 text-gray-800">Utilization</h3>
+                        {utilization.vehicles.length === 0 ? (
+                            <p className="text-gray-500">No vehicles yet.</p>
+                        ) : (
+                            <div className="space-y-4">
+                                {utilization.vehicles.map((row) => (
+                                    <div key={row.vehicle._id}>
+                                        <div className="text-sm font-medium text-gray-700 mb-1">{row.vehicle.name}</div>
+                                        <div className="flex items-end gap-1 h-24 border-b border-gray-200">
+                                            {row.periods.map((period) => (
+                                                <div
+                                                    key={period.period}
+                                                    className="flex-1 bg-green-500 rounded-t min-h-[2px]"
+                                                    style={{ height: `${period.utilization}%` }}
+                                                    title={`${formatPeriod(period.period, utilization.interval)}: ${period.utilization}% (${period.bookedHours} h)`}
+                                                />
+                                            ))}
+                                        </div>
+                                        <div className="flex justify-between text-xs text-gray-500 mt-1">
+                                            <span>{formatPeriod(row.periods[0]?.period, utilization.interval)}</span>
+                                            <span>{formatPeriod(row.periods[row.periods.length - 1]?.period, utilization.interval)}</span>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </section>
+
+                    <section>
+                        <h3 className="text-xl font-semibold mb-3 text-gray-800">Peak hours</h3>
+                        <div className="overflow-x-auto">
+                            <table className="text-xs">
+                                <thead>
+                                <tr>
+                                    <th />
+                                    {summary.heatmap[0].map((_, hour) => (
+                                        <th key={hour} className="px-0.5 font-normal text-gray-500">{hour}</th>
+                                    ))}
+                                </tr>
+                                </thead>
+                                <tbody>
+                                {summary.heatmap.map((hours, day) => (
+                                    <tr key={day}>
+                                        <th className="pr-2 font-normal text-gray-500 text-left">{DAY_NAMES[day]}</th>
+                                        {hours.map((count, hour) => (
+                                            <td key={hour} className="p-0.5">
+                                                <div
+                                                    className="w-5 h-5 rounded-sm bg-blue-600"
+                                                    style={{ opacity: count ? 0.15 + 0.85 * (count / heatmapMax) : 0.05 }}
+                                                    title={`${DAY_NAMES[day]} ${hour}:00 — ${count} booking(s)`}
+                                                />
+                                            </td>
+                                        ))}
+                                    </tr>
+                                ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </section>
+
+                    <div className="grid md:grid-cols-2 gap-6">
+                        <section>
+                            <h3 className="text-xl font-semibold mb-3 text-gray-800">Top users</h3>
+                            {summary.topUsers.length === 0 ? (
+                                <p className="text-gray-500">No bookings in this range.</p>
+                            ) : (
+                                <ol className="space-y-1 text-sm text-gray-700">
+                                    {summary.topUsers.map((row) => (
+                                        <li key={row.user} className="flex justify-between">
+                                            <span>{row.name}</span>
+                                            <span className="text-gray-500">{row.count} bookings · {row.hours} h</span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </section>
+                        <section>
+                            <h3 className="text-xl font-semibold mb-3 text-gray-800">Top purposes</h3>
+                            {summary.topPurposes.length === 0 ? (
+                                <p className="text-gray-500">No bookings in this range.</p>
+                            ) : (
+                                <ol className="space-y-1 text-sm text-gray-700">
+                                    {summary.topPurposes.map((row) => (
+                                        <li key={row.purpose} className="flex justify-between">
+                                            <span>{row.purpose}</span>
+                                            <span className="text-gray-500">{row.count}</span>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </section>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default AnalyticsPanel
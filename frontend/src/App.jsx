@@ -1,30 +1,81 @@
+import { useState, useEffect } from 'react'
 import { Routes, Route, Link } from 'react-router-dom'
+import * as api from './api'
 import UserPage from './UserPage'
 import AdminPage from './AdminPage'
+import LoginPage from './LoginPage'
+import MyBookingsPage from './MyBookingsPage'
+import RequireAuth from './RequireAuth'
+import { useAuth } from './auth'
+import { setOrgTimeZone, getOrgTimeZone } from './timezone'
+import { setOrgCurrency } from './money'
 
 function App() {
+    const { user, logout } = useAuth()
+    const [configLoaded, setConfigLoaded] = useState(false)
+
+    // Pages format dates in the organization's timezone, so they wait for it
+    useEffect(() => {
+        const fetchConfig = async () => {
+            try {
+                const { timezone, currency } = await api.getClientConfig()
+                setOrgTimeZone(timezone)
+                setOrgCurrency(currency)
+            } catch (error) {
+                console.error('Error fetching app config:', error)
+            } finally {
+                setConfigLoaded(true)
+            }
+        }
+        fetchConfig()
+    }, [])
+
     return (
         <div className="min-h-screen bg-gray-50">
             <nav className="bg-blue-600 text-white p-4">
                 <div className="container mx-auto flex justify-between items-center">
-                    <h1 className="text-xl font-bold">🏍️ Motorbike Booking</h1>
+                    <h1 className="text-xl font-bold">🏍️ Vehicle Booking</h1>
                     <div className="space-x-4">
-                        <Link to="/" className="hover:text-blue-200 transition-colors">
-                            User
-                        </Link>
-                        <Link to="/admin" className="hover:text-blue-200 transition-colors">
-                            Admin
-                        </Link>
+                        {user ? (
+                            <>
+                                <Link to="/" className="hover:text-blue-200 transition-colors">
+                                    User
+                                </Link>
+                                <Link to="/my-bookings" className="hover:text-blue-200 transition-colors">
+                                    My Bookings
+                                </Link>
+                                {user.role === 'admin' && (
+                                    <Link to="/admin" className="hover:text-blue-200 transition-colors">
+                                        Admin
+                                    </Link>
+                                )}
+                                <span className="text-blue-200">{user.name}</span>
+                                {configLoaded && (
+                                    <span className="text-blue-200 text-sm">{getOrgTimeZone()}</span>
+                                )}
+                                <button onClick={logout} className="hover:text-blue-200 transition-colors">
+                                    Logout
+                                </button>
+                            </>
+                        ) : (
+                            <Link to="/login" className="hover:text-blue-200 transition-colors">
+                                Login
+                            </Link>
+                        )}
                     </div>
                 </div>
             </nav>
 
-            <Routes>
-                <Route path="/" element={<UserPage />} />
-                <Route path="/admin" element={<AdminPage />} />
-            </Routes>
+            {configLoaded && (
+                <Routes>
+                    <Route path="/login" element={<LoginPage />} />
+                    <Route path="/" element={<RequireAuth><UserPage /></RequireAuth>} />
+                    <Route path="/my-bookings" element={<RequireAuth><MyBookingsPage /></RequireAuth>} />
+                    <Route path="/admin" element={<RequireAuth role="admin"><AdminPage /></RequireAuth>} />
+                </Routes>
+            )}
         </div>
     )
 }
 
-export default App
\ No newline at end of file
+export default App
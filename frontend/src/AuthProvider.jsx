@@ -0,0 +1,61 @@
+import { useState, useEffect } from 'react'
+import axios from 'axios'
+import * as api from './api'
+import { AuthContext, getToken, setToken, clearToken } from './auth'
+
+const AuthProvider = ({ children }) => {
+    const [user, setUser] = useState(null)
+    const [loading, setLoading] = useState(Boolean(getToken()))
+
+    useEffect(() => {
+        // An expired or revoked token signs the user out everywhere
+        const interceptor = axios.interceptors.response.use(
+            (response) => response,
+            (error) => {
+                if (error.response?.status === 401) {
+                    clearToken()
+                    setUser(null)
+                }
+                return Promise.reject(error)
+            }
+        )
+        return () => axios.interceptors.response.eject(interceptor)
+    }, [])
+
+    useEffect(() => {
+        if (!getToken()) {
+            return
+        }
+        api.getCurrentUser()
+            .then(setUser)
+            .catch((error) => console.error('Error restoring session:', error))
+            .finally(() => setLoading(false))
+    }, [])
+
+    const startSession = ({ token, user }) => {
+        setToken(token)
+        setUser(user)
+        return user
+    }
+
+    const login = async (email, password) => {
+        return startSession(await api.login({ email, password }))
+    }
+
+    const register = async (name, email, password) => {
+        return startSession(await api.register({ name, email, password }))
+    }
+
+    const logout = () => {
+        clearToken()
+        setUser(null)
+    }
+
+    return (
+        <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+            {children}
+        </AuthContext.Provider>
+    )
+}
+
+export default AuthProvider
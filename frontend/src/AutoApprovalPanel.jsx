@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const ROLES = ['user', 'admin']
+
+const emptyRule = {
+    name: '',
+    roles: [],
+    groups: '',
+    maxDurationHours: '',
+    minLeadHours: '',
+    maxLeadHours: '',
+    earliestStart: '',
+    latestEnd: ''
+}
+
+// One line per condition the rule sets, for the rule list
+const describeRule = (rule) => {
+    const conditions = []
+    if (rule.roles.length > 0) {
+        conditions.push(`role ${rule.roles.join(' or ')}`)
+    }
+    if (rule.groups.length > 0) {
+        conditions.push(`group ${rule.groups.join(' or ')}`)
+    }
+    if (rule.maxDurationHours != null) {
+        conditions.push(`at most ${rule.maxDurationHours} hours long`)
+    }
+    if (rule.minLeadHours != null) {
+        conditions.push(`booked at least ${rule.minLeadHours} hours ahead`)
+    }
+    if (rule.maxLeadHours != null) {
+        conditions.push(`booked at most ${rule.maxLeadHours} hours ahead`)
+    }
+    if (rule.earliestStart) {
+        conditions.push(`starts from ${rule.earliestStart}`)
+    }
+    if (rule.latestEnd) {
+        conditions.push(`ends by ${rule.latestEnd}`)
+    }
+    return conditions.length > 0 ? conditions.join(', ') : 'every request'
+}
+
+// Rules that approve matching requests on creation, if the slot is free.
+// Each can be switched off without deleting it.
+const AutoApprovalPanel = () => {
+    const [rules, setRules] = useState([])
+    const [formData, setFormData] = useState(emptyRule)
+
+    useEffect(() => {
+        fetchRules()
+    }, [])
+
+    const fetchRules = async () => {
+        try {
+            setRules(await api.listAutoApprovalRules())
+        } catch (error) {
+            console.error('Error fetching auto-approval rules:', error)
+        }
+    }
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const toggleRole = (role) => {
+        setFormData({
+            ...formData,
+            roles: formData.roles.includes(role)
+                ? formData.roles.filter((r) => r !== role)
+                : [...formData.roles, role]
+        })
+    }
+
+    const addRule = async (e) => {
+        e.preventDefault()
+        try {
+            await api.createAutoApprovalRule({
+                ...formData,
+                groups: formData.groups.split(',').map((group) => group.trim()).filter(Boolean)
+            })
+            setFormData(emptyRule)
+            fetchRules()
+        } catch (error) {
+            console.error('Error creating auto-approval rule:', error)
+            alert(error.response?.data?.message || 'Error creating auto-approval rule')
+        }
+    }
+
+    const setEnabled = async (rule, enabled) => {
+        try {
+            await api.updateAutoApprovalRule(rule._id, { enabled })
+            fetchRules()
+        } catch (error) {
+            console.error('Error updating auto-approval rule:', error)
+            alert(error.response?.data?.message || 'Error updating auto-approval rule')
+        }
+    }
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"?`)) {
+            return
+        }
+        try {
+            await api.deleteAutoApprovalRule(rule._id)
+            fetchRules()
+        } catch (error) {
+            console.error('Error deleting auto-approval rule:', error)
+            alert('Error deleting auto-approval rule')
+        }
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-1 text-gray-800">Auto-approval Rules</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                A new request is approved straight away when it meets every condition of an enabled rule and
+                the vehicle is free. Leave a condition empty to match any request.
+            </p>
+
+            {rules.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No rules; every request waits for an admin.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 mb-6 text-sm">
+                    {rules.map((rule) => (
+                        <li key={rule._id} className="py-2 flex items-center gap-4">
+                            <label className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    checked={rule.enabled}
+                                    onChange={(e) => setEnabled(rule, e.target.checked)}
+                                />
+                                <span className={rule.enabled ? 'font-medium text-gray-800' : 'text-gray-400'}>
+                                    {rule.name}
+                                </span>
+                            </label>
+                            <span className="flex-1 text-gray-500">{describeRule(rule)}</span>
+                            <button
+                                onClick={() => deleteRule(rule)}
+                                className="text-gray-600 hover:text-gray-900 transition-colors"
+                            >
+                                Delete
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={addRule} className="space-y-3 text-sm">
+                <div className="flex flex-wrap items-center gap-3">
+                    <input
+                        name="name"
+                        value={formData.name}
+                        onChange={handleChange}
+                        placeholder="Rule name, e.g. Short trips"
+                        required
+                        className={`${inputClass} w-64`}
+                    />
+                    {ROLES.map((role) => (
+                        <label key={role} className="flex items-center gap-1 capitalize">
+                            <input
+                                type="checkbox"
+                                checked={formData.roles.includes(role)}
+                                onChange={() => toggleRole(role)}
+                            />
+                            {role}
+                        </label>
+                    ))}
+                    <input
+                        name="groups"
+                        value={formData.groups}
+                        onChange={handleChange}
+                        placeholder="Groups, comma-separated"
+                        className={`${inputClass} w-56`}
+                    />
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2">
+                        At most
+                        <input
+                            type="number"
+                            min="0"
+                            name="maxDurationHours"
+                            value={formData.maxDurationHours}
+                            onChange={handleChange}
+                            className={`${inputClass} w-20`}
+                        />
+                        hours long
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Booked
+                        <input
+                            type="number"
+                            min="0"
+                            name="minLeadHours"
+                            value={formData.minLeadHours}
+                            onChange={handleChange}
+                            className={`${inputClass} w-20`}
+                        />
+                        to
+                        <input
+                            type="number"
+                            min="0"
+                            name="maxLeadHours"
+                            value={formData.maxLeadHours}
+                            onChange={handleChange}
+                            className={`${inputClass} w-20`}
+                        />
+                        hours ahead
+                    </label>
+                    <label className="flex items-center gap-2">
+                        Between
+                        <input
+                            type="time"
+                            name="earliestStart"
+                            value={formData.earliestStart}
+                            onChange={handleChange}
+                            className={inputClass}
+                        />
+                        and
+                        <input
+                            type="time"
+                            name="latestEnd"
+                            value={formData.latestEnd}
+                            onChange={handleChange}
+                            className={inputClass}
+                        />
+                    </label>
+                </div>
+                <button
+                    type="submit"
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                >
+                    Add Rule
+                </button>
+            </form>
+        </div>
+    )
+}
+
+export default AutoApprovalPanel
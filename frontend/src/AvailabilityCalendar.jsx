@@ -0,0 +1,277 @@
+import { useState, useEffect, useRef } from 'react'
+import * as api from './api'
+import { wallTime, resolveWallTime, addDays, formatDay } from './timezone'
+
+const SLOT_MINUTES = 30
+const SLOT_HEIGHT = 20
+const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES
+const FIRST_VISIBLE_HOUR = 7
+
+// Days are calendar dates in the organization's timezone, so the grid shows
+// the same hours to everyone whatever their browser's timezone
+const today = () => {
+    const { year, month, day, weekday } = wallTime(Date.now())
+    return { year, month, day, weekday }
+}
+
+const dayKey = (day) => `${day.year}-${day.month}-${day.day}`
+
+// Monday of the week containing day
+const startOfWeek = (day) => addDays(day, -((day.weekday + 6) % 7))
+
+const dayStart = (day) => resolveWallTime(day).date
+
+const slotTime = (day, slot) => {
+    if (slot >= SLOTS_PER_DAY) {
+        return dayStart(addDays(day, 1))
+    }
+    const minutes = slot * SLOT_MINUTES
+    return resolveWallTime({ ...day, hour: Math.floor(minutes / 60), minute: minutes % 60 }).date
+}
+
+// Position on the day's 24-hour grid, by wall-clock time
+const minuteOfDay = (date) => {
+    const t = wallTime(date)
+    return t.hour * 60 + t.minute
+}
+
+// Time held by an approved booking, a vehicle that is currently out, or maintenance
+const isTaken = (block) => ['approved', 'in_use', 'maintenance'].includes(block.status)
+
+const blockStyle = (block) => {
+    if (block.status === 'maintenance') {
+        return 'bg-gray-200 border-gray-500 text-gray-700'
+    }
+    if (block.mine) {
+        return 'bg-blue-200 border-blue-500 text-blue-900'
+    }
+    if (isTaken(block)) {
+        return 'bg-red-100 border-red-400 text-red-800'
+    }
+    return 'bg-yellow-100 border-yellow-400 text-yellow-800'
+}
+
+const blockLabel = (block) => {
+    if (block.status === 'maintenance') {
+        return 'Maintenance'
+    }
+    if (block.mine) {
+        return isTaken(block) ? 'Your booking' : 'Your request'
+    }
+    return isTaken(block) ? 'Booked' : 'Requested'
+}
+
+const AvailabilityCalendar = ({ vehicleId, onSelect, refreshKey }) => {
+    const [view, setView] = useState('week')
+    const [anchor, setAnchor] = useState(today)
+    const [busy, setBusy] = useState([])
+    const [drag, setDrag] = useState(null)
+    const [message, setMessage] = useState('')
+    const scrollRef = useRef(null)
+
+    const firstDay = view === 'week' ? startOfWeek(anchor) : anchor
+    const dayCount = view === 'week' ? 7 : 1
+    const days = Array.from({ length: dayCount }, (_, i) => addDays(firstDay, i))
+    const rangeStart = dayKey(firstDay)
+
+    useEffect(() => {
+        if (!vehicleId) {
+            setBusy([])
+            return
+        }
+        const from = dayStart(firstDay)
+        const to = dayStart(addDays(firstDay, dayCount))
+        const fetchAvailability = async () => {
+            try {
+                const { vehicles } = await api.getAvailability({
+                    from: from.toISOString(),
+                    to: to.toISOString(),
+                    vehicle: vehicleId
+                })
+                const [entry] = vehicles
+                setBusy((entry?.busy || []).map((b) => ({
+                    ...b,
+                    start: new Date(b.start),
+                    end: new Date(b.end)
+                })))
+            } catch (error) {
+                console.error('Error fetching availability:', error)
+            }
+        }
+        fetchAvailability()
+    }, [vehicleId, rangeStart, dayCount, refreshKey])
+
+    useEffect(() => {
+        if (scrollRef.current) {
+            scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * (60 / SLOT_MINUTES) * SLOT_HEIGHT
+        }
+    }, [vehicleId])
+
+    const slotFromEvent = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect()
+        const slot = Math.floor((e.clientY - rect.top) / SLOT_HEIGHT)
+        return Math.min(Math.max(slot, 0), SLOTS_PER_DAY - 1)
+    }
+
+    const handleMouseDown = (dayIndex, e) => {
+        e.preventDefault()
+        const slot = slotFromEvent(e)
+        setMessage('')
+        setDrag({ dayIndex, anchorSlot: slot, currentSlot: slot })
+    }
+
+    const handleMouseMove = (dayIndex, e) => {
+        if (drag && drag.dayIndex === dayIndex) {
+            setDrag({ ...drag, currentSlot: slotFromEvent(e) })
+        }
+    }
+
+    const handleMouseUp = () => {
+        if (!drag) {
+            return
+        }
+        const day = days[drag.dayIndex]
+        const start = slotTime(day, Math.min(drag.anchorSlot, drag.currentSlot))
+        const end = slotTime(day, Math.max(drag.anchorSlot, drag.currentSlot) + 1)
+        setDrag(null)
+
+        const blocked = busy.some((b) => isTaken(b) && b.start < end && b.end > start)
+        if (blocked) {
+            setMessage('That range overlaps an approved booking or maintenance. Pick a free slot.')
+            return
+        }
+        onSelect(start, end)
+    }
+
+    const blocksForDay = (day) => {
+        const start = dayStart(day)
+        const end = dayStart(addDays(day, 1))
+        const minutesToPx = SLOT_HEIGHT / SLOT_MINUTES
+        return busy
+            .filter((b) => b.start < end && b.end > start)
+            .map((b) => {
+                const top = b.start > start ? minuteOfDay(b.start) : 0
+                const bottom = b.end < end ? minuteOfDay(b.end) : 24 * 60
+                return {
+                    ...b,
+                    top: top * minutesToPx,
+                    height: Math.max((bottom - top) * minutesToPx, 4)
+                }
+            })
+    }
+
+    const shift = (direction) => {
+        setAnchor(addDays(anchor, direction * dayCount))
+    }
+
+    if (!vehicleId) {
+        return <p className="text-gray-500 text-center py-8">Select a vehicle to see its availability.</p>
+    }
+
+    return (
+        <div onMouseLeave={() => setDrag(null)}>
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                <div className="space-x-2">
+                    <button onClick={() => shift(-1)} className="px-3 py-1 border rounded-md hover:bg-gray-100">
+                        ‹ Prev
+                    </button>
+                    <button onClick={() => setAnchor(today())} className="px-3 py-1 border rounded-md hover:bg-gray-100">
+                        Today
+                    </button>
+                    <button onClick={() => shift(1)} className="px-3 py-1 border rounded-md hover:bg-gray-100">
+                        Next ›
+                    </button>
+                </div>
+                <div className="space-x-2">
+                    {['day', 'week'].map((option) => (
+                        <button
+                            key={option}
+                            onClick={() => setView(option)}
+                            className={`px-3 py-1 rounded-md capitalize ${
+                                view === option ? 'bg-blue-600 text-white' : 'border hover:bg-gray-100'
+                            }`}
+                        >
+                            {option}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {message && (
+                <div className="p-3 rounded mb-4 bg-red-100 text-red-700 text-sm">{message}</div>
+            )}
+
+            <p className="text-xs text-gray-500 mb-2">Drag over a free slot to fill in the booking times.</p>
+
+            <div className="flex border-b text-xs font-medium text-gray-600">
+                <div className="w-12 shrink-0" />
+                {days.map((day) => (
+                    <div key={dayKey(day)} className="flex-1 text-center py-1">
+                        {formatDay(dayStart(day), { weekday: 'short', day: 'numeric', month: 'short' })}
+                    </div>
+                ))}
+            </div>
+
+            <div ref={scrollRef} className="flex max-h-96 overflow-y-auto select-none">
+                <div className="w-12 shrink-0">
+                    {Array.from({ length: 24 }, (_, hour) => (
+                        <div
+                            key={hour}
+                            className="text-xs text-gray-400 text-right pr-1"
+                            style={{ height: SLOT_HEIGHT * (60 / SLOT_MINUTES) }}
+                        >
+                            {String(hour).padStart(2, '0')}:00
+                        </div>
+                    ))}
+                </div>
+                {days.map((day, dayIndex) => {
+                    const selecting = drag && drag.dayIndex === dayIndex
+                    const selTop = selecting ? Math.min(drag.anchorSlot, drag.currentSlot) : 0
+                    const selBottom = selecting ? Math.max(drag.anchorSlot, drag.currentSlot) + 1 : 0
+                    return (
+                        <div
+                            key={dayKey(day)}
+                            className="flex-1 relative border-l cursor-crosshair"
+                            style={{ height: SLOTS_PER_DAY * SLOT_HEIGHT }}
+                            onMouseDown={(e) => handleMouseDown(dayIndex, e)}
+                            onMouseMove={(e) => handleMouseMove(dayIndex, e)}
+                            onMouseUp={handleMouseUp}
+                        >
+                            {Array.from({ length: 24 }, (_, hour) => (
+                                <div
+                                    key={hour}
+                                    className="border-t border-gray-100"
+                                    style={{ height: SLOT_HEIGHT * (60 / SLOT_MINUTES) }}
+                                />
+                            ))}
+                            {blocksForDay(day).map((block, i) => (
+                                <div
+                                    key={i}
+                                    className={`absolute left-0.5 right-0.5 border-l-4 rounded px-1 text-xs overflow-hidden pointer-events-none ${blockStyle(block)}`}
+                                    style={{ top: block.top, height: block.height }}
+                                >
+                                    {blockLabel(block)}
+                                </div>
+                            ))}
+                            {selecting && (
+                                <div
+                                    className="absolute left-0.5 right-0.5 bg-blue-400 opacity-40 rounded pointer-events-none"
+                                    style={{ top: selTop * SLOT_HEIGHT, height: (selBottom - selTop) * SLOT_HEIGHT }}
+                                />
+                            )}
+                        </div>
+                    )
+                })}
+            </div>
+
+            <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-600">
+                <span><span className="inline-block w-3 h-3 bg-red-100 border border-red-400 mr-1" />Booked</span>
+                <span><span className="inline-block w-3 h-3 bg-yellow-100 border border-yellow-400 mr-1" />Requested (not yet approved)</span>
+                <span><span className="inline-block w-3 h-3 bg-blue-200 border border-blue-500 mr-1" />Yours</span>
+                <span><span className="inline-block w-3 h-3 bg-gray-200 border border-gray-500 mr-1" />Maintenance</span>
+            </div>
+        </div>
+    )
+}
+
+export default AvailabilityCalendar
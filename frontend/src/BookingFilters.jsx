@@ -0,0 +1,97 @@
+import { useState, useEffect, useRef } from 'react'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+export const emptyFilters = {
+    q: '',
+    status: '',
+    vehicle: '',
+    user: '',
+    from: '',
+    to: ''
+}
+
+// Filter bar for the admin bookings table. Search text is applied once the
+// admin stops typing so every keystroke doesn't hit the server.
+const BookingFilters = ({ filters, onChange, vehicles, users }) => {
+    const [search, setSearch] = useState(filters.q)
+    // The latest props, so a search applied after the delay keeps filter
+    // changes made while it waited
+    const latest = useRef({ filters, onChange })
+    latest.current = { filters, onChange }
+
+    // The parent clearing or replacing the filters resets the box
+    useEffect(() => {
+        setSearch(filters.q)
+    }, [filters.q])
+
+    useEffect(() => {
+        if (search === latest.current.filters.q) {
+            return
+        }
+        const timer = setTimeout(() => latest.current.onChange({ ...latest.current.filters, q: search }), 300)
+        return () => clearTimeout(timer)
+    }, [search])
+
+    const handleChange = (e) => {
+        onChange({
+            ...filters,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 mb-4">
+            <input
+                type="search"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search name or purpose"
+                className={`${inputClass} w-56`}
+            />
+            <select name="status" value={filters.status} onChange={handleChange} className={inputClass}>
+                <option value="">All statuses</option>
+                <option value="pending">Pending</option>
+                <option value="approved">Approved</option>
+                <option value="rejected">Rejected</option>
+                <option value="cancelled">Cancelled</option>
+                <option value="in_use">In use</option>
+                <option value="completed">Completed</option>
+                <option value="waitlisted">Waitlisted</option>
+                <option value="deleted">Deleted</option>
+            </select>
+            <select name="vehicle" value={filters.vehicle} onChange={handleChange} className={inputClass}>
+                <option value="">All vehicles</option>
+                {vehicles.map((vehicle) => (
+                    <option key={vehicle._id} value={vehicle._id}>
+                        {vehicle.name}
+                    </option>
+                ))}
+            </select>
+            <select name="user" value={filters.user} onChange={handleChange} className={inputClass}>
+                <option value="">All users</option>
+                {users.map((user) => (
+                    <option key={user._id} value={user._id}>
+                        {user.name}
+                    </option>
+                ))}
+            </select>
+            <label className="text-sm text-gray-700">From</label>
+            <input type="date" name="from" value={filters.from} onChange={handleChange} className={inputClass} />
+            <label className="text-sm text-gray-700">To</label>
+            <input type="date" name="to" value={filters.to} onChange={handleChange} className={inputClass} />
+            <button
+                type="button"
+                onClick={() => {
+                    setSearch('')
+                    onChange(emptyFilters)
+                }}
+                className="text-sm text-gray-600 hover:text-gray-900 transition-colors"
+            >
+                Clear
+            </button>
+        </div>
+    )
+}
+
+export default BookingFilters
@@ -0,0 +1,57 @@
+import { useState } from 'react'
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, waitFor } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import BookingFilters, { emptyFilters } from './BookingFilters'
+
+const vehicles = [{ _id: 'v1', name: 'Blue scooter' }]
+
+// Holds the filters as AdminPage does, reporting every change to onChange
+const renderFilters = (onChange) => {
+    const Parent = () => {
+        const [filters, setFilters] = useState(emptyFilters)
+        return (
+            <>
+                <BookingFilters
+                    filters={filters}
+                    onChange={(next) => {
+                        onChange(next)
+                        setFilters(next)
+                    }}
+                    vehicles={vehicles}
+                    users={[]}
+                />
+                <button type="button" onClick={() => setFilters(emptyFilters)}>Reset from parent</button>
+            </>
+        )
+    }
+    render(<Parent />)
+}
+
+const searchBox = () => screen.getByPlaceholderText('Search name or purpose')
+
+describe('BookingFilters', () => {
+    it('keeps a filter changed while a search is pending', async () => {
+        const user = userEvent.setup()
+        const onChange = vi.fn()
+        renderFilters(onChange)
+
+        await user.type(searchBox(), 'Alice')
+        await user.selectOptions(screen.getByDisplayValue('All statuses'), 'pending')
+
+        await waitFor(() => expect(onChange).toHaveBeenLastCalledWith({ ...emptyFilters, status: 'pending', q: 'Alice' }))
+        expect(screen.getByDisplayValue('Pending')).toBeInTheDocument()
+    })
+
+    it('empties the search box when the parent clears the filters', async () => {
+        const user = userEvent.setup()
+        const onChange = vi.fn()
+        renderFilters(onChange)
+
+        await user.type(searchBox(), 'Alice')
+        await waitFor(() => expect(onChange).toHaveBeenLastCalledWith({ ...emptyFilters, q: 'Alice' }))
+        await user.click(screen.getByRole('button', { name: 'Reset from parent' }))
+
+        expect(searchBox()).toHaveValue('')
+    })
+})
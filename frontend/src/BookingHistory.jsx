@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import { formatStatus } from './bookingUtils'
+import { formatDateTime } from './timezone'
+
+const ACTION_LABELS = {
+    created: 'Created',
+    edited: 'Edited',
+    status_changed: 'Status changed',
+    checked_out: 'Checked out',
+    checked_in: 'Checked in',
+    conflict_flagged: 'Flagged as overlapping',
+    conflict_cleared: 'Overlap flag cleared',
+    deleted: 'Deleted'
+}
+
+// Renders a recorded value; dates come back as ISO strings
+const formatValue = (field, value) => {
+    if (value === null || value === undefined) {
+        return '—'
+    }
+    if (field === 'status') {
+        return formatStatus(value)
+    }
+    if (field === 'bookingTime' || field === 'returnTime' || field === 'deletedAt') {
+        return formatDateTime(value)
+    }
+    if (field === 'checkOut' || field === 'checkIn') {
+        return `${value.odometer} km, fuel ${value.fuelLevel}%`
+    }
+    return String(value)
+}
+
+// Side drawer listing the audit trail of one booking
+const BookingHistory = ({ bookingId, vehicles, onClose }) => {
+    const [history, setHistory] = useState([])
+    const [loading, setLoading] = useState(true)
+
+    useEffect(() => {
+        fetchHistory()
+    }, [bookingId])
+
+    const fetchHistory = async () => {
+        setLoading(true)
+        try {
+            setHistory(await api.getBookingHistory(bookingId))
+        } catch (error) {
+            console.error('Error fetching booking history:', error)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const describe = (field, value) => {
+        if (field === 'vehicle') {
+            return vehicles.find((vehicle) => vehicle._id === value)?.name || value
+        }
+        return formatValue(field, value)
+    }
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end bg-black/30" onClick={onClose}>
+            <aside
+                className="w-full max-w-md h-full bg-white shadow-xl p-6 overflow-y-auto"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-semibold text-gray-800">Booking History</h3>
+                    <button onClick={onClose} className="text-gray-500 hover:text-gray-800">✕</button>
+                </div>
+
+                {loading ? (
+                    <p className="text-gray-500">Loading history...</p>
+                ) : history.length === 0 ? (
+                    <p className="text-gray-500">No recorded changes.</p>
+                ) : (
+                    <ol className="space-y-4">
+                        {history.map((entry) => {
+                            const fields = Object.keys({ ...entry.previous, ...entry.current })
+                            return (
+                                <li key={entry._id} className="border-l-2 border-blue-200 pl-3">
+                                    <div className="text-sm font-medium text-gray-800">
+                                        {ACTION_LABELS[entry.action] || entry.action}
+                                    </div>
+                                    <div className="text-xs text-gray-500">
+                                        {formatDateTime(entry.at)} · {entry.actor?.name || 'System'}
+                                    </div>
+                                    {fields.length > 0 && (
+                                        <ul className="text-xs text-gray-700 mt-1">
+                                            {fields.map((field) => (
+                                                <li key={field}>
+                                                    {field}:{' '}
+                                                    {entry.previous?.[field] !== undefined && (
+                                                        <span className="line-through text-gray-400 mr-1">
+                                                            {describe(field, entry.previous[field])}
+                                                        </span>
+                                                    )}
+                                                    {entry.current?.[field] !== undefined && describe(field, entry.current[field])}
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    )}
+                                    {entry.comment && (
+                                        <p className="text-xs italic text-gray-600 mt-1">“{entry.comment}”</p>
+                                    )}
+                                </li>
+                            )
+                        })}
+                    </ol>
+                )}
+            </aside>
+        </div>
+    )
+}
+
+export default BookingHistory
@@ -0,0 +1,127 @@
+import { useState } from 'react'
+import * as api from './api'
+import { formatDateTime, getOrgTimeZone } from './timezone'
+
+// Uploads a CSV of bookings: the server first checks every row (dry run) and
+// the admin imports once the preview has no errors. Times without an offset
+// are read in the organization's timezone.
+const BookingImport = ({ onImported }) => {
+    const [csv, setCsv] = useState('')
+    const [report, setReport] = useState(null)
+    const [message, setMessage] = useState('')
+    const [busy, setBusy] = useState(false)
+
+    const sendImport = async (text, commit) => {
+        setBusy(true)
+        setMessage('')
+        try {
+            const result = await api.importBookings(text, { commit })
+            setReport(result)
+            if (result.committed) {
+                setMessage(`${result.created} booking(s) imported`)
+                setCsv('')
+                onImported()
+            }
+        } catch (error) {
+            console.error('Error importing bookings:', error)
+            if (error.response?.data?.rows) {
+                setReport(error.response.data)
+            }
+            setMessage(error.response?.data?.message || 'Error importing bookings')
+        } finally {
+            setBusy(false)
+        }
+    }
+
+    const handleFile = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) {
+            return
+        }
+        const text = await file.text()
+        setCsv(text)
+        setReport(null)
+        sendImport(text, false)
+    }
+
+    return (
+        <div className="mb-6 p-4 border border-gray-200 rounded-lg">
+            <p className="text-sm text-gray-600 mb-3">
+                Columns: vehicle (name or registration), email, purpose, bookingTime, returnTime.
+                Dates look like 2025-06-01 09:00 ({getOrgTimeZone()} time unless they carry an offset).
+                A file exported from this page can be imported as is.
+            </p>
+            <input type="file" accept=".csv,text/csv" onChange={handleFile} disabled={busy} className="text-sm" />
+
+            {message && (
+                <div className={`p-3 rounded mt-3 text-sm ${
+                    report?.committed ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+                }`}>
+                    {message}
+                </div>
+            )}
+
+            {report && !report.committed && (
+                <div className="mt-4">
+                    <div className="flex items-center gap-4 text-sm mb-2">
+                        <span className="text-gray-700">
+                            {report.valid} of {report.total} row(s) valid
+                        </span>
+                        {report.invalid === 0 ? (
+                            <button
+                                onClick={() => sendImport(csv, true)}
+                                disabled={busy}
+                                className="bg-blue-600 text-white px-3 py-1 rounded-md hover:bg-blue-700 disabled:bg-gray-400"
+                            >
+                                Import {report.valid} booking(s)
+                            </button>
+                        ) : (
+                            <span className="text-red-700">Fix the rows below and upload the file again.</span>
+                        )}
+                    </div>
+                    <div className="overflow-x-auto max-h-96">
+                        <table className="w-full table-auto text-sm">
+                            <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Email</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                            </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-200">
+                            {report.rows.map((row) => (
+                                <tr key={row.row} className={row.ok ? '' : 'bg-red-50'}>
+                                    <td className="px-3 py-2 text-gray-700">{row.row}</td>
+                                    <td className="px-3 py-2 text-gray-700">{row.booking.vehicle}</td>
+                                    <td className="px-3 py-2 text-gray-700">{row.booking.email}</td>
+                                    <td className="px-3 py-2 text-gray-700">
+                                        {formatDateTime(row.booking.bookingTime)} – {formatDateTime(row.booking.returnTime)}
+                                    </td>
+                                    <td className="px-3 py-2">
+                                        {row.ok ? (
+                                            <span className="text-green-700">OK</span>
+                                        ) : (
+                                            <ul className="text-red-700">
+                                                {row.errors.map((error, index) => (
+                                                    <li key={index}>
+                                                        {error.field && `${error.field}: `}{error.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default BookingImport
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+
+// Subscription URLs for calendar apps. The URLs contain a secret token, so
+// the user can replace it if a link was shared by mistake.
+const CalendarFeeds = ({ vehicles }) => {
+    const [paths, setPaths] = useState(null)
+    const [copied, setCopied] = useState('')
+
+    useEffect(() => {
+        fetchPaths()
+    }, [])
+
+    const fetchPaths = async () => {
+        try {
+            setPaths(await api.getCalendarFeeds())
+        } catch (error) {
+            console.error('Error fetching calendar feeds:', error)
+        }
+    }
+
+    const resetToken = async () => {
+        if (!window.confirm('Create new feed links? Calendars subscribed with the old links stop updating.')) {
+            return
+        }
+        try {
+            setPaths(await api.resetCalendarFeeds())
+        } catch (error) {
+            console.error('Error resetting calendar feeds:', error)
+            alert(error.response?.data?.message || 'Error resetting calendar feeds')
+        }
+    }
+
+    const copy = async (url) => {
+        try {
+            await navigator.clipboard.writeText(url)
+            setCopied(url)
+        } catch (error) {
+            window.prompt('Copy this link:', url)
+        }
+    }
+
+    if (!paths) {
+        return null
+    }
+
+    const feeds = [
+        { label: 'My bookings', url: `${window.location.origin}${paths.bookings}` },
+        ...vehicles.map((vehicle) => ({
+            label: vehicle.name,
+            url: `${window.location.origin}${paths.vehicles}${vehicle._id}.ics`
+        }))
+    ]
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-2 text-gray-800">Calendar Subscriptions</h3>
+            <p className="text-sm text-gray-600 mb-4">
+                Add these links to your calendar app (subscribe by URL) to see approved bookings there.
+                Keep them private: anyone with a link can read the feed.
+            </p>
+            <ul className="space-y-2 text-sm">
+                {feeds.map((feed) => (
+                    <li key={feed.url} className="flex items-center gap-3">
+                        <span className="w-40 font-medium text-gray-700">{feed.label}</span>
+                        <input
+                            readOnly
+                            value={feed.url}
+                            onFocus={(e) => e.target.select()}
+                            className="flex-1 p-1 border border-gray-300 rounded text-xs text-gray-600"
+                        />
+                        <button onClick={() => copy(feed.url)} className="text-blue-600 hover:text-blue-900">
+                            {copied === feed.url ? 'Copied' : 'Copy'}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <button onClick={resetToken} className="mt-4 text-sm text-red-600 hover:text-red-900">
+                Reset links
+            </button>
+        </div>
+    )
+}
+
+export default CalendarFeeds
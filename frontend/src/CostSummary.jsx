@@ -0,0 +1,30 @@
+import { formatMoney } from './money'
+
+// The estimate while a booking is ahead, the final cost and what it is made
+// of once checked in, and the cost centre it is charged to
+const CostSummary = ({ booking }) => {
+    const { estimatedCost, finalCost, costCentre } = booking
+    if (!estimatedCost && !finalCost && !costCentre) {
+        return null
+    }
+
+    const parts = []
+    if (finalCost) {
+        parts.push(`Cost ${formatMoney(finalCost.total, finalCost.currency)}`)
+        if (finalCost.distance) {
+            parts.push(`${formatMoney(finalCost.distance, finalCost.currency)} for ${finalCost.km} km`)
+        }
+        if (finalCost.latePenalty) {
+            parts.push(`${formatMoney(finalCost.latePenalty, finalCost.currency)} late return`)
+        }
+    } else if (estimatedCost) {
+        parts.push(`Estimated cost ${formatMoney(estimatedCost.total, estimatedCost.currency)}`)
+    }
+    if (costCentre) {
+        parts.push(`charged to ${costCentre}`)
+    }
+
+    return <p className="text-xs text-gray-500 mt-1">{parts.join(' · ')}</p>
+}
+
+export default CostSummary
@@ -0,0 +1,134 @@
+import { useState } from 'react'
+import { Navigate, useLocation, useNavigate } from 'react-router-dom'
+import { useAuth } from './auth'
+
+const LoginPage = () => {
+    const { user, login, register } = useAuth()
+    const navigate = useNavigate()
+    const location = useLocation()
+    const [mode, setMode] = useState('login')
+    const [formData, setFormData] = useState({
+        name: '',
+        email: '',
+        password: ''
+    })
+    const [message, setMessage] = useState('')
+    const [isSubmitting, setIsSubmitting] = useState(false)
+
+    const from = location.state?.from?.pathname || '/'
+
+    if (user) {
+        return <Navigate to={from} replace />
+    }
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setIsSubmitting(true)
+        setMessage('')
+
+        try {
+            if (mode === 'login') {
+                await login(formData.email, formData.password)
+            } else {
+                await register(formData.name, formData.email, formData.password)
+            }
+            navigate(from, { replace: true })
+        } catch (error) {
+            setMessage(error.response?.data?.message || 'Error signing in')
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <div className="container mx-auto p-4 max-w-md">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">
+                    {mode === 'login' ? 'Sign in' : 'Create an account'}
+                </h2>
+
+                {message && (
+                    <div className="p-4 rounded mb-4 bg-red-100 text-red-700">
+                        {message}
+                    </div>
+                )}
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    {mode === 'register' && (
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Your Name *
+                            </label>
+                            <input
+                                type="text"
+                                name="name"
+                                value={formData.name}
+                                onChange={handleChange}
+                                required
+                                className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                placeholder="Enter your full name"
+                            />
+                        </div>
+                    )}
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Email *
+                        </label>
+                        <input
+                            type="email"
+                            name="email"
+                            value={formData.email}
+                            onChange={handleChange}
+                            required
+                            className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Password *
+                        </label>
+                        <input
+                            type="password"
+                            name="password"
+                            value={formData.password}
+                            onChange={handleChange}
+                            required
+                            minLength={mode === 'register' ? 8 : undefined}
+                            className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                        />
+                    </div>
+
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full bg-blue-600 text-white py-3 px-4 rounded-md hover:bg-blue-700 focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 transition-colors"
+                    >
+                        {isSubmitting ? 'Please wait...' : mode === 'login' ? 'Sign in' : 'Register'}
+                    </button>
+                </form>
+
+                <p className="text-sm text-gray-600 mt-4 text-center">
+                    {mode === 'login' ? "Don't have an account? " : 'Already registered? '}
+                    <button
+                        type="button"
+                        onClick={() => setMode(mode === 'login' ? 'register' : 'login')}
+                        className="text-blue-600 hover:text-blue-800"
+                    >
+                        {mode === 'login' ? 'Register' : 'Sign in'}
+                    </button>
+                </p>
+            </div>
+        </div>
+    )
+}
+
+export default LoginPage
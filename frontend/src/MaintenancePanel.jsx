@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import RecurrenceFields from './RecurrenceFields'
+import { emptyRecurrence, buildRecurrence } from './bookingUtils'
+import { formatDateTime, formatDay, fromDateTimeLocal } from './timezone'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const MaintenancePanel = ({ vehicles, onVehiclesChange }) => {
+    const [windows, setWindows] = useState([])
+    const [reminders, setReminders] = useState([])
+    const [formData, setFormData] = useState({
+        vehicle: '',
+        reason: '',
+        start: '',
+        end: ''
+    })
+    const [recurrence, setRecurrence] = useState(emptyRecurrence)
+
+    useEffect(() => {
+        fetchWindows()
+        fetchReminders()
+    }, [])
+
+    const fetchWindows = async () => {
+        try {
+            setWindows(await api.listMaintenanceWindows())
+        } catch (error) {
+            console.error('Error fetching maintenance windows:', error)
+        }
+    }
+
+    const fetchReminders = async () => {
+        try {
+            setReminders(await api.listServiceReminders())
+        } catch (error) {
+            console.error('Error fetching service reminders:', error)
+        }
+    }
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const addWindow = async (e) => {
+        e.preventDefault()
+        const start = fromDateTimeLocal(formData.start)
+        const end = fromDateTimeLocal(formData.end)
+        if (start.error || end.error) {
+            alert(start.error || end.error)
+            return
+        }
+        try {
+            const { affectedBookings } = await api.createMaintenanceWindow({
+                ...formData,
+                start: start.iso,
+                end: end.iso,
+                recurrence: recurrence.enabled ? buildRecurrence(recurrence, formData.start) : undefined
+            })
+            if (affectedBookings.length > 0) {
+                alert(`Maintenance scheduled. These bookings overlap it and need attention:\n\n` +
+                    affectedBookings.map((b) => `• ${b.name} (${b.status}): ${formatDateTime(b.bookingTime)}`).join('\n'))
+            }
+            setFormData({ vehicle: formData.vehicle, reason: '', start: '', end: '' })
+            setRecurrence(emptyRecurrence)
+            fetchWindows()
+        } catch (error) {
+            console.error('Error creating maintenance window:', error)
+            alert(error.response?.data?.message || 'Error creating maintenance window')
+        }
+    }
+
+    const deleteWindow = async (slot) => {
+        const wholeSeries = slot.seriesId &&
+            window.confirm('Also remove the later windows of this recurring schedule? Cancel removes only this one.')
+        try {
+            await api.deleteMaintenanceWindow(slot._id, wholeSeries ? { scope: 'series' } : {})
+            fetchWindows()
+        } catch (error) {
+            console.error('Error deleting maintenance window:', error)
+            alert('Error deleting maintenance window')
+        }
+    }
+
+    const updateVehicle = async (vehicleId, changes) => {
+        try {
+            await api.updateVehicle(vehicleId, changes)
+            onVehiclesChange()
+            fetchReminders()
+        } catch (error) {
+            console.error('Error updating vehicle:', error)
+            alert(error.response?.data?.message || 'Error updating vehicle')
+        }
+    }
+
+    const markServiced = (vehicle) => {
+        updateVehicle(vehicle._id, {
+            lastServiceOdometer: vehicle.odometer,
+            lastServiceAt: new Date().toISOString()
+        })
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800">Maintenance</h3>
+
+            {reminders.length > 0 && (
+                <div className="mb-6 space-y-2">
+                    {reminders.map((reminder) => (
+                        <div
+                            key={reminder.vehicle._id}
+                            className={`flex justify-between items-center p-3 rounded text-sm ${
+                                reminder.due ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'
+                            }`}
+                        >
+                            <span>
+                                <strong>{reminder.vehicle.name}</strong>{' '}
+                                {reminder.due
+                                    ? `is ${-reminder.kmRemaining} km past its service interval`
+                                    : `is due for service in ${reminder.kmRemaining} km`}
+                            </span>
+                            <button
+                                onClick={() => markServiced(reminder.vehicle)}
+                                className="text-blue-600 hover:text-blue-900 transition-colors"
+                            >
+                                Mark serviced
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <form onSubmit={addWindow} className="space-y-3 mb-6">
+                <div className="flex flex-wrap gap-2">
+                    <select name="vehicle" value={formData.vehicle} onChange={handleChange} required className={inputClass}>
+                        <option value="">Select a vehicle</option>
+                        {vehicles.map((vehicle) => (
+                            <option key={vehicle._id} value={vehicle._id}>{vehicle.name}</option>
+                        ))}
+                    </select>
+                    <input
+                        type="text"
+                        name="reason"
+                        value={formData.reason}
+                        onChange={handleChange}
+                        required
+                        placeholder="Reason, e.g. oil change"
+                        className={inputClass}
+                    />
+                    <input type="datetime-local" name="start" value={formData.start} onChange={handleChange} required className={inputClass} />
+                    <input type="datetime-local" name="end" value={formData.end} onChange={handleChange} required className={inputClass} />
+                    <button
+                        type="submit"
+                        className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                        Schedule
+                    </button>
+                </div>
+                <RecurrenceFields value={recurrence} onChange={setRecurrence} label="Repeat this service window" />
+            </form>
+
+            {windows.length === 0 ? (
+                <p className="text-gray-500 mb-6">No upcoming maintenance.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 mb-6">
+                    {windows.map((slot) => (
+                        <li key={slot._id} className="py-2 flex justify-between items-center text-sm">
+                            <span>
+                                <strong>{slot.vehicle?.name}</strong> — {slot.reason}
+                                {slot.seriesId && <span className="ml-1 text-purple-700">↻</span>}
+                                <span className="block text-gray-500">
+                                    {formatDateTime(slot.start)} – {formatDateTime(slot.end)}
+                                </span>
+                            </span>
+                            <button
+                                onClick={() => deleteWindow(slot)}
+                                className="text-gray-600 hover:text-gray-900 transition-colors"
+                            >
+                                Delete
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <h4 className="font-semibold text-gray-700 mb-2">Service intervals</h4>
+            <div className="space-y-2">
+                {vehicles.map((vehicle) => (
+                    <div key={vehicle._id} className="flex items-center gap-2 text-sm">
+                        <span className="w-40 truncate">{vehicle.name}</span>
+                        <span className="text-gray-500">every</span>
+                        <input
+                            type="number"
+                            min="0"
+                            defaultValue={vehicle.serviceIntervalKm ?? ''}
+                            onBlur={(e) => {
+                                const value = e.target.value === '' ? null : Number(e.target.value)
+                                if (value !== (vehicle.serviceIntervalKm ?? null)) {
+                                    updateVehicle(vehicle._id, { serviceIntervalKm: value })
+                                }
+                            }}
+                            className={`${inputClass} w-24`}
+                        />
+                        <span className="text-gray-500">km</span>
+                        {vehicle.lastServiceAt && (
+                            <span className="text-gray-400">
+                                · last serviced {formatDay(vehicle.lastServiceAt)} at {vehicle.lastServiceOdometer} km
+                            </span>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
+
+export default MaintenancePanel
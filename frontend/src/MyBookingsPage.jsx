@@ -0,0 +1,325 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import TripLogForm from './TripLogForm'
+import TripSummary from './TripSummary'
+import CostSummary from './CostSummary'
+import { useAuth } from './auth'
+import useBookingEvents from './useBookingEvents'
+import CalendarFeeds from './CalendarFeeds'
+import { getStatusColor, formatStatus, applyBookingEvent, downloadFile, readBookingTimes } from './bookingUtils'
+import { toDateTimeLocal, formatDateTime } from './timezone'
+
+const MyBookingsPage = () => {
+    const { user } = useAuth()
+    const [bookings, setBookings] = useState([])
+    const [vehicles, setVehicles] = useState([])
+    const [loading, setLoading] = useState(true)
+    const [editingId, setEditingId] = useState(null)
+    const [editData, setEditData] = useState({})
+    const [message, setMessage] = useState('')
+    const [tripAction, setTripAction] = useState(null)
+
+    useEffect(() => {
+        fetchBookings()
+        fetchVehicles()
+    }, [])
+
+    // Status changes made by admins arrive live
+    useBookingEvents((event) => {
+        setBookings((current) => applyBookingEvent(
+            current,
+            event,
+            (booking) => booking.user === user._id,
+            (a, b) => new Date(b.bookingTime) - new Date(a.bookingTime)
+        ))
+    }, () => fetchBookings())
+
+    const fetchBookings = async () => {
+        try {
+            setBookings(await api.listMyBookings())
+        } catch (error) {
+            console.error('Error fetching your bookings:', error)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const fetchVehicles = async () => {
+        try {
+            setVehicles(await api.listVehicles({ active: true }))
+        } catch (error) {
+            console.error('Error fetching vehicles:', error)
+        }
+    }
+
+    const cancelBooking = async (id) => {
+        if (!window.confirm('Cancel this booking?')) {
+            return
+        }
+        try {
+            await api.updateBookingStatus(id, { status: 'cancelled' })
+            fetchBookings()
+        } catch (error) {
+            console.error('Error cancelling booking:', error)
+            alert(error.response?.data?.message || 'Error cancelling booking')
+        }
+    }
+
+    const cancelSeries = async (seriesId) => {
+        if (!window.confirm('Cancel all future occurrences of this recurring booking?')) {
+            return
+        }
+        try {
+            await api.updateBookingSeries(seriesId, { status: 'cancelled' })
+            fetchBookings()
+        } catch (error) {
+            console.error('Error cancelling booking series:', error)
+            alert(error.response?.data?.message || 'Error cancelling booking series')
+        }
+    }
+
+    const downloadCalendar = async (id) => {
+        try {
+            downloadFile(await api.downloadBookingCalendar(id), `booking-${id}.ics`)
+        } catch (error) {
+            console.error('Error downloading calendar file:', error)
+            alert('Error downloading calendar file')
+        }
+    }
+
+    const startEditing = (booking) => {
+        setMessage('')
+        setEditingId(booking._id)
+        setEditData({
+            vehicle: booking.vehicle?._id || '',
+            purpose: booking.purpose,
+            costCentre: booking.costCentre || '',
+            bookingTime: toDateTimeLocal(booking.bookingTime),
+            returnTime: toDateTimeLocal(booking.returnTime)
+        })
+    }
+
+    const handleEditChange = (e) => {
+        setEditData({
+            ...editData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const saveEdit = async (e) => {
+        e.preventDefault()
+        setMessage('')
+        const times = readBookingTimes(editData)
+        if (times.errors) {
+            setMessage(Object.values(times.errors).flat().join(' '))
+            return
+        }
+        try {
+            await api.editBooking(editingId, { ...editData, ...times })
+            setEditingId(null)
+            fetchBookings()
+        } catch (error) {
+            setMessage(error.response?.data?.message || 'Error updating booking')
+        }
+    }
+
+    if (loading) {
+        return (
+            <div className="container mx-auto p-4">
+                <div className="flex justify-center items-center h-64">
+                    <div className="text-lg text-gray-600">Loading your bookings...</div>
+                </div>
+            </div>
+        )
+    }
+
+    return (
+        <div className="container mx-auto p-4 max-w-4xl">
+            <div className="bg-white p-6 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">My Bookings</h2>
+
+                {bookings.length === 0 ? (
+                    <p className="text-gray-500 text-center py-8">You have not made any bookings yet.</p>
+                ) : (
+                    <div className="space-y-4">
+                        {bookings.map((booking) => (
+                            <div key={booking._id} className="border border-gray-200 rounded-lg p-4">
+                                {editingId === booking._id ? (
+                                    <form onSubmit={saveEdit} className="space-y-3">
+                                        {message && (
+                                            <div className="p-3 rounded bg-red-100 text-red-700 text-sm">{message}</div>
+                                        )}
+                                        <select
+                                            name="vehicle"
+                                            value={editData.vehicle}
+                                            onChange={handleEditChange}
+                                            required
+                                            className="w-full p-2 border border-gray-300 rounded-md"
+                                        >
+                                            <option value="">Select a vehicle</option>
+                                            {vehicles.map((vehicle) => (
+                                                <option key={vehicle._id} value={vehicle._id}>
+                                                    {vehicle.name} ({vehicle.type})
+                                                </option>
+                                            ))}
+                                        </select>
+                                        <input
+                                            type="text"
+                                            name="purpose"
+                                            value={editData.purpose}
+                                            onChange={handleEditChange}
+                                            required
+                                            className="w-full p-2 border border-gray-300 rounded-md"
+                                        />
+                                        <input
+                                            type="text"
+                                            name="costCentre"
+                                            value={editData.costCentre}
+                                            onChange={handleEditChange}
+                                            placeholder="Cost centre or project code (optional)"
+                                            className="w-full p-2 border border-gray-300 rounded-md"
+                                        />
+                                        <div className="grid grid-cols-2 gap-2">
+                                            <input
+                                                type="datetime-local"
+                                                name="bookingTime"
+                                                value={editData.bookingTime}
+                                                onChange={handleEditChange}
+                                                required
+                                                className="p-2 border border-gray-300 rounded-md"
+                                            />
+                                            <input
+                                                type="datetime-local"
+                                                name="returnTime"
+                                                value={editData.returnTime}
+                                                onChange={handleEditChange}
+                                                required
+                                                className="p-2 border border-gray-300 rounded-md"
+                                            />
+                                        </div>
+                                        <div className="space-x-2">
+                                            <button
+                                                type="submit"
+                                                className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                                            >
+                                                Save
+                                            </button>
+                                            <button
+                                                type="button"
+                                                onClick={() => setEditingId(null)}
+                                                className="text-gray-600 hover:text-gray-900 transition-colors"
+                                            >
+                                                Discard
+                                            </button>
+                                        </div>
+                                    </form>
+                                ) : (
+                                    <>
+                                        <div className="flex justify-between items-start mb-2">
+                                            <h3 className="font-semibold text-gray-800">
+                                                {booking.vehicle?.name || 'Unknown vehicle'}
+                                            </h3>
+                                            <div className="space-x-1">
+                                                {booking.overdue && (
+                                                    <span className="text-xs px-2 py-1 rounded-full bg-red-600 text-white">
+                                                        Overdue
+                                                    </span>
+                                                )}
+                                                <span className={`text-xs px-2 py-1 rounded-full ${getStatusColor(booking.status)}`}>
+                                                    {formatStatus(booking.status)}
+                                                </span>
+                                            </div>
+                                        </div>
+                                        <p className="text-sm text-gray-600 mb-2">
+                                            {booking.purpose}
+                                            {booking.series && <span className="ml-2 text-purple-700">↻ Recurring</span>}
+                                        </p>
+                                        <div className="text-xs text-gray-500">
+                                            <p>From: {formatDateTime(booking.bookingTime)}</p>
+                                            <p>To: {formatDateTime(booking.returnTime)}</p>
+                                        </div>
+                                        <TripSummary booking={booking} />
+                                        <CostSummary booking={booking} />
+                                        <div className="mt-3 space-x-3 text-sm">
+                                            {booking.status === 'pending' && (
+                                                <button
+                                                    onClick={() => startEditing(booking)}
+                                                    className="text-blue-600 hover:text-blue-900 transition-colors"
+                                                >
+                                                    Edit
+                                                </button>
+                                            )}
+                                            {['pending', 'approved'].includes(booking.status) && (
+                                                <button
+                                                    onClick={() => cancelBooking(booking._id)}
+                                                    className="text-red-600 hover:text-red-900 transition-colors"
+                                                >
+                                                    Cancel booking
+                                                </button>
+                                            )}
+                                            {booking.status === 'waitlisted' && (
+                                                <button
+                                                    onClick={() => cancelBooking(booking._id)}
+                                                    className="text-red-600 hover:text-red-900 transition-colors"
+                                                >
+                                                    Leave waitlist
+                                                </button>
+                                            )}
+                                            {booking.series && ['pending', 'approved'].includes(booking.status) && (
+                                                <button
+                                                    onClick={() => cancelSeries(booking.series)}
+                                                    className="text-red-600 hover:text-red-900 transition-colors"
+                                                >
+                                                    Cancel future occurrences
+                                                </button>
+                                            )}
+                                            {booking.status === 'approved' && (
+                                                <button
+                                                    onClick={() => setTripAction({ id: booking._id, action: 'check-out' })}
+                                                    className="text-green-600 hover:text-green-900 transition-colors"
+                                                >
+                                                    Check out
+                                                </button>
+                                            )}
+                                            {booking.status === 'in_use' && (
+                                                <button
+                                                    onClick={() => setTripAction({ id: booking._id, action: 'check-in' })}
+                                                    className="text-green-600 hover:text-green-900 transition-colors"
+                                                >
+                                                    Check in
+                                                </button>
+                                            )}
+                                            {['approved', 'in_use', 'completed'].includes(booking.status) && (
+                                                <button
+                                                    onClick={() => downloadCalendar(booking._id)}
+                                                    className="text-gray-600 hover:text-gray-900 transition-colors"
+                                                >
+                                                    Add to calendar
+                                                </button>
+                                            )}
+                                        </div>
+                                        {tripAction?.id === booking._id && (
+                                            <TripLogForm
+                                                booking={booking}
+                                                action={tripAction.action}
+                                                onDone={() => {
+                                                    setTripAction(null)
+                                                    fetchBookings()
+                                                }}
+                                                onCancel={() => setTripAction(null)}
+                                            />
+                                        )}
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <CalendarFeeds vehicles={vehicles} />
+        </div>
+    )
+}
+
+export default MyBookingsPage
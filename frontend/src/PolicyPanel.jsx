@@ -0,0 +1,206 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import { formatDateTime, fromDateTimeLocal } from './timezone'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const NUMBER_RULES = [
+    { name: 'maxDurationHours', label: 'Maximum duration', unit: 'hours' },
+    { name: 'minNoticeHours', label: 'Minimum notice', unit: 'hours' },
+    { name: 'maxAdvanceDays', label: 'Book at most', unit: 'days ahead' },
+    { name: 'maxActiveBookingsPerUser', label: 'Active bookings per user', unit: 'max' },
+    { name: 'bufferMinutes', label: 'Buffer between bookings', unit: 'minutes' }
+]
+
+const emptyBlackout = { start: '', end: '', reason: '' }
+
+// Turns a saved policy into form state; unset rules become empty inputs
+const toFormState = (policy) => ({
+    maxDurationHours: policy.maxDurationHours ?? '',
+    minNoticeHours: policy.minNoticeHours ?? '',
+    maxAdvanceDays: policy.maxAdvanceDays ?? '',
+    maxActiveBookingsPerUser: policy.maxActiveBookingsPerUser ?? '',
+    bufferMinutes: policy.bufferMinutes ?? '',
+    allowedHoursStart: policy.allowedHoursStart ?? '',
+    allowedHoursEnd: policy.allowedHoursEnd ?? '',
+    blackoutDates: (policy.blackoutDates || []).map((b) => ({
+        start: b.start,
+        end: b.end,
+        reason: b.reason || ''
+    }))
+})
+
+const PolicyPanel = () => {
+    const [formData, setFormData] = useState(null)
+    const [blackout, setBlackout] = useState(emptyBlackout)
+    const [message, setMessage] = useState('')
+
+    useEffect(() => {
+        fetchPolicy()
+    }, [])
+
+    const fetchPolicy = async () => {
+        try {
+            setFormData(toFormState(await api.getPolicy()))
+        } catch (error) {
+            console.error('Error fetching booking policy:', error)
+        }
+    }
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const addBlackout = () => {
+        if (!blackout.start || !blackout.end) {
+            return
+        }
+        const start = fromDateTimeLocal(blackout.start)
+        const end = fromDateTimeLocal(blackout.end)
+        if (start.error || end.error) {
+            alert(start.error || end.error)
+            return
+        }
+        setFormData({
+            ...formData,
+            blackoutDates: [...formData.blackoutDates, { start: start.iso, end: end.iso, reason: blackout.reason }]
+        })
+        setBlackout(emptyBlackout)
+    }
+
+    const removeBlackout = (index) => {
+        setFormData({ ...formData, blackoutDates: formData.blackoutDates.filter((_, i) => i !== index) })
+    }
+
+    const savePolicy = async (e) => {
+        e.preventDefault()
+        setMessage('')
+        try {
+            const policy = await api.updatePolicy({
+                ...formData,
+                blackoutDates: formData.blackoutDates
+            })
+            setFormData(toFormState(policy))
+            setMessage('Booking policy saved')
+        } catch (error) {
+            console.error('Error saving booking policy:', error)
+            alert(error.response?.data?.message || 'Error saving booking policy')
+        }
+    }
+
+    if (!formData) {
+        return null
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-1 text-gray-800">Booking Policy</h3>
+            <p className="text-sm text-gray-500 mb-4">Leave a rule empty to stop enforcing it.</p>
+
+            <form onSubmit={savePolicy} className="space-y-4">
+                <div className="grid sm:grid-cols-2 gap-3">
+                    {NUMBER_RULES.map((rule) => (
+                        <label key={rule.name} className="flex items-center gap-2 text-sm">
+                            <span className="w-48 text-gray-700">{rule.label}</span>
+                            <input
+                                type="number"
+                                min="0"
+                                name={rule.name}
+                                value={formData[rule.name]}
+                                onChange={handleChange}
+                                className={`${inputClass} w-24`}
+                            />
+                            <span className="text-gray-500">{rule.unit}</span>
+                        </label>
+                    ))}
+                    <label className="flex items-center gap-2 text-sm">
+                        <span className="w-48 text-gray-700">Allowed hours</span>
+                        <input
+                            type="time"
+                            name="allowedHoursStart"
+                            value={formData.allowedHoursStart}
+                            onChange={handleChange}
+                            className={inputClass}
+                        />
+                        <span className="text-gray-500">to</span>
+                        <input
+                            type="time"
+                            name="allowedHoursEnd"
+                            value={formData.allowedHoursEnd}
+                            onChange={handleChange}
+                            className={inputClass}
+                        />
+                    </label>
+                </div>
+
+                <div>
+                    <h4 className="font-semibold text-gray-700 mb-2">Blackout dates</h4>
+                    {formData.blackoutDates.length === 0 ? (
+                        <p className="text-sm text-gray-500 mb-2">No blackout dates.</p>
+                    ) : (
+                        <ul className="divide-y divide-gray-200 mb-2">
+                            {formData.blackoutDates.map((b, index) => (
+                                <li key={`${b.start}-${index}`} className="py-2 flex justify-between items-center text-sm">
+                                    <span>
+                                        {formatDateTime(b.start)} – {formatDateTime(b.end)}
+                                        {b.reason && <span className="text-gray-500"> · {b.reason}</span>}
+                                    </span>
+                                    <button
+                                        type="button"
+                                        onClick={() => removeBlackout(index)}
+                                        className="text-gray-600 hover:text-gray-900 transition-colors"
+                                    >
+                                        Remove
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <div className="flex flex-wrap gap-2">
+                        <input
+                            type="datetime-local"
+                            value={blackout.start}
+                            onChange={(e) => setBlackout({ ...blackout, start: e.target.value })}
+                            className={inputClass}
+                        />
+                        <input
+                            type="datetime-local"
+                            value={blackout.end}
+                            onChange={(e) => setBlackout({ ...blackout, end: e.target.value })}
+                            className={inputClass}
+                        />
+                        <input
+                            type="text"
+                            value={blackout.reason}
+                            onChange={(e) => setBlackout({ ...blackout, reason: e.target.value })}
+                            placeholder="Reason, e.g. public holiday"
+                            className={inputClass}
+                        />
+                        <button
+                            type="button"
+                            onClick={addBlackout}
+                            className="text-blue-600 hover:text-blue-900 transition-colors text-sm"
+                        >
+                            Add blackout
+                        </button>
+                    </div>
+                </div>
+
+                <div className="flex items-center gap-3">
+                    <button
+                        type="submit"
+                        className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                        Save Policy
+                    </button>
+                    {message && <span className="text-sm text-green-700">{message}</span>}
+                </div>
+            </form>
+        </div>
+    )
+}
+
+export default PolicyPanel
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import { formatMoney, getOrgCurrency } from './money'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+const VEHICLE_TYPES = ['motorbike', 'scooter', 'car', 'van', 'other']
+
+const RATES = ['hourlyRate', 'dailyRate', 'perKmRate', 'latePenaltyPerHour', 'lateGraceMinutes']
+
+const emptyCard = {
+    name: '',
+    vehicleType: '',
+    hourlyRate: '',
+    dailyRate: '',
+    perKmRate: '',
+    latePenaltyPerHour: '',
+    lateGraceMinutes: ''
+}
+
+// One line per rate the card sets, for the card list
+const describeCard = (card) => {
+    const rates = []
+    if (card.hourlyRate != null) {
+        rates.push(`${formatMoney(card.hourlyRate)} per hour`)
+    }
+    if (card.dailyRate != null) {
+        rates.push(`${formatMoney(card.dailyRate)} per day`)
+    }
+    if (card.perKmRate != null) {
+        rates.push(`${formatMoney(card.perKmRate)} per km`)
+    }
+    if (card.latePenaltyPerHour != null) {
+        rates.push(`${formatMoney(card.latePenaltyPerHour)} per hour late` +
+            (card.lateGraceMinutes ? ` after ${card.lateGraceMinutes} minutes` : ''))
+    }
+    return rates.length > 0 ? rates.join(', ') : 'free'
+}
+
+// Rate cards price bookings for charge-back: one per vehicle type, and a
+// default for the types without one. Editing a card reprices new requests
+// and trips checked in from then on, not bookings already priced.
+const RateCardPanel = () => {
+    const [cards, setCards] = useState([])
+    const [formData, setFormData] = useState(emptyCard)
+    const [editingId, setEditingId] = useState(null)
+
+    useEffect(() => {
+        fetchCards()
+    }, [])
+
+    const fetchCards = async () => {
+        try {
+            setCards(await api.listRateCards())
+        } catch (error) {
+            console.error('Error fetching rate cards:', error)
+        }
+    }
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const startEditing = (card) => {
+        setEditingId(card._id)
+        setFormData({
+            ...Object.fromEntries(RATES.map((rate) => [rate, card[rate] ?? ''])),
+            name: card.name,
+            vehicleType: card.vehicleType || ''
+        })
+    }
+
+    const resetForm = () => {
+        setEditingId(null)
+        setFormData(emptyCard)
+    }
+
+    const saveCard = async (e) => {
+        e.preventDefault()
+        try {
+            if (editingId) {
+                await api.updateRateCard(editingId, formData)
+            } else {
+                await api.createRateCard(formData)
+            }
+            resetForm()
+            fetchCards()
+        } catch (error) {
+            console.error('Error saving rate card:', error)
+            alert(error.response?.data?.message || 'Error saving rate card')
+        }
+    }
+
+    const deleteCard = async (card) => {
+        if (!window.confirm(`Delete the rate card "${card.name}"?`)) {
+            return
+        }
+        try {
+            await api.deleteRateCard(card._id)
+            fetchCards()
+        } catch (error) {
+            console.error('Error deleting rate card:', error)
+            alert('Error deleting rate card')
+        }
+    }
+
+    const rateInput = (name) => (
+        <input
+            type="number"
+            min="0"
+            step="0.01"
+            name={name}
+            value={formData[name]}
+            onChange={handleChange}
+            className={`${inputClass} w-24`}
+        />
+    )
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-1 text-gray-800">Rate Cards</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Bookings are priced with the card for their vehicle's type, or the default card. Within a day,
+                hourly charges stop at the daily rate. Distance and late returns are charged at check-in.
+                Amounts are in {getOrgCurrency()}; leave a rate empty not to charge it.
+            </p>
+
+            {cards.length === 0 ? (
+                <p className="text-sm text-gray-500 mb-4">No rate cards; bookings are not priced.</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 mb-6 text-sm">
+                    {cards.map((card) => (
+                        <li key={card._id} className="py-2 flex items-center gap-4">
+                            <span className="font-medium text-gray-800 w-40">{card.name}</span>
+                            <span className="w-28 text-gray-500 capitalize">{card.vehicleType || 'Default'}</span>
+                            <span className="flex-1 text-gray-500">{describeCard(card)}</span>
+                            <button
+                                onClick={() => startEditing(card)}
+                                className="text-blue-600 hover:text-blue-900 transition-colors"
+                            >
+                                Edit
+                            </button>
+                            <button
+                                onClick={() => deleteCard(card)}
+                                className="text-gray-600 hover:text-gray-900 transition-colors"
+                            >
+                                Delete
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={saveCard} className="space-y-3 text-sm">
+                <div className="flex flex-wrap items-center gap-3">
+                    <input
+                        name="name"
+                        value={formData.name}
+                        onChange={handleChange}
+                        placeholder="Card name, e.g. Vans"
+                        required
+                        className={`${inputClass} w-64`}
+                    />
+                    <select name="vehicleType" value={formData.vehicleType} onChange={handleChange} className={inputClass}>
+                        <option value="">Default (any other type)</option>
+                        {VEHICLE_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="flex flex-wrap items-center gap-3">
+                    <label className="flex items-center gap-2">Per hour {rateInput('hourlyRate')}</label>
+                    <label className="flex items-center gap-2">Per day {rateInput('dailyRate')}</label>
+                    <label className="flex items-center gap-2">Per km {rateInput('perKmRate')}</label>
+                    <label className="flex items-center gap-2">Per hour late {rateInput('latePenaltyPerHour')}</label>
+                    <label className="flex items-center gap-2">
+                        after
+                        <input
+                            type="number"
+                            min="0"
+                            name="lateGraceMinutes"
+                            value={formData.lateGraceMinutes}
+                            onChange={handleChange}
+                            className={`${inputClass} w-20`}
+                        />
+                        minutes
+                    </label>
+                </div>
+                <div className="space-x-3">
+                    <button
+                        type="submit"
+                        className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                        {editingId ? 'Save Card' : 'Add Card'}
+                    </button>
+                    {editingId && (
+                        <button
+                            type="button"
+                            onClick={resetForm}
+                            className="text-gray-600 hover:text-gray-900 transition-colors"
+                        >
+                            Discard
+                        </button>
+                    )}
+                </div>
+            </form>
+        </div>
+    )
+}
+
+export default RateCardPanel
@@ -0,0 +1,131 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const inputClass = 'p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+const RecurrenceFields = ({ value, onChange, label = 'Repeat this booking' }) => {
+    const update = (changes) => onChange({ ...value, ...changes })
+
+    const toggleWeekday = (day) => {
+        const weekdays = value.weekdays.includes(day)
+            ? value.weekdays.filter((d) => d !== day)
+            : [...value.weekdays, day].sort()
+        update({ weekdays })
+    }
+
+    const updateDate = (index, date) => {
+        update({ dates: value.dates.map((d, i) => (i === index ? date : d)) })
+    }
+
+    return (
+        <div className="border border-gray-200 rounded-md p-3 space-y-3">
+            <label className="flex items-center text-sm font-medium text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={value.enabled}
+                    onChange={(e) => update({ enabled: e.target.checked })}
+                    className="mr-2"
+                />
+                {label}
+            </label>
+
+            {value.enabled && (
+                <>
+                    <div className="flex items-center gap-2 text-sm">
+                        <select
+                            value={value.frequency}
+                            onChange={(e) => update({ frequency: e.target.value })}
+                            className={inputClass}
+                        >
+                            <option value="daily">Daily</option>
+                            <option value="weekly">Weekly</option>
+                            <option value="custom">On specific dates</option>
+                        </select>
+                        {value.frequency !== 'custom' && (
+                            <>
+                                <span>every</span>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={value.interval}
+                                    onChange={(e) => update({ interval: e.target.value })}
+                                    className={`${inputClass} w-16`}
+                                />
+                                <span>{value.frequency === 'daily' ? 'day(s)' : 'week(s)'}</span>
+                            </>
+                        )}
+                    </div>
+
+                    {value.frequency === 'weekly' && (
+                        <div className="flex flex-wrap gap-2 text-sm">
+                            {WEEKDAYS.map((dayLabel, day) => (
+                                <label key={dayLabel} className="flex items-center">
+                                    <input
+                                        type="checkbox"
+                                        checked={value.weekdays.includes(day)}
+                                        onChange={() => toggleWeekday(day)}
+                                        className="mr-1"
+                                    />
+                                    {dayLabel}
+                                </label>
+                            ))}
+                        </div>
+                    )}
+
+                    {value.frequency === 'custom' ? (
+                        <div className="space-y-2">
+                            {value.dates.map((date, index) => (
+                                <input
+                                    key={index}
+                                    type="date"
+                                    value={date}
+                                    onChange={(e) => updateDate(index, e.target.value)}
+                                    className={`${inputClass} w-full`}
+                                />
+                            ))}
+                            <button
+                                type="button"
+                                onClick={() => update({ dates: [...value.dates, ''] })}
+                                className="text-sm text-blue-600 hover:text-blue-900"
+                            >
+                                + Add date
+                            </button>
+                        </div>
+                    ) : (
+                        <div className="flex items-center gap-2 text-sm">
+                            <select
+                                value={value.endType}
+                                onChange={(e) => update({ endType: e.target.value })}
+                                className={inputClass}
+                            >
+                                <option value="count">Ends after</option>
+                                <option value="until">Ends on</option>
+                            </select>
+                            {value.endType === 'count' ? (
+                                <>
+                                    <input
+                                        type="number"
+                                        min="1"
+                                        value={value.count}
+                                        onChange={(e) => update({ count: e.target.value })}
+                                        className={`${inputClass} w-16`}
+                                    />
+                                    <span>occurrences</span>
+                                </>
+                            ) : (
+                                <input
+                                    type="date"
+                                    value={value.until}
+                                    onChange={(e) => update({ until: e.target.value })}
+                                    required
+                                    className={inputClass}
+                                />
+                            )}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+export default RecurrenceFields
@@ -0,0 +1,36 @@
+import { Navigate, useLocation } from 'react-router-dom'
+import { useAuth } from './auth'
+
+const RequireAuth = ({ role, children }) => {
+    const { user, loading } = useAuth()
+    const location = useLocation()
+
+    if (loading) {
+        return (
+            <div className="container mx-auto p-4">
+                <div className="flex justify-center items-center h-64">
+                    <div className="text-lg text-gray-600">Loading...</div>
+                </div>
+            </div>
+        )
+    }
+
+    if (!user) {
+        return <Navigate to="/login" state={{ from: location }} replace />
+    }
+
+    if (role && user.role !== role) {
+        return (
+            <div className="container mx-auto p-4 max-w-md">
+                <div className="bg-white p-6 rounded-lg shadow-md text-center">
+                    <h2 className="text-2xl font-bold mb-2 text-gray-800">Access denied</h2>
+                    <p className="text-gray-600">You need the {role} role to view this page.</p>
+                </div>
+            </div>
+        )
+    }
+
+    return children
+}
+
+export default RequireAuth
@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import { downloadFile } from './bookingUtils'
+import { wallTime } from './timezone'
+import { formatMoney } from './money'
+
+const inputClass = 'p-2 border border-gray-300 rounded-md text-sm'
+
+// Last month in the organization's timezone, as the "YYYY-MM" a month input takes
+const lastMonth = () => {
+    const { year, month } = wallTime(Date.now())
+    return month === 1 ? `${year - 1}-12` : `${year}-${String(month - 1).padStart(2, '0')}`
+}
+
+// Monthly charge-back statements: what each cost centre owes for the
+// bookings checked in during the month, with the lines behind it downloadable
+// per cost centre or for all of them
+const StatementPanel = () => {
+    const [month, setMonth] = useState(lastMonth)
+    const [statement, setStatement] = useState(null)
+    const [loading, setLoading] = useState(true)
+    const [message, setMessage] = useState('')
+
+    useEffect(() => {
+        if (month) {
+            fetchStatement()
+        }
+    }, [month])
+
+    const fetchStatement = async () => {
+        setLoading(true)
+        setMessage('')
+        try {
+            setStatement(await api.getStatement({ month }))
+        } catch (error) {
+            console.error('Error fetching statement:', error)
+            setMessage(error.response?.data?.message || 'Error loading statement')
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    // costCentre undefined for every cost centre, null for bookings without one
+    const download = async (format, costCentre) => {
+        const query = { month, format }
+        if (costCentre !== undefined) {
+            query.costCentre = costCentre || ''
+        }
+        const suffix = costCentre === undefined ? '' : `-${costCentre || 'none'}`
+        try {
+            downloadFile(await api.exportStatement(query), `statement-${month}${suffix}.${format}`)
+        } catch (error) {
+            console.error('Error exporting statement:', error)
+            // The error body arrives as a blob too
+            const body = error.response?.data instanceof Blob
+                ? JSON.parse(await error.response.data.text() || '{}')
+                : {}
+            alert(body.message || 'Error exporting statement')
+        }
+    }
+
+    const money = (amount) => formatMoney(amount, statement.currency)
+
+    return (
+        <div>
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+                <label className="text-sm text-gray-700">Month</label>
+                <input type="month" value={month} onChange={(e) => setMonth(e.target.value)} className={inputClass} />
+                <button onClick={() => download('csv')} className="ml-4 text-sm text-blue-600 hover:text-blue-900">
+                    Download CSV
+                </button>
+                <button onClick={() => download('xlsx')} className="text-sm text-blue-600 hover:text-blue-900">
+                    Download Excel
+                </button>
+            </div>
+
+            {message && (
+                <div className="p-4 rounded mb-6 bg-red-100 text-red-700">{message}</div>
+            )}
+
+            {loading ? (
+                <div className="text-gray-600">Loading statement...</div>
+            ) : statement && (
+                <>
+                    <p className="text-sm text-gray-500 mb-4">
+                        Bookings checked in during the month, at their final cost.
+                        {statement.totals.unpriced > 0 &&
+                            ` ${statement.totals.unpriced} booking(s) had no rate card and are not charged.`}
+                    </p>
+                    {statement.costCentres.length === 0 ? (
+                        <p className="text-gray-500">No bookings were completed this month.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="w-full table-auto text-sm">
+                                <thead className="bg-gray-50">
+                                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                    <th className="px-4 py-3">Cost centre</th>
+                                    <th className="px-4 py-3 text-right">Bookings</th>
+                                    <th className="px-4 py-3 text-right">Hours</th>
+                                    <th className="px-4 py-3 text-right">Km</th>
+                                    <th className="px-4 py-3 text-right">Time</th>
+                                    <th className="px-4 py-3 text-right">Distance</th>
+                                    <th className="px-4 py-3 text-right">Late returns</th>
+                                    <th className="px-4 py-3 text-right">Total</th>
+                                    <th className="px-4 py-3" />
+                                </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200">
+                                {[...statement.costCentres, { ...statement.totals, isTotal: true }].map((row) => (
+                                    <tr
+                                        key={row.isTotal ? 'total' : row.costCentre ?? 'none'}
+                                        className={row.isTotal ? 'font-semibold text-gray-900' : 'text-gray-700'}
+                                    >
+                                        <td className="px-4 py-2">
+                                            {row.isTotal ? 'Total' : row.costCentre || <span className="text-gray-400">Unassigned</span>}
+                                        </td>
+                                        <td className="px-4 py-2 text-right">{row.bookings}</td>
+                                        <td className="px-4 py-2 text-right">{row.hours}</td>
+                                        <td className="px-4 py-2 text-right">{row.km}</td>
+                                        <td className="px-4 py-2 text-right">{money(row.time)}</td>
+                                        <td className="px-4 py-2 text-right">{money(row.distance)}</td>
+                                        <td className="px-4 py-2 text-right">{money(row.latePenalty)}</td>
+                                        <td className="px-4 py-2 text-right">{money(row.total)}</td>
+                                        <td className="px-4 py-2 text-right whitespace-nowrap space-x-2">
+                                            {!row.isTotal && (
+                                                <>
+                                                    <button
+                                                        onClick={() => download('csv', row.costCentre)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                    >
+                                                        CSV
+                                                    </button>
+                                                    <button
+                                                        onClick={() => download('xlsx', row.costCentre)}
+                                                        className="text-blue-600 hover:text-blue-900"
+                                                    >
+                                                        Excel
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    )
+}
+
+export default StatementPanel
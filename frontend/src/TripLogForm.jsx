@@ -0,0 +1,103 @@
+import { useState } from 'react'
+import * as api from './api'
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-md'
+
+// Records the odometer, fuel and condition when a vehicle leaves (check-out)
+// or comes back (check-in)
+const TripLogForm = ({ booking, action, onDone, onCancel }) => {
+    const [formData, setFormData] = useState({
+        odometer: action === 'check-in' ? booking.checkOut?.odometer ?? '' : '',
+        fuelLevel: '',
+        notes: ''
+    })
+    const [message, setMessage] = useState('')
+    const [isSubmitting, setIsSubmitting] = useState(false)
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const handleSubmit = async (e) => {
+        e.preventDefault()
+        setIsSubmitting(true)
+        setMessage('')
+        try {
+            const record = action === 'check-out' ? api.checkOutBooking : api.checkInBooking
+            await record(booking._id, formData)
+            onDone()
+        } catch (error) {
+            setMessage(error.response?.data?.message || `Error recording ${action}`)
+        } finally {
+            setIsSubmitting(false)
+        }
+    }
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3 mt-3 text-sm">
+            {message && (
+                <div className="p-3 rounded bg-red-100 text-red-700">{message}</div>
+            )}
+            <div className="grid grid-cols-2 gap-2">
+                <label className="block">
+                    <span className="text-gray-700">Odometer (km) *</span>
+                    <input
+                        type="number"
+                        name="odometer"
+                        min="0"
+                        step="0.1"
+                        value={formData.odometer}
+                        onChange={handleChange}
+                        required
+                        className={inputClass}
+                    />
+                </label>
+                <label className="block">
+                    <span className="text-gray-700">Fuel level (%) *</span>
+                    <input
+                        type="number"
+                        name="fuelLevel"
+                        min="0"
+                        max="100"
+                        value={formData.fuelLevel}
+                        onChange={handleChange}
+                        required
+                        className={inputClass}
+                    />
+                </label>
+            </div>
+            <label className="block">
+                <span className="text-gray-700">Condition notes</span>
+                <textarea
+                    name="notes"
+                    value={formData.notes}
+                    onChange={handleChange}
+                    rows={2}
+                    placeholder="Scratches, warning lights, anything worth knowing"
+                    className={inputClass}
+                />
+            </label>
+            <div className="space-x-2">
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                    {action === 'check-out' ? 'Check out' : 'Check in'}
+                </button>
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    className="text-gray-600 hover:text-gray-900 transition-colors"
+                >
+                    Discard
+                </button>
+            </div>
+        </form>
+    )
+}
+
+export default TripLogForm
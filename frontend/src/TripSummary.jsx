@@ -0,0 +1,26 @@
+import { formatDateTime } from './timezone'
+
+const TripSummary = ({ booking }) => {
+    const { checkOut, checkIn } = booking
+    if (!checkOut) {
+        return null
+    }
+
+    return (
+        <div className="text-xs text-gray-500 mt-1 space-y-0.5">
+            <p>
+                Out: {formatDateTime(checkOut.at)} · {checkOut.odometer} km · fuel {checkOut.fuelLevel}%
+                {checkOut.notes && ` · ${checkOut.notes}`}
+            </p>
+            {checkIn && (
+                <p>
+                    In: {formatDateTime(checkIn.at)} · {checkIn.odometer} km · fuel {checkIn.fuelLevel}%
+                    {' '}({checkIn.odometer - checkOut.odometer} km driven)
+                    {checkIn.notes && ` · ${checkIn.notes}`}
+                </p>
+            )}
+        </div>
+    )
+}
+
+export default TripSummary
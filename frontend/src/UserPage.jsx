@@ -1,30 +1,85 @@
 import { useState, useEffect } from 'react'
-import axios from 'axios'
+import * as api from './api'
+import { useAuth } from './auth'
+import AvailabilityCalendar from './AvailabilityCalendar'
+import RecurrenceFields from './RecurrenceFields'
+import useBookingEvents from './useBookingEvents'
+import { emptyRecurrence, buildRecurrence, describePolicy, applyBookingEvent, readBookingTimes } from './bookingUtils'
+import { toDateTimeLocal, formatDateTime, getOrgTimeZone } from './timezone'
+import { formatMoney } from './money'
+
+// What holds an interval the request ran into; whose booking it is isn't shown
+const conflictLabel = (conflict) => (conflict.status === 'maintenance' ? 'Maintenance' : 'Booked')
 
 const UserPage = () => {
+    const { user } = useAuth()
     const [formData, setFormData] = useState({
-        name: '',
+        vehicle: '',
         purpose: '',
+        // Left empty, the booking is charged to the user's own cost centre
+        costCentre: user?.costCentre || '',
         bookingTime: '',
         returnTime: ''
     })
+    const [vehicles, setVehicles] = useState([])
     const [approvedBookings, setApprovedBookings] = useState([])
+    const [recurrence, setRecurrence] = useState(emptyRecurrence)
     const [message, setMessage] = useState('')
+    const [isError, setIsError] = useState(false)
+    const [fieldErrors, setFieldErrors] = useState({})
+    const [policy, setPolicy] = useState(null)
+    const [seriesReport, setSeriesReport] = useState(null)
+    const [canWaitlist, setCanWaitlist] = useState(false)
+    // What blocks a taken slot, and free slots of the same length nearby
+    const [conflicts, setConflicts] = useState([])
+    const [suggestions, setSuggestions] = useState([])
     const [isSubmitting, setIsSubmitting] = useState(false)
+    const [calendarKey, setCalendarKey] = useState(0)
 
     useEffect(() => {
+        fetchVehicles()
         fetchApprovedBookings()
+        fetchPolicy()
     }, [])
 
+    // Approvals and cancellations show up without a reload
+    useBookingEvents((event) => {
+        setApprovedBookings((current) => applyBookingEvent(
+            current,
+            event,
+            (booking) => booking.status === 'approved',
+            (a, b) => new Date(a.bookingTime) - new Date(b.bookingTime)
+        ))
+        setCalendarKey((key) => key + 1)
+    }, () => {
+        fetchApprovedBookings()
+        setCalendarKey((key) => key + 1)
+    })
+
+    const fetchVehicles = async () => {
+        try {
+            setVehicles(await api.listVehicles({ active: true }))
+        } catch (error) {
+            console.error('Error fetching vehicles:', error)
+        }
+    }
+
     const fetchApprovedBookings = async () => {
         try {
-            const response = await axios.get('/api/bookings/approved')
-            setApprovedBookings(response.data)
+            setApprovedBookings(await api.listApprovedBookings())
         } catch (error) {
             console.error('Error fetching approved bookings:', error)
         }
     }
 
+    const fetchPolicy = async () => {
+        try {
+            setPolicy(await api.getPolicy())
+        } catch (error) {
+            console.error('Error fetching booking policy:', error)
+        }
+    }
+
     const handleChange = (e) => {
         setFormData({
             ...formData,
@@ -32,61 +87,226 @@ const UserPage = () => {
         })
     }
 
-    const handleSubmit = async (e) => {
-        e.preventDefault()
+    const handleSlotSelect = (start, end) => {
+        setFormData({
+            ...formData,
+            bookingTime: toDateTimeLocal(start),
+            returnTime: toDateTimeLocal(end)
+        })
+    }
+
+    // Refills the form with a suggested slot, ready to submit again
+    const pickSuggestion = (slot) => {
+        handleSlotSelect(slot.bookingTime, slot.returnTime)
+        setMessage('')
+        setIsError(false)
+        setFieldErrors({})
+        setCanWaitlist(false)
+        setConflicts([])
+        setSuggestions([])
+    }
+
+    // skipConflicts books only the free dates of a series; waitlist queues a
+    // single booking whose slot is taken
+    const submitBooking = async ({ skipConflicts = false, waitlist = false } = {}) => {
         setIsSubmitting(true)
         setMessage('')
+        setIsError(false)
+        setFieldErrors({})
+        setSeriesReport(null)
+        setCanWaitlist(false)
+        setConflicts([])
+        setSuggestions([])
+
+        const times = readBookingTimes(formData)
+        if (times.errors) {
+            setFieldErrors(times.errors)
+            setIsError(true)
+            setIsSubmitting(false)
+            return
+        }
 
         try {
-            await axios.post('/api/bookings', formData)
-            setMessage('Booking request submitted successfully! Waiting for admin approval.')
+            if (recurrence.enabled) {
+                const { occurrences } = await api.createBookingSeries({
+                    ...formData,
+                    ...times,
+                    recurrence: buildRecurrence(recurrence, formData.bookingTime),
+                    skipConflicts
+                })
+                const booked = occurrences.filter((o) => o.booking).length
+                const skipped = occurrences.length - booked
+                setMessage(`Recurring booking submitted: ${booked} occurrence(s) waiting for admin approval` +
+                    (skipped ? `, ${skipped} conflicting date(s) skipped.` : '.'))
+                setRecurrence(emptyRecurrence)
+            } else {
+                const booking = await api.createBooking({ ...formData, ...times, waitlist })
+                const messages = {
+                    waitlisted: "You're on the waitlist. We'll email you if the time frees up.",
+                    approved: 'Booking approved automatically, no admin review needed.'
+                }
+                const estimate = booking.estimatedCost
+                    ? ` Estimated cost: ${formatMoney(booking.estimatedCost.total, booking.estimatedCost.currency)}.`
+                    : ''
+                setMessage((messages[booking.status] ||
+                    'Booking request submitted successfully! Waiting for admin approval.') + estimate)
+            }
             setFormData({
-                name: '',
+                vehicle: formData.vehicle,
                 purpose: '',
+                costCentre: formData.costCentre,
                 bookingTime: '',
                 returnTime: ''
             })
             fetchApprovedBookings()
+            setCalendarKey(calendarKey + 1)
         } catch (error) {
+            setIsError(true)
             setMessage(error.response?.data?.message || 'Error submitting booking request')
+            // Validation errors and policy violations carry the form field they belong to, if any
+            const errors = error.response?.data?.errors || []
+            const byField = {}
+            errors.filter((e) => e.field).forEach((e) => {
+                byField[e.field] = [...(byField[e.field] || []), e.message]
+            })
+            setFieldErrors(byField)
+            const general = errors.filter((e) => !e.field).map((e) => e.message)
+            if (general.length > 0) {
+                setMessage(general.join(' '))
+            }
+            if (error.response?.data?.occurrences) {
+                setSeriesReport(error.response.data.occurrences)
+            }
+            setCanWaitlist(Boolean(error.response?.data?.canWaitlist))
+            setConflicts(error.response?.data?.conflicts || [])
+            setSuggestions(error.response?.data?.suggestions || [])
         } finally {
             setIsSubmitting(false)
         }
     }
 
-    const formatDate = (dateString) => {
-        return new Date(dateString).toLocaleString()
+    const handleSubmit = (e) => {
+        e.preventDefault()
+        submitBooking()
     }
 
+    const isFree = (occurrence) => occurrence.conflicts.length === 0 && !occurrence.violations?.length
+
     return (
         <div className="container mx-auto p-4 max-w-4xl">
             <div className="grid md:grid-cols-2 gap-8">
                 {/* Booking Form */}
                 <div className="bg-white p-6 rounded-lg shadow-md">
-                    <h2 className="text-2xl font-bold mb-6 text-gray-800">Book the Motorbike</h2>
+                    <h2 className="text-2xl font-bold mb-2 text-gray-800">Book a Vehicle</h2>
+                    <p className="text-sm text-gray-600 mb-6">Booking as {user.name}</p>
+
+                    {policy && describePolicy(policy).length > 0 && (
+                        <ul className="text-xs text-gray-500 mb-4 list-disc list-inside">
+                            {describePolicy(policy).map((rule) => <li key={rule}>{rule}</li>)}
+                        </ul>
+                    )}
 
                     {message && (
                         <div className={`p-4 rounded mb-4 ${
-                            message.includes('Error') ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
+                            isError ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'
                         }`}>
                             {message}
                         </div>
                     )}
 
+                    {(conflicts.length > 0 || suggestions.length > 0) && (
+                        <div className="border border-red-200 rounded p-4 mb-4 text-sm text-gray-700">
+                            {conflicts.length > 0 && (
+                                <ul className="mb-2 text-red-700">
+                                    {conflicts.map((c) => (
+                                        <li key={`${c.status}-${c.start}`}>
+                                            {conflictLabel(c)}: {formatDateTime(c.start)} – {formatDateTime(c.end)}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                            {suggestions.length > 0 ? (
+                                <>
+                                    <p className="mb-2">The vehicle is free at these times:</p>
+                                    <div className="flex flex-wrap gap-2">
+                                        {suggestions.map((slot) => (
+                                            <button
+                                                key={slot.bookingTime}
+                                                type="button"
+                                                onClick={() => pickSuggestion(slot)}
+                                                className="px-3 py-1 rounded-md border border-blue-200 text-blue-700 hover:bg-blue-50"
+                                            >
+                                                {formatDateTime(slot.bookingTime)} – {formatDateTime(slot.returnTime)}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </>
+                            ) : (
+                                <p>No free slot of the same length within a week of that time.</p>
+                            )}
+                        </div>
+                    )}
+
+                    {canWaitlist && (
+                        <div className="border border-yellow-200 rounded p-4 mb-4 text-sm text-gray-700">
+                            <p className="mb-2">
+                                Join the waitlist and your request moves up automatically if that booking is
+                                cancelled or shortened. We'll email you when it does.
+                            </p>
+                            <button
+                                type="button"
+                                onClick={() => submitBooking({ waitlist: true })}
+                                disabled={isSubmitting}
+                                className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                            >
+                                Join the waitlist
+                            </button>
+                        </div>
+                    )}
+
+                    {seriesReport && (
+                        <div className="border border-red-200 rounded p-4 mb-4 text-sm">
+                            <ul className="space-y-1 mb-3">
+                                {seriesReport.map((o) => (
+                                    <li key={o.bookingTime} className={isFree(o) ? 'text-gray-600' : 'text-red-700'}>
+                                        {isFree(o) ? '✓' : '✗'} {formatDateTime(o.bookingTime)}
+                                        {o.conflicts.length > 0 && ` — ${o.conflicts.map(conflictLabel).join(', ')}`}
+                                        {o.violations?.length > 0 && ` — ${o.violations.map((v) => v.message).join('; ')}`}
+                                    </li>
+                                ))}
+                            </ul>
+                            {seriesReport.some(isFree) && (
+                                <button
+                                    type="button"
+                                    onClick={() => submitBooking({ skipConflicts: true })}
+                                    disabled={isSubmitting}
+                                    className="text-blue-600 hover:text-blue-900 disabled:opacity-50"
+                                >
+                                    Book only the {seriesReport.filter(isFree).length} free date(s)
+                                </button>
+                            )}
+                        </div>
+                    )}
+
                     <form onSubmit={handleSubmit} className="space-y-4">
                         <div>
                             <label className="block text-sm font-medium text-gray-700 mb-1">
-                                Your Name *
+                                Vehicle *
                             </label>
-                            <input
-                                type="text"
-                                name="name"
-                                value={formData.name}
+                            <select
+                                name="vehicle"
+                                value={formData.vehicle}
                                 onChange={handleChange}
                                 required
                                 className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                                placeholder="Enter your full name"
-                            />
+                            >
+                                <option value="">Select a vehicle</option>
+                                {vehicles.map((vehicle) => (
+                                    <option key={vehicle._id} value={vehicle._id}>
+                                        {vehicle.name} ({vehicle.type})
+                                    </option>
+                                ))}
+                            </select>
                         </div>
 
                         <div>
@@ -100,7 +320,22 @@ const UserPage = () => {
                                 onChange={handleChange}
                                 required
                                 className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                                placeholder="What will you use the bike for?"
+                                placeholder="What will you use the vehicle for?"
+                            />
+                        </div>
+
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Cost Centre
+                            </label>
+                            <input
+                                type="text"
+                                name="costCentre"
+                                value={formData.costCentre}
+                                onChange={handleChange}
+                                maxLength={50}
+                                className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                placeholder="Cost centre or project code to charge"
                             />
                         </div>
 
@@ -114,8 +349,13 @@ const UserPage = () => {
                                 value={formData.bookingTime}
                                 onChange={handleChange}
                                 required
-                                className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                className={`w-full p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                    fieldErrors.bookingTime ? 'border-red-400' : 'border-gray-300'
+                                }`}
                             />
+                            {fieldErrors.bookingTime?.map((error) => (
+                                <p key={error} className="text-sm text-red-600 mt-1">{error}</p>
+                            ))}
                         </div>
 
                         <div>
@@ -128,10 +368,19 @@ const UserPage = () => {
                                 value={formData.returnTime}
                                 onChange={handleChange}
                                 required
-                                className="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                className={`w-full p-3 border rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+                                    fieldErrors.returnTime ? 'border-red-400' : 'border-gray-300'
+                                }`}
                             />
+                            {fieldErrors.returnTime?.map((error) => (
+                                <p key={error} className="text-sm text-red-600 mt-1">{error}</p>
+                            ))}
                         </div>
 
+                        <p className="text-xs text-gray-500">All times are in {getOrgTimeZone()}.</p>
+
+                        <RecurrenceFields value={recurrence} onChange={setRecurrence} />
+
                         <button
                             type="submit"
                             disabled={isSubmitting}
@@ -158,10 +407,11 @@ const UserPage = () => {
                       Approved
                     </span>
                                     </div>
+                                    <p className="text-sm font-medium text-gray-700">{booking.vehicle?.name || 'Unknown vehicle'}</p>
                                     <p className="text-sm text-gray-600 mb-2">{booking.purpose}</p>
                                     <div className="text-xs text-gray-500">
-                                        <p>From: {formatDate(booking.bookingTime)}</p>
-                                        <p>To: {formatDate(booking.returnTime)}</p>
+                                        <p>From: {formatDateTime(booking.bookingTime)}</p>
+                                        <p>To: {formatDateTime(booking.returnTime)}</p>
                                     </div>
                                 </div>
                             ))}
@@ -169,6 +419,16 @@ const UserPage = () => {
                     )}
                 </div>
             </div>
+
+            {/* Availability */}
+            <div className="bg-white p-6 rounded-lg shadow-md mt-8">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800">Availability</h2>
+                <AvailabilityCalendar
+                    vehicleId={formData.vehicle}
+                    onSelect={handleSlotSelect}
+                    refreshKey={calendarKey}
+                />
+            </div>
         </div>
     )
 }
@@ -0,0 +1,239 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { render, screen, within } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import axios from 'axios'
+import UserPage from './UserPage'
+import { AuthContext } from './auth'
+import { setOrgTimeZone } from './timezone'
+import { mockGet, apiError } from './test/mockApi'
+
+const vehicles = [
+    { _id: 'v1', name: 'Blue scooter', type: 'scooter' },
+    { _id: 'v2', name: 'Red van', type: 'van' }
+]
+
+const approved = [{
+    _id: 'b1',
+    name: 'Bob',
+    purpose: 'Client meeting',
+    status: 'approved',
+    vehicle: { _id: 'v1', name: 'Blue scooter' },
+    bookingTime: '2030-01-07T09:00:00Z',
+    returnTime: '2030-01-07T11:00:00Z'
+}]
+
+const renderPage = () => render(
+    <AuthContext.Provider value={{ user: { name: 'Alice', role: 'user' } }}>
+        <UserPage />
+    </AuthContext.Provider>
+)
+
+const field = (name) => document.querySelector(`[name="${name}"]`)
+
+// Fills the form for the Blue scooter, 09:00-11:00 on 7 January 2030
+const fillForm = async (user) => {
+    await user.selectOptions(field('vehicle'), 'v1')
+    await user.type(field('purpose'), 'Site visit')
+    await user.type(field('bookingTime'), '2030-01-07T09:00')
+    await user.type(field('returnTime'), '2030-01-07T11:00')
+}
+
+const submit = (user) => user.click(screen.getByRole('button', { name: 'Submit Booking Request' }))
+
+describe('UserPage', () => {
+    beforeEach(() => {
+        setOrgTimeZone('Asia/Kolkata')
+        mockGet({
+            '/api/vehicles': vehicles,
+            '/api/bookings/approved': approved,
+            '/api/policy': { maxDurationHours: 8 },
+            '/api/availability': { vehicles: [{ vehicle: 'v1', busy: [] }] }
+        })
+    })
+
+    afterEach(() => {
+        setOrgTimeZone('UTC')
+    })
+
+    it('lists the vehicles, the approved bookings and the booking rules', async () => {
+        renderPage()
+
+        expect(await screen.findByRole('option', { name: 'Red van (van)' })).toBeInTheDocument()
+        expect(await screen.findByText('Client meeting')).toBeInTheDocument()
+        expect(screen.getByText('Booking as Alice')).toBeInTheDocument()
+        expect(screen.getByText('All times are in Asia/Kolkata.')).toBeInTheDocument()
+        expect(axios.get).toHaveBeenCalledWith('/api/vehicles', { params: { active: true } })
+    })
+
+    it('sends the times as offsets in the organization timezone', async () => {
+        const user = userEvent.setup()
+        axios.post.mockResolvedValue({ data: { _id: 'b2', status: 'pending' } })
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+
+        expect(axios.post).toHaveBeenCalledWith('/api/bookings', {
+            vehicle: 'v1',
+            purpose: 'Site visit',
+            bookingTime: '2030-01-07T09:00:00+05:30',
+            returnTime: '2030-01-07T11:00:00+05:30',
+            costCentre: '',
+            waitlist: false
+        })
+        expect(await screen.findByText(/Booking request submitted successfully/)).toBeInTheDocument()
+        expect(field('purpose')).toHaveValue('')
+    })
+
+    it('says so when a rule approved the booking straight away', async () => {
+        const user = userEvent.setup()
+        axios.post.mockResolvedValue({ data: { _id: 'b2', status: 'approved' } })
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+
+        expect(await screen.findByText(/approved automatically/)).toBeInTheDocument()
+    })
+
+    it('shows field errors next to the field they belong to', async () => {
+        const user = userEvent.setup()
+        axios.post.mockRejectedValue(apiError(422, {
+            code: 'POLICY_VIOLATION',
+            message: 'Bookings must be made at least 24 hours in advance',
+            errors: [{
+                field: 'bookingTime',
+                code: 'MIN_NOTICE',
+                message: 'Bookings must be made at least 24 hours in advance'
+            }]
+        }))
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+
+        const error = await screen.findAllByText('Bookings must be made at least 24 hours in advance')
+        expect(error).toHaveLength(2)
+        expect(field('bookingTime')).toHaveClass('border-red-400')
+        expect(field('returnTime')).not.toHaveClass('border-red-400')
+    })
+
+    it('offers the waitlist on a conflict and joins it', async () => {
+        const user = userEvent.setup()
+        axios.post
+            .mockRejectedValueOnce(apiError(409, {
+                code: 'BOOKING_CONFLICT',
+                message: 'Time slot conflict with existing booking',
+                canWaitlist: true
+            }))
+            .mockResolvedValueOnce({ data: { _id: 'b2', status: 'waitlisted' } })
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+        expect(await screen.findByText('Time slot conflict with existing booking')).toBeInTheDocument()
+        await user.click(screen.getByRole('button', { name: 'Join the waitlist' }))
+
+        expect(axios.post).toHaveBeenLastCalledWith('/api/bookings', expect.objectContaining({ waitlist: true }))
+        expect(await screen.findByText(/You're on the waitlist/)).toBeInTheDocument()
+        expect(screen.queryByRole('button', { name: 'Join the waitlist' })).not.toBeInTheDocument()
+    })
+
+    it('shows what blocks the slot and refills the form with a suggested one', async () => {
+        const user = userEvent.setup()
+        axios.post
+            .mockRejectedValueOnce(apiError(409, {
+                code: 'BOOKING_CONFLICT',
+                message: 'Time slot conflict with existing booking',
+                conflicts: [{
+                    vehicle: 'v1',
+                    start: approved[0].bookingTime,
+                    end: approved[0].returnTime,
+                    status: 'approved'
+                }],
+                suggestions: [
+                    { bookingTime: '2030-01-07T05:45:00Z', returnTime: '2030-01-07T07:45:00Z' },
+                    { bookingTime: '2030-01-07T01:15:00Z', returnTime: '2030-01-07T03:15:00Z' }
+                ],
+                canWaitlist: true
+            }))
+            .mockResolvedValueOnce({ data: { _id: 'b2', status: 'pending' } })
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+        expect(await screen.findByText(/Booked: /)).toBeInTheDocument()
+        await user.click(screen.getByRole('button', { name: /11:15/ }))
+
+        expect(field('bookingTime')).toHaveValue('2030-01-07T11:15')
+        expect(field('returnTime')).toHaveValue('2030-01-07T13:15')
+        expect(screen.queryByText(/Booked: /)).not.toBeInTheDocument()
+        await submit(user)
+        expect(axios.post).toHaveBeenLastCalledWith('/api/bookings', expect.objectContaining({
+            bookingTime: '2030-01-07T11:15:00+05:30',
+            returnTime: '2030-01-07T13:15:00+05:30'
+        }))
+    })
+
+    it('does not offer the waitlist for maintenance', async () => {
+        const user = userEvent.setup()
+        axios.post.mockRejectedValue(apiError(409, {
+            code: 'BOOKING_CONFLICT',
+            message: 'Vehicle is unavailable for maintenance during that time'
+        }))
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await submit(user)
+
+        expect(await screen.findByText(/unavailable for maintenance/)).toBeInTheDocument()
+        expect(screen.queryByRole('button', { name: 'Join the waitlist' })).not.toBeInTheDocument()
+    })
+
+    it('reports conflicting dates of a series and books only the free ones', async () => {
+        const user = userEvent.setup()
+        const occurrence = (day, conflicts) => ({
+            bookingTime: `2030-01-${day}T03:30:00Z`,
+            returnTime: `2030-01-${day}T05:30:00Z`,
+            conflicts,
+            violations: []
+        })
+        axios.post
+            .mockRejectedValueOnce(apiError(409, {
+                code: 'BOOKING_CONFLICT',
+                message: '1 of 2 occurrences conflict with existing bookings or the booking policy',
+                occurrences: [occurrence('07', []), occurrence('14', [{
+                    vehicle: 'v1',
+                    start: '2030-01-14T02:00:00Z',
+                    end: '2030-01-14T04:00:00Z',
+                    status: 'approved'
+                }])]
+            }))
+            .mockResolvedValueOnce({
+                data: { occurrences: [{ ...occurrence('07', []), booking: 'b2' }, { ...occurrence('14', []), booking: null }] }
+            })
+        renderPage()
+        await screen.findByRole('option', { name: 'Blue scooter (scooter)' })
+
+        await fillForm(user)
+        await user.click(screen.getByRole('checkbox', { name: 'Repeat this booking' }))
+        await submit(user)
+
+        const report = (await screen.findByText(/— Booked/)).closest('ul')
+        expect(within(report).getAllByRole('listitem')).toHaveLength(2)
+        await user.click(screen.getByRole('button', { name: 'Book only the 1 free date(s)' }))
+
+        expect(axios.post).toHaveBeenLastCalledWith('/api/bookings/series', expect.objectContaining({
+            bookingTime: '2030-01-07T09:00:00+05:30',
+            skipConflicts: true
+        }))
+        expect(await screen.findByText(/1 occurrence\(s\) waiting for admin approval, 1 conflicting date\(s\) skipped/))
+            .toBeInTheDocument()
+    })
+})
@@ -0,0 +1,113 @@
+import { useState } from 'react'
+import * as api from './api'
+
+const VehicleManager = ({ vehicles, onChange }) => {
+    const [formData, setFormData] = useState({
+        name: '',
+        type: 'motorbike',
+        registration: ''
+    })
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value
+        })
+    }
+
+    const addVehicle = async (e) => {
+        e.preventDefault()
+        try {
+            await api.createVehicle(formData)
+            setFormData({ name: '', type: 'motorbike', registration: '' })
+            onChange()
+        } catch (error) {
+            console.error('Error creating vehicle:', error)
+            alert(error.response?.data?.message || 'Error creating vehicle')
+        }
+    }
+
+    const toggleActive = async (vehicle) => {
+        try {
+            await api.updateVehicle(vehicle._id, { active: !vehicle.active })
+            onChange()
+        } catch (error) {
+            console.error('Error updating vehicle:', error)
+            alert('Error updating vehicle')
+        }
+    }
+
+    return (
+        <div className="mb-8">
+            <h3 className="text-xl font-semibold mb-4 text-gray-800">Vehicles</h3>
+
+            <form onSubmit={addVehicle} className="flex flex-wrap gap-2 mb-4">
+                <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleChange}
+                    required
+                    placeholder="Name"
+                    className="p-2 border border-gray-300 rounded-md"
+                />
+                <select
+                    name="type"
+                    value={formData.type}
+                    onChange={handleChange}
+                    className="p-2 border border-gray-300 rounded-md"
+                >
+                    <option value="motorbike">Motorbike</option>
+                    <option value="scooter">Scooter</option>
+                    <option value="car">Car</option>
+                    <option value="van">Van</option>
+                    <option value="other">Other</option>
+                </select>
+                <input
+                    type="text"
+                    name="registration"
+                    value={formData.registration}
+                    onChange={handleChange}
+                    placeholder="Registration"
+                    className="p-2 border border-gray-300 rounded-md"
+                />
+                <button
+                    type="submit"
+                    className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 transition-colors"
+                >
+                    Add Vehicle
+                </button>
+            </form>
+
+            {vehicles.length === 0 ? (
+                <p className="text-gray-500">No vehicles yet. Add one before taking bookings.</p>
+            ) : (
+                <div className="flex flex-wrap gap-2">
+                    {vehicles.map((vehicle) => (
+                        <div
+                            key={vehicle._id}
+                            className={`border rounded-lg px-3 py-2 text-sm ${
+                                vehicle.active ? 'border-gray-200' : 'border-gray-200 bg-gray-100 text-gray-400'
+                            }`}
+                        >
+                            <span className="font-medium">{vehicle.name}</span>
+                            <span className="ml-1 text-gray-500">({vehicle.type})</span>
+                            {vehicle.registration && <span className="ml-1">{vehicle.registration}</span>}
+                            {vehicle.odometer !== undefined && (
+                                <span className="ml-1 text-gray-500">· {vehicle.odometer} km · fuel {vehicle.fuelLevel}%</span>
+                            )}
+                            <button
+                                onClick={() => toggleActive(vehicle)}
+                                className="ml-3 text-blue-600 hover:text-blue-900 transition-colors"
+                            >
+                                {vehicle.active ? 'Deactivate' : 'Activate'}
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default VehicleManager
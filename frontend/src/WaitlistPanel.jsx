@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react'
+import * as api from './api'
+import useBookingEvents from './useBookingEvents'
+import { formatDateTime } from './timezone'
+
+// Waitlisted requests per vehicle in the order they will be promoted. Admins
+// move requests up or down, or reject them to take them off the waitlist.
+const WaitlistPanel = () => {
+    const [waitlist, setWaitlist] = useState([])
+
+    useEffect(() => {
+        fetchWaitlist()
+    }, [])
+
+    // Promotions and new entries happen on other users' actions
+    useBookingEvents(() => fetchWaitlist(), () => fetchWaitlist())
+
+    const fetchWaitlist = async () => {
+        try {
+            setWaitlist(await api.listWaitlist())
+        } catch (error) {
+            console.error('Error fetching waitlist:', error)
+        }
+    }
+
+    const groups = waitlist.reduce((byVehicle, booking) => {
+        const key = booking.vehicle._id
+        byVehicle[key] = byVehicle[key] || { vehicle: booking.vehicle, bookings: [] }
+        byVehicle[key].bookings.push(booking)
+        return byVehicle
+    }, {})
+
+    const move = async (vehicleId, bookings, index, direction) => {
+        const order = bookings.map((booking) => booking._id)
+        const [moved] = order.splice(index, 1)
+        order.splice(index + direction, 0, moved)
+        try {
+            await api.reorderWaitlist(vehicleId, { order })
+            fetchWaitlist()
+        } catch (error) {
+            console.error('Error reordering waitlist:', error)
+            alert(error.response?.data?.message || 'Error reordering waitlist')
+            fetchWaitlist()
+        }
+    }
+
+    const reject = async (id) => {
+        const comment = window.prompt('Reason for removing this request from the waitlist (optional):', '')
+        if (comment === null) {
+            return
+        }
+        try {
+            await api.updateBookingStatus(id, { status: 'rejected', comment })
+            fetchWaitlist()
+        } catch (error) {
+            console.error('Error rejecting waitlisted booking:', error)
+            alert(error.response?.data?.message || 'Error rejecting booking')
+        }
+    }
+
+    return (
+        <div className="bg-white rounded-lg shadow-md p-6 mt-8">
+            <h3 className="text-xl font-semibold mb-1 text-gray-800">Waitlist</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                When a slot frees up, the first request in line that fits it is promoted automatically.
+            </p>
+
+            {waitlist.length === 0 ? (
+                <p className="text-sm text-gray-500">Nobody is waiting.</p>
+            ) : (
+                <div className="space-y-6">
+                    {Object.values(groups).map(({ vehicle, bookings }) => (
+                        <div key={vehicle._id}>
+                            <h4 className="font-medium text-gray-700 mb-2">{vehicle.name}</h4>
+                            <ol className="divide-y divide-gray-200 text-sm">
+                                {bookings.map((booking, index) => (
+                                    <li key={booking._id} className="flex items-center gap-4 py-2">
+                                        <span className="w-6 text-gray-400">{index + 1}.</span>
+                                        <div className="flex-1">
+                                            <div className="text-gray-800">
+                                                {booking.name}
+                                                {booking.user?.email && (
+                                                    <span className="text-gray-500"> · {booking.user.email}</span>
+                                                )}
+                                            </div>
+                                            <div className="text-gray-500">
+                                                {formatDateTime(booking.bookingTime)} – {formatDateTime(booking.returnTime)} · {booking.purpose}
+                                            </div>
+                                        </div>
+                                        <div className="space-x-2">
+                                            <button
+                                                onClick={() => move(vehicle._id, bookings, index, -1)}
+                                                disabled={index === 0}
+                                                className="text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                                            >
+                                                ↑
+                                            </button>
+                                            <button
+                                                onClick={() => move(vehicle._id, bookings, index, 1)}
+                                                disabled={index === bookings.length - 1}
+                                                className="text-blue-600 hover:text-blue-900 disabled:text-gray-300"
+                                            >
+                                                ↓
+                                            </button>
+                                            <button
+                                                onClick={() => reject(booking._id)}
+                                                className="text-red-600 hover:text-red-900"
+                                            >
+                                                Reject
+                                            </button>
+                                        </div>
+                                    </li>
+                                ))}
+                            </ol>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default WaitlistPanel
@@ -0,0 +1,1289 @@
+// Generated from the API's OpenAPI document by `npm run generate:client` in
+// backend/. Do not edit by hand: change the route or schemas/operations.js and
+// regenerate. Each function resolves to the response body; errors are axios
+// errors whose response.data is an ApiError.
+// @ts-check
+import axios from 'axios'
+
+const data = (response) => response.data
+
+/**
+ * A problem with one field; see lib/errors.js
+ *
+ * @typedef {Object} FieldError
+ * @property {string | null} field
+ * @property {string} code
+ * @property {string} message
+ */
+
+/**
+ * Every error response; some add context such as "conflicts", "suggestions" or
+ * "occurrences"
+ *
+ * @typedef {Object} ApiError
+ * @property {'VALIDATION_FAILED' | 'INVALID_JSON' | 'UNAUTHENTICATED' | 'FORBIDDEN' | 'NOT_FOUND' | 'CONFLICT' | 'BOOKING_CONFLICT' | 'INVALID_STATE' | 'VEHICLE_BUSY' | 'PAYLOAD_TOO_LARGE' | 'POLICY_VIOLATION' | 'UNPROCESSABLE' | 'RATE_LIMITED' | 'INTERNAL_ERROR' | 'SERVICE_UNAVAILABLE'} code
+ * @property {string} message
+ * @property {Array<FieldError>} [errors]
+ */
+
+/**
+ * Confirmation of an action that returns nothing else
+ *
+ * @typedef {Object} Message
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} User
+ * @property {string} _id
+ * @property {string} name
+ * @property {string} email
+ * @property {'user' | 'admin'} role
+ * @property {string} [group]
+ * @property {string} [costCentre]
+ * @property {string} createdAt
+ */
+
+/**
+ * A signed-in account and the bearer token for it
+ *
+ * @typedef {Object} Session
+ * @property {string} token
+ * @property {User} user
+ */
+
+/**
+ * @typedef {Object} Vehicle
+ * @property {string} _id
+ * @property {string} name
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other'} type
+ * @property {string} [registration]
+ * @property {boolean} active
+ * @property {number} [odometer]
+ * @property {number} [fuelLevel]
+ * @property {number} [serviceIntervalKm]
+ * @property {number} [lastServiceOdometer]
+ * @property {string} [lastServiceAt]
+ * @property {string} createdAt
+ */
+
+/**
+ * The vehicle fields populated into bookings and other lists
+ *
+ * @typedef {Object} VehicleSummary
+ * @property {string} _id
+ * @property {string} name
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other'} type
+ * @property {string} [registration]
+ */
+
+/**
+ * Odometer, fuel and notes recorded at check-out or check-in
+ *
+ * @typedef {Object} TripLog
+ * @property {string} at
+ * @property {number} odometer
+ * @property {number} fuelLevel
+ * @property {string} [notes]
+ * @property {string} [by]
+ */
+
+/**
+ * A booking priced with a rate card; distance and late return only once
+ * checked in
+ *
+ * @typedef {Object} Cost
+ * @property {string} [rateCard]
+ * @property {string} [rateCardName]
+ * @property {string} currency
+ * @property {number} hours
+ * @property {number} [km]
+ * @property {number} [lateHours]
+ * @property {number} time
+ * @property {number} [distance]
+ * @property {number} [latePenalty]
+ * @property {number} total
+ */
+
+/**
+ * @typedef {Object} Booking
+ * @property {string} _id
+ * @property {string | VehicleSummary} vehicle
+ * @property {string | { _id: string, email: string }} user
+ * @property {string} name
+ * @property {string} purpose
+ * @property {string} [costCentre]
+ * @property {string} bookingTime
+ * @property {string} returnTime
+ * @property {'pending' | 'approved' | 'rejected' | 'cancelled' | 'in_use' | 'completed' | 'waitlisted'} status
+ * @property {Array<string>} conflictsWith
+ * @property {number} [waitlistPosition]
+ * @property {TripLog} [checkOut]
+ * @property {TripLog} [checkIn]
+ * @property {Cost} [estimatedCost]
+ * @property {Cost} [finalCost]
+ * @property {string} [series]
+ * @property {string} [deletedAt]
+ * @property {string} createdAt
+ * @property {boolean} overdue
+ */
+
+/**
+ * One page of the admin booking list
+ *
+ * @typedef {Object} BookingPage
+ * @property {Array<Booking>} bookings
+ * @property {number} total
+ * @property {number} page
+ * @property {number} limit
+ * @property {number} pages
+ * @property {number} overdueCount
+ */
+
+/**
+ * A booking or maintenance window a request overlaps
+ *
+ * @typedef {Object} Conflict
+ * @property {string} _id
+ * @property {'booking' | 'maintenance'} kind
+ * @property {string} name
+ * @property {string} bookingTime
+ * @property {string} returnTime
+ */
+
+/**
+ * Time a request runs into, without saying whose booking holds it
+ *
+ * @typedef {Object} BlockingInterval
+ * @property {string} vehicle
+ * @property {string} start
+ * @property {string} end
+ * @property {'pending' | 'approved' | 'rejected' | 'cancelled' | 'in_use' | 'completed' | 'waitlisted' | 'maintenance'} status
+ */
+
+/**
+ * One change in a booking's history
+ *
+ * @typedef {Object} AuditEntry
+ * @property {string} _id
+ * @property {string} booking
+ * @property {'created' | 'edited' | 'status_changed' | 'checked_out' | 'checked_in' | 'conflict_flagged' | 'conflict_cleared' | 'deleted'} action
+ * @property {{ _id: string, name: string, email: string } | null} [actor]
+ * @property {Object<string, *>} [previous]
+ * @property {Object<string, *>} [current]
+ * @property {string} [comment]
+ * @property {string} [rule]
+ * @property {string} at
+ */
+
+/**
+ * @typedef {Object} BatchReport
+ * @property {Array<{ id: string, ok: boolean, code?: string, error?: string, conflicts?: Array<Conflict> }>} results
+ * @property {number} succeeded
+ * @property {number} failed
+ */
+
+/**
+ * Check of every row of a CSV import, and whether it was saved
+ *
+ * @typedef {Object} ImportReport
+ * @property {boolean} committed
+ * @property {number} total
+ * @property {number} valid
+ * @property {number} invalid
+ * @property {number} created
+ * @property {Array<{ row: number, ok: boolean, errors: Array<FieldError>, booking: { vehicle?: string, email?: string, purpose?: string, costCentre?: string, bookingTime?: string | null, returnTime?: string | null } }>} rows
+ */
+
+/**
+ * @typedef {Object} BookingSeries
+ * @property {string} _id
+ * @property {string} vehicle
+ * @property {string} user
+ * @property {string} name
+ * @property {string} purpose
+ * @property {{ frequency: 'daily' | 'weekly' | 'custom', interval?: number, weekdays?: Array<number>, dates?: Array<string>, until?: string, count?: number }} recurrence
+ * @property {'active' | 'cancelled'} status
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} SeriesCreated
+ * @property {BookingSeries} series
+ * @property {Array<{ bookingTime: string, returnTime: string, conflicts: Array<BlockingInterval>, violations: Array<FieldError>, booking: string | null }>} occurrences
+ */
+
+/**
+ * @typedef {Object} SeriesDetail
+ * @property {BookingSeries} series
+ * @property {Array<Booking>} occurrences
+ */
+
+/**
+ * @typedef {Object} SeriesUpdated
+ * @property {BookingSeries} series
+ * @property {Array<Booking>} occurrences
+ * @property {Array<{ booking: string, bookingTime: string, returnTime: string, status: 'pending' | 'approved' | 'rejected' | 'cancelled' | 'in_use' | 'completed' | 'waitlisted', conflicts?: Array<Conflict>, error?: string }>} results
+ */
+
+/**
+ * Busy and free time per active vehicle
+ *
+ * @typedef {Object} Availability
+ * @property {string} from
+ * @property {string} to
+ * @property {Array<{ vehicle: VehicleSummary, busy: Array<{ start: string, end: string, status: 'pending' | 'approved' | 'rejected' | 'cancelled' | 'in_use' | 'completed' | 'waitlisted' | 'maintenance', mine: boolean }>, free: Array<{ start: string, end: string }> }>} vehicles
+ */
+
+/**
+ * @typedef {Object} MaintenanceWindow
+ * @property {string} _id
+ * @property {string | VehicleSummary} vehicle
+ * @property {string} reason
+ * @property {string} start
+ * @property {string} end
+ * @property {string} [seriesId]
+ * @property {string} [createdBy]
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} MaintenanceCreated
+ * @property {Array<MaintenanceWindow>} windows
+ * @property {Array<{ _id: string, kind: 'booking' | 'maintenance', name: string, bookingTime: string, returnTime: string, status: 'pending' | 'approved' | 'rejected' | 'cancelled' | 'in_use' | 'completed' | 'waitlisted' }>} affectedBookings
+ */
+
+/**
+ * A vehicle near or past its service interval
+ *
+ * @typedef {Object} ServiceReminder
+ * @property {Vehicle} vehicle
+ * @property {number} kmSinceService
+ * @property {number} kmRemaining
+ * @property {boolean} due
+ * @property {boolean} dueSoon
+ */
+
+/**
+ * The organization's booking rules; unset rules are not enforced
+ *
+ * @typedef {Object} BookingPolicy
+ * @property {number} [maxDurationHours]
+ * @property {number} [minNoticeHours]
+ * @property {number} [maxAdvanceDays]
+ * @property {string} [allowedHoursStart]
+ * @property {string} [allowedHoursEnd]
+ * @property {Array<{ start: string, end: string, reason?: string }>} blackoutDates
+ * @property {number} [maxActiveBookingsPerUser]
+ * @property {number} [bufferMinutes]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {Object} AutoApprovalRule
+ * @property {string} _id
+ * @property {string} name
+ * @property {boolean} enabled
+ * @property {Array<'user' | 'admin'>} roles
+ * @property {Array<string>} groups
+ * @property {number} [maxDurationHours]
+ * @property {number} [minLeadHours]
+ * @property {number} [maxLeadHours]
+ * @property {string} [earliestStart]
+ * @property {string} [latestEnd]
+ * @property {string} updatedAt
+ * @property {string} createdAt
+ */
+
+/**
+ * @typedef {Object} RateCard
+ * @property {string} _id
+ * @property {string} name
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other'} [vehicleType]
+ * @property {number} [hourlyRate]
+ * @property {number} [dailyRate]
+ * @property {number} [perKmRate]
+ * @property {number} [latePenaltyPerHour]
+ * @property {number} [lateGraceMinutes]
+ * @property {string} updatedAt
+ * @property {string} createdAt
+ */
+
+/**
+ * A month's charges per cost centre
+ *
+ * @typedef {Object} Statement
+ * @property {string} month
+ * @property {string} from
+ * @property {string} to
+ * @property {string} currency
+ * @property {Array<{ costCentre: string | null, bookings: number, unpriced: number, hours: number, km: number, time: number, distance: number, latePenalty: number, total: number }>} costCentres
+ * @property {{ bookings: number, unpriced: number, hours: number, km: number, time: number, distance: number, latePenalty: number, total: number }} totals
+ */
+
+/**
+ * @typedef {Object} Utilization
+ * @property {string} from
+ * @property {string} to
+ * @property {'week' | 'month'} interval
+ * @property {Array<{ vehicle: VehicleSummary, periods: Array<{ period: string, bookedHours: number, utilization: number }> }>} vehicles
+ */
+
+/**
+ * @typedef {Object} BookingSummary
+ * @property {string} from
+ * @property {string} to
+ * @property {string} timezone
+ * @property {number} total
+ * @property {Object<string, number>} counts
+ * @property {number | null} approvalRate
+ * @property {number | null} averageLeadHours
+ * @property {number | null} averageDurationHours
+ * @property {Array<Array<number>>} heatmap
+ * @property {Array<{ user: string, name: string, count: number, hours: number }>} topUsers
+ * @property {Array<{ purpose: string, count: number }>} topPurposes
+ */
+
+/**
+ * Paths of the current user's calendar feeds
+ *
+ * @typedef {Object} CalendarFeeds
+ * @property {string} bookings
+ * @property {string} vehicles
+ */
+
+/**
+ * How many reminder emails a run sent
+ *
+ * @typedef {Object} ReminderRun
+ * @property {number} pickup
+ * @property {number} overdue
+ */
+
+/**
+ * @typedef {Object} ClientConfig
+ * @property {string} timezone
+ * @property {string} currency
+ */
+
+/**
+ * @typedef {Object} Health
+ * @property {'OK'} status
+ * @property {'Connected' | 'Disconnected'} database
+ * @property {string} timestamp
+ */
+
+/**
+ * Server status; answers even when the database is down
+ *
+ * GET /api/health
+ * @returns {Promise<Health>}
+ */
+export const getHealth = () =>
+    axios.get('/api/health').then(data)
+
+/**
+ * @typedef {Object} RegisterBody
+ * @property {string} name
+ * @property {string} email
+ * @property {string} password
+ */
+
+/**
+ * Create an account and sign in
+ *
+ * The first account created becomes an admin.
+ *
+ * POST /api/auth/register
+ * @param {RegisterBody} body
+ * @returns {Promise<Session>}
+ */
+export const register = (body) =>
+    axios.post('/api/auth/register', body).then(data)
+
+/**
+ * @typedef {Object} LoginBody
+ * @property {string} email
+ * @property {string} password
+ */
+
+/**
+ * Sign in with email and password
+ *
+ * POST /api/auth/login
+ * @param {LoginBody} body
+ * @returns {Promise<Session>}
+ */
+export const login = (body) =>
+    axios.post('/api/auth/login', body).then(data)
+
+/**
+ * The signed-in account
+ *
+ * GET /api/auth/me
+ * @returns {Promise<User>}
+ */
+export const getCurrentUser = () =>
+    axios.get('/api/auth/me').then(data)
+
+/**
+ * Every account, by name
+ *
+ * Requires the admin role.
+ *
+ * GET /api/users
+ * @returns {Promise<Array<User>>}
+ */
+export const listUsers = () =>
+    axios.get('/api/users').then(data)
+
+/**
+ * @typedef {Object} UpdateUserBody
+ * @property {'user' | 'admin'} [role]
+ * @property {string | null} [group]
+ * @property {string | null} [costCentre]
+ */
+
+/**
+ * Change a user's role, group or default cost centre; an empty group or cost
+ * centre removes it
+ *
+ * Requires the admin role.
+ *
+ * PATCH /api/users/{id}
+ * @param {string} id
+ * @param {UpdateUserBody} body
+ * @returns {Promise<User>}
+ */
+export const updateUser = (id, body) =>
+    axios.patch(`/api/users/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * @typedef {Object} ListVehiclesQuery
+ * @property {'true' | 'false'} [active]
+ */
+
+/**
+ * Vehicles by name; ?active=true for bookable ones only
+ *
+ * GET /api/vehicles
+ * @param {ListVehiclesQuery} [query]
+ * @returns {Promise<Array<Vehicle>>}
+ */
+export const listVehicles = (query) =>
+    axios.get('/api/vehicles', { params: query }).then(data)
+
+/**
+ * @typedef {Object} CreateVehicleBody
+ * @property {string} name
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other'} [type]
+ * @property {string} [registration]
+ */
+
+/**
+ * Add a vehicle
+ *
+ * Requires the admin role.
+ *
+ * POST /api/vehicles
+ * @param {CreateVehicleBody} body
+ * @returns {Promise<Vehicle>}
+ */
+export const createVehicle = (body) =>
+    axios.post('/api/vehicles', body).then(data)
+
+/**
+ * One vehicle
+ *
+ * GET /api/vehicles/{id}
+ * @param {string} id
+ * @returns {Promise<Vehicle>}
+ */
+export const getVehicle = (id) =>
+    axios.get(`/api/vehicles/${encodeURIComponent(id)}`).then(data)
+
+/**
+ * @typedef {Object} UpdateVehicleBody
+ * @property {string} [name]
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other'} [type]
+ * @property {string} [registration]
+ * @property {boolean} [active]
+ * @property {number | null} [serviceIntervalKm]
+ * @property {number | null} [lastServiceOdometer]
+ * @property {string | null} [lastServiceAt]
+ */
+
+/**
+ * Change a vehicle, e.g. deactivate it or record a service
+ *
+ * Requires the admin role.
+ *
+ * PATCH /api/vehicles/{id}
+ * @param {string} id
+ * @param {UpdateVehicleBody} body
+ * @returns {Promise<Vehicle>}
+ */
+export const updateVehicle = (id, body) =>
+    axios.patch(`/api/vehicles/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * Remove a vehicle that has never been booked
+ *
+ * Requires the admin role. Vehicles with bookings answer 409; deactivate them
+ * instead.
+ *
+ * DELETE /api/vehicles/{id}
+ * @param {string} id
+ * @returns {Promise<Message>}
+ */
+export const deleteVehicle = (id) =>
+    axios.delete(`/api/vehicles/${encodeURIComponent(id)}`).then(data)
+
+/**
+ * @typedef {Object} CreateBookingSeriesBody
+ * @property {string} vehicle
+ * @property {string} purpose
+ * @property {string} bookingTime
+ * @property {string} returnTime
+ * @property {string} [costCentre]
+ * @property {{ frequency: 'daily' | 'weekly' | 'custom', interval?: number, weekdays?: Array<number>, until?: string, count?: number, dates?: Array<string> }} recurrence
+ * @property {boolean} [skipConflicts]
+ */
+
+/**
+ * Request a recurring booking
+ *
+ * Any conflicting occurrence answers 409 with a report of every occurrence,
+ * unless skipConflicts is set and some are free.
+ *
+ * POST /api/bookings/series
+ * @param {CreateBookingSeriesBody} body
+ * @returns {Promise<SeriesCreated>}
+ */
+export const createBookingSeries = (body) =>
+    axios.post('/api/bookings/series', body).then(data)
+
+/**
+ * A recurring booking and its occurrences
+ *
+ * GET /api/bookings/series/{id}
+ * @param {string} id
+ * @returns {Promise<SeriesDetail>}
+ */
+export const getBookingSeries = (id) =>
+    axios.get(`/api/bookings/series/${encodeURIComponent(id)}`).then(data)
+
+/**
+ * @typedef {Object} UpdateBookingSeriesBody
+ * @property {'approved' | 'rejected' | 'cancelled'} status
+ * @property {string | null} [comment]
+ */
+
+/**
+ * Approve or reject the pending occurrences, or cancel the future ones
+ *
+ * Owners may cancel; approving and rejecting is for admins. An occurrence
+ * whose status someone else changed meanwhile keeps that status.
+ *
+ * PATCH /api/bookings/series/{id}
+ * @param {string} id
+ * @param {UpdateBookingSeriesBody} body
+ * @returns {Promise<SeriesUpdated>}
+ */
+export const updateBookingSeries = (id, body) =>
+    axios.patch(`/api/bookings/series/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * @typedef {Object} ListBookingsQuery
+ * @property {string} [status] One or more of pending, approved, rejected, cancelled, in_use, completed, waitlisted, comma-separated
+ * @property {string} [vehicle]
+ * @property {string} [user]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [q]
+ * @property {'true' | 'false'} [deleted]
+ * @property {string} [sort] One of createdAt, bookingTime, returnTime, name, status, with a leading - for descending
+ * @property {string} [page]
+ * @property {string} [limit]
+ */
+
+/**
+ * Filtered, sorted and paged list of every booking
+ *
+ * Requires the admin role.
+ *
+ * GET /api/bookings
+ * @param {ListBookingsQuery} [query]
+ * @returns {Promise<BookingPage>}
+ */
+export const listBookings = (query) =>
+    axios.get('/api/bookings', { params: query }).then(data)
+
+/**
+ * @typedef {Object} CreateBookingBody
+ * @property {string} vehicle
+ * @property {string} purpose
+ * @property {string} bookingTime
+ * @property {string} returnTime
+ * @property {string} [costCentre]
+ * @property {boolean} [waitlist]
+ */
+
+/**
+ * Request a booking
+ *
+ * With "waitlist": true a taken slot puts the request on the waitlist instead
+ * of answering 409. Requests matching an auto-approval rule come back
+ * approved. Without a costCentre the booking is charged to the user's own;
+ * estimatedCost is set when a rate card applies. A taken slot answers 409
+ * BOOKING_CONFLICT with "conflicts", the intervals in the way as { vehicle,
+ * start, end, status } (status is the booking's or "maintenance"; whose
+ * booking it is is not shown), and "suggestions", up to six free slots of the
+ * same length nearest to the requested one, earlier and later, as {
+ * bookingTime, returnTime }; they keep to the booking policy. A 422 with a
+ * HANDOVER_BUFFER violation carries both as well, "conflicts" then being the
+ * intervals too close to the request.
+ *
+ * POST /api/bookings
+ * @param {CreateBookingBody} body
+ * @returns {Promise<Booking>}
+ */
+export const createBooking = (body) =>
+    axios.post('/api/bookings', body).then(data)
+
+/**
+ * @typedef {Object} ExportBookingsQuery
+ * @property {string} [status] One or more of pending, approved, rejected, cancelled, in_use, completed, waitlisted, comma-separated
+ * @property {string} [vehicle]
+ * @property {string} [user]
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [q]
+ * @property {'true' | 'false'} [deleted]
+ * @property {string} [sort] One of createdAt, bookingTime, returnTime, name, status, with a leading - for descending
+ * @property {string} [page]
+ * @property {string} [limit]
+ * @property {'csv' | 'xlsx'} [format]
+ * @property {string} [timezone]
+ */
+
+/**
+ * Download the filtered list as CSV or XLSX
+ *
+ * Requires the admin role. Takes the same filters and sort as the list. Dates
+ * are written in ?timezone, by default the organization's.
+ *
+ * GET /api/bookings/export
+ * @param {ExportBookingsQuery} [query]
+ * @returns {Promise<Blob>}
+ */
+export const exportBookings = (query) =>
+    axios.get('/api/bookings/export', { params: query, responseType: 'blob' }).then(data)
+
+/**
+ * @typedef {Object} ImportBookingsQuery
+ * @property {'true' | 'false'} [commit]
+ * @property {string} [timezone]
+ */
+
+/**
+ * Check, and with ?commit=true save, bookings from a CSV file
+ *
+ * Requires the admin role. Columns: vehicle (name, registration or id), email,
+ * purpose, bookingTime, returnTime. Nothing is saved unless every row is
+ * valid; the 422 body is the same report.
+ *
+ * POST /api/bookings/import
+ * @param {string} body text/csv text
+ * @param {ImportBookingsQuery} [query]
+ * @returns {Promise<ImportReport>}
+ */
+export const importBookings = (body, query) =>
+    axios.post('/api/bookings/import', body, { params: query, headers: { 'Content-Type': 'text/csv' } }).then(data)
+
+/**
+ * @typedef {Object} ListWaitlistQuery
+ * @property {string} [vehicle]
+ */
+
+/**
+ * Waitlisted requests in queue order per vehicle
+ *
+ * Requires the admin role.
+ *
+ * GET /api/bookings/waitlist
+ * @param {ListWaitlistQuery} [query]
+ * @returns {Promise<Array<Booking>>}
+ */
+export const listWaitlist = (query) =>
+    axios.get('/api/bookings/waitlist', { params: query }).then(data)
+
+/**
+ * @typedef {Object} ReorderWaitlistBody
+ * @property {Array<string>} order
+ * @property {string | null} [comment]
+ */
+
+/**
+ * Reorder a vehicle's waitlist, first in line first
+ *
+ * Requires the admin role. The order must list every waitlisted booking of the
+ * vehicle; a stale list answers 409.
+ *
+ * PUT /api/bookings/waitlist/{vehicleId}
+ * @param {string} vehicleId
+ * @param {ReorderWaitlistBody} body
+ * @returns {Promise<Array<Booking>>}
+ */
+export const reorderWaitlist = (vehicleId, body) =>
+    axios.put(`/api/bookings/waitlist/${encodeURIComponent(vehicleId)}`, body).then(data)
+
+/**
+ * @typedef {Object} ListApprovedBookingsQuery
+ * @property {string} [vehicle]
+ */
+
+/**
+ * Approved bookings, soonest first
+ *
+ * GET /api/bookings/approved
+ * @param {ListApprovedBookingsQuery} [query]
+ * @returns {Promise<Array<Booking>>}
+ */
+export const listApprovedBookings = (query) =>
+    axios.get('/api/bookings/approved', { params: query }).then(data)
+
+/**
+ * The signed-in user's bookings, latest first
+ *
+ * GET /api/bookings/mine
+ * @returns {Promise<Array<Booking>>}
+ */
+export const listMyBookings = () =>
+    axios.get('/api/bookings/mine').then(data)
+
+/**
+ * @typedef {Object} EditBookingBody
+ * @property {string} vehicle
+ * @property {string} purpose
+ * @property {string} bookingTime
+ * @property {string} returnTime
+ * @property {string} [costCentre]
+ */
+
+/**
+ * Change the vehicle, purpose or times of a pending request
+ *
+ * A taken slot answers 409 BOOKING_CONFLICT with "conflicts", the intervals in
+ * the way as { vehicle, start, end, status } (status is the booking's or
+ * "maintenance"; whose booking it is is not shown), and "suggestions", up to
+ * six free slots of the same length nearest to the requested one, earlier and
+ * later, as { bookingTime, returnTime }; they keep to the booking policy. A
+ * 422 with a HANDOVER_BUFFER violation carries both as well, "conflicts" then
+ * being the intervals too close to the request.
+ *
+ * PUT /api/bookings/{id}
+ * @param {string} id
+ * @param {EditBookingBody} body
+ * @returns {Promise<Booking>}
+ */
+export const editBooking = (id, body) =>
+    axios.put(`/api/bookings/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * @typedef {Object} UpdateBookingStatusBody
+ * @property {'pending' | 'approved' | 'rejected' | 'cancelled'} status
+ * @property {string | null} [comment]
+ */
+
+/**
+ * Approve, reject or cancel a booking
+ *
+ * Owners may cancel; every other change is for admins. Only pending requests
+ * can be approved.
+ *
+ * PATCH /api/bookings/{id}
+ * @param {string} id
+ * @param {UpdateBookingStatusBody} body
+ * @returns {Promise<Booking>}
+ */
+export const updateBookingStatus = (id, body) =>
+    axios.patch(`/api/bookings/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * @typedef {Object} DeleteBookingBody
+ * @property {string | null} [comment]
+ */
+
+/**
+ * Soft-delete a booking; its history is kept
+ *
+ * Requires the admin role.
+ *
+ * DELETE /api/bookings/{id}
+ * @param {string} id
+ * @param {DeleteBookingBody} body
+ * @returns {Promise<Message>}
+ */
+export const deleteBooking = (id, body) =>
+    axios.delete(`/api/bookings/${encodeURIComponent(id)}`, { data: body }).then(data)
+
+/**
+ * @typedef {Object} BatchUpdateBookingsBody
+ * @property {'approve' | 'reject' | 'delete'} action
+ * @property {Array<string>} ids
+ * @property {string | null} [comment]
+ */
+
+/**
+ * Approve, reject or delete many bookings, reporting each
+ *
+ * Requires the admin role.
+ *
+ * POST /api/bookings/batch
+ * @param {BatchUpdateBookingsBody} body
+ * @returns {Promise<BatchReport>}
+ */
+export const batchUpdateBookings = (body) =>
+    axios.post('/api/bookings/batch', body).then(data)
+
+/**
+ * @typedef {Object} CheckOutBookingBody
+ * @property {number | string} odometer
+ * @property {number | string} fuelLevel
+ * @property {string} [notes]
+ */
+
+/**
+ * Record the vehicle leaving for an approved booking
+ *
+ * POST /api/bookings/{id}/check-out
+ * @param {string} id
+ * @param {CheckOutBookingBody} body
+ * @returns {Promise<Booking>}
+ */
+export const checkOutBooking = (id, body) =>
+    axios.post(`/api/bookings/${encodeURIComponent(id)}/check-out`, body).then(data)
+
+/**
+ * @typedef {Object} CheckInBookingBody
+ * @property {number | string} odometer
+ * @property {number | string} fuelLevel
+ * @property {string} [notes]
+ */
+
+/**
+ * Record the vehicle coming back
+ *
+ * Sets finalCost from the booked time, the distance driven and any late return
+ * when a rate card applies.
+ *
+ * POST /api/bookings/{id}/check-in
+ * @param {string} id
+ * @param {CheckInBookingBody} body
+ * @returns {Promise<Booking>}
+ */
+export const checkInBooking = (id, body) =>
+    axios.post(`/api/bookings/${encodeURIComponent(id)}/check-in`, body).then(data)
+
+/**
+ * A booking's audit trail, oldest first
+ *
+ * GET /api/bookings/{id}/history
+ * @param {string} id
+ * @returns {Promise<Array<AuditEntry>>}
+ */
+export const getBookingHistory = (id) =>
+    axios.get(`/api/bookings/${encodeURIComponent(id)}/history`).then(data)
+
+/**
+ * @typedef {Object} GetAvailabilityQuery
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [vehicle]
+ */
+
+/**
+ * Busy and free time per vehicle, the next 7 days by default
+ *
+ * GET /api/availability
+ * @param {GetAvailabilityQuery} [query]
+ * @returns {Promise<Availability>}
+ */
+export const getAvailability = (query) =>
+    axios.get('/api/availability', { params: query }).then(data)
+
+/**
+ * @typedef {Object} ListMaintenanceWindowsQuery
+ * @property {string} [vehicle]
+ * @property {'true' | 'false'} [all]
+ */
+
+/**
+ * Upcoming and ongoing maintenance; ?all=true for the history
+ *
+ * Requires the admin role.
+ *
+ * GET /api/maintenance
+ * @param {ListMaintenanceWindowsQuery} [query]
+ * @returns {Promise<Array<MaintenanceWindow>>}
+ */
+export const listMaintenanceWindows = (query) =>
+    axios.get('/api/maintenance', { params: query }).then(data)
+
+/**
+ * @typedef {Object} CreateMaintenanceWindowBody
+ * @property {string} vehicle
+ * @property {string} reason
+ * @property {string} start
+ * @property {string} end
+ * @property {{ frequency: 'daily' | 'weekly' | 'custom', interval?: number, weekdays?: Array<number>, until?: string, count?: number, dates?: Array<string> }} [recurrence]
+ */
+
+/**
+ * Block a vehicle for maintenance, once or on a schedule
+ *
+ * Requires the admin role. Bookings already holding the time are listed for
+ * the admin to resolve.
+ *
+ * POST /api/maintenance
+ * @param {CreateMaintenanceWindowBody} body
+ * @returns {Promise<MaintenanceCreated>}
+ */
+export const createMaintenanceWindow = (body) =>
+    axios.post('/api/maintenance', body).then(data)
+
+/**
+ * Vehicles near or past their service interval
+ *
+ * Requires the admin role.
+ *
+ * GET /api/maintenance/reminders
+ * @returns {Promise<Array<ServiceReminder>>}
+ */
+export const listServiceReminders = () =>
+    axios.get('/api/maintenance/reminders').then(data)
+
+/**
+ * @typedef {Object} DeleteMaintenanceWindowQuery
+ * @property {'series'} [scope]
+ */
+
+/**
+ * Remove a window; ?scope=series also removes the later ones of its schedule
+ *
+ * Requires the admin role.
+ *
+ * DELETE /api/maintenance/{id}
+ * @param {string} id
+ * @param {DeleteMaintenanceWindowQuery} [query]
+ * @returns {Promise<Message>}
+ */
+export const deleteMaintenanceWindow = (id, query) =>
+    axios.delete(`/api/maintenance/${encodeURIComponent(id)}`, { params: query }).then(data)
+
+/**
+ * The booking rules
+ *
+ * GET /api/policy
+ * @returns {Promise<BookingPolicy>}
+ */
+export const getPolicy = () =>
+    axios.get('/api/policy').then(data)
+
+/**
+ * @typedef {Object} UpdatePolicyBody
+ * @property {number | string | '' | null} [maxDurationHours]
+ * @property {number | string | '' | null} [minNoticeHours]
+ * @property {number | string | '' | null} [maxAdvanceDays]
+ * @property {number | string | '' | null} [maxActiveBookingsPerUser]
+ * @property {number | string | '' | null} [bufferMinutes]
+ * @property {string | '' | null} [allowedHoursStart]
+ * @property {string | '' | null} [allowedHoursEnd]
+ * @property {Array<{ start: string, end: string, reason?: string }>} [blackoutDates]
+ */
+
+/**
+ * Change the booking rules; null or "" clears a rule
+ *
+ * Requires the admin role.
+ *
+ * PUT /api/policy
+ * @param {UpdatePolicyBody} body
+ * @returns {Promise<BookingPolicy>}
+ */
+export const updatePolicy = (body) =>
+    axios.put('/api/policy', body).then(data)
+
+/**
+ * Every rule, oldest first
+ *
+ * Requires the admin role.
+ *
+ * GET /api/auto-approval-rules
+ * @returns {Promise<Array<AutoApprovalRule>>}
+ */
+export const listAutoApprovalRules = () =>
+    axios.get('/api/auto-approval-rules').then(data)
+
+/**
+ * @typedef {Object} CreateAutoApprovalRuleBody
+ * @property {string} name
+ * @property {boolean} [enabled]
+ * @property {Array<'user' | 'admin'>} [roles]
+ * @property {Array<string>} [groups]
+ * @property {number | string | '' | null} [maxDurationHours]
+ * @property {number | string | '' | null} [minLeadHours]
+ * @property {number | string | '' | null} [maxLeadHours]
+ * @property {string | '' | null} [earliestStart]
+ * @property {string | '' | null} [latestEnd]
+ */
+
+/**
+ * Add a rule
+ *
+ * Requires the admin role.
+ *
+ * POST /api/auto-approval-rules
+ * @param {CreateAutoApprovalRuleBody} body
+ * @returns {Promise<AutoApprovalRule>}
+ */
+export const createAutoApprovalRule = (body) =>
+    axios.post('/api/auto-approval-rules', body).then(data)
+
+/**
+ * @typedef {Object} UpdateAutoApprovalRuleBody
+ * @property {string} [name]
+ * @property {boolean} [enabled]
+ * @property {Array<'user' | 'admin'>} [roles]
+ * @property {Array<string>} [groups]
+ * @property {number | string | '' | null} [maxDurationHours]
+ * @property {number | string | '' | null} [minLeadHours]
+ * @property {number | string | '' | null} [maxLeadHours]
+ * @property {string | '' | null} [earliestStart]
+ * @property {string | '' | null} [latestEnd]
+ */
+
+/**
+ * Change a rule; null or "" clears a condition
+ *
+ * Requires the admin role.
+ *
+ * PATCH /api/auto-approval-rules/{id}
+ * @param {string} id
+ * @param {UpdateAutoApprovalRuleBody} body
+ * @returns {Promise<AutoApprovalRule>}
+ */
+export const updateAutoApprovalRule = (id, body) =>
+    axios.patch(`/api/auto-approval-rules/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * Remove a rule
+ *
+ * Requires the admin role.
+ *
+ * DELETE /api/auto-approval-rules/{id}
+ * @param {string} id
+ * @returns {Promise<Message>}
+ */
+export const deleteAutoApprovalRule = (id) =>
+    axios.delete(`/api/auto-approval-rules/${encodeURIComponent(id)}`).then(data)
+
+/**
+ * Every rate card, by vehicle type; the default card first
+ *
+ * Requires the admin role.
+ *
+ * GET /api/rate-cards
+ * @returns {Promise<Array<RateCard>>}
+ */
+export const listRateCards = () =>
+    axios.get('/api/rate-cards').then(data)
+
+/**
+ * @typedef {Object} CreateRateCardBody
+ * @property {string} name
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other' | '' | null} [vehicleType]
+ * @property {number | string | '' | null} [hourlyRate]
+ * @property {number | string | '' | null} [dailyRate]
+ * @property {number | string | '' | null} [perKmRate]
+ * @property {number | string | '' | null} [latePenaltyPerHour]
+ * @property {number | string | '' | null} [lateGraceMinutes]
+ */
+
+/**
+ * Add a rate card for a vehicle type, or the default one
+ *
+ * Requires the admin role.
+ *
+ * POST /api/rate-cards
+ * @param {CreateRateCardBody} body
+ * @returns {Promise<RateCard>}
+ */
+export const createRateCard = (body) =>
+    axios.post('/api/rate-cards', body).then(data)
+
+/**
+ * @typedef {Object} UpdateRateCardBody
+ * @property {string} [name]
+ * @property {'motorbike' | 'scooter' | 'car' | 'van' | 'other' | '' | null} [vehicleType]
+ * @property {number | string | '' | null} [hourlyRate]
+ * @property {number | string | '' | null} [dailyRate]
+ * @property {number | string | '' | null} [perKmRate]
+ * @property {number | string | '' | null} [latePenaltyPerHour]
+ * @property {number | string | '' | null} [lateGraceMinutes]
+ */
+
+/**
+ * Change a rate card; null or "" clears a rate, or the type to make it the
+ * default
+ *
+ * Requires the admin role. Bookings already priced keep their cost.
+ *
+ * PATCH /api/rate-cards/{id}
+ * @param {string} id
+ * @param {UpdateRateCardBody} body
+ * @returns {Promise<RateCard>}
+ */
+export const updateRateCard = (id, body) =>
+    axios.patch(`/api/rate-cards/${encodeURIComponent(id)}`, body).then(data)
+
+/**
+ * Remove a rate card
+ *
+ * Requires the admin role.
+ *
+ * DELETE /api/rate-cards/{id}
+ * @param {string} id
+ * @returns {Promise<Message>}
+ */
+export const deleteRateCard = (id) =>
+    axios.delete(`/api/rate-cards/${encodeURIComponent(id)}`).then(data)
+
+/**
+ * @typedef {Object} GetStatementQuery
+ * @property {string} month
+ */
+
+/**
+ * What each cost centre is charged for a month
+ *
+ * Requires the admin role. Covers the bookings checked in during the month, in
+ * the organization's timezone, at their final cost.
+ *
+ * GET /api/statements
+ * @param {GetStatementQuery} query
+ * @returns {Promise<Statement>}
+ */
+export const getStatement = (query) =>
+    axios.get('/api/statements', { params: query }).then(data)
+
+/**
+ * @typedef {Object} ExportStatementQuery
+ * @property {string} month
+ * @property {string} [costCentre]
+ * @property {'csv' | 'xlsx'} [format]
+ * @property {string} [timezone]
+ */
+
+/**
+ * Download a month's statement as CSV or XLSX, one line per booking and a
+ * total
+ *
+ * Requires the admin role. ?costCentre narrows it to one cost centre, "" to
+ * the bookings without one.
+ *
+ * GET /api/statements/export
+ * @param {ExportStatementQuery} query
+ * @returns {Promise<Blob>}
+ */
+export const exportStatement = (query) =>
+    axios.get('/api/statements/export', { params: query, responseType: 'blob' }).then(data)
+
+/**
+ * Send due pickup and overdue reminders
+ *
+ * Requires the admin role. For a scheduler, authenticated with `Bearer
+ * <CRON_SECRET>`, or an admin.
+ *
+ * GET /api/jobs/reminders
+ * @returns {Promise<ReminderRun>}
+ */
+export const runReminders = () =>
+    axios.get('/api/jobs/reminders').then(data)
+
+/**
+ * @typedef {Object} GetUtilizationQuery
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {'week' | 'month'} [interval]
+ */
+
+/**
+ * Share of each week or month every vehicle was booked, the last 30 days by
+ * default
+ *
+ * Requires the admin role.
+ *
+ * GET /api/analytics/utilization
+ * @param {GetUtilizationQuery} [query]
+ * @returns {Promise<Utilization>}
+ */
+export const getUtilization = (query) =>
+    axios.get('/api/analytics/utilization', { params: query }).then(data)
+
+/**
+ * @typedef {Object} GetBookingSummaryQuery
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {string} [timezone]
+ */
+
+/**
+ * Counts, approval rate, timing, peak hours and top users and purposes
+ *
+ * Requires the admin role.
+ *
+ * GET /api/analytics/summary
+ * @param {GetBookingSummaryQuery} [query]
+ * @returns {Promise<BookingSummary>}
+ */
+export const getBookingSummary = (query) =>
+    axios.get('/api/analytics/summary', { params: query }).then(data)
+
+/**
+ * The signed-in user's feed paths, creating the token on first use
+ *
+ * GET /api/calendar/token
+ * @returns {Promise<CalendarFeeds>}
+ */
+export const getCalendarFeeds = () =>
+    axios.get('/api/calendar/token').then(data)
+
+/**
+ * Replace the feed token; subscriptions to the old paths stop updating
+ *
+ * POST /api/calendar/token
+ * @returns {Promise<CalendarFeeds>}
+ */
+export const resetCalendarFeeds = () =>
+    axios.post('/api/calendar/token').then(data)
+
+/**
+ * One approved booking as a calendar file
+ *
+ * GET /api/calendar/bookings/{id}.ics
+ * @param {string} id
+ * @returns {Promise<Blob>}
+ */
+export const downloadBookingCalendar = (id) =>
+    axios.get(`/api/calendar/bookings/${encodeURIComponent(id)}.ics`, { responseType: 'blob' }).then(data)
+
+/**
+ * Settings the client needs before rendering
+ *
+ * GET /api/config
+ * @returns {Promise<ClientConfig>}
+ */
+export const getClientConfig = () =>
+    axios.get('/api/config').then(data)
@@ -0,0 +1,23 @@
+import { createContext, useContext } from 'react'
+import axios from 'axios'
+
+const TOKEN_KEY = 'authToken'
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY)
+
+export const setToken = (token) => localStorage.setItem(TOKEN_KEY, token)
+
+export const clearToken = () => localStorage.removeItem(TOKEN_KEY)
+
+// Attach the session token to every API request
+axios.interceptors.request.use((config) => {
+    const token = getToken()
+    if (token) {
+        config.headers.Authorization = `Bearer ${token}`
+    }
+    return config
+})
+
+export const AuthContext = createContext(null)
+
+export const useAuth = () => useContext(AuthContext)
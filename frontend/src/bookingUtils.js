@@ -0,0 +1,127 @@
+import { wallTimeToIso, fromDateTimeLocal, formatDay } from './timezone'
+
+export const getStatusColor = (status) => {
+    switch (status) {
+        case 'approved':
+            return 'bg-green-100 text-green-800'
+        case 'rejected':
+            return 'bg-red-100 text-red-800'
+        case 'cancelled':
+            return 'bg-gray-100 text-gray-600'
+        case 'in_use':
+            return 'bg-blue-100 text-blue-800'
+        case 'completed':
+            return 'bg-indigo-100 text-indigo-800'
+        case 'waitlisted':
+            return 'bg-orange-100 text-orange-800'
+        default:
+            return 'bg-yellow-100 text-yellow-800'
+    }
+}
+
+export const formatStatus = (status) => status.replace('_', ' ')
+
+// Converts the datetime-local booking fields to ISO strings with the
+// organization's offset. Resolves to the converted times, or { errors }
+// keyed by field like the server's field errors.
+export const readBookingTimes = ({ bookingTime, returnTime }) => {
+    const start = fromDateTimeLocal(bookingTime)
+    const end = fromDateTimeLocal(returnTime)
+    const errors = {}
+    if (start.error) {
+        errors.bookingTime = [start.error]
+    }
+    if (end.error) {
+        errors.returnTime = [end.error]
+    }
+    return Object.keys(errors).length > 0 ? { errors } : { bookingTime: start.iso, returnTime: end.iso }
+}
+
+export const emptyRecurrence = {
+    enabled: false,
+    frequency: 'weekly',
+    interval: 1,
+    weekdays: [],
+    endType: 'count',
+    count: 4,
+    until: '',
+    dates: ['']
+}
+
+// Turns the recurrence form state into the rule POST /api/bookings/series expects.
+// Custom dates reuse the time of day of the first booking; dates are
+// organization wall time.
+export const buildRecurrence = (recurrence, bookingTime) => {
+    if (recurrence.frequency === 'custom') {
+        const time = bookingTime.slice(11)
+        return {
+            frequency: 'custom',
+            dates: recurrence.dates
+                .filter(Boolean)
+                .map((date) => wallTimeToIso(date, time))
+        }
+    }
+
+    const rule = {
+        frequency: recurrence.frequency,
+        interval: Number(recurrence.interval)
+    }
+    if (recurrence.frequency === 'weekly' && recurrence.weekdays.length > 0) {
+        rule.weekdays = recurrence.weekdays
+    }
+    if (recurrence.endType === 'count') {
+        rule.count = Number(recurrence.count)
+    } else {
+        rule.until = wallTimeToIso(recurrence.until, '23:59')
+    }
+    return rule
+}
+
+// Plain-language summary of the booking policy rules that are switched on
+export const describePolicy = (policy) => {
+    const rules = []
+    if (policy.maxDurationHours) {
+        rules.push(`Bookings last at most ${policy.maxDurationHours} hours`)
+    }
+    if (policy.minNoticeHours) {
+        rules.push(`Book at least ${policy.minNoticeHours} hours in advance`)
+    }
+    if (policy.maxAdvanceDays) {
+        rules.push(`Book at most ${policy.maxAdvanceDays} days ahead`)
+    }
+    if (policy.allowedHoursStart && policy.allowedHoursEnd) {
+        rules.push(`Bookings run between ${policy.allowedHoursStart} and ${policy.allowedHoursEnd}`)
+    }
+    if (policy.maxActiveBookingsPerUser) {
+        rules.push(`At most ${policy.maxActiveBookingsPerUser} active bookings per person`)
+    }
+    if (policy.bufferMinutes) {
+        rules.push(`${policy.bufferMinutes} minutes are kept free between bookings`)
+    }
+    const upcomingBlackouts = (policy.blackoutDates || []).filter((b) => new Date(b.end) > new Date())
+    upcomingBlackouts.forEach((b) => {
+        rules.push(`No bookings ${formatDay(b.start)} – ${formatDay(b.end)}` +
+            (b.reason ? ` (${b.reason})` : ''))
+    })
+    return rules
+}
+
+// Applies a pushed { type, booking } event to a list of bookings. `belongs`
+// decides whether the booking (still) goes in the list; `compare` keeps its order.
+export const applyBookingEvent = (bookings, { type, booking }, belongs, compare) => {
+    const others = bookings.filter((b) => b._id !== booking._id)
+    if (type === 'deleted' || !belongs(booking)) {
+        return others
+    }
+    return [...others, booking].sort(compare)
+}
+
+// Saves a blob response (export, .ics) through a temporary link
+export const downloadFile = (blob, filename) => {
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(url)
+}
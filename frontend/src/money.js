@@ -0,0 +1,12 @@
+// Amounts are in the organization's currency. App loads it from /api/config
+// along with the timezone; priced bookings and statements name theirs too.
+let orgCurrency = 'USD'
+
+export const setOrgCurrency = (currency) => {
+    orgCurrency = currency
+}
+
+export const getOrgCurrency = () => orgCurrency
+
+export const formatMoney = (amount, currency = orgCurrency) =>
+    new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount)
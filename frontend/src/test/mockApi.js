@@ -0,0 +1,20 @@
+import axios from 'axios'
+
+// An axios error as the API sends it: the JSON body is error.response.data
+export const apiError = (status, data) => {
+    const error = new Error(`Request failed with status code ${status}`)
+    error.response = { status, data }
+    return error
+}
+
+// Answers GET requests from `routes`, a map of URL to response body, or to a
+// function of the request config returning one. Other URLs fail with a 404.
+export const mockGet = (routes) => {
+    axios.get.mockImplementation(async (url, config) => {
+        if (!(url in routes)) {
+            throw apiError(404, { code: 'NOT_FOUND', message: `No endpoint GET ${url}` })
+        }
+        const body = routes[url]
+        return { data: typeof body === 'function' ? body(config) : body }
+    })
+}
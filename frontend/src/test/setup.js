@@ -0,0 +1,22 @@
+import '@testing-library/jest-dom/vitest'
+import { afterEach, vi } from 'vitest'
+import { cleanup } from '@testing-library/react'
+
+// Component tests never reach a server: every axios call goes to a mock
+// that mockApi.js sets up per test
+vi.mock('axios', () => ({
+    default: {
+        get: vi.fn(),
+        post: vi.fn(),
+        put: vi.fn(),
+        patch: vi.fn(),
+        delete: vi.fn(),
+        interceptors: { request: { use: vi.fn() } }
+    }
+}))
+
+afterEach(() => {
+    cleanup()
+    vi.resetAllMocks()
+    vi.restoreAllMocks()
+})
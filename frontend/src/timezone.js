@@ -0,0 +1,147 @@
+// Every date the app shows or sends is in the organization's timezone, not
+// the browser's. App loads it from /api/config before rendering any page.
+let orgTimeZone = 'UTC'
+
+export const setOrgTimeZone = (timeZone) => {
+    orgTimeZone = timeZone
+}
+
+export const getOrgTimeZone = () => orgTimeZone
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// Calendar fields of an instant on the organization's wall clock, plus the weekday (0 = Sunday)
+export const wallTime = (value) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: orgTimeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }).formatToParts(new Date(value)).map((part) => [part.type, Number(part.value)])
+    )
+    return {
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    }
+}
+
+const offsetMinutes = (value) => {
+    const t = wallTime(value)
+    const asUtc = Date.UTC(t.year, t.month - 1, t.day, t.hour, t.minute, t.second)
+    return Math.round((asUtc - Math.floor(new Date(value).getTime() / 1000) * 1000) / MINUTE_MS)
+}
+
+// The instant a wall-clock time refers to, like the server's resolveWallTime:
+// skipped times (clocks go forward) move forward, repeated ones (clocks go
+// back) take the first occurrence, and both are flagged.
+export const resolveWallTime = ({ year, month, day, hour = 0, minute = 0 }) => {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute)
+    const before = offsetMinutes(asUtc - DAY_MS)
+    const after = offsetMinutes(asUtc + DAY_MS)
+    const candidates = [...new Set([before, after])]
+        .map((offset) => new Date(asUtc - offset * MINUTE_MS))
+        .filter((date) => {
+            const t = wallTime(date)
+            return t.year === year && t.month === month && t.day === day && t.hour === hour && t.minute === minute
+        })
+        .sort((a, b) => a - b)
+    if (candidates.length === 0) {
+        return { date: new Date(asUtc - before * MINUTE_MS), skipped: true, repeated: false }
+    }
+    return { date: candidates[0], skipped: false, repeated: candidates.length > 1 }
+}
+
+// Wall-clock date shifted by whole days
+export const addDays = (day, days) => {
+    const shifted = new Date(Date.UTC(day.year, day.month - 1, day.day + days))
+    return {
+        year: shifted.getUTCFullYear(),
+        month: shifted.getUTCMonth() + 1,
+        day: shifted.getUTCDate(),
+        weekday: shifted.getUTCDay()
+    }
+}
+
+// ISO 8601 with the organization's offset, e.g. 2025-06-01T09:00:00+01:00
+export const toIsoString = (value) => {
+    const t = wallTime(value)
+    const offset = offsetMinutes(value)
+    const abs = Math.abs(offset)
+    return `${t.year}-${pad(t.month)}-${pad(t.day)}T${pad(t.hour)}:${pad(t.minute)}:${pad(t.second)}` +
+        `${offset < 0 ? '-' : '+'}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+}
+
+// Value for a datetime-local input, in the organization's wall time
+export const toDateTimeLocal = (value) => {
+    const t = wallTime(value)
+    return `${t.year}-${pad(t.month)}-${pad(t.day)}T${pad(t.hour)}:${pad(t.minute)}`
+}
+
+// Value for a date input
+export const toDateInput = (value) => {
+    const t = wallTime(value)
+    return `${t.year}-${pad(t.month)}-${pad(t.day)}`
+}
+
+// Reads a datetime-local input ("2025-06-01T09:00") as organization wall
+// time. Times a DST change skips or repeats are refused rather than guessed.
+// Resolves to { iso } or { error }.
+export const fromDateTimeLocal = (text) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(text || '')
+    if (!match) {
+        return { error: 'Enter a date and time' }
+    }
+    const [year, month, day, hour, minute] = match.slice(1).map(Number)
+    const { date, skipped, repeated } = resolveWallTime({ year, month, day, hour, minute })
+    if (skipped) {
+        return { error: `This time does not exist in ${orgTimeZone} because the clocks go forward` }
+    }
+    if (repeated) {
+        return { error: `This time happens twice in ${orgTimeZone} because the clocks go back; pick another` }
+    }
+    return { iso: toIsoString(date) }
+}
+
+const parseDateInput = (text) => {
+    const [year, month, day] = text.split('-').map(Number)
+    return { year, month, day }
+}
+
+// Lenient counterpart of fromDateTimeLocal for times derived from another
+// input, such as the dates of a recurrence: DST gaps and repeats resolve the
+// way resolveWallTime does instead of failing
+export const wallTimeToIso = (date, time = '00:00') => {
+    const [hour, minute] = time.split(':').map(Number)
+    return toIsoString(resolveWallTime({ ...parseDateInput(date), hour, minute }).date)
+}
+
+// Midnight starting a date input's day
+export const startOfDateInput = (text) => wallTimeToIso(text)
+
+// Midnight ending a date input's day, for inclusive "to" ranges
+export const endOfDateInput = (text) => toIsoString(resolveWallTime(addDays(parseDateInput(text), 1)).date)
+
+export const formatDateTime = (value) => {
+    return value ? new Date(value).toLocaleString(undefined, {
+        timeZone: orgTimeZone,
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    }) : '—'
+}
+
+export const formatDay = (value, options = { dateStyle: 'medium' }) => {
+    return new Date(value).toLocaleDateString(undefined, { timeZone: orgTimeZone, ...options })
+}
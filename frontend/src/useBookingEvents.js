@@ -0,0 +1,87 @@
+import { useEffect, useRef } from 'react'
+import { getToken } from './auth'
+
+const POLL_INTERVAL_MS = 30 * 1000
+// Failed attempts in a row before the stream is given up for polling
+const MAX_STREAM_FAILURES = 3
+const RECONNECT_DELAY_MS = 60 * 1000
+const MAX_RECONNECT_DELAY_MS = 10 * 60 * 1000
+
+// Subscribes to booking changes pushed from /api/events. `onEvent` receives
+// each { type, booking }. `onResync` should refetch everything: it runs after
+// a reconnect, since events may have been missed, and on a timer while the
+// stream is unavailable (e.g. serverless deployments answer 204).
+const useBookingEvents = (onEvent, onResync) => {
+    const handlers = useRef({ onEvent, onResync })
+    handlers.current = { onEvent, onResync }
+
+    useEffect(() => {
+        let source = null
+        let pollTimer = null
+        let reconnectTimer = null
+        let failures = 0
+        let retries = 0
+        let hasConnected = false
+
+        const startPolling = () => {
+            if (!pollTimer) {
+                pollTimer = setInterval(() => handlers.current.onResync(), POLL_INTERVAL_MS)
+            }
+        }
+
+        const stopPolling = () => {
+            clearInterval(pollTimer)
+            pollTimer = null
+        }
+
+        // Poll for a while, then try the stream again with a growing delay
+        const fallBack = () => {
+            source.close()
+            startPolling()
+            const delay = Math.min(RECONNECT_DELAY_MS * 2 ** retries, MAX_RECONNECT_DELAY_MS)
+            retries++
+            reconnectTimer = setTimeout(connect, delay)
+        }
+
+        const connect = () => {
+            failures = 0
+            source = new EventSource(`/api/events?token=${encodeURIComponent(getToken() || '')}`)
+
+            source.addEventListener('booking', (e) => {
+                handlers.current.onEvent(JSON.parse(e.data))
+            })
+
+            source.onopen = () => {
+                if (hasConnected || pollTimer) {
+                    handlers.current.onResync()
+                }
+                hasConnected = true
+                failures = 0
+                retries = 0
+                stopPolling()
+            }
+
+            // The browser retries on its own unless the stream is CLOSED
+            source.onerror = () => {
+                failures++
+                if (source.readyState === EventSource.CLOSED || failures >= MAX_STREAM_FAILURES) {
+                    fallBack()
+                }
+            }
+        }
+
+        if (typeof EventSource === 'undefined') {
+            startPolling()
+        } else {
+            connect()
+        }
+
+        return () => {
+            source?.close()
+            stopPolling()
+            clearTimeout(reconnectTimer)
+        }
+    }, [])
+}
+
+export default useBookingEvents
@@ -14,4 +14,8 @@ export default defineConfig({
             },
         },
     },
+    test: {
+        environment: 'jsdom',
+        setupFiles: './src/test/setup.js',
+    },
 })
\ No newline at end of file